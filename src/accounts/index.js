@@ -0,0 +1,128 @@
+import path from 'node:path';
+import { config } from '../config/index.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Tokko account profiles
+ *
+ * Each account has its own login, browser session and lead store, so
+ * several agencies can share one deployment without seeing each other's leads.
+ *
+ * Accounts come from TOKKO_ACCOUNTS; the legacy TOKKO_EMAIL/TOKKO_PASSWORD
+ * pair is kept as an account named "default".
+ */
+
+export const DEFAULT_ACCOUNT_NAME = 'default';
+
+// Account names end up in file names
+const ACCOUNT_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,49}$/i;
+
+// Built once from config
+let accounts = null;
+
+/**
+ * Load and validate the configured accounts (once)
+ * Invalid entries are logged and ignored
+ * @returns {Map} - Accounts by name
+ */
+function loadAccounts() {
+  if (accounts) {
+    return accounts;
+  }
+
+  accounts = new Map();
+
+  if (config.tokko.email) {
+    accounts.set(DEFAULT_ACCOUNT_NAME, {
+      name: DEFAULT_ACCOUNT_NAME,
+      email: config.tokko.email,
+      password: config.tokko.password,
+    });
+  }
+
+  for (const definition of config.tokko.accounts) {
+    const { name, email, password } = definition || {};
+
+    if (!name || !ACCOUNT_NAME_PATTERN.test(name)) {
+      logger.error('Invalid Tokko account name, ignoring it (use letters, numbers, "-" and "_")', { name });
+      continue;
+    }
+    if (!email || !password) {
+      logger.error('Tokko account is missing email or password, ignoring it', { name });
+      continue;
+    }
+    if (accounts.has(name)) {
+      logger.warn('Duplicate Tokko account name, the last one wins', { name });
+    }
+
+    accounts.set(name, { name, email, password });
+  }
+
+  return accounts;
+}
+
+/**
+ * Name of the account used when none is given
+ * @returns {string|null} - Null when there are several accounts and no default
+ */
+export function getDefaultAccountName() {
+  const all = loadAccounts();
+
+  if (config.tokko.defaultAccount) {
+    return config.tokko.defaultAccount;
+  }
+  if (all.has(DEFAULT_ACCOUNT_NAME)) {
+    return DEFAULT_ACCOUNT_NAME;
+  }
+  return all.size === 1 ? [...all.keys()][0] : null;
+}
+
+/**
+ * Get an account by name, falling back to the default account
+ * @param {string} name - Account name (optional)
+ * @returns {Object} - { name, email, password }
+ * @throws {RangeError} - If the account doesn't exist or none was given and there is no default
+ */
+export function getAccount(name) {
+  const all = loadAccounts();
+  const accountName = name || getDefaultAccountName();
+
+  if (!accountName) {
+    throw new RangeError(`account is required. Available accounts: ${[...all.keys()].join(', ')}`);
+  }
+
+  const account = all.get(accountName);
+  if (!account) {
+    throw new RangeError(
+      all.size
+        ? `Unknown account: ${accountName}. Available accounts: ${[...all.keys()].join(', ')}`
+        : 'No Tokko account configured. Set TOKKO_EMAIL/TOKKO_PASSWORD or TOKKO_ACCOUNTS'
+    );
+  }
+
+  return account;
+}
+
+/**
+ * List account names (credentials are never exposed)
+ * @returns {Array<{name: string, default: boolean}>}
+ */
+export function listAccounts() {
+  const defaultName = getDefaultAccountName();
+  return [...loadAccounts().keys()].map((name) => ({ name, default: name === defaultName }));
+}
+
+/**
+ * Per-account variant of a data file path
+ * The "default" account keeps the configured path; others get "<name>.<account>.json" next to it
+ * @param {string} basePath - Configured path (e.g. data/leads.db)
+ * @param {string} account - Account name
+ * @returns {string}
+ */
+export function getAccountFilePath(basePath, account) {
+  if (account === DEFAULT_ACCOUNT_NAME) {
+    return basePath;
+  }
+  const { dir, name, ext } = path.parse(basePath);
+  return path.join(dir, `${name}.${account}${ext || '.json'}`);
+}
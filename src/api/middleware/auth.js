@@ -0,0 +1,197 @@
+import { config } from '../../config/index.js';
+import { logger } from '../../utils/logger.js';
+import { canAccessAccount, findApiKey, hasScope } from '../../auth/api-keys.js';
+import { countRunningJobs } from '../../jobs/index.js';
+import { getAccount, getDefaultAccountName } from '../../accounts/index.js';
+
+/**
+ * API key authentication, scopes and per-key limits
+ *
+ * Clients send their key as "X-API-Key: <key>" or "Authorization: Bearer <key>".
+ * - 401: missing or unknown key
+ * - 403: key without the scope the route needs, or limited to other accounts
+ * - 429: key over its request rate or concurrent scrape limit (with Retry-After)
+ */
+
+// Reachable without a key (paths relative to /api) - used by Docker/load balancer health checks
+const PUBLIC_PATHS = new Set(['/leads/health']);
+
+// Request counts per key name for the current window
+const rateWindows = new Map();
+
+/**
+ * Read the API key from the request headers
+ * @param {Object} req - Express request
+ * @returns {string|null}
+ */
+function getRequestKey(req) {
+  const header = req.get('X-API-Key');
+  if (header) return header.trim();
+
+  const match = req.get('Authorization')?.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Count a request against the key's rate limit (fixed window)
+ * @param {Object} apiKey - Key record
+ * @returns {{allowed: boolean, limit: number, remaining: number, resetInSeconds: number}}
+ */
+function consumeRateLimit(apiKey) {
+  const now = Date.now();
+  const windowMs = config.auth.rateLimitWindowMs;
+
+  let window = rateWindows.get(apiKey.name);
+  if (!window || now - window.startedAt >= windowMs) {
+    window = { startedAt: now, count: 0 };
+    rateWindows.set(apiKey.name, window);
+  }
+
+  window.count++;
+
+  return {
+    allowed: window.count <= apiKey.rateLimit,
+    limit: apiKey.rateLimit,
+    remaining: Math.max(0, apiKey.rateLimit - window.count),
+    resetInSeconds: Math.ceil((window.startedAt + windowMs - now) / 1000),
+  };
+}
+
+/**
+ * Authenticate the request and apply the key's rate limit
+ * Sets req.apiKey to the key record (null when auth is disabled); mount on /api
+ */
+export async function authenticate(req, res, next) {
+  if (PUBLIC_PATHS.has(req.path)) {
+    return next();
+  }
+
+  if (!config.auth.enabled) {
+    req.apiKey = null;
+    return next();
+  }
+
+  try {
+    const key = getRequestKey(req);
+    const apiKey = key ? await findApiKey(key) : null;
+
+    if (!apiKey) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({
+        success: false,
+        error: key ? 'Invalid API key' : 'Missing API key. Send it in the X-API-Key header',
+      });
+    }
+
+    const rate = consumeRateLimit(apiKey);
+    res.set({
+      'RateLimit-Limit': String(rate.limit),
+      'RateLimit-Remaining': String(rate.remaining),
+      'RateLimit-Reset': String(rate.resetInSeconds),
+    });
+
+    if (!rate.allowed) {
+      logger.warn('API key rate limited', { apiKey: apiKey.name, path: req.path });
+      res.set('Retry-After', String(rate.resetInSeconds));
+      return res.status(429).json({
+        success: false,
+        error: `Rate limit exceeded (${rate.limit} requests per ${config.auth.rateLimitWindowMs / 1000}s)`,
+      });
+    }
+
+    req.apiKey = apiKey;
+    next();
+  } catch (error) {
+    logger.error('Error authenticating request', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+    });
+  }
+}
+
+/**
+ * Require a scope for a route
+ * @param {string} scope - One of API_SCOPE
+ * @returns {Function} - Express middleware
+ */
+export function requireScope(scope) {
+  return (req, res, next) => {
+    if (req.apiKey && !hasScope(req.apiKey, scope)) {
+      return res.status(403).json({
+        success: false,
+        error: `API key "${req.apiKey.name}" is missing the "${scope}" scope`,
+      });
+    }
+    next();
+  };
+}
+
+/**
+ * Reject the request when the key is limited to other accounts
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} account - Account name
+ * @returns {boolean} - False if the request was rejected (403 sent)
+ */
+function checkAccountAccess(req, res, account) {
+  if (canAccessAccount(req.apiKey, account)) {
+    return true;
+  }
+
+  res.status(403).json({
+    success: false,
+    error: `API key "${req.apiKey.name}" has no access to account "${account}"`,
+  });
+  return false;
+}
+
+/**
+ * Account a request is about, once the key is known to have access to it
+ * Access is checked before the account is looked up: the lookup error lists every
+ * configured account, which keys limited to some accounts must not learn about
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} name - Requested account (default: the default account)
+ * @returns {string|null} - Account name, or null if the request was rejected (400 or 403 sent)
+ */
+export function resolveAccount(req, res, name) {
+  const requested = name || getDefaultAccountName();
+  if (requested && !checkAccountAccess(req, res, requested)) {
+    return null;
+  }
+
+  try {
+    return getAccount(requested).name;
+  } catch (error) {
+    if (!(error instanceof RangeError)) throw error;
+
+    res.status(400).json({
+      success: false,
+      error: req.apiKey?.accounts ? `Unknown account: ${requested || '(none given)'}` : error.message,
+    });
+    return null;
+  }
+}
+
+/**
+ * Reject a new scrape when the key already has its maximum of scrapes running
+ */
+export function limitConcurrentScrapes(req, res, next) {
+  if (!req.apiKey) {
+    return next();
+  }
+
+  const running = countRunningJobs((job) => job.trigger.apiKey === req.apiKey.name);
+  if (running >= req.apiKey.maxConcurrentScrapes) {
+    logger.warn('API key concurrent scrape limit reached', { apiKey: req.apiKey.name, running });
+    // Scrapes take minutes - a rough hint is enough
+    res.set('Retry-After', '60');
+    return res.status(429).json({
+      success: false,
+      error: `Too many concurrent scrapes (${running} of ${req.apiKey.maxConcurrentScrapes} running)`,
+    });
+  }
+
+  next();
+}
@@ -0,0 +1,19 @@
+import { Router } from 'express';
+import { listAccounts } from '../../accounts/index.js';
+import { requireScope } from '../middleware/auth.js';
+import { API_SCOPE, canAccessAccount } from '../../auth/api-keys.js';
+
+const router = Router();
+
+/**
+ * GET /api/accounts
+ * List the configured Tokko accounts the key can use (names only)
+ */
+router.get('/', requireScope(API_SCOPE.LEADS_READ), (req, res) => {
+  res.json({
+    success: true,
+    data: listAccounts().filter((account) => canAccessAccount(req.apiKey, account.name)),
+  });
+});
+
+export default router;
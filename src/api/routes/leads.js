@@ -1,67 +1,235 @@
 import { Router } from 'express';
-import { scrapeLeads } from '../../scraper/index.js';
+import {
+  createScrapeJob,
+  estimateQueueWait,
+  getJob,
+  serializeJob,
+  getJobEvents,
+  subscribeToJob,
+  isJobFinished,
+  cancelJob,
+} from '../../jobs/index.js';
+import { queryLeads } from '../../store/leads-store.js';
+import { STATUS_SECTION_HEADERS } from '../../scraper/leads.js';
+import { parseScrapeOptions } from '../../jobs/scrape-options.js';
+import { EXPORT_FORMAT, exportLeads, parseExportOptions } from '../../export/index.js';
+import { config } from '../../config/index.js';
 import { logger } from '../../utils/logger.js';
+import { getBrowserPoolStats } from '../../scraper/browser-pool.js';
+import { getSelectorCacheStats } from '../../scraper/selector-cache.js';
+import { getArtifactPath, listArtifacts } from '../../scraper/forensics.js';
+import { requireScope, limitConcurrentScrapes, resolveAccount } from '../middleware/auth.js';
+import { API_SCOPE, canAccessAccount } from '../../auth/api-keys.js';
 
 const router = Router();
 
 /**
- * POST /api/leads/scrape
- * Start a new scraping job
+ * Send leads as a downloadable file (CSV, NDJSON, XLSX) or JSON array
+ * @param {Object} res - Express response
+ * @param {Array} leads
+ * @param {Object} exportOptions - From parseExportOptions()
+ * @param {string} filename - File name without extension
+ */
+async function sendExport(res, leads, exportOptions, filename) {
+  const { body, contentType, extension } = await exportLeads(leads, exportOptions);
+
+  res.set({
+    'Content-Type': contentType,
+    'Content-Disposition': `attachment; filename="${filename}.${extension}"`,
+  });
+  res.send(body);
+}
+
+/**
+ * Get the job of the request, if its key may use the job's account
+ * Jobs of other accounts are reported as not found, like unknown IDs
+ * @param {Object} req - Express request
+ * @returns {Object|null}
+ */
+function getAccessibleJob(req) {
+  const job = getJob(req.params.id);
+  return job && canAccessAccount(req.apiKey, job.account) ? job : null;
+}
+
+/**
+ * GET /api/leads
+ * Query stored leads (no browser involved)
+ *
+ * Query params:
+ *   account      - Tokko account (default: the default account)
+ *   status       - Status section key (pendiente_contactar) or label (Pendiente contactar)
+ *   agent        - Agent name (partial match)
+ *   propertyId   - Property ID (exact match)
+ *   address      - Property address (partial match)
+ *   email        - Contact email (partial match)
+ *   phone        - Contact phone or cell phone (partial match on digits)
+ *   from, to     - Date range (YYYY-MM-DD or ISO date)
+ *   dateField    - Field for the date range: parsedDate (default), lastUpdated, firstSeenAt, lastSeenAt
+ *   sort         - Sort field, "-" prefix for descending (default: -parsedDate)
+ *   limit        - Page size, 1-500 (default: 50; file formats export every match unless set)
+ *   cursor       - nextCursor from the previous page
+ *   format       - json (default), csv, ndjson or xlsx
+ *   columns      - Column order for csv/xlsx, comma-separated (e.g. contact.name,contact.phone,status)
  *
- * Body:
- * {
- *   "targetDate": "2024-01-01",     // Required: Scrape leads until this date
- *   "startDate": "2024-01-15",      // Optional: Filter leads from this date
- *   "maxLeads": 100,                // Optional: Max leads to scrape (default: 10000)
- *   "extractDetails": true          // Optional: Click each property to get ID and agent (slower)
- * }
+ * File formats return the leads only; total and next cursor go in the
+ * X-Total-Count and X-Next-Cursor headers.
  */
-router.post('/scrape', async (req, res) => {
+router.get('/', requireScope(API_SCOPE.LEADS_READ), async (req, res) => {
   try {
-    const { targetDate, startDate, maxLeads, extractDetails, status } = req.body;
+    const { account, status, agent, propertyId, address, email, phone, from, to, dateField, sort, cursor } = req.query;
 
-    if (!targetDate) {
+    const { options: exportOptions, error: exportError } = parseExportOptions(req.query);
+    if (exportError) {
       return res.status(400).json({
         success: false,
-        error: 'targetDate is required (format: YYYY-MM-DD)',
+        error: exportError,
       });
     }
+    const isFile = exportOptions.format !== EXPORT_FORMAT.JSON;
 
-    const parsedTargetDate = new Date(targetDate);
-    if (isNaN(parsedTargetDate.getTime())) {
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) : isFile ? Infinity : 50;
+    if (isNaN(limit) || limit < 1 || (limit > 500 && limit !== Infinity)) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid targetDate format. Use YYYY-MM-DD',
+        error: 'limit must be a number between 1 and 500',
       });
     }
 
-    const options = {
-      targetDate: parsedTargetDate,
-      startDate: startDate ? new Date(startDate) : null,
-      maxLeads: maxLeads || 10000,
-      extractDetails: extractDetails || false,
-      status: status || 'all',
-    };
+    const dates = {};
+    for (const [name, value] of Object.entries({ from, to })) {
+      if (!value) continue;
+      dates[name] = new Date(value);
+      if (isNaN(dates[name].getTime())) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid ${name} date. Use YYYY-MM-DD`,
+        });
+      }
+    }
 
-    logger.info('Received scrape request', options);
+    // A plain YYYY-MM-DD "to" date includes that whole day
+    if (dates.to && /^\d{4}-\d{2}-\d{2}$/.test(to)) {
+      dates.to.setUTCHours(23, 59, 59, 999);
+    }
+
+    const accountName = resolveAccount(req, res, account);
+    if (!accountName) {
+      return;
+    }
 
-    // Start scraping (this may take a while)
-    const result = await scrapeLeads(options);
+    const result = await queryLeads({
+      account: accountName,
+      status: status ? STATUS_SECTION_HEADERS[status] || status : undefined,
+      agent,
+      propertyId,
+      address,
+      email,
+      phone,
+      from: dates.from,
+      to: dates.to,
+      dateField,
+      sort,
+      limit,
+      cursor,
+    });
+
+    if (isFile) {
+      res.set('X-Total-Count', String(result.total));
+      if (result.nextCursor) {
+        res.set('X-Next-Cursor', result.nextCursor);
+      }
+      return await sendExport(res, result.leads, exportOptions, `leads-${accountName}`);
+    }
 
-    if (result.success) {
-      res.json({
-        success: true,
-        data: {
-          leads: result.leads,
-          metadata: result.metadata,
+    res.json({
+      success: true,
+      data: {
+        leads: result.leads,
+        pagination: {
+          limit,
+          total: result.total,
+          nextCursor: result.nextCursor,
         },
+      },
+    });
+  } catch (error) {
+    if (error instanceof RangeError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    logger.error('Error in GET /api/leads', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * POST /api/leads/scrape
+ * Start a new scraping job in the background
+ * Responds immediately with the job ID - poll GET /api/leads/jobs/:id for the outcome
+ * Scrapes of the same account run one at a time: the job is "queued" (with its queuePosition)
+ * until the previous ones finish. If the expected wait exceeds SCRAPE_QUEUE_MAX_WAIT_MS the
+ * request is rejected with 503 and Retry-After
+ * See parseScrapeOptions() for the accepted body; it also accepts "format" and
+ * "columns" (same as GET /api/leads) to build the resultUrl to download the leads from
+ */
+router.post('/scrape', requireScope(API_SCOPE.SCRAPE), limitConcurrentScrapes, async (req, res) => {
+  try {
+    const account = resolveAccount(req, res, req.body?.account);
+    if (!account) {
+      return;
+    }
+
+    const { options, error } = parseScrapeOptions({ ...req.body, account });
+    const { options: exportOptions, error: exportError } = parseExportOptions(req.body);
+
+    if (error || exportError) {
+      return res.status(400).json({
+        success: false,
+        error: error || exportError,
+      });
+    }
+
+    logger.info('Received scrape request', options);
+
+    const queue = estimateQueueWait(options.account);
+    if (queue.waitMs > config.jobs.maxQueueWaitMs) {
+      const retryAfterSeconds = Math.max(1, Math.ceil((queue.waitMs - config.jobs.maxQueueWaitMs) / 1000));
+      logger.warn('Scrape rejected - account queue too long', {
+        account: options.account,
+        position: queue.position,
+        estimatedWaitMs: queue.waitMs,
       });
-    } else {
-      res.status(500).json({
+      res.set('Retry-After', String(retryAfterSeconds));
+      return res.status(503).json({
         success: false,
-        error: result.error,
+        error: `Account is busy: ${queue.position} scrape(s) ahead, estimated wait ${Math.ceil(queue.waitMs / 1000)}s exceeds the maximum of ${Math.round(config.jobs.maxQueueWaitMs / 1000)}s`,
       });
     }
+
+    // Start scraping in the background (this may take a while)
+    const job = createScrapeJob(options, { type: 'api', apiKey: req.apiKey?.name || null });
+
+    const resultQuery = new URLSearchParams({ format: exportOptions.format });
+    if (req.body.columns) {
+      resultQuery.set('columns', exportOptions.columns.join(','));
+    }
+
+    res.status(202).json({
+      success: true,
+      data: {
+        jobId: job.id,
+        status: job.status,
+        queuePosition: job.queuePosition,
+        statusUrl: `${req.baseUrl}/jobs/${job.id}`,
+        resultUrl: `${req.baseUrl}/jobs/${job.id}/result?${resultQuery}`,
+      },
+    });
   } catch (error) {
     logger.error('Error in /api/leads/scrape', { error: error.message });
     res.status(500).json({
@@ -71,15 +239,229 @@ router.post('/scrape', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/leads/jobs/:id
+ * Get status, progress and (once finished) the result of a scraping job
+ */
+router.get('/jobs/:id', requireScope(API_SCOPE.LEADS_READ), (req, res) => {
+  const job = getAccessibleJob(req);
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found',
+    });
+  }
+
+  res.json({
+    success: true,
+    data: serializeJob(job),
+  });
+});
+
+/**
+ * GET /api/leads/jobs/:id/result
+ * Download the leads of a finished job (including partial leads of failed and cancelled jobs)
+ *
+ * Query params:
+ *   format       - json (default), csv, ndjson or xlsx
+ *   columns      - Column order for csv/xlsx, comma-separated
+ */
+router.get('/jobs/:id/result', requireScope(API_SCOPE.LEADS_READ), async (req, res) => {
+  try {
+    const job = getAccessibleJob(req);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found',
+      });
+    }
+
+    const { options: exportOptions, error } = parseExportOptions(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error,
+      });
+    }
+
+    if (!isJobFinished(job)) {
+      return res.status(409).json({
+        success: false,
+        error: `Job is still ${job.status}`,
+      });
+    }
+
+    await sendExport(res, job.result?.leads || [], exportOptions, `scraped-leads-${job.id}`);
+  } catch (error) {
+    logger.error('Error in GET /api/leads/jobs/:id/result', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * GET /api/leads/jobs/:id/artifacts
+ * List the forensic artifacts of a job (trace, screenshots, HTML) with their download URLs
+ * Admin only - screenshots and traces show customer data and Tokko session traffic
+ * Artifacts outlive the job record, so a pruned job can still be inspected
+ */
+router.get('/jobs/:id/artifacts', requireScope(API_SCOPE.ADMIN), async (req, res) => {
+  try {
+    const artifacts = await listArtifacts(req.params.id);
+
+    if (!artifacts) {
+      return res.status(404).json({
+        success: false,
+        error: getJob(req.params.id)
+          ? 'Job has no forensic artifacts (run it with "forensics": true or set FORENSICS_ENABLED=true)'
+          : 'Job not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        jobId: req.params.id,
+        artifacts: artifacts.map((artifact) => ({
+          ...artifact,
+          url: `${req.baseUrl}/jobs/${req.params.id}/artifacts/${encodeURIComponent(artifact.name)}`,
+        })),
+      },
+    });
+  } catch (error) {
+    logger.error('Error in GET /api/leads/jobs/:id/artifacts', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * GET /api/leads/jobs/:id/artifacts/:name
+ * Download one forensic artifact (always as an attachment - captured HTML is never rendered)
+ */
+router.get('/jobs/:id/artifacts/:name', requireScope(API_SCOPE.ADMIN), async (req, res) => {
+  try {
+    const filePath = await getArtifactPath(req.params.id, req.params.name);
+
+    if (!filePath) {
+      return res.status(404).json({
+        success: false,
+        error: 'Artifact not found',
+      });
+    }
+
+    res.set('X-Content-Type-Options', 'nosniff');
+    res.download(filePath, req.params.name);
+  } catch (error) {
+    logger.error('Error in GET /api/leads/jobs/:id/artifacts/:name', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * DELETE /api/leads/jobs/:id
+ * Cancel a running scraping job
+ * The job finishes as "cancelled" with the leads collected so far
+ */
+router.delete('/jobs/:id', requireScope(API_SCOPE.SCRAPE), (req, res) => {
+  const job = getAccessibleJob(req);
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found',
+    });
+  }
+
+  if (!cancelJob(job)) {
+    return res.status(409).json({
+      success: false,
+      error: `Job already ${job.status}`,
+    });
+  }
+
+  res.status(202).json({
+    success: true,
+    data: serializeJob(job),
+  });
+});
+
+/**
+ * GET /api/leads/jobs/:id/events
+ * Stream the events of a scraping job using Server-Sent Events
+ * Recorded events are replayed first; supports Last-Event-ID to resume
+ */
+router.get('/jobs/:id/events', requireScope(API_SCOPE.LEADS_READ), (req, res) => {
+  const job = getAccessibleJob(req);
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found',
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Disable proxy buffering (nginx) so events arrive as they happen
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  const sendEvent = (event) => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+  };
+
+  const lastEventId = parseInt(req.get('Last-Event-ID'), 10) || 0;
+  getJobEvents(job, lastEventId).forEach(sendEvent);
+
+  if (isJobFinished(job)) {
+    return res.end();
+  }
+
+  // Keep idle connections from being closed by proxies
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+
+  const unsubscribe = subscribeToJob(job, (event) => {
+    sendEvent(event);
+    if (event.type === 'end') {
+      cleanup();
+      res.end();
+    }
+  });
+
+  function cleanup() {
+    clearInterval(heartbeat);
+    unsubscribe();
+  }
+
+  req.on('close', cleanup);
+});
+
 /**
  * GET /api/leads/health
  * Health check endpoint
  */
 router.get('/health', (req, res) => {
+  const { enabled, size, maxSize, leased, waiting } = getBrowserPoolStats();
+
   res.json({
     success: true,
     status: 'healthy',
     timestamp: new Date().toISOString(),
+    browserPool: { enabled, size, maxSize, leased, waiting },
+    selectorCache: getSelectorCacheStats(),
   });
 });
 
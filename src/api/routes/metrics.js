@@ -0,0 +1,53 @@
+import { Router } from 'express';
+import { getLlmUsageMetrics } from '../../scraper/llm-usage.js';
+import { logger } from '../../utils/logger.js';
+import { requireScope } from '../middleware/auth.js';
+import { API_SCOPE } from '../../auth/api-keys.js';
+
+const router = Router();
+
+// Costs and budgets are an operator concern
+router.use(requireScope(API_SCOPE.ADMIN));
+
+/**
+ * GET /api/metrics/llm
+ * LLM tokens and estimated cost: today, per day and per job, each split by purpose, with the budgets
+ *
+ * Query params:
+ * - days: Days to include (1-365, default 7)
+ * - jobs: Latest jobs to include (1-200, default 20)
+ */
+router.get('/llm', async (req, res) => {
+  try {
+    const days = req.query.days ? parseInt(req.query.days, 10) : 7;
+    const jobs = req.query.jobs ? parseInt(req.query.jobs, 10) : 20;
+
+    if (isNaN(days) || days < 1 || days > 365) {
+      return res.status(400).json({
+        success: false,
+        error: 'days must be a number between 1 and 365',
+      });
+    }
+    if (isNaN(jobs) || jobs < 1 || jobs > 200) {
+      return res.status(400).json({
+        success: false,
+        error: 'jobs must be a number between 1 and 200',
+      });
+    }
+
+    const metrics = await getLlmUsageMetrics({ days, jobs });
+
+    res.json({
+      success: true,
+      data: metrics,
+    });
+  } catch (error) {
+    logger.error('Error in GET /api/metrics/llm', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+    });
+  }
+});
+
+export default router;
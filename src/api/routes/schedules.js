@@ -0,0 +1,154 @@
+import { Router } from 'express';
+import {
+  createSchedule,
+  deleteSchedule,
+  getSchedule,
+  listSchedules,
+  serializeSchedule,
+  SCHEDULE_SOURCE,
+} from '../../scheduler/index.js';
+import { getDefaultAccountName } from '../../accounts/index.js';
+import { logger } from '../../utils/logger.js';
+import { requireScope, resolveAccount } from '../middleware/auth.js';
+import { API_SCOPE, canAccessAccount } from '../../auth/api-keys.js';
+
+const router = Router();
+
+// Schedules start scrapes
+router.use(requireScope(API_SCOPE.SCRAPE));
+
+/**
+ * Get the schedule of the request, if its key may use the schedule's account
+ * Schedules of other accounts are reported as not found, like unknown IDs
+ * @param {Object} req - Express request
+ * @returns {Object|null}
+ */
+function getAccessibleSchedule(req) {
+  const schedule = getSchedule(req.params.id);
+  return schedule && canAccessAccount(req.apiKey, getScheduleAccount(schedule)) ? schedule : null;
+}
+
+/**
+ * Account a schedule scrapes (options without one run on the default account)
+ * @param {Object} schedule
+ * @returns {string|null}
+ */
+function getScheduleAccount(schedule) {
+  return schedule.options.account || getDefaultAccountName();
+}
+
+/**
+ * GET /api/schedules
+ * List recurring scrape schedules with their next and last run (of the accounts the key can use)
+ */
+router.get('/', (req, res) => {
+  res.json({
+    success: true,
+    data: listSchedules()
+      .filter((schedule) => canAccessAccount(req.apiKey, getScheduleAccount(schedule)))
+      .map((schedule) => serializeSchedule(schedule)),
+  });
+});
+
+/**
+ * POST /api/schedules
+ * Create a recurring scrape
+ *
+ * Body:
+ * {
+ *   "name": "nightly",                          // Optional: Label for the schedule
+ *   "cron": "0 3 * * *",                        // Required: Cron expression
+ *   "timezone": "America/Argentina/Buenos_Aires", // Optional (default: SCHEDULER_TIMEZONE)
+ *   "options": {                                // Optional: Same body as POST /api/leads/scrape
+ *     "mode": "incremental",
+ *     "status": "pendiente_contactar",
+ *     "maxLeads": 500,
+ *     "extractDetails": true
+ *   }
+ * }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { name, cron, timezone } = req.body;
+    let { options } = req.body;
+
+    // Keys limited to some accounts get the account pinned, so the schedule
+    // keeps running on it even if the default account changes
+    if (req.apiKey?.accounts && typeof (options ?? {}) === 'object' && !Array.isArray(options)) {
+      const account = resolveAccount(req, res, options?.account);
+      if (!account) {
+        return;
+      }
+      options = { ...options, account };
+    }
+
+    const schedule = await createSchedule({ name, cron, timezone, options });
+
+    res.status(201).json({
+      success: true,
+      data: serializeSchedule(schedule),
+    });
+  } catch (error) {
+    if (error instanceof RangeError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    logger.error('Error in POST /api/schedules', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * GET /api/schedules/:id
+ * Get a schedule with its full run history
+ */
+router.get('/:id', (req, res) => {
+  const schedule = getAccessibleSchedule(req);
+
+  if (!schedule) {
+    return res.status(404).json({
+      success: false,
+      error: 'Schedule not found',
+    });
+  }
+
+  res.json({
+    success: true,
+    data: serializeSchedule(schedule, { includeRuns: true }),
+  });
+});
+
+/**
+ * DELETE /api/schedules/:id
+ * Delete a schedule created through the API
+ */
+router.delete('/:id', async (req, res) => {
+  const schedule = getAccessibleSchedule(req);
+
+  if (!schedule) {
+    return res.status(404).json({
+      success: false,
+      error: 'Schedule not found',
+    });
+  }
+
+  if (schedule.source === SCHEDULE_SOURCE.CONFIG) {
+    return res.status(409).json({
+      success: false,
+      error: 'Schedules defined in config can only be removed from config',
+    });
+  }
+
+  await deleteSchedule(schedule);
+  res.json({
+    success: true,
+  });
+});
+
+export default router;
@@ -0,0 +1,93 @@
+import { Router } from 'express';
+import {
+  approveHealedSelector,
+  listHealedSelectors,
+  rejectHealedSelector,
+} from '../../scraper/self-healing.js';
+import { logger } from '../../utils/logger.js';
+import { requireScope } from '../middleware/auth.js';
+import { API_SCOPE } from '../../auth/api-keys.js';
+
+const router = Router();
+
+// Healed selectors change what every scrape clicks on
+router.use(requireScope(API_SCOPE.ADMIN));
+
+/**
+ * GET /api/selectors/healed
+ * List selectors the smart selector replaced, with their review status, and the latest healing events
+ */
+router.get('/healed', async (req, res) => {
+  try {
+    const healed = await listHealedSelectors();
+
+    res.json({
+      success: true,
+      data: healed,
+    });
+  } catch (error) {
+    logger.error('Error in GET /api/selectors/healed', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * POST /api/selectors/healed/:name/approve
+ * Mark a healed selector as reviewed - it stays in use
+ */
+router.post('/healed/:name/approve', async (req, res) => {
+  try {
+    const selector = await approveHealedSelector(req.params.name);
+
+    if (!selector) {
+      return res.status(404).json({
+        success: false,
+        error: 'Healed selector not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: selector,
+    });
+  } catch (error) {
+    logger.error('Error in POST /api/selectors/healed/:name/approve', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * DELETE /api/selectors/healed/:name
+ * Reject a healed selector - scrapes go back to the built-in selectors and never pick it again
+ */
+router.delete('/healed/:name', async (req, res) => {
+  try {
+    const selector = await rejectHealedSelector(req.params.name);
+
+    if (!selector) {
+      return res.status(404).json({
+        success: false,
+        error: 'Healed selector not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: selector,
+    });
+  } catch (error) {
+    logger.error('Error in DELETE /api/selectors/healed/:name', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,64 @@
+import { Router } from 'express';
+import { listDeadLetters, replayDeadLetter } from '../../webhooks/index.js';
+import { logger } from '../../utils/logger.js';
+import { requireScope } from '../middleware/auth.js';
+import { API_SCOPE } from '../../auth/api-keys.js';
+
+const router = Router();
+
+// Dead letters hold lead data for every receiver
+router.use(requireScope(API_SCOPE.ADMIN));
+
+/**
+ * GET /api/webhooks/dead-letters
+ * List webhook deliveries that ran out of retries
+ */
+router.get('/dead-letters', async (req, res) => {
+  try {
+    const deadLetters = await listDeadLetters();
+
+    res.json({
+      success: true,
+      data: deadLetters,
+    });
+  } catch (error) {
+    logger.error('Error in GET /api/webhooks/dead-letters', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * POST /api/webhooks/dead-letters/:id/replay
+ * Send a dead-lettered delivery again (same payload and idempotency key)
+ * A successful replay removes it from the list
+ */
+router.post('/dead-letters/:id/replay', async (req, res) => {
+  try {
+    const result = await replayDeadLetter(req.params.id);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Dead letter not found',
+      });
+    }
+
+    // 502: the receiver still rejects the delivery
+    res.status(result.delivered ? 200 : 502).json({
+      success: result.delivered,
+      data: result,
+      ...(!result.delivered && { error: `Delivery failed: ${result.deadLetter.lastError}` }),
+    });
+  } catch (error) {
+    logger.error('Error in POST /api/webhooks/dead-letters/:id/replay', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+    });
+  }
+});
+
+export default router;
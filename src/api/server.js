@@ -2,6 +2,16 @@ import express from 'express';
 import { config } from '../config/index.js';
 import { logger } from '../utils/logger.js';
 import leadsRouter from './routes/leads.js';
+import schedulesRouter from './routes/schedules.js';
+import webhooksRouter from './routes/webhooks.js';
+import accountsRouter from './routes/accounts.js';
+import selectorsRouter from './routes/selectors.js';
+import metricsRouter from './routes/metrics.js';
+import { startScheduler } from '../scheduler/index.js';
+import { resumeWebhookDeliveries } from '../webhooks/index.js';
+import { authenticate } from './middleware/auth.js';
+import { listApiKeys } from '../auth/api-keys.js';
+import { listAccounts } from '../accounts/index.js';
 
 const app = express();
 
@@ -18,8 +28,16 @@ app.use((req, res, next) => {
   next();
 });
 
+// Every API route needs a key (except the health check)
+app.use('/api', authenticate);
+
 // Routes
 app.use('/api/leads', leadsRouter);
+app.use('/api/schedules', schedulesRouter);
+app.use('/api/webhooks', webhooksRouter);
+app.use('/api/accounts', accountsRouter);
+app.use('/api/selectors', selectorsRouter);
+app.use('/api/metrics', metricsRouter);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -27,7 +45,25 @@ app.get('/', (req, res) => {
     name: 'Tokko Lead Scraper API',
     version: '1.0.0',
     endpoints: {
+      'GET /api/leads': 'Query stored leads (json, csv, ndjson, xlsx)',
       'POST /api/leads/scrape': 'Start a scraping job',
+      'GET /api/leads/jobs/:id': 'Get scraping job status and result',
+      'GET /api/leads/jobs/:id/events': 'Stream scraping job events (SSE)',
+      'GET /api/leads/jobs/:id/result': 'Download job leads (json, csv, ndjson, xlsx)',
+      'GET /api/leads/jobs/:id/artifacts': 'List job forensic artifacts (trace, screenshots, HTML)',
+      'GET /api/leads/jobs/:id/artifacts/:name': 'Download a job forensic artifact',
+      'DELETE /api/leads/jobs/:id': 'Cancel a running scraping job',
+      'GET /api/schedules': 'List recurring scrape schedules',
+      'POST /api/schedules': 'Create a recurring scrape schedule',
+      'GET /api/schedules/:id': 'Get a schedule and its run history',
+      'DELETE /api/schedules/:id': 'Delete a schedule',
+      'GET /api/accounts': 'List Tokko accounts',
+      'GET /api/webhooks/dead-letters': 'List failed webhook deliveries',
+      'POST /api/webhooks/dead-letters/:id/replay': 'Retry a failed webhook delivery',
+      'GET /api/selectors/healed': 'List selectors healed by the smart selector',
+      'POST /api/selectors/healed/:name/approve': 'Approve a healed selector',
+      'DELETE /api/selectors/healed/:name': 'Reject a healed selector',
+      'GET /api/metrics/llm': 'LLM token usage, estimated cost and budgets per day and per job',
       'GET /api/leads/health': 'Health check',
     },
   });
@@ -62,6 +98,41 @@ export function startServer() {
     logger.info(`   Health check: http://localhost:${port}/api/leads/health`);
   });
 
+  if (!config.auth.enabled) {
+    logger.warn('API authentication disabled (AUTH_ENABLED=false) - anyone who can reach the API can use it');
+  } else {
+    listApiKeys()
+      .then((keys) => {
+        if (keys.length === 0) {
+          logger.warn('No API keys configured - every API request will be rejected. Create one with `npm run api-key`');
+        }
+      })
+      .catch((error) => logger.error('Failed to load API keys', { error: error.message }));
+  }
+
+  if (config.sessions.enabled && !config.sessions.secret) {
+    logger.warn('SESSION_SECRET not set - Tokko sessions are not saved and every scrape logs in again');
+  }
+
+  const accounts = listAccounts();
+  if (accounts.length === 0) {
+    logger.warn('No Tokko account configured - set TOKKO_EMAIL/TOKKO_PASSWORD or TOKKO_ACCOUNTS');
+  } else {
+    logger.info('Tokko accounts', { accounts: accounts.map((account) => account.name) });
+  }
+
+  if (config.webhooks.urls.length > 0 && !config.webhooks.secret) {
+    logger.error('WEBHOOK_URLS set without WEBHOOK_SECRET - webhooks are not sent until it is set (new leads go to the dead letters)');
+  }
+
+  startScheduler().catch((error) => {
+    logger.error('Failed to start scheduler', { error: error.message });
+  });
+
+  resumeWebhookDeliveries().catch((error) => {
+    logger.error('Failed to resume webhook deliveries', { error: error.message });
+  });
+
   return app;
 }
 
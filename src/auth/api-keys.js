@@ -0,0 +1,271 @@
+import { createHash, randomBytes } from 'node:crypto';
+import { stat } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { config } from '../config/index.js';
+import { logger } from '../utils/logger.js';
+import { readJsonFile, writeJsonFile } from '../utils/json-file.js';
+
+/**
+ * API keys
+ *
+ * Keys come from two places:
+ * - config (API_KEYS env var) - plain "key" or its SHA-256 "keyHash"
+ * - the key store (config.auth.path) - created with `npm run api-key`, only the hash is saved
+ *
+ * The key store is re-read whenever the file changes, so new or revoked keys
+ * apply without restarting the server.
+ */
+
+/**
+ * What a key is allowed to do
+ */
+export const API_SCOPE = {
+  // Query stored leads, read jobs and their results
+  LEADS_READ: 'leads:read',
+  // Start and cancel scrapes, manage schedules
+  SCRAPE: 'scrape',
+  // Everything, including webhook dead letters
+  ADMIN: 'admin',
+};
+
+// Keys by hash
+let configKeys = null;
+let storedKeys = new Map();
+let storeMtime = null;
+
+/**
+ * Hash an API key (keys are never kept in plain text)
+ * @param {string} key
+ * @returns {string}
+ */
+export function hashApiKey(key) {
+  return createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Validate a key definition and build its record
+ * @param {Object} definition - { name, key | keyHash, scopes, accounts, rateLimit, maxConcurrentScrapes }
+ * @param {string} source - "config" or "store"
+ * @returns {Object} - Key record
+ * @throws {RangeError} - If the definition is invalid
+ */
+function toKeyRecord(definition, source) {
+  const { name, key, keyHash, scopes = [], accounts, rateLimit, maxConcurrentScrapes } = definition;
+
+  if (!name) {
+    throw new RangeError('API key name is required');
+  }
+  if (!key && !keyHash) {
+    throw new RangeError(`API key "${name}" needs a key or keyHash`);
+  }
+
+  const unknown = scopes.filter((scope) => !Object.values(API_SCOPE).includes(scope));
+  if (unknown.length || scopes.length === 0) {
+    throw new RangeError(
+      `API key "${name}" has invalid scopes. Use one or more of: ${Object.values(API_SCOPE).join(', ')}`
+    );
+  }
+
+  if (accounts !== undefined && accounts !== null) {
+    if (!Array.isArray(accounts) || accounts.length === 0 || accounts.some((account) => typeof account !== 'string' || !account)) {
+      throw new RangeError(`API key "${name}" accounts must be a non-empty list of account names (omit it for every account)`);
+    }
+    // Admin routes (dead letters, artifacts, metrics) span every account
+    if (scopes.includes(API_SCOPE.ADMIN)) {
+      throw new RangeError(`API key "${name}" has the admin scope, which can't be limited to some accounts`);
+    }
+  }
+
+  return {
+    name,
+    keyHash: keyHash || hashApiKey(key),
+    scopes,
+    // null = every account
+    accounts: accounts || null,
+    rateLimit: rateLimit || config.auth.rateLimit,
+    maxConcurrentScrapes: maxConcurrentScrapes || config.auth.maxConcurrentScrapes,
+    source,
+  };
+}
+
+/**
+ * Load keys from config (once)
+ * Invalid entries are logged and ignored
+ * @returns {Map}
+ */
+function loadConfigKeys() {
+  if (!configKeys) {
+    configKeys = new Map();
+    for (const definition of config.auth.keys) {
+      try {
+        const record = toKeyRecord(definition, 'config');
+        configKeys.set(record.keyHash, record);
+      } catch (error) {
+        logger.error('Invalid API key in config, ignoring it', { error: error.message });
+      }
+    }
+  }
+  return configKeys;
+}
+
+/**
+ * Re-read the key store if the file changed since the last read
+ * @returns {Promise<Map>}
+ */
+async function loadStoredKeys() {
+  const mtime = await stat(config.auth.path).then((stats) => stats.mtimeMs, () => null);
+  if (mtime === storeMtime) {
+    return storedKeys;
+  }
+
+  const definitions = await readJsonFile(config.auth.path, []);
+  storedKeys = new Map();
+  for (const definition of definitions) {
+    try {
+      const record = toKeyRecord(definition, 'store');
+      storedKeys.set(record.keyHash, record);
+    } catch (error) {
+      logger.error('Invalid API key in key store, ignoring it', { error: error.message });
+    }
+  }
+  storeMtime = mtime;
+
+  return storedKeys;
+}
+
+/**
+ * Get every configured key
+ * @returns {Promise<Array>} - Key records
+ */
+export async function listApiKeys() {
+  return [...loadConfigKeys().values(), ...(await loadStoredKeys()).values()];
+}
+
+/**
+ * Find the record of an API key
+ * @param {string} key - Key sent by the client
+ * @returns {Promise<Object|null>}
+ */
+export async function findApiKey(key) {
+  const keyHash = hashApiKey(key);
+  return loadConfigKeys().get(keyHash) || (await loadStoredKeys()).get(keyHash) || null;
+}
+
+/**
+ * Check whether a key has a scope (admin has them all)
+ * @param {Object} record - Key record
+ * @param {string} scope - One of API_SCOPE
+ * @returns {boolean}
+ */
+export function hasScope(record, scope) {
+  return record.scopes.includes(scope) || record.scopes.includes(API_SCOPE.ADMIN);
+}
+
+/**
+ * Check whether a key may use an account (keys without an accounts list can use them all)
+ * @param {Object|null} record - Key record (null when auth is disabled)
+ * @param {string} account - Account name
+ * @returns {boolean}
+ */
+export function canAccessAccount(record, account) {
+  return !record?.accounts || record.accounts.includes(account);
+}
+
+/**
+ * Create a key in the key store
+ * @param {Object} definition - { name, scopes, accounts, rateLimit, maxConcurrentScrapes }
+ * @returns {Promise<string>} - The new key (only shown once)
+ * @throws {RangeError} - If the definition is invalid or the name is taken
+ */
+export async function createApiKey(definition) {
+  const key = `tls_${randomBytes(24).toString('base64url')}`;
+  const record = toKeyRecord({ ...definition, key }, 'store');
+
+  if ((await listApiKeys()).some((existing) => existing.name === record.name)) {
+    throw new RangeError(`An API key named "${record.name}" already exists`);
+  }
+
+  const definitions = await readJsonFile(config.auth.path, []);
+  definitions.push({
+    name: record.name,
+    keyHash: record.keyHash,
+    scopes: record.scopes,
+    ...(record.accounts && { accounts: record.accounts }),
+    ...(definition.rateLimit && { rateLimit: definition.rateLimit }),
+    ...(definition.maxConcurrentScrapes && { maxConcurrentScrapes: definition.maxConcurrentScrapes }),
+    createdAt: new Date().toISOString(),
+  });
+  await writeJsonFile(config.auth.path, definitions);
+
+  return key;
+}
+
+/**
+ * Remove a key from the key store (config keys are removed from config)
+ * @param {string} name - Key name
+ * @returns {Promise<boolean>} - False if there was no such key in the store
+ */
+export async function revokeApiKey(name) {
+  const definitions = await readJsonFile(config.auth.path, []);
+  const remaining = definitions.filter((definition) => definition.name !== name);
+
+  if (remaining.length === definitions.length) {
+    return false;
+  }
+
+  await writeJsonFile(config.auth.path, remaining);
+  return true;
+}
+
+// Manage stored keys from the command line
+// node src/auth/api-keys.js create <name> --scopes leads:read,scrape [--accounts palermo,belgrano] [--rate-limit 60] [--max-concurrent-scrapes 1]
+// node src/auth/api-keys.js revoke <name>
+// node src/auth/api-keys.js list
+const isMainModule = process.argv[1]?.includes('auth/api-keys.js');
+
+if (isMainModule) {
+  const { values: flags, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      scopes: { type: 'string', default: API_SCOPE.LEADS_READ },
+      accounts: { type: 'string' },
+      'rate-limit': { type: 'string' },
+      'max-concurrent-scrapes': { type: 'string' },
+    },
+  });
+  const [command, name] = positionals;
+
+  const run = async () => {
+    switch (command) {
+      case 'create': {
+        const key = await createApiKey({
+          name,
+          scopes: flags.scopes.split(',').map((scope) => scope.trim()),
+          accounts: flags.accounts?.split(',').map((account) => account.trim()),
+          rateLimit: parseInt(flags['rate-limit'], 10) || undefined,
+          maxConcurrentScrapes: parseInt(flags['max-concurrent-scrapes'], 10) || undefined,
+        });
+        console.log(`API key "${name}" created. Store it now - it can't be shown again:\n${key}`);
+        break;
+      }
+      case 'revoke':
+        if (!(await revokeApiKey(name))) {
+          throw new Error(`No stored API key named "${name}"`);
+        }
+        console.log(`API key "${name}" revoked`);
+        break;
+      case 'list':
+        for (const record of await listApiKeys()) {
+          console.log(`${record.name}\t${record.scopes.join(',')}\t${record.accounts?.join(',') || '*'}\t${record.source}`);
+        }
+        break;
+      default:
+        throw new Error('Usage: api-keys.js create <name> --scopes leads:read,scrape | revoke <name> | list');
+    }
+  };
+
+  run().catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  });
+}
@@ -1,17 +1,103 @@
 import 'dotenv/config';
 
+/**
+ * Read a JSON value from an environment variable
+ * @param {string} name - Variable name
+ * @param {*} fallback - Value used when the variable is not set
+ * @returns {*}
+ */
+function parseJsonEnv(name, fallback) {
+  const value = process.env[name];
+  if (!value) return fallback;
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${name}: ${error.message}`);
+  }
+}
+
+/**
+ * Read a count that may be 0 from an environment variable
+ * @param {string} name - Variable name
+ * @param {number} fallback - Value used when the variable is not set or not a non-negative integer
+ * @returns {number}
+ */
+function parseCountEnv(name, fallback) {
+  const text = process.env[name]?.trim();
+  const value = Number(text);
+  return text && Number.isInteger(value) && value >= 0 ? value : fallback;
+}
+
+// Tokko instance - point it at a stand-in (e.g. test/mock-tokko) for tests
+const tokkoBaseUrl = (process.env.TOKKO_BASE_URL || 'https://www.tokkobroker.com').replace(/\/+$/, '');
+
 export const config = {
-  // OpenAI for Smart Selector
-  openai: {
-    apiKey: process.env.OPENAI_API_KEY,
+  // LLM behind the Smart Selector (see src/scraper/llm-provider.js)
+  llm: {
+    // "openai" (OpenAI, or any OpenAI-compatible server with LLM_BASE_URL) or "fixture" (offline tests)
+    provider: process.env.LLM_PROVIDER || 'openai',
+    model: process.env.LLM_MODEL || 'gpt-4o-mini',
+    // e.g. http://localhost:11434/v1 (Ollama) or http://localhost:8080/v1 (llama.cpp server)
+    baseUrl: process.env.LLM_BASE_URL,
+    apiKey: process.env.LLM_API_KEY || process.env.OPENAI_API_KEY,
+    // Per request; local models on CPU can need much longer
+    timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS, 10) || 60000,
+    // Client-level retries (the scrape steps have their own retry policy)
+    maxRetries: parseCountEnv('LLM_MAX_RETRIES', 2),
+    // JSON-schema structured outputs (response_format) - disable for servers that don't support them
+    structuredOutputs: process.env.LLM_STRUCTURED_OUTPUTS !== 'false',
+    // Canned answers for the fixture provider
+    fixturesPath: process.env.LLM_FIXTURES_PATH || 'test/fixtures/llm.json',
+  },
+
+  // LLM tokens and estimated cost per job, per day and per purpose (see src/scraper/llm-usage.js)
+  llmUsage: {
+    path: process.env.LLM_USAGE_PATH || 'data/llm-usage.json',
+    // USD per million tokens - default: the built-in price of the model (OpenAI models only)
+    inputPricePer1M: process.env.LLM_INPUT_PRICE_PER_1M ? parseFloat(process.env.LLM_INPUT_PRICE_PER_1M) : null,
+    outputPricePer1M: process.env.LLM_OUTPUT_PRICE_PER_1M ? parseFloat(process.env.LLM_OUTPUT_PRICE_PER_1M) : null,
+    // Caps in USD (0 = none); once spent, LLM calls fail with llm_budget_exceeded
+    jobBudgetUsd: parseFloat(process.env.LLM_JOB_BUDGET_USD) || 0,
+    // The day is the one in SCHEDULER_TIMEZONE
+    dailyBudgetUsd: parseFloat(process.env.LLM_DAILY_BUDGET_USD) || 0,
+    // Days and finished jobs kept for GET /api/metrics/llm
+    retentionDays: parseInt(process.env.LLM_USAGE_RETENTION_DAYS, 10) || 30,
+    maxJobs: parseInt(process.env.LLM_USAGE_MAX_JOBS, 10) || 200,
   },
 
   // Tokko Broker credentials
   tokko: {
+    // Single-account setup - becomes the account named "default"
     email: process.env.TOKKO_EMAIL,
     password: process.env.TOKKO_PASSWORD,
-    loginUrl: 'https://www.tokkobroker.com/go/',
-    baseUrl: 'https://www.tokkobroker.com',
+    // Several agencies: [{ "name": "palermo", "email": "...", "password": "..." }]
+    accounts: parseJsonEnv('TOKKO_ACCOUNTS', []),
+    // Account used when a request or schedule doesn't pick one
+    defaultAccount: process.env.TOKKO_DEFAULT_ACCOUNT,
+    baseUrl: tokkoBaseUrl,
+    loginUrl: process.env.TOKKO_LOGIN_URL || `${tokkoBaseUrl}/go/`,
+  },
+
+  // Warm, logged-in browser contexts reused across scrapes
+  browserPool: {
+    enabled: process.env.BROWSER_POOL_ENABLED !== 'false',
+    // Max contexts open at once (across all accounts)
+    maxSize: parseInt(process.env.BROWSER_POOL_SIZE, 10) || 2,
+    // Recycle a context after this many scrapes
+    maxUses: parseInt(process.env.BROWSER_POOL_MAX_USES, 10) || 20,
+    // Close contexts (and the browser, once empty) after this long unused
+    idleTimeoutMs: parseInt(process.env.BROWSER_POOL_IDLE_MS, 10) || 10 * 60 * 1000,
+    // Recycle a context whose page JS heap grew this much since it was created
+    maxMemoryGrowthMb: parseInt(process.env.BROWSER_POOL_MAX_MEMORY_GROWTH_MB, 10) || 300,
+  },
+
+  // Saved Tokko sessions (cookies), reused until they expire
+  sessions: {
+    enabled: process.env.SESSION_PERSIST !== 'false',
+    path: process.env.SESSION_PATH || 'data/tokko-session.json',
+    // Encryption secret - sessions are not saved without it
+    secret: process.env.SESSION_SECRET,
   },
 
   // Server
@@ -20,11 +106,120 @@ export const config = {
     env: process.env.NODE_ENV || 'development',
   },
 
+  // API key authentication
+  auth: {
+    // Only disable on a trusted network - the API exposes customer data
+    enabled: process.env.AUTH_ENABLED !== 'false',
+    // [{ "name": "crm", "key": "...", "scopes": ["leads:read"], "accounts": ["palermo"], "rateLimit": 60, "maxConcurrentScrapes": 1 }]
+    // "accounts" is optional - without it the key can use every account
+    keys: parseJsonEnv('API_KEYS', []),
+    // Keys created with `npm run api-key` (hashed)
+    path: process.env.API_KEYS_PATH || 'data/api-keys.json',
+    // Defaults for keys that don't set their own limits
+    rateLimit: parseInt(process.env.API_RATE_LIMIT, 10) || 60,
+    rateLimitWindowMs: parseInt(process.env.API_RATE_LIMIT_WINDOW_MS, 10) || 60 * 1000,
+    maxConcurrentScrapes: parseInt(process.env.API_MAX_CONCURRENT_SCRAPES, 10) || 1,
+  },
+
   // Scraper settings
   scraper: {
     headless: process.env.HEADLESS === 'true',
     slowMo: parseInt(process.env.SLOW_MO, 10) || 0,
     timeout: 30000,
+    // Retry policy overrides (see src/scraper/retry.js), for every step and per step:
+    // {"attempts": 4, "initialBackoffMs": 2000} / {"navigation": {"retryOn": ["timeout"]}}
+    retry: parseJsonEnv('SCRAPE_RETRY_POLICY', {}),
+    retrySteps: parseJsonEnv('SCRAPE_RETRY_STEPS', {}),
+  },
+
+  // Selectors resolved by the smart selector, reused while the page structure stays the same
+  selectorCache: {
+    enabled: process.env.SELECTOR_CACHE_ENABLED !== 'false',
+    path: process.env.SELECTOR_CACHE_PATH || 'data/selector-cache.json',
+    // Least recently used entries are dropped beyond this many
+    maxEntries: parseInt(process.env.SELECTOR_CACHE_MAX_ENTRIES, 10) || 200,
+  },
+
+  // Self-healing selectors: when a built-in selector breaks, the smart selector finds a
+  // replacement that is kept (and reported for review) from then on
+  selfHealing: {
+    enabled: process.env.SELF_HEALING_ENABLED !== 'false',
+    path: process.env.HEALED_SELECTORS_PATH || 'data/healed-selectors.json',
+    // After a healing attempt finds nothing, don't ask the LLM for that selector again for this long
+    retryAfterMs: parseInt(process.env.SELF_HEALING_RETRY_AFTER_MS, 10) || 10 * 60 * 1000,
+    // Healing events kept for review
+    maxEvents: parseInt(process.env.SELF_HEALING_MAX_EVENTS, 10) || 200,
+  },
+
+  // Failure forensics: Playwright trace, screenshots and cleaned HTML per run
+  forensics: {
+    // Record every run (a scrape request can also opt in with "forensics": true)
+    enabled: process.env.FORENSICS_ENABLED === 'true',
+    // One directory per job ID
+    path: process.env.FORENSICS_PATH || 'data/artifacts',
+    retentionDays: parseInt(process.env.FORENSICS_RETENTION_DAYS, 10) || 7,
+    // Oldest runs are deleted beyond this many
+    maxRuns: parseInt(process.env.FORENSICS_MAX_RUNS, 10) || 50,
+  },
+
+  // Recorded Tokko sessions (HAR + DOM snapshots) for offline replay
+  recordings: {
+    // One directory per recording name
+    path: process.env.RECORDINGS_PATH || 'data/recordings',
+  },
+
+  // Local lead store (SQLite database, mount its directory as a volume in Docker)
+  store: {
+    enabled: process.env.LEADS_STORE_ENABLED !== 'false',
+    path: process.env.LEADS_STORE_PATH || 'data/leads.db',
+  },
+
+  // Recurring scrapes
+  scheduler: {
+    enabled: process.env.SCHEDULER_ENABLED !== 'false',
+    // Schedules created through the API (and run history) are saved here
+    path: process.env.SCHEDULES_PATH || 'data/schedules.json',
+    // Schedules defined in config, as JSON:
+    // [{ "name": "nightly", "cron": "0 3 * * *", "options": { "mode": "incremental" } }]
+    schedules: parseJsonEnv('SCHEDULES', []),
+    timezone: process.env.SCHEDULER_TIMEZONE || 'America/Argentina/Buenos_Aires',
+    // Run outcomes kept per schedule
+    maxRunHistory: parseInt(process.env.SCHEDULE_RUN_HISTORY, 10) || 50,
+  },
+
+  // Webhooks notified with newly scraped leads
+  webhooks: {
+    urls: (process.env.WEBHOOK_URLS || '').split(',').map((url) => url.trim()).filter(Boolean),
+    // Shared secret for the HMAC-SHA256 signature header - nothing is sent without it
+    secret: process.env.WEBHOOK_SECRET,
+    // Leads per delivery
+    batchSize: parseInt(process.env.WEBHOOK_BATCH_SIZE, 10) || 100,
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6,
+    initialBackoffMs: parseInt(process.env.WEBHOOK_INITIAL_BACKOFF_MS, 10) || 1000,
+    maxBackoffMs: parseInt(process.env.WEBHOOK_MAX_BACKOFF_MS, 10) || 60000,
+    timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000,
+    // Deliveries waiting for their next attempt, resumed after a restart
+    pendingPath: process.env.WEBHOOK_PENDING_PATH || 'data/webhook-pending.json',
+    // Deliveries that ran out of attempts are kept here for replay
+    deadLetterPath: process.env.WEBHOOK_DEAD_LETTER_PATH || 'data/webhook-dead-letters.json',
+  },
+
+  // Lead exports (CSV, NDJSON, XLSX)
+  export: {
+    // Default CSV/XLSX column order (comma-separated, see LEAD_COLUMNS in src/export/index.js)
+    columns: (process.env.EXPORT_COLUMNS || '').split(',').map((column) => column.trim()).filter(Boolean),
+    // Spanish-locale Excel expects ";" between columns
+    csvDelimiter: process.env.EXPORT_CSV_DELIMITER || ',',
+    // Byte order mark so Excel opens the CSV as UTF-8 (accents, ñ)
+    csvBom: process.env.EXPORT_CSV_BOM !== 'false',
+  },
+
+  // Background scrape jobs
+  jobs: {
+    // How long finished jobs (and their results) are kept in memory
+    retentionMinutes: parseInt(process.env.JOB_RETENTION_MINUTES, 10) || 24 * 60,
+    // Scrapes of the same account run one at a time; longer expected waits are rejected with 503
+    maxQueueWaitMs: parseInt(process.env.SCRAPE_QUEUE_MAX_WAIT_MS, 10) || 15 * 60 * 1000,
   },
 };
 
@@ -0,0 +1,194 @@
+import ExcelJS from 'exceljs';
+import { config } from '../config/index.js';
+
+/**
+ * Export leads as JSON, CSV, NDJSON or XLSX
+ *
+ * CSV and XLSX are flat: nested fields become dotted columns
+ * (contact.name, agent.name, property.address, ...) in a configurable order.
+ */
+
+export const EXPORT_FORMAT = {
+  JSON: 'json',
+  CSV: 'csv',
+  NDJSON: 'ndjson',
+  XLSX: 'xlsx',
+};
+
+const CONTENT_TYPES = {
+  [EXPORT_FORMAT.JSON]: 'application/json; charset=utf-8',
+  [EXPORT_FORMAT.CSV]: 'text/csv; charset=utf-8',
+  [EXPORT_FORMAT.NDJSON]: 'application/x-ndjson; charset=utf-8',
+  [EXPORT_FORMAT.XLSX]: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+/**
+ * Flat lead columns, in their default order
+ * Stored leads also have id, firstSeenAt, lastSeenAt and timesSeen
+ */
+export const LEAD_COLUMNS = [
+  'id',
+  'account',
+  'contact.name',
+  'contact.email',
+  'contact.phone',
+  'contact.cellPhone',
+  'agent.name',
+  'property.id',
+  'property.address',
+  'status',
+  'lastUpdated',
+  'parsedDate',
+  'scrapedAt',
+  'firstSeenAt',
+  'lastSeenAt',
+  'timesSeen',
+];
+
+// ISO timestamps written as real dates in XLSX
+const DATE_COLUMNS = ['parsedDate', 'scrapedAt', 'firstSeenAt', 'lastSeenAt'];
+
+/**
+ * Validate export parameters (query string, body or CLI flags)
+ * @param {Object} params
+ * @param {string} params.format - One of EXPORT_FORMAT (default: json)
+ * @param {string|Array} params.columns - Column order, comma-separated or array (default: config / LEAD_COLUMNS)
+ * @returns {{options?: {format: string, columns: Array}, error?: string}}
+ */
+export function parseExportOptions(params = {}) {
+  const { format = EXPORT_FORMAT.JSON, columns } = params;
+
+  if (!Object.values(EXPORT_FORMAT).includes(format)) {
+    return { error: `Invalid format. Use one of: ${Object.values(EXPORT_FORMAT).join(', ')}` };
+  }
+
+  const requested = Array.isArray(columns)
+    ? columns
+    : (columns || '').split(',').map((column) => column.trim()).filter(Boolean);
+  const selected = requested.length ? requested : config.export.columns.length ? config.export.columns : LEAD_COLUMNS;
+
+  const unknown = selected.filter((column) => !LEAD_COLUMNS.includes(column));
+  if (unknown.length) {
+    return { error: `Unknown columns: ${unknown.join(', ')}. Valid columns: ${LEAD_COLUMNS.join(', ')}` };
+  }
+
+  return { options: { format, columns: selected } };
+}
+
+/**
+ * Read a dotted column from a lead
+ * @param {Object} lead
+ * @param {string} column - e.g. "contact.name"
+ * @returns {*}
+ */
+function getColumnValue(lead, column) {
+  return column.split('.').reduce((value, key) => value?.[key], lead) ?? null;
+}
+
+/**
+ * Escape a CSV cell
+ * Text starting with =, +, - or @ is prefixed with ' so spreadsheets don't run it as a formula
+ * (phone numbers like "+54 11 5555-5555" are left alone)
+ * @param {*} value
+ * @param {string} delimiter
+ * @returns {string}
+ */
+function toCsvCell(value, delimiter) {
+  if (value === null || value === undefined) return '';
+
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text) && !/^[+-]?[\d\s().-]+$/.test(text)) {
+    text = `'${text}`;
+  }
+
+  if (text.includes(delimiter) || /["\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Build a CSV document
+ * @param {Array} leads
+ * @param {Array} columns
+ * @returns {string}
+ */
+function toCsv(leads, columns) {
+  const { csvDelimiter: delimiter, csvBom } = config.export;
+  const rows = [
+    columns.map((column) => toCsvCell(column, delimiter)).join(delimiter),
+    ...leads.map((lead) => (
+      columns.map((column) => toCsvCell(getColumnValue(lead, column), delimiter)).join(delimiter)
+    )),
+  ];
+
+  // CRLF line endings - what Excel writes and expects
+  return `${csvBom ? '\uFEFF' : ''}${rows.join('\r\n')}\r\n`;
+}
+
+/**
+ * Build an XLSX workbook with a single "Leads" sheet
+ * @param {Array} leads
+ * @param {Array} columns
+ * @returns {Promise<Buffer>}
+ */
+async function toXlsx(leads, columns) {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Leads', {
+    views: [{ state: 'frozen', ySplit: 1 }],
+  });
+
+  sheet.columns = columns.map((column) => ({
+    header: column,
+    key: column,
+    width: DATE_COLUMNS.includes(column) ? 20 : Math.max(12, column.length + 2),
+    ...(DATE_COLUMNS.includes(column) && { style: { numFmt: 'dd/mm/yyyy hh:mm' } }),
+  }));
+  sheet.getRow(1).font = { bold: true };
+
+  for (const lead of leads) {
+    sheet.addRow(Object.fromEntries(columns.map((column) => {
+      const value = getColumnValue(lead, column);
+      return [column, DATE_COLUMNS.includes(column) && value ? new Date(value) : value];
+    })));
+  }
+
+  // Widen text columns to fit their longest value (capped)
+  sheet.columns.forEach((column) => {
+    if (DATE_COLUMNS.includes(column.key)) return;
+    column.eachCell({ includeEmpty: false }, (cell) => {
+      column.width = Math.min(50, Math.max(column.width, String(cell.value ?? '').length + 2));
+    });
+  });
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+/**
+ * Serialize leads in the requested format
+ * @param {Array} leads - Structured leads or stored lead records
+ * @param {Object} options - From parseExportOptions()
+ * @param {string} options.format - One of EXPORT_FORMAT
+ * @param {Array} options.columns - Column order for CSV and XLSX
+ * @returns {Promise<{body: string|Buffer, contentType: string, extension: string}>}
+ */
+export async function exportLeads(leads, options) {
+  const { format, columns } = options;
+  let body;
+
+  switch (format) {
+    case EXPORT_FORMAT.CSV:
+      body = toCsv(leads, columns);
+      break;
+    case EXPORT_FORMAT.NDJSON:
+      body = leads.map((lead) => JSON.stringify(lead)).join('\n') + (leads.length ? '\n' : '');
+      break;
+    case EXPORT_FORMAT.XLSX:
+      body = await toXlsx(leads, columns);
+      break;
+    default:
+      body = JSON.stringify(leads, null, 2);
+  }
+
+  return { body, contentType: CONTENT_TYPES[format], extension: format };
+}
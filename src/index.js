@@ -1,6 +1,8 @@
 import 'dotenv/config';
 import { startServer } from './api/server.js';
 import { logger } from './utils/logger.js';
+import { closeBrowserPool } from './scraper/browser-pool.js';
+import { closeLeadStores } from './store/leads-store.js';
 
 // Handle uncaught exceptions
 process.on('uncaughtException', (error) => {
@@ -13,15 +15,24 @@ process.on('unhandledRejection', (reason, promise) => {
   logger.error('Unhandled Rejection', { reason, promise });
 });
 
-// Graceful shutdown
+/**
+ * Graceful shutdown
+ * Pooled browsers are closed so no Chromium processes are left behind
+ */
+function shutdown() {
+  closeBrowserPool()
+    .finally(() => closeLeadStores())
+    .finally(() => process.exit(0));
+}
+
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully');
-  process.exit(0);
+  shutdown();
 });
 
 process.on('SIGINT', () => {
   logger.info('SIGINT received, shutting down gracefully');
-  process.exit(0);
+  shutdown();
 });
 
 // Start the server
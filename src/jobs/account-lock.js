@@ -0,0 +1,143 @@
+import { logger } from '../utils/logger.js';
+import { TimeoutError } from '../scraper/errors.js';
+
+/**
+ * Per-account mutual exclusion for scrapes
+ *
+ * Two scrapes on the same Tokko account would fight over shared UI state
+ * (the reassignment toggle, the sucursal filter), so each account runs one
+ * scrape at a time. Others wait in a FIFO queue and are told their position
+ * as it changes (1 = next in line).
+ */
+
+/**
+ * Thrown when a caller waited longer than its timeout
+ */
+export class AccountLockTimeoutError extends TimeoutError {
+  constructor(account, timeoutMs) {
+    super(`Timed out after ${Math.round(timeoutMs / 1000)}s waiting for account "${account}" to be free`);
+    this.name = 'AccountLockTimeoutError';
+    this.account = account;
+  }
+}
+
+// Per account: { holder: id|null, waiters: [{ id, grant, onPositionChange }] }
+const locks = new Map();
+
+/**
+ * Get (or create) the lock state of an account
+ * @param {string} account
+ * @returns {Object}
+ */
+function getLock(account) {
+  if (!locks.has(account)) {
+    locks.set(account, { holder: null, waiters: [] });
+  }
+  return locks.get(account);
+}
+
+/**
+ * Tell every waiter its current position
+ * @param {Object} lock
+ */
+function notifyPositions(lock) {
+  lock.waiters.forEach((waiter, index) => waiter.onPositionChange(index + 1));
+}
+
+/**
+ * Hand the lock to the next waiter, or free it
+ * @param {string} account
+ */
+function releaseLock(account) {
+  const lock = getLock(account);
+  const next = lock.waiters.shift();
+
+  if (!next) {
+    lock.holder = null;
+    return;
+  }
+
+  lock.holder = next.id;
+  notifyPositions(lock);
+  next.grant();
+}
+
+/**
+ * Wait for exclusive use of an account
+ * The position callback runs synchronously with the initial position (0 = acquired right away)
+ * @param {string} account - Account name
+ * @param {string} id - Caller ID (e.g. job ID)
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - Leave the queue (rejects with the abort reason)
+ * @param {number} options.timeoutMs - Leave the queue after this long (rejects with AccountLockTimeoutError)
+ * @param {Function} options.onPositionChange - Called with the queue position, 0 once acquired
+ * @returns {Promise<Function>} - Release function (safe to call more than once)
+ */
+export function acquireAccountLock(account, id, options = {}) {
+  const { signal = null, timeoutMs = null, onPositionChange = () => {} } = options;
+  const lock = getLock(account);
+
+  let released = false;
+  const release = () => {
+    if (released) return;
+    released = true;
+    releaseLock(account);
+  };
+
+  if (lock.holder === null) {
+    lock.holder = id;
+    onPositionChange(0);
+    return Promise.resolve(release);
+  }
+
+  return new Promise((resolve, reject) => {
+    let timer = null;
+
+    const leaveQueue = (error) => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      const index = lock.waiters.indexOf(waiter);
+      if (index >= 0) {
+        lock.waiters.splice(index, 1);
+        notifyPositions(lock);
+      }
+      reject(error);
+    };
+    const onAbort = () => leaveQueue(signal.reason);
+
+    const waiter = {
+      id,
+      onPositionChange,
+      grant: () => {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+        onPositionChange(0);
+        resolve(release);
+      },
+    };
+
+    lock.waiters.push(waiter);
+    onPositionChange(lock.waiters.length);
+    logger.info('Waiting for account to be free', {
+      account,
+      id,
+      holder: lock.holder,
+      position: lock.waiters.length,
+    });
+
+    if (timeoutMs) {
+      timer = setTimeout(() => leaveQueue(new AccountLockTimeoutError(account, timeoutMs)), timeoutMs);
+    }
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Current queue of an account
+ * @param {string} account
+ * @returns {{holder: string|null, waiting: Array<string>}}
+ */
+export function getAccountQueue(account) {
+  const lock = getLock(account);
+  return { holder: lock.holder, waiting: lock.waiters.map((waiter) => waiter.id) };
+}
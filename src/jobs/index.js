@@ -0,0 +1,372 @@
+import { randomUUID } from 'node:crypto';
+import { EventEmitter } from 'node:events';
+import { config } from '../config/index.js';
+import { logger } from '../utils/logger.js';
+import { scrapeLeads } from '../scraper/index.js';
+import { DEFAULT_ACCOUNT_NAME, getDefaultAccountName } from '../accounts/index.js';
+import { describeError } from '../scraper/errors.js';
+import { AccountLockTimeoutError, acquireAccountLock, getAccountQueue } from './account-lock.js';
+
+/**
+ * Lifecycle states of a background scrape job
+ */
+export const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+};
+
+/**
+ * In-memory job registry, keyed by job ID
+ */
+const jobs = new Map();
+
+/**
+ * Maximum events kept per job for clients that connect late
+ */
+const MAX_EVENTS_PER_JOB = 1000;
+
+/**
+ * Durations of the last runs per account, used to estimate queue waits
+ */
+const recentDurations = new Map();
+const MAX_DURATIONS_PER_ACCOUNT = 10;
+
+/**
+ * Assumed run duration for an account without finished runs yet
+ */
+const DEFAULT_RUN_ESTIMATE_MS = 5 * 60 * 1000;
+
+/**
+ * Start a scrape in the background and return its job right away
+ * Scrapes of the same account run one at a time; the job stays "queued" until its turn
+ * @param {Object} options - Same options accepted by scrapeLeads()
+ * @param {Object} trigger - What started the job (default: { type: 'api' })
+ * @returns {Object} - The job record
+ */
+export function createScrapeJob(options = {}, trigger = { type: 'api' }) {
+  const job = {
+    id: randomUUID(),
+    status: JOB_STATUS.QUEUED,
+    options,
+    trigger,
+    account: options.account || getDefaultAccountName() || DEFAULT_ACCOUNT_NAME,
+    queuePosition: null,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    progress: {
+      stage: null,
+      leadsCollected: 0,
+      scrolls: 0,
+      section: null,
+    },
+    result: null,
+    error: null,
+    failure: null,
+    cancelRequested: false,
+    abortController: new AbortController(),
+    // Event history and live feed for streaming clients (not serialized)
+    events: [],
+    nextEventId: 1,
+    emitter: new EventEmitter(),
+  };
+
+  // One listener per connected stream client
+  job.emitter.setMaxListeners(0);
+
+  jobs.set(job.id, job);
+  logger.info('Scrape job created', { jobId: job.id, account: options.account });
+
+  // Intentionally not awaited - callers poll the job (or use waitForJob) for its outcome
+  job.completion = runJob(job);
+
+  return job;
+}
+
+/**
+ * Wait for the job's turn on its account, then run the scraper and record its outcome
+ * @param {Object} job - Job record
+ */
+async function runJob(job) {
+  let releaseAccount = null;
+
+  try {
+    try {
+      releaseAccount = await acquireAccountLock(job.account, job.id, {
+        signal: job.abortController.signal,
+        timeoutMs: config.jobs.maxQueueWaitMs,
+        onPositionChange: (position) => updateQueuePosition(job, position),
+      });
+    } catch (error) {
+      if (job.cancelRequested) {
+        job.status = JOB_STATUS.CANCELLED;
+        job.result = { leads: [], metadata: null };
+        return;
+      }
+      if (error instanceof AccountLockTimeoutError) {
+        job.status = JOB_STATUS.FAILED;
+        job.error = error.message;
+        job.failure = { stage: 'queued', progress: job.progress, ...describeError(error) };
+        return;
+      }
+      throw error;
+    }
+
+    const result = await scrapeLeads({
+      ...job.options,
+      // Forensic artifacts are stored under the job ID
+      runId: job.id,
+      onProgress: (update) => {
+        job.progress = { ...job.progress, ...update };
+        recordJobEvent(job, 'progress', job.progress);
+      },
+      onEvent: (type, data) => recordJobEvent(job, type, data),
+      signal: job.abortController.signal,
+    });
+
+    if (result.cancelled) {
+      job.status = JOB_STATUS.CANCELLED;
+      job.result = {
+        leads: result.leads,
+        metadata: result.metadata || null,
+      };
+    } else if (result.success) {
+      job.status = JOB_STATUS.COMPLETED;
+      job.result = {
+        leads: result.leads,
+        metadata: result.metadata,
+      };
+    } else {
+      // Failed runs still keep whatever was collected before the error
+      job.status = JOB_STATUS.FAILED;
+      job.error = result.error;
+      job.failure = result.failure || null;
+      job.result = {
+        leads: result.leads,
+        metadata: result.metadata || null,
+      };
+    }
+  } catch (error) {
+    logger.error('Scrape job crashed', { jobId: job.id, error: error.message });
+    job.status = JOB_STATUS.FAILED;
+    job.error = error.message;
+    job.failure = { stage: job.progress.stage, progress: job.progress, ...describeError(error) };
+  } finally {
+    job.finishedAt = new Date().toISOString();
+    job.queuePosition = null;
+    if (releaseAccount) {
+      recordDuration(job);
+      releaseAccount();
+    }
+    logger.info('Scrape job finished', { jobId: job.id, status: job.status });
+    recordJobEvent(job, 'end', { status: job.status, error: job.error, code: job.failure?.code || null });
+  }
+}
+
+/**
+ * Track the job's place in its account queue (0 = its turn, the scrape starts)
+ * @param {Object} job - Job record
+ * @param {number} position - Queue position, 1 = next in line
+ */
+function updateQueuePosition(job, position) {
+  if (position === 0) {
+    job.status = JOB_STATUS.RUNNING;
+    job.startedAt = new Date().toISOString();
+    job.queuePosition = null;
+    logger.info('Scrape job started', { jobId: job.id, account: job.account });
+    recordJobEvent(job, 'started', { account: job.account });
+    return;
+  }
+
+  if (position !== job.queuePosition) {
+    job.queuePosition = position;
+    recordJobEvent(job, 'queue', { account: job.account, position });
+  }
+}
+
+/**
+ * Remember how long a run took, for queue wait estimates
+ * @param {Object} job - Finished job record
+ */
+function recordDuration(job) {
+  const durations = recentDurations.get(job.account) || [];
+  durations.push(new Date(job.finishedAt).getTime() - new Date(job.startedAt).getTime());
+  recentDurations.set(job.account, durations.slice(-MAX_DURATIONS_PER_ACCOUNT));
+}
+
+/**
+ * Estimate how long a new job for an account would wait before it starts
+ * Based on the average of the account's recent runs and the elapsed time of the current one
+ * @param {string} account - Account name (default account if omitted)
+ * @returns {{position: number, waitMs: number}} - Position the new job would get (0 = starts right away)
+ */
+export function estimateQueueWait(account) {
+  const name = account || getDefaultAccountName() || DEFAULT_ACCOUNT_NAME;
+  const { holder, waiting } = getAccountQueue(name);
+
+  if (!holder) {
+    return { position: 0, waitMs: 0 };
+  }
+
+  const durations = recentDurations.get(name) || [];
+  const averageMs = durations.length
+    ? durations.reduce((sum, duration) => sum + duration, 0) / durations.length
+    : DEFAULT_RUN_ESTIMATE_MS;
+
+  const running = jobs.get(holder);
+  const elapsedMs = running?.startedAt ? Date.now() - new Date(running.startedAt).getTime() : 0;
+
+  return {
+    position: waiting.length + 1,
+    waitMs: Math.round(Math.max(averageMs - elapsedMs, 0) + waiting.length * averageMs),
+  };
+}
+
+/**
+ * Append an event to the job history and notify live subscribers
+ * @param {Object} job - Job record
+ * @param {string} type - Event type (login, navigation, leads_batch, ...)
+ * @param {Object} data - Event payload
+ */
+function recordJobEvent(job, type, data) {
+  const event = {
+    id: job.nextEventId++,
+    type,
+    data,
+    timestamp: new Date().toISOString(),
+  };
+
+  job.events.push(event);
+  if (job.events.length > MAX_EVENTS_PER_JOB) {
+    job.events.shift();
+  }
+
+  job.emitter.emit('event', event);
+}
+
+/**
+ * Check whether a job has reached a final state
+ * @param {Object} job - Job record
+ * @returns {boolean}
+ */
+export function isJobFinished(job) {
+  return job.status !== JOB_STATUS.QUEUED && job.status !== JOB_STATUS.RUNNING;
+}
+
+/**
+ * Wait until a job reaches a final state
+ * @param {Object} job - Job record
+ * @returns {Promise<Object>} - The finished job record
+ */
+export async function waitForJob(job) {
+  await job.completion;
+  return job;
+}
+
+/**
+ * Get the recorded events of a job
+ * @param {Object} job - Job record
+ * @param {number} afterId - Only return events with a greater ID (for resuming streams)
+ * @returns {Array}
+ */
+export function getJobEvents(job, afterId = 0) {
+  return job.events.filter((event) => event.id > afterId);
+}
+
+/**
+ * Listen to new events of a job
+ * @param {Object} job - Job record
+ * @param {Function} listener - Called with each new event
+ * @returns {Function} - Unsubscribe function
+ */
+export function subscribeToJob(job, listener) {
+  job.emitter.on('event', listener);
+  return () => job.emitter.off('event', listener);
+}
+
+/**
+ * Request cancellation of a queued or running job
+ * A queued job leaves the queue right away; the scraper stops at its next safe point and the job keeps the leads collected so far
+ * @param {Object} job - Job record
+ * @returns {boolean} - False if the job had already finished
+ */
+export function cancelJob(job) {
+  if (isJobFinished(job)) {
+    return false;
+  }
+
+  if (!job.cancelRequested) {
+    job.cancelRequested = true;
+    job.abortController.abort();
+    logger.info('Scrape job cancellation requested', { jobId: job.id });
+    recordJobEvent(job, 'cancel_requested', {});
+  }
+
+  return true;
+}
+
+/**
+ * Get a job by ID
+ * @param {string} id - Job ID
+ * @returns {Object|null}
+ */
+export function getJob(id) {
+  return jobs.get(id) || null;
+}
+
+/**
+ * Count unfinished (queued or running) jobs matching a filter
+ * @param {Function} predicate - Called with each unfinished job
+ * @returns {number}
+ */
+export function countRunningJobs(predicate = () => true) {
+  let count = 0;
+  for (const job of jobs.values()) {
+    if (!isJobFinished(job) && predicate(job)) count++;
+  }
+  return count;
+}
+
+/**
+ * Build the public representation of a job
+ * @param {Object} job - Job record
+ * @returns {Object}
+ */
+export function serializeJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    account: job.account,
+    queuePosition: job.queuePosition,
+    trigger: job.trigger,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    progress: job.progress,
+    cancelRequested: job.cancelRequested,
+    result: job.result,
+    error: job.error,
+    failure: job.failure,
+  };
+}
+
+/**
+ * Drop finished jobs that are older than the retention window
+ * Running jobs are never pruned
+ */
+function pruneExpiredJobs() {
+  const cutoff = Date.now() - config.jobs.retentionMinutes * 60 * 1000;
+
+  for (const [id, job] of jobs) {
+    if (job.finishedAt && new Date(job.finishedAt).getTime() < cutoff) {
+      jobs.delete(id);
+      logger.debug('Pruned expired job', { jobId: id });
+    }
+  }
+}
+
+// Don't keep the process alive just for housekeeping
+setInterval(pruneExpiredJobs, 60 * 1000).unref();
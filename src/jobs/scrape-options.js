@@ -0,0 +1,68 @@
+import { SCRAPE_MODE } from '../scraper/index.js';
+import { getAccount } from '../accounts/index.js';
+
+/**
+ * Validate a scrape request body and turn it into scrapeLeads() options
+ * Shared by the scrape route and schedules so both accept the same body
+ *
+ * Body:
+ * {
+ *   "targetDate": "2024-01-01",     // Required (unless mode is "incremental"): Scrape leads until this date
+ *   "startDate": "2024-01-15",      // Optional: Filter leads from this date
+ *   "maxLeads": 100,                // Optional: Max leads to scrape (default: 10000)
+ *   "extractDetails": true,         // Optional: Click each property to get ID and agent (slower)
+ *   "status": "pendiente_contactar",// Optional: Status section (default: all)
+ *   "mode": "incremental",          // Optional: "full" (default) or "incremental" (stop at stored high-water marks)
+ *   "account": "palermo",           // Optional: Tokko account (default: the default account)
+ *   "forensics": true               // Optional: Record trace, screenshots and HTML (default: FORENSICS_ENABLED)
+ * }
+ *
+ * @param {Object} body - Request body
+ * @param {Object} settings
+ * @param {boolean} settings.requireTargetDate - Whether full runs must provide targetDate (default: true)
+ * @returns {{options?: Object, error?: string}} - Options, or a validation error message
+ */
+export function parseScrapeOptions(body = {}, settings = {}) {
+  const { requireTargetDate = true } = settings;
+  const { targetDate, startDate, maxLeads, extractDetails, status, mode = SCRAPE_MODE.FULL, account, forensics } = body;
+
+  if (!Object.values(SCRAPE_MODE).includes(mode)) {
+    return { error: `Invalid mode. Use one of: ${Object.values(SCRAPE_MODE).join(', ')}` };
+  }
+
+  // Incremental runs only need a targetDate for sections never scraped before
+  if (requireTargetDate && !targetDate && mode !== SCRAPE_MODE.INCREMENTAL) {
+    return { error: 'targetDate is required (format: YYYY-MM-DD)' };
+  }
+
+  const parsedTargetDate = targetDate ? new Date(targetDate) : null;
+  if (parsedTargetDate && isNaN(parsedTargetDate.getTime())) {
+    return { error: 'Invalid targetDate format. Use YYYY-MM-DD' };
+  }
+
+  if (forensics !== undefined && typeof forensics !== 'boolean') {
+    return { error: 'forensics must be true or false' };
+  }
+
+  // Resolved now so a job or schedule always records which account it ran on
+  let accountName;
+  try {
+    accountName = getAccount(account).name;
+  } catch (error) {
+    return { error: error.message };
+  }
+
+  return {
+    options: {
+      account: accountName,
+      ...(parsedTargetDate && { targetDate: parsedTargetDate }),
+      startDate: startDate ? new Date(startDate) : null,
+      maxLeads: maxLeads || 10000,
+      extractDetails: extractDetails || false,
+      status: status || 'all',
+      mode,
+      // Omitted so scrapeLeads() falls back to FORENSICS_ENABLED
+      ...(forensics !== undefined && { forensics }),
+    },
+  };
+}
@@ -0,0 +1,304 @@
+import { randomUUID } from 'node:crypto';
+import cron from 'node-cron';
+import { config } from '../config/index.js';
+import { logger } from '../utils/logger.js';
+import { readJsonFile, writeJsonFile } from '../utils/json-file.js';
+import { createScrapeJob, getJob, isJobFinished, waitForJob } from '../jobs/index.js';
+import { parseScrapeOptions } from '../jobs/scrape-options.js';
+
+/**
+ * In-process scheduler for recurring scrapes
+ *
+ * Schedules come from two places:
+ * - config (SCHEDULES env var) - read-only, IDs prefixed with "config:"
+ * - the API - saved to config.scheduler.path together with the run history
+ *
+ * Each schedule runs at most one scrape at a time; a tick that fires while
+ * the previous run is still going is recorded as "skipped".
+ */
+
+/**
+ * Where a schedule was defined
+ */
+export const SCHEDULE_SOURCE = {
+  CONFIG: 'config',
+  API: 'api',
+};
+
+/**
+ * Outcome of a single schedule tick
+ */
+export const RUN_STATUS = {
+  RUNNING: 'running',
+  SKIPPED: 'skipped',
+  INVALID: 'invalid',
+  // The process stopped while the run was going
+  INTERRUPTED: 'interrupted',
+};
+
+// Schedule records keyed by ID; `task` (the cron task) is never serialized
+const schedules = new Map();
+
+// Writes are chained so API calls and run updates never interleave
+let writeQueue = Promise.resolve();
+
+/**
+ * Validate a schedule definition
+ * @param {Object} definition - { name, cron, timezone, options }
+ * @returns {string|null} - Error message, or null if valid
+ */
+export function validateSchedule(definition) {
+  if (!definition?.cron || !cron.validate(definition.cron)) {
+    return 'cron must be a valid cron expression (e.g. "0 3 * * *")';
+  }
+
+  if (definition.timezone) {
+    try {
+      Intl.DateTimeFormat(undefined, { timeZone: definition.timezone });
+    } catch {
+      return `Unknown timezone: ${definition.timezone}`;
+    }
+  }
+
+  if (definition.options !== undefined && (typeof definition.options !== 'object' || Array.isArray(definition.options))) {
+    return 'options must be an object with the same fields as POST /api/leads/scrape';
+  }
+
+  // Schedules don't need a targetDate - full runs default to 7 days back
+  const { error } = parseScrapeOptions(definition.options, { requireTargetDate: false });
+  return error || null;
+}
+
+/**
+ * Save API schedules and the run history of every schedule
+ * @returns {Promise<void>}
+ */
+function persistSchedules() {
+  const data = {
+    schedules: [...schedules.values()]
+      .filter((schedule) => schedule.source === SCHEDULE_SOURCE.API)
+      .map(({ task, activeJobId, runs, ...definition }) => definition),
+    runs: Object.fromEntries([...schedules.values()].map((schedule) => [schedule.id, schedule.runs])),
+  };
+
+  writeQueue = writeQueue
+    .catch(() => {})
+    .then(() => writeJsonFile(config.scheduler.path, data))
+    .catch((error) => logger.error('Failed to save schedules', { error: error.message }));
+  return writeQueue;
+}
+
+/**
+ * Append a run outcome to a schedule's history
+ * @param {Object} schedule - Schedule record
+ * @param {Object} run - Run record
+ */
+function recordRun(schedule, run) {
+  schedule.runs.push(run);
+  if (schedule.runs.length > config.scheduler.maxRunHistory) {
+    schedule.runs.splice(0, schedule.runs.length - config.scheduler.maxRunHistory);
+  }
+  persistSchedules();
+}
+
+/**
+ * Cron tick handler - start a scrape job unless the previous one is still running
+ * @param {Object} schedule - Schedule record
+ */
+async function runSchedule(schedule) {
+  const startedAt = new Date().toISOString();
+  const activeJob = schedule.activeJobId ? getJob(schedule.activeJobId) : null;
+
+  if (activeJob && !isJobFinished(activeJob)) {
+    logger.warn('Schedule skipped - previous run still in progress', {
+      scheduleId: schedule.id,
+      jobId: activeJob.id,
+    });
+    recordRun(schedule, {
+      status: RUN_STATUS.SKIPPED,
+      startedAt,
+      finishedAt: startedAt,
+      reason: `Previous run ${activeJob.id} still in progress`,
+    });
+    return;
+  }
+
+  const { options, error } = parseScrapeOptions(schedule.options, { requireTargetDate: false });
+  if (error) {
+    logger.error('Schedule has invalid options', { scheduleId: schedule.id, error });
+    recordRun(schedule, { status: RUN_STATUS.INVALID, startedAt, finishedAt: startedAt, error });
+    return;
+  }
+
+  logger.info('Running scheduled scrape', { scheduleId: schedule.id, name: schedule.name });
+
+  const job = createScrapeJob(options, { type: 'schedule', scheduleId: schedule.id });
+  schedule.activeJobId = job.id;
+
+  const run = { status: RUN_STATUS.RUNNING, jobId: job.id, startedAt, finishedAt: null };
+  recordRun(schedule, run);
+
+  await waitForJob(job);
+
+  run.status = job.status;
+  run.finishedAt = job.finishedAt;
+  run.totalLeads = job.result?.leads?.length ?? 0;
+  run.error = job.error;
+  schedule.activeJobId = null;
+  persistSchedules();
+
+  logger.info('Scheduled scrape finished', {
+    scheduleId: schedule.id,
+    jobId: job.id,
+    status: job.status,
+  });
+}
+
+/**
+ * Register a schedule and start its cron task
+ * @param {Object} definition - { id, name, cron, timezone, options, source, createdAt }
+ * @param {Array} runs - Previously recorded runs
+ * @returns {Object} - Schedule record
+ */
+function registerSchedule(definition, runs = []) {
+  const schedule = {
+    ...definition,
+    timezone: definition.timezone || config.scheduler.timezone,
+    options: definition.options || {},
+    runs: runs.map((run) => (
+      run.status === RUN_STATUS.RUNNING ? { ...run, status: RUN_STATUS.INTERRUPTED } : run
+    )),
+    activeJobId: null,
+  };
+
+  const onTick = () => runSchedule(schedule).catch((error) => {
+    logger.error('Scheduled run failed to start', { scheduleId: schedule.id, error: error.message });
+  });
+
+  schedule.task = cron.schedule(schedule.cron, onTick, {
+    name: schedule.id,
+    timezone: schedule.timezone,
+  });
+
+  schedules.set(schedule.id, schedule);
+  logger.info('Schedule registered', {
+    scheduleId: schedule.id,
+    cron: schedule.cron,
+    nextRun: schedule.task.getNextRun()?.toISOString(),
+  });
+
+  return schedule;
+}
+
+/**
+ * Load config and saved schedules and start them
+ */
+export async function startScheduler() {
+  if (!config.scheduler.enabled) {
+    logger.info('Scheduler disabled');
+    return;
+  }
+
+  const saved = await readJsonFile(config.scheduler.path, { schedules: [], runs: {} });
+
+  for (const definition of config.scheduler.schedules) {
+    const id = `config:${definition.name}`;
+    const error = definition.name ? validateSchedule(definition) : 'name is required';
+
+    if (error) {
+      logger.error('Invalid schedule in config, ignoring it', { name: definition.name, error });
+      continue;
+    }
+
+    registerSchedule(
+      { ...definition, id, source: SCHEDULE_SOURCE.CONFIG, createdAt: null },
+      saved.runs[id]
+    );
+  }
+
+  for (const definition of saved.schedules) {
+    registerSchedule(definition, saved.runs[definition.id]);
+  }
+
+  logger.info('Scheduler started', { schedules: schedules.size });
+}
+
+/**
+ * Create a schedule through the API
+ * @param {Object} definition - { name, cron, timezone, options }
+ * @returns {Promise<Object>} - Schedule record
+ * @throws {RangeError} - If the definition is invalid
+ */
+export async function createSchedule(definition) {
+  const error = validateSchedule(definition);
+  if (error) {
+    throw new RangeError(error);
+  }
+
+  const schedule = registerSchedule({
+    id: randomUUID(),
+    name: definition.name || null,
+    cron: definition.cron,
+    timezone: definition.timezone,
+    options: definition.options,
+    source: SCHEDULE_SOURCE.API,
+    createdAt: new Date().toISOString(),
+  });
+
+  await persistSchedules();
+  return schedule;
+}
+
+/**
+ * Delete an API schedule (config schedules can only be changed in config)
+ * @param {Object} schedule - Schedule record
+ * @returns {Promise<void>}
+ */
+export async function deleteSchedule(schedule) {
+  schedule.task.destroy();
+  schedules.delete(schedule.id);
+  await persistSchedules();
+  logger.info('Schedule deleted', { scheduleId: schedule.id });
+}
+
+/**
+ * Get a schedule by ID
+ * @param {string} id - Schedule ID
+ * @returns {Object|null}
+ */
+export function getSchedule(id) {
+  return schedules.get(id) || null;
+}
+
+/**
+ * List all schedules
+ * @returns {Array}
+ */
+export function listSchedules() {
+  return [...schedules.values()];
+}
+
+/**
+ * Build the public representation of a schedule
+ * @param {Object} schedule - Schedule record
+ * @param {Object} settings
+ * @param {boolean} settings.includeRuns - Include the full run history (default: false)
+ * @returns {Object}
+ */
+export function serializeSchedule(schedule, settings = {}) {
+  const { includeRuns = false } = settings;
+
+  return {
+    id: schedule.id,
+    name: schedule.name,
+    cron: schedule.cron,
+    timezone: schedule.timezone,
+    options: schedule.options,
+    source: schedule.source,
+    createdAt: schedule.createdAt,
+    nextRun: schedule.task.getNextRun()?.toISOString() || null,
+    activeJobId: schedule.activeJobId,
+    lastRun: schedule.runs[schedule.runs.length - 1] || null,
+    ...(includeRuns && { runs: schedule.runs }),
+  };
+}
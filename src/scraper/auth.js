@@ -2,23 +2,25 @@ import { chromium } from 'playwright';
 import { wrap, configure } from './smart-selector.js';
 import { config } from '../config/index.js';
 import { logger } from '../utils/logger.js';
-import { LOGIN_QUERY } from './queries.js';
+import { InvalidCredentialsError, SelectorNotFoundError } from './errors.js';
+import { resolveSelector } from './self-healing.js';
+import { RETRY_STEP, withRetry } from './retry.js';
+import { isSessionStoreEnabled, loadSession, persistSession, clearSession } from '../store/session-store.js';
 
 /**
- * Initialize Smart Selector with OpenAI
+ * Initialize Smart Selector with the configured LLM provider
+ * @throws {LlmUnavailableError} - If the provider can't be used as configured
  */
 export function initializeSmartSelector() {
-  configure({
-    apiKey: config.openai.apiKey,
-  });
-  logger.info('Smart Selector configured with OpenAI');
+  const { name, model } = configure();
+  logger.info('Smart Selector configured', { provider: name, model });
 }
 
 /**
- * Create a new browser instance
- * @returns {Promise<{browser: Browser, page: Page}>}
+ * Launch Chromium
+ * @returns {Promise<Browser>}
  */
-export async function createBrowser() {
+export async function launchBrowser() {
   logger.info('Launching browser...', { headless: config.scraper.headless });
 
   const browser = await chromium.launch({
@@ -26,222 +28,306 @@ export async function createBrowser() {
     slowMo: config.scraper.slowMo,
   });
 
+  logger.info('Browser launched successfully');
+  return browser;
+}
+
+/**
+ * Open a new isolated context (own cookies) with a Smart Selector page
+ * @param {Browser} browser
+ * @param {Object} contextOptions - Extra browser.newContext() options (e.g. recordHar)
+ * @returns {Promise<{page: Page, context: BrowserContext}>}
+ */
+export async function createContext(browser, contextOptions = {}) {
   const context = await browser.newContext({
     viewport: { width: 1920, height: 1080 },
     userAgent:
       'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+    ...contextOptions,
   });
 
   // Wrap the page with Smart Selector
   const page = await wrap(await context.newPage());
 
-  logger.info('Browser launched successfully');
+  return { page, context };
+}
+
+/**
+ * Create a new browser instance
+ * @returns {Promise<{browser: Browser, page: Page, context: BrowserContext}>}
+ */
+export async function createBrowser() {
+  const browser = await launchBrowser();
+  const { page, context } = await createContext(browser);
   return { browser, page, context };
 }
 
 /**
  * Direct CSS selectors for Tokko login page
- * These are more reliable than Smart Selector for login
+ * These are more reliable than Smart Selector for login; when all of an element's
+ * selectors break, the Smart Selector finds a replacement (see self-healing.js)
+ * using the field names of LOGIN_QUERY
  */
 const LOGIN_SELECTORS = {
-  username: '#username',
-  password: '#password',
-  termsCheckbox: '#agreeterms',
-  privacyCheckbox: '#agreepolicy',
+  username: { name: 'login.username', selectors: ['#username'], query: 'email_input' },
+  password: { name: 'login.password', selectors: ['#password'], query: 'password_input' },
+  termsCheckbox: { name: 'login.terms_checkbox', selectors: ['#agreeterms'], query: 'terms_checkbox' },
+  privacyCheckbox: { name: 'login.privacy_checkbox', selectors: ['#agreepolicy'], query: 'privacy_checkbox' },
   // The login button is a div with "Acceder" text, not a traditional button
-  loginButton: 'div[cursor="pointer"]:has-text("Acceder"), .login-button, button:has-text("Acceder"), [role="button"]:has-text("Acceder")',
+  loginButton: {
+    name: 'login.login_button',
+    selectors: [
+      'text=Acceder',
+      'div[cursor="pointer"]:has-text("Acceder"), .login-button, button:has-text("Acceder"), [role="button"]:has-text("Acceder")',
+      'button[type="submit"], input[type="submit"]',
+    ],
+    query: 'login_button',
+  },
 };
 
 /**
  * Login to Tokko Broker
+ * The whole form (page load, fields, the login click chain) is retried per the "login" retry policy
  * @param {Page} page - Playwright page with Smart Selector
+ * @param {Object} account - Tokko account ({ name, email, password })
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - Stops retrying once aborted
+ * @param {Object} options.retryStats - Per-run retry counters (see withRetry)
+ * @param {Array} options.healedSelectors - Per-run list of healed selectors (see resolveSelector)
  * @returns {Promise<boolean>} - True if login successful
+ * @throws {ScraperError} - InvalidCredentialsError, SelectorNotFoundError, TokkoUnreachableError, TimeoutError...
  */
-export async function loginToTokko(page) {
-  logger.info('Navigating to Tokko login page...');
-
+export async function loginToTokko(page, account, options = {}) {
   try {
-    // Use 'domcontentloaded' instead of 'networkidle' - Tokko has scripts that never stop
-    await page.goto(config.tokko.loginUrl, {
-      waitUntil: 'domcontentloaded',
-      timeout: 60000, // 60 seconds timeout
+    const redirectedTo = await withRetry(RETRY_STEP.LOGIN, () => submitLoginForm(page, account, options), {
+      signal: options.signal,
+      stats: options.retryStats,
+      context: { account: account.name },
     });
 
-    // Wait a bit for dynamic content to load
-    await page.waitForTimeout(3000);
-
-    logger.info('Filling login form with direct selectors...');
-
-    // Fill username/email using direct selector
-    const usernameInput = await page.$(LOGIN_SELECTORS.username);
-    if (usernameInput) {
-      await page.fill(LOGIN_SELECTORS.username, config.tokko.email);
-      logger.debug('Username/email filled');
-    } else {
-      logger.warn('Username input not found, trying Smart Selector fallback...');
-      const response = await page.queryElements(LOGIN_QUERY);
-      if (response.email_input) {
-        await response.email_input.fill(config.tokko.email);
-        logger.debug('Email filled via Smart Selector');
+    logger.info('Login successful!', { redirectedTo });
+    return true;
+  } catch (error) {
+    logger.error('Login failed', { account: account.name, error: error.message, code: error.code });
+    throw error;
+  }
+}
+
+/**
+ * Open the login page, fill the form and submit it (one attempt)
+ * @param {Page} page - Playwright page with Smart Selector
+ * @param {Object} account - Tokko account
+ * @param {Object} options
+ * @param {Array} options.healedSelectors - Per-run list of healed selectors (see resolveSelector)
+ * @returns {Promise<string>} - URL Tokko redirected to
+ */
+async function submitLoginForm(page, account, options = {}) {
+  // Use 'domcontentloaded' instead of 'networkidle' - Tokko has scripts that never stop
+  await page.goto(config.tokko.loginUrl, {
+    waitUntil: 'domcontentloaded',
+    timeout: 60000, // 60 seconds timeout
+  });
+
+  // Wait a bit for dynamic content to load
+  await page.waitForTimeout(3000);
+
+  logger.info('Filling login form with direct selectors...');
+  const resolveOptions = { healedSelectors: options.healedSelectors };
+
+  // Fill username/email
+  const usernameSelector = await resolveSelector(page, LOGIN_SELECTORS.username, resolveOptions);
+  if (!usernameSelector) {
+    throw new SelectorNotFoundError('username/email input field', { selector: LOGIN_SELECTORS.username.selectors[0] });
+  }
+  await page.fill(usernameSelector, account.email);
+  logger.debug('Username/email filled');
+
+  // Fill password
+  const passwordSelector = await resolveSelector(page, LOGIN_SELECTORS.password, resolveOptions);
+  if (!passwordSelector) {
+    throw new SelectorNotFoundError('password input field', { selector: LOGIN_SELECTORS.password.selectors[0] });
+  }
+  await page.fill(passwordSelector, account.password);
+  logger.debug('Password filled');
+
+  // Check terms checkbox if not already checked
+  try {
+    const termsSelector = await resolveSelector(page, LOGIN_SELECTORS.termsCheckbox, resolveOptions);
+    if (termsSelector) {
+      const isChecked = await page.isChecked(termsSelector);
+      if (!isChecked) {
+        await page.click(termsSelector);
+        logger.debug('Terms checkbox clicked');
       } else {
-        throw new Error('Could not find username/email input field');
+        logger.debug('Terms checkbox already checked');
       }
     }
+  } catch (e) {
+    logger.debug('Could not interact with terms checkbox', { error: e.message });
+  }
 
-    // Fill password using direct selector
-    const passwordInput = await page.$(LOGIN_SELECTORS.password);
-    if (passwordInput) {
-      await page.fill(LOGIN_SELECTORS.password, config.tokko.password);
-      logger.debug('Password filled');
-    } else {
-      logger.warn('Password input not found, trying Smart Selector fallback...');
-      const response = await page.queryElements(LOGIN_QUERY);
-      if (response.password_input) {
-        await response.password_input.fill(config.tokko.password);
-        logger.debug('Password filled via Smart Selector');
+  // Check privacy checkbox if not already checked
+  try {
+    const privacySelector = await resolveSelector(page, LOGIN_SELECTORS.privacyCheckbox, resolveOptions);
+    if (privacySelector) {
+      const isChecked = await page.isChecked(privacySelector);
+      if (!isChecked) {
+        await page.click(privacySelector);
+        logger.debug('Privacy checkbox clicked');
       } else {
-        throw new Error('Could not find password input field');
+        logger.debug('Privacy checkbox already checked');
       }
     }
+  } catch (e) {
+    logger.debug('Could not interact with privacy checkbox', { error: e.message });
+  }
 
-    // Check terms checkbox if not already checked
-    try {
-      const termsCheckbox = await page.$(LOGIN_SELECTORS.termsCheckbox);
-      if (termsCheckbox) {
-        const isChecked = await page.isChecked(LOGIN_SELECTORS.termsCheckbox);
-        if (!isChecked) {
-          await page.click(LOGIN_SELECTORS.termsCheckbox);
-          logger.debug('Terms checkbox clicked');
-        } else {
-          logger.debug('Terms checkbox already checked');
-        }
-      }
-    } catch (e) {
-      logger.debug('Could not interact with terms checkbox', { error: e.message });
-    }
+  // Small delay before clicking login
+  await page.waitForTimeout(500);
 
-    // Check privacy checkbox if not already checked
-    try {
-      const privacyCheckbox = await page.$(LOGIN_SELECTORS.privacyCheckbox);
-      if (privacyCheckbox) {
-        const isChecked = await page.isChecked(LOGIN_SELECTORS.privacyCheckbox);
-        if (!isChecked) {
-          await page.click(LOGIN_SELECTORS.privacyCheckbox);
-          logger.debug('Privacy checkbox clicked');
-        } else {
-          logger.debug('Privacy checkbox already checked');
-        }
-      }
-    } catch (e) {
-      logger.debug('Could not interact with privacy checkbox', { error: e.message });
-    }
+  // Click login button - it's a div with "Acceder", not a button
+  logger.info('Looking for login button...');
+  const loginButtonSelector = await resolveSelector(page, LOGIN_SELECTORS.loginButton, {
+    ...resolveOptions,
+    state: 'visible',
+  });
 
-    // Small delay before clicking login
-    await page.waitForTimeout(500);
+  if (!loginButtonSelector) {
+    throw new SelectorNotFoundError('login button', { selector: LOGIN_SELECTORS.loginButton.selectors[0] });
+  }
 
-    // Click login button - try multiple selectors since it's a div, not a button
-    logger.info('Looking for login button...');
-    let loginClicked = false;
+  await page.locator(loginButtonSelector).first().click();
+  logger.info(`Login button clicked (${loginButtonSelector})`);
 
-    // Try to find by text content "Acceder"
-    const accederButton = page.locator('text=Acceder').first();
-    if (await accederButton.isVisible().catch(() => false)) {
-      await accederButton.click();
-      loginClicked = true;
-      logger.info('Login button clicked (text=Acceder)');
-    }
+  // Wait for navigation after login
+  await page.waitForNavigation({
+    waitUntil: 'domcontentloaded',
+    timeout: 60000,
+  }).catch(() => {
+    // Sometimes navigation doesn't trigger, just wait
+    logger.debug('Navigation wait timed out, continuing...');
+  });
 
-    // Fallback: try other selectors
-    if (!loginClicked) {
-      const selectors = [
-        'div:has-text("Acceder")',
-        '[class*="login"]',
-        '[class*="submit"]',
-        'button[type="submit"]',
-        'input[type="submit"]',
-      ];
-      
-      for (const selector of selectors) {
-        try {
-          const el = page.locator(selector).first();
-          if (await el.isVisible().catch(() => false)) {
-            await el.click();
-            loginClicked = true;
-            logger.info(`Login button clicked (${selector})`);
-            break;
-          }
-        } catch (e) {
-          continue;
-        }
-      }
-    }
+  // Extra wait for dashboard to load
+  await page.waitForTimeout(3000);
 
-    // Last resort: Smart Selector
-    if (!loginClicked) {
-      logger.warn('Direct selectors failed, trying Smart Selector for login button...');
-      const response = await page.queryElements(LOGIN_QUERY);
-      if (response.login_button) {
-        await response.login_button.click();
-        loginClicked = true;
-        logger.info('Login button clicked via Smart Selector');
-      }
-    }
+  // Verify login was successful
+  const currentUrl = page.url();
+  
+  // Check for failed login
+  if (currentUrl.includes('invalid_login') || currentUrl.includes('error')) {
+    throw new InvalidCredentialsError(`Login failed for account "${account.name}" - invalid credentials or missing required fields. Check its email and password (TOKKO_EMAIL/TOKKO_PASSWORD or TOKKO_ACCOUNTS)`);
+  }
+  
+  // Check if still on login page
+  if (currentUrl.includes('/go/') && !currentUrl.includes('/home')) {
+    throw new InvalidCredentialsError(`Login failed for account "${account.name}" - still on login page. Credentials may be incorrect.`);
+  }
 
-    if (!loginClicked) {
-      throw new Error('Login button not found on page');
-    }
+  return currentUrl;
+}
 
-    // Wait for navigation after login
-    await page.waitForNavigation({
+/**
+ * Check whether the page's browser context is logged in to Tokko
+ * Opens the leads page - Tokko redirects to the login page (/go/) when the session is gone
+ * @param {Page} page - Playwright page
+ * @returns {Promise<boolean>}
+ */
+export async function isLoggedIn(page) {
+  try {
+    await page.goto(`${config.tokko.baseUrl}/leads/`, {
       waitUntil: 'domcontentloaded',
       timeout: 60000,
-    }).catch(() => {
-      // Sometimes navigation doesn't trigger, just wait
-      logger.debug('Navigation wait timed out, continuing...');
     });
 
-    // Extra wait for dashboard to load
-    await page.waitForTimeout(3000);
-
-    // Verify login was successful
-    const currentUrl = page.url();
-    
-    // Check for failed login
-    if (currentUrl.includes('invalid_login') || currentUrl.includes('error')) {
-      throw new Error('Login failed - invalid credentials or missing required fields. Check your TOKKO_EMAIL and TOKKO_PASSWORD in .env');
-    }
-    
-    // Check if still on login page
-    if (currentUrl.includes('/go/') && !currentUrl.includes('/home')) {
-      throw new Error('Login failed - still on login page. Credentials may be incorrect.');
+    if (page.url().includes('/go/')) {
+      return false;
     }
 
-    logger.info('Login successful!', { redirectedTo: currentUrl });
-    return true;
+    const loginForm = await page.$(LOGIN_SELECTORS.username.selectors[0]);
+    return !loginForm;
   } catch (error) {
-    logger.error('Login failed', { error: error.message });
-    throw error;
+    logger.warn('Could not verify Tokko session', { error: error.message });
+    return false;
   }
 }
 
 /**
- * Save session cookies for reuse
+ * Log in, reusing the account's saved session when it is still valid
+ * Falls back to the login form when there is no saved session or it has expired
+ * @param {Page} page - Playwright page with Smart Selector
+ * @param {BrowserContext} context - Context of the page
+ * @param {Object} account - Tokko account ({ name, email, password })
+ * @param {Object} options - Passed to loginToTokko ({ signal, retryStats, healedSelectors })
+ * @param {boolean} options.reuseSession - False to always use the login form (default: true)
+ * @returns {Promise<{sessionReused: boolean}>}
+ */
+export async function ensureLoggedIn(page, context, account, options = {}) {
+  const { reuseSession = true, ...loginOptions } = options;
+
+  if (reuseSession && await restoreSession(context, account)) {
+    if (await isLoggedIn(page)) {
+      logger.info('Reusing saved Tokko session', { account: account.name });
+      return { sessionReused: true };
+    }
+
+    logger.info('Saved Tokko session expired, logging in again', { account: account.name });
+    await context.clearCookies();
+    await clearSession(account.name).catch((error) => {
+      logger.warn('Failed to delete expired session', { account: account.name, error: error.message });
+    });
+  }
+
+  await loginToTokko(page, account, loginOptions);
+  return { sessionReused: false };
+}
+
+/**
+ * Save session cookies for reuse (encrypted on disk when SESSION_SECRET is set)
+ * A failure to write is logged - it never fails the scrape
  * @param {BrowserContext} context
+ * @param {Object} account - Tokko account the session belongs to
  * @returns {Promise<Array>} - Cookies array
  */
-export async function saveSession(context) {
+export async function saveSession(context, account) {
   const cookies = await context.cookies();
-  logger.info('Session saved', { cookieCount: cookies.length });
+
+  if (isSessionStoreEnabled()) {
+    try {
+      await persistSession(account.name, cookies);
+      logger.info('Session saved', { account: account.name, cookieCount: cookies.length });
+    } catch (error) {
+      logger.error('Failed to save session', { account: account.name, error: error.message });
+    }
+  }
+
   return cookies;
 }
 
 /**
- * Restore session from cookies
+ * Restore the account's saved session cookies into a context
  * @param {BrowserContext} context
- * @param {Array} cookies
+ * @param {Object} account - Tokko account
+ * @returns {Promise<boolean>} - True if a saved session was restored
  */
-export async function restoreSession(context, cookies) {
-  await context.addCookies(cookies);
-  logger.info('Session restored', { cookieCount: cookies.length });
-}
+export async function restoreSession(context, account) {
+  if (!isSessionStoreEnabled()) {
+    return false;
+  }
 
+  const session = await loadSession(account.name).catch((error) => {
+    logger.warn('Failed to load saved session', { account: account.name, error: error.message });
+    return null;
+  });
+  if (!session) {
+    return false;
+  }
+
+  await context.addCookies(session.cookies);
+  logger.info('Session restored', {
+    account: account.name,
+    cookieCount: session.cookies.length,
+    savedAt: session.savedAt,
+  });
+  return true;
+}
@@ -0,0 +1,457 @@
+import { randomUUID } from 'node:crypto';
+import { config } from '../config/index.js';
+import { logger } from '../utils/logger.js';
+import { launchBrowser, createContext, ensureLoggedIn, isLoggedIn, loginToTokko } from './auth.js';
+
+/**
+ * Pool of warm, logged-in browser contexts
+ *
+ * One Chromium process is shared; each pooled context belongs to a single
+ * Tokko account (contexts never share cookies). Scrapes lease a context and
+ * return it when done:
+ * - leasing checks the context still responds and is still logged in
+ * - contexts are recycled after maxUses scrapes, when their page heap grew
+ *   past maxMemoryGrowthMb, or when the scrape using them failed
+ * - idle contexts are closed after idleTimeoutMs, and the browser with the last one
+ *
+ * With the pool disabled every lease launches its own browser and closes it on release.
+ * So do record/replay runs (see recording.js): their context records or replays
+ * a whole session, login included.
+ */
+
+// Pool entries by ID: { id, account, context, page, uses, createdAt, lastUsedAt, leased, baselineHeap }
+const entries = new Map();
+
+// Contexts being opened (they count against maxSize before they are in `entries`)
+let creating = 0;
+
+// Shared browser (launched lazily)
+let browserPromise = null;
+
+// Acquirers waiting for a free slot
+const waiters = [];
+
+/**
+ * Get the shared browser, launching it (again) if needed
+ * @returns {Promise<Browser>}
+ */
+async function getBrowser() {
+  const current = browserPromise;
+  if (current) {
+    const browser = await current.catch(() => null);
+    if (browser?.isConnected()) {
+      return browser;
+    }
+    if (browserPromise !== current) {
+      // Another lease already relaunched it
+      return getBrowser();
+    }
+    // Crashed or failed to launch - its contexts are gone too
+    for (const entry of entries.values()) {
+      if (!entry.leased) entries.delete(entry.id);
+    }
+  }
+
+  browserPromise = launchBrowser();
+  return browserPromise;
+}
+
+/**
+ * Size of the page JS heap
+ * @param {Page} page
+ * @returns {Promise<number|null>} - Bytes, or null if unavailable
+ */
+async function getHeapSize(page) {
+  return page
+    .evaluate(() => performance.memory?.usedJSHeapSize ?? null)
+    .catch(() => null);
+}
+
+/**
+ * Check that a pooled context still responds
+ * @param {Object} entry - Pool entry
+ * @returns {Promise<boolean>}
+ */
+async function isHealthy(entry) {
+  if (entry.page.isClosed() || !entry.context.browser()?.isConnected()) {
+    return false;
+  }
+
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(resolve, 5000, false);
+  });
+  const ping = entry.page.evaluate(() => true).catch(() => false);
+  return Promise.race([ping, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Close a pooled context and drop it from the pool
+ * @param {Object} entry - Pool entry
+ * @param {string} reason - Logged
+ */
+async function closeEntry(entry, reason) {
+  entries.delete(entry.id);
+  logger.info('Browser context closed', {
+    contextId: entry.id,
+    account: entry.account,
+    uses: entry.uses,
+    reason,
+  });
+
+  await entry.context.close().catch((error) => {
+    logger.warn('Failed to close browser context', { error: error.message });
+  });
+
+  wakeWaiter();
+}
+
+/**
+ * Let the next waiting acquirer retry
+ */
+function wakeWaiter() {
+  waiters.shift()?.();
+}
+
+/**
+ * Wait until a context is returned or closed
+ * @param {AbortSignal} signal
+ * @returns {Promise<void>}
+ */
+function waitForSlot(signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      const index = waiters.indexOf(wake);
+      if (index >= 0) waiters.splice(index, 1);
+      reject(signal.reason);
+    };
+    const wake = () => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    };
+
+    waiters.push(wake);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Save forensics of a failed login before its context is closed
+ * @param {Object} recorder - Forensics recorder (optional)
+ * @param {Error} error
+ */
+async function recordLoginFailure(recorder, error) {
+  if (!recorder) return;
+  await recorder.captureFailure(error, { stage: 'login' });
+  await recorder.stop();
+}
+
+/**
+ * Take an idle context of the account, skipping (and closing) unhealthy ones
+ * @param {Object} account - Tokko account
+ * @param {Object} loginOptions - Passed to loginToTokko ({ signal, retryStats, healedSelectors })
+ * @param {Object} recorder - Forensics recorder (optional)
+ * @returns {Promise<{entry: Object, sessionReused: boolean}|null>} - Leased entry
+ */
+async function takeIdleEntry(account, loginOptions, recorder) {
+  const idle = [...entries.values()]
+    .filter((entry) => !entry.leased && entry.account === account.name)
+    .sort((a, b) => b.lastUsedAt - a.lastUsedAt);
+
+  for (const entry of idle) {
+    // Taken by another acquirer while this one was checking an earlier entry
+    if (entry.leased || !entries.has(entry.id)) continue;
+    entry.leased = true;
+
+    if (!(await isHealthy(entry))) {
+      await closeEntry(entry, 'failed health check');
+      continue;
+    }
+
+    try {
+      await recorder?.attach(entry.page, entry.context);
+    } catch (error) {
+      // Never handed out, so nothing would release it - and its state is unknown
+      await closeEntry(entry, 'recorder failed to attach');
+      throw error;
+    }
+
+    if (await isLoggedIn(entry.page)) {
+      await recorder?.startTracing();
+      return { entry, sessionReused: true };
+    }
+
+    logger.info('Pooled context logged out, logging in again', { contextId: entry.id, account: account.name });
+    try {
+      await loginToTokko(entry.page, account, loginOptions);
+    } catch (error) {
+      await recordLoginFailure(recorder, error);
+      await closeEntry(entry, 'login failed');
+      throw error;
+    }
+    await recorder?.startTracing();
+    return { entry, sessionReused: false };
+  }
+
+  return null;
+}
+
+/**
+ * Open a new logged-in context for the account
+ * @param {Object} account - Tokko account
+ * @param {Object} loginOptions - Passed to loginToTokko ({ signal, retryStats, healedSelectors })
+ * @param {Object} recorder - Forensics recorder (optional)
+ * @returns {Promise<{entry: Object, sessionReused: boolean}>}
+ */
+async function createEntry(account, loginOptions, recorder) {
+  let browser;
+  let page;
+  let context;
+
+  creating++;
+  try {
+    browser = await getBrowser();
+    ({ page, context } = await createContext(browser));
+  } finally {
+    creating--;
+  }
+
+  const entry = {
+    id: randomUUID(),
+    account: account.name,
+    context,
+    page,
+    uses: 0,
+    createdAt: Date.now(),
+    lastUsedAt: Date.now(),
+    leased: true,
+    baselineHeap: null,
+  };
+  entries.set(entry.id, entry);
+
+  try {
+    await recorder?.attach(page, context);
+    const { sessionReused } = await ensureLoggedIn(page, context, account, loginOptions);
+    await recorder?.startTracing();
+    entry.baselineHeap = await getHeapSize(page);
+    logger.info('Browser context created', { contextId: entry.id, account: account.name, poolSize: entries.size });
+    return { entry, sessionReused };
+  } catch (error) {
+    await recordLoginFailure(recorder, error);
+    await closeEntry(entry, 'login failed');
+    throw error;
+  }
+}
+
+/**
+ * Lease a logged-in page for an account
+ * @param {Object} account - Tokko account ({ name, email, password })
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - Stops waiting for a free slot (and login retries)
+ * @param {Object} options.retryStats - Per-run retry counters, for logins (see withRetry)
+ * @param {Array} options.healedSelectors - Per-run list of selectors healed during login (see resolveSelector)
+ * @param {Object} options.recorder - Forensics recorder, attached to the context before login (its trace starts after)
+ * @param {Object} options.recording - Session recording (record/replay), always outside the pool
+ * @returns {Promise<{page: Page, context: BrowserContext, sessionReused: boolean, release: Function}>}
+ *   Call release({ healthy }) when done; healthy: false discards the context
+ */
+export async function acquireBrowser(account, options = {}) {
+  const { signal = null, retryStats = null, healedSelectors = null, recorder = null, recording = null } = options;
+  const loginOptions = { signal, retryStats, healedSelectors };
+
+  if (!config.browserPool.enabled || recording) {
+    return acquireUnpooled(account, loginOptions, recorder, recording);
+  }
+
+  for (;;) {
+    signal?.throwIfAborted();
+
+    const idle = await takeIdleEntry(account, loginOptions, recorder);
+    if (idle) {
+      logger.info('Reusing warm browser context', {
+        contextId: idle.entry.id,
+        account: account.name,
+        uses: idle.entry.uses,
+      });
+      return toLease(idle.entry, idle.sessionReused);
+    }
+
+    if (entries.size + creating < config.browserPool.maxSize) {
+      const { entry, sessionReused } = await createEntry(account, loginOptions, recorder);
+      return toLease(entry, sessionReused);
+    }
+
+    // Full - make room by closing an idle context of another account
+    const evictable = [...entries.values()]
+      .filter((entry) => !entry.leased)
+      .sort((a, b) => a.lastUsedAt - b.lastUsedAt)[0];
+    if (evictable) {
+      await closeEntry(evictable, 'evicted for another account');
+      continue;
+    }
+
+    logger.info('Browser pool full, waiting for a free context', { account: account.name });
+    await waitForSlot(signal);
+  }
+}
+
+/**
+ * Build the lease handed to a scrape
+ * @param {Object} entry - Pool entry
+ * @param {boolean} sessionReused - Whether the login form was skipped
+ * @returns {Object}
+ */
+function toLease(entry, sessionReused) {
+  let released = false;
+
+  return {
+    page: entry.page,
+    context: entry.context,
+    sessionReused,
+    release: async ({ healthy = true } = {}) => {
+      if (released) return;
+      released = true;
+      await releaseEntry(entry, healthy);
+    },
+  };
+}
+
+/**
+ * Return a context to the pool, or recycle it
+ * @param {Object} entry - Pool entry
+ * @param {boolean} healthy - False after a failed scrape
+ */
+async function releaseEntry(entry, healthy) {
+  entry.uses++;
+  entry.lastUsedAt = Date.now();
+
+  if (!healthy) {
+    return closeEntry(entry, 'scrape failed');
+  }
+  if (entry.uses >= config.browserPool.maxUses) {
+    return closeEntry(entry, `reached ${config.browserPool.maxUses} uses`);
+  }
+
+  const heap = await getHeapSize(entry.page);
+  const growthMb = heap !== null && entry.baselineHeap !== null
+    ? (heap - entry.baselineHeap) / (1024 * 1024)
+    : 0;
+  if (growthMb > config.browserPool.maxMemoryGrowthMb) {
+    return closeEntry(entry, `memory grew ${Math.round(growthMb)} MB`);
+  }
+
+  entry.leased = false;
+  wakeWaiter();
+}
+
+/**
+ * Lease for a disabled pool (or a recording) - a browser of its own, closed on release
+ * @param {Object} account - Tokko account
+ * @param {Object} loginOptions - Passed to loginToTokko ({ signal, retryStats, healedSelectors })
+ * @param {Object} recorder - Forensics recorder (optional)
+ * @param {Object} recording - Session recording (optional)
+ * @returns {Promise<Object>}
+ */
+async function acquireUnpooled(account, loginOptions, recorder, recording) {
+  const browser = await launchBrowser();
+  let context = null;
+
+  // The context is closed first - that's when a recorded HAR is written
+  const close = async () => {
+    await context?.close();
+    await browser.close();
+  };
+
+  try {
+    let page;
+    ({ page, context } = await createContext(browser, recording?.contextOptions));
+    await recording?.attach(page, context);
+    await recorder?.attach(page, context);
+    // Recordings hold the whole session, so they never start from a saved one
+    const { sessionReused } = await ensureLoggedIn(
+      page,
+      context,
+      recording ? recording.loginAccount(account) : account,
+      { ...loginOptions, reuseSession: !recording }
+    );
+    await recorder?.startTracing();
+
+    return {
+      page,
+      context,
+      sessionReused,
+      release: async () => {
+        await close().catch((error) => {
+          logger.warn('Failed to close browser', { error: error.message });
+        });
+        logger.info('Browser closed');
+      },
+    };
+  } catch (error) {
+    await recordLoginFailure(recorder, error);
+    await close().catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Close idle contexts past the idle timeout, and the browser once nothing is left
+ */
+async function evictIdle() {
+  const now = Date.now();
+
+  for (const entry of [...entries.values()]) {
+    if (!entry.leased && now - entry.lastUsedAt > config.browserPool.idleTimeoutMs) {
+      await closeEntry(entry, 'idle');
+    }
+  }
+
+  if (entries.size === 0 && creating === 0 && browserPromise) {
+    const browser = await browserPromise.catch(() => null);
+    // A lease may have started while the browser was being awaited
+    if (entries.size === 0 && creating === 0) {
+      browserPromise = null;
+      await browser?.close().catch(() => {});
+      if (browser) logger.info('Idle browser closed');
+    }
+  }
+}
+
+/**
+ * Pool state for monitoring
+ * @returns {Object}
+ */
+export function getBrowserPoolStats() {
+  const all = [...entries.values()];
+  return {
+    enabled: config.browserPool.enabled,
+    size: all.length,
+    maxSize: config.browserPool.maxSize,
+    leased: all.filter((entry) => entry.leased).length,
+    waiting: waiters.length,
+    contexts: all.map((entry) => ({
+      account: entry.account,
+      leased: entry.leased,
+      uses: entry.uses,
+      createdAt: new Date(entry.createdAt).toISOString(),
+      lastUsedAt: new Date(entry.lastUsedAt).toISOString(),
+    })),
+  };
+}
+
+/**
+ * Close every context and the browser (on shutdown)
+ * @returns {Promise<void>}
+ */
+export async function closeBrowserPool() {
+  await Promise.all([...entries.values()].map((entry) => closeEntry(entry, 'shutdown')));
+
+  const browser = await browserPromise?.catch(() => null);
+  browserPromise = null;
+  await browser?.close().catch(() => {});
+}
+
+// Idle eviction runs in the background without keeping the process alive
+setInterval(() => {
+  evictIdle().catch((error) => logger.error('Browser pool eviction failed', { error: error.message }));
+}, 60 * 1000).unref();
@@ -0,0 +1,191 @@
+import { errors as playwrightErrors } from 'playwright';
+import OpenAI from 'openai';
+
+/**
+ * Typed scraper errors
+ *
+ * Every failure of a scrape ends up as a ScraperError with a stable code, the
+ * HTTP status that best describes it and whether trying again may help, so
+ * callers (and orchestrators polling the API) don't have to parse messages.
+ */
+
+/**
+ * Stable machine-readable error codes
+ */
+export const ERROR_CODE = {
+  INVALID_CREDENTIALS: 'invalid_credentials',
+  SESSION_EXPIRED: 'session_expired',
+  TOKKO_UNREACHABLE: 'tokko_unreachable',
+  SELECTOR_NOT_FOUND: 'selector_not_found',
+  LLM_UNAVAILABLE: 'llm_unavailable',
+  LLM_BUDGET_EXCEEDED: 'llm_budget_exceeded',
+  TIMEOUT: 'timeout',
+  CANCELLED: 'cancelled',
+  INTERNAL: 'internal_error',
+};
+
+/**
+ * Base class - unexpected errors are wrapped in it with ERROR_CODE.INTERNAL
+ */
+export class ScraperError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} options
+   * @param {string} options.code - One of ERROR_CODE
+   * @param {number} options.httpStatus - Status to answer with
+   * @param {boolean} options.retryable - Whether the same request may succeed later
+   * @param {Error} options.cause - Original error
+   */
+  constructor(message, options = {}) {
+    super(message, { cause: options.cause });
+    this.name = 'ScraperError';
+    this.code = options.code || ERROR_CODE.INTERNAL;
+    this.httpStatus = options.httpStatus || 500;
+    this.retryable = options.retryable ?? false;
+  }
+}
+
+/**
+ * Tokko rejected the account's email or password
+ */
+export class InvalidCredentialsError extends ScraperError {
+  constructor(message = 'Tokko rejected the account credentials', options = {}) {
+    super(message, { code: ERROR_CODE.INVALID_CREDENTIALS, httpStatus: 401, retryable: false, ...options });
+    this.name = 'InvalidCredentialsError';
+  }
+}
+
+/**
+ * Tokko sent the browser back to the login page in the middle of a run
+ */
+export class SessionExpiredError extends ScraperError {
+  constructor(message = 'Tokko session expired', options = {}) {
+    super(message, { code: ERROR_CODE.SESSION_EXPIRED, httpStatus: 401, retryable: true, ...options });
+    this.name = 'SessionExpiredError';
+  }
+}
+
+/**
+ * Tokko could not be reached (DNS, connection refused, TLS, 5xx pages)
+ */
+export class TokkoUnreachableError extends ScraperError {
+  constructor(message = 'Tokko is unreachable', options = {}) {
+    super(message, { code: ERROR_CODE.TOKKO_UNREACHABLE, httpStatus: 502, retryable: true, ...options });
+    this.name = 'TokkoUnreachableError';
+  }
+}
+
+/**
+ * An element the scraper needs is not on the page (usually a Tokko UI change)
+ */
+export class SelectorNotFoundError extends ScraperError {
+  /**
+   * @param {string} element - What was looked for (e.g. "login button")
+   * @param {Object} options - Also accepts selector (logged for debugging)
+   */
+  constructor(element, options = {}) {
+    super(options.message || `Could not find ${element} on the page`, {
+      code: ERROR_CODE.SELECTOR_NOT_FOUND,
+      httpStatus: 502,
+      retryable: false,
+      ...options,
+    });
+    this.name = 'SelectorNotFoundError';
+    this.element = element;
+    this.selector = options.selector || null;
+  }
+}
+
+/**
+ * The LLM behind the smart selector can't be used (not configured, down, rate limited, bad answer)
+ */
+export class LlmUnavailableError extends ScraperError {
+  constructor(message = 'LLM is unavailable', options = {}) {
+    super(message, { code: ERROR_CODE.LLM_UNAVAILABLE, httpStatus: 503, retryable: true, ...options });
+    this.name = 'LlmUnavailableError';
+  }
+}
+
+/**
+ * The job or daily LLM budget is spent - no more LLM calls until it resets
+ */
+export class LlmBudgetExceededError extends ScraperError {
+  constructor(message = 'LLM budget exceeded', options = {}) {
+    super(message, { code: ERROR_CODE.LLM_BUDGET_EXCEEDED, httpStatus: 429, retryable: false, ...options });
+    this.name = 'LlmBudgetExceededError';
+  }
+}
+
+/**
+ * A page load or wait took too long
+ */
+export class TimeoutError extends ScraperError {
+  constructor(message = 'Operation timed out', options = {}) {
+    super(message, { code: ERROR_CODE.TIMEOUT, httpStatus: 504, retryable: true, ...options });
+    this.name = 'TimeoutError';
+  }
+}
+
+/**
+ * The scrape was cancelled by the caller
+ */
+export class CancelledError extends ScraperError {
+  constructor(message = 'Scrape cancelled', options = {}) {
+    super(message, { code: ERROR_CODE.CANCELLED, httpStatus: 409, retryable: false, ...options });
+    this.name = 'CancelledError';
+  }
+}
+
+// Chromium network errors that mean Tokko (or the network) is down
+const NETWORK_ERROR_PATTERN = /net::ERR_(NAME_NOT_RESOLVED|CONNECTION_\w+|INTERNET_DISCONNECTED|ADDRESS_UNREACHABLE|TIMED_OUT|SSL_\w+|CERT_\w+|EMPTY_RESPONSE|TUNNEL_CONNECTION_FAILED)|ECONNREFUSED|ECONNRESET|ENOTFOUND|EAI_AGAIN/;
+
+/**
+ * Turn any error into a ScraperError
+ * Typed errors are returned as they are; Playwright, network, OpenAI and abort errors are mapped
+ * @param {Error} error
+ * @returns {ScraperError}
+ */
+export function toScraperError(error) {
+  if (error instanceof ScraperError) {
+    return error;
+  }
+
+  const message = error?.message || String(error);
+
+  if (error?.name === 'AbortError') {
+    return new CancelledError(undefined, { cause: error });
+  }
+  if (NETWORK_ERROR_PATTERN.test(message)) {
+    return new TokkoUnreachableError(`Tokko is unreachable: ${message}`, { cause: error });
+  }
+  if (error instanceof playwrightErrors.TimeoutError) {
+    return new TimeoutError(message, { cause: error });
+  }
+  if (error instanceof OpenAI.APIError) {
+    return toLlmError(error);
+  }
+
+  return new ScraperError(message, { cause: error });
+}
+
+/**
+ * Map an OpenAI client error
+ * Bad keys and bad requests won't fix themselves; connection problems, rate limits and 5xx may
+ * @param {Error} error - OpenAI.APIError
+ * @returns {LlmUnavailableError}
+ */
+export function toLlmError(error) {
+  const status = error.status;
+  const retryable = status === undefined || status === 408 || status === 429 || status >= 500;
+  return new LlmUnavailableError(`LLM request failed: ${error.message}`, { retryable, cause: error });
+}
+
+/**
+ * Machine-readable description of an error, for API responses and job records
+ * @param {Error} error
+ * @returns {{code: string, httpStatus: number, retryable: boolean}}
+ */
+export function describeError(error) {
+  const { code, httpStatus, retryable } = toScraperError(error);
+  return { code, httpStatus, retryable };
+}
@@ -0,0 +1,217 @@
+import { mkdir, readdir, rm, stat, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { config } from '../config/index.js';
+import { logger } from '../utils/logger.js';
+import { cleanHTML } from './smart-selector.js';
+import { describeError } from './errors.js';
+
+/**
+ * Failure forensics
+ *
+ * When enabled for a run, the browser context records a Playwright trace and a
+ * screenshot plus cleaned HTML are saved at each major step and at the moment
+ * of failure, under <FORENSICS_PATH>/<run ID>/:
+ *
+ *   01-login.png, 01-login.html, 02-navigation.png, ..., 05-failure.png,
+ *   error.json, trace.zip (open with `npx playwright show-trace trace.zip`)
+ *
+ * The trace starts once the context is logged in: its snapshots and network log
+ * would otherwise hold the password typed into the login form. A failed login
+ * only leaves its screenshot, HTML and error.json.
+ *
+ * Recording never fails a scrape - problems are logged and skipped.
+ * Runs older than FORENSICS_RETENTION_DAYS, or beyond FORENSICS_MAX_RUNS, are deleted.
+ */
+
+const TRACE_FILE = 'trace.zip';
+
+// Run IDs and artifact names also come from URLs - no separators, no "." or ".."
+const ARTIFACT_NAME_PATTERN = /^[\w-][\w.-]*$/;
+
+/**
+ * Directory of a run's artifacts
+ * @param {string} runId - Job ID
+ * @returns {string}
+ */
+function getRunDirectory(runId) {
+  return path.join(config.forensics.path, runId);
+}
+
+/**
+ * Start recording a run
+ * @param {string} runId - Job ID (artifacts are stored under it)
+ * @returns {Object} - Recorder: attach(), capture(), captureFailure(), stop()
+ */
+export function createForensicsRecorder(runId) {
+  const directory = getRunDirectory(runId);
+  let page = null;
+  let context = null;
+  let tracing = false;
+  let sequence = 0;
+
+  logger.info('Forensics enabled for run', { runId, directory });
+
+  const recorder = {
+    runId,
+
+    /**
+     * Follow a browser context (called as soon as it is leased, before login)
+     * Snapshots work from here on; the trace waits for startTracing()
+     * @param {Page} newPage
+     * @param {BrowserContext} newContext
+     */
+    async attach(newPage, newContext) {
+      page = newPage;
+      context = newContext;
+    },
+
+    /**
+     * Start the Playwright trace (called once the context is logged in)
+     */
+    async startTracing() {
+      if (!context || tracing) {
+        return;
+      }
+
+      try {
+        await mkdir(directory, { recursive: true });
+        await context.tracing.start({ screenshots: true, snapshots: true, sources: false });
+        tracing = true;
+      } catch (error) {
+        logger.warn('Could not start Playwright trace', { runId, error: error.message });
+      }
+    },
+
+    /**
+     * Save a screenshot and the cleaned HTML of the page
+     * @param {string} step - Step name, used in the file names
+     */
+    async capture(step) {
+      if (!page || page.isClosed()) {
+        return;
+      }
+
+      sequence++;
+      const baseName = `${String(sequence).padStart(2, '0')}-${step}`;
+
+      try {
+        await mkdir(directory, { recursive: true });
+        await page.screenshot({ path: path.join(directory, `${baseName}.png`), fullPage: true, timeout: 10000 });
+        await writeFile(path.join(directory, `${baseName}.html`), cleanHTML(await page.content()));
+        logger.debug('Forensic snapshot saved', { runId, step });
+      } catch (error) {
+        logger.warn('Could not save forensic snapshot', { runId, step, error: error.message });
+      }
+    },
+
+    /**
+     * Snapshot the page at the moment of failure and save the error
+     * @param {Error} error
+     * @param {Object} details - Extra fields for error.json (e.g. stage)
+     */
+    async captureFailure(error, details = {}) {
+      await recorder.capture('failure');
+
+      try {
+        await mkdir(directory, { recursive: true });
+        await writeFile(path.join(directory, 'error.json'), JSON.stringify({
+          ...describeError(error),
+          message: error.message,
+          stack: error.stack,
+          url: page && !page.isClosed() ? page.url() : null,
+          failedAt: new Date().toISOString(),
+          ...details,
+        }, null, 2));
+      } catch (writeError) {
+        logger.warn('Could not save forensic error report', { runId, error: writeError.message });
+      }
+    },
+
+    /**
+     * Save the trace and stop following the context (safe to call more than once)
+     */
+    async stop() {
+      if (tracing) {
+        tracing = false;
+        try {
+          await context.tracing.stop({ path: path.join(directory, TRACE_FILE) });
+        } catch (error) {
+          logger.warn('Could not save Playwright trace', { runId, error: error.message });
+        }
+      }
+      page = null;
+      context = null;
+
+      await pruneArtifacts().catch((error) => {
+        logger.warn('Failed to prune forensic artifacts', { error: error.message });
+      });
+    },
+  };
+
+  return recorder;
+}
+
+/**
+ * List the artifacts of a run
+ * @param {string} runId - Job ID
+ * @returns {Promise<Array<{name: string, size: number, createdAt: string}>|null>} - Null if the run has none
+ */
+export async function listArtifacts(runId) {
+  if (!ARTIFACT_NAME_PATTERN.test(runId)) {
+    return null;
+  }
+
+  let names;
+  try {
+    names = await readdir(getRunDirectory(runId));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+
+  const artifacts = await Promise.all(names.sort().map(async (name) => {
+    const info = await stat(path.join(getRunDirectory(runId), name));
+    return { name, size: info.size, createdAt: info.mtime.toISOString() };
+  }));
+  return artifacts;
+}
+
+/**
+ * Path of one artifact of a run
+ * @param {string} runId - Job ID
+ * @param {string} name - Artifact file name (as listed by listArtifacts)
+ * @returns {Promise<string|null>} - Absolute path, or null if it doesn't exist
+ */
+export async function getArtifactPath(runId, name) {
+  if (!ARTIFACT_NAME_PATTERN.test(runId) || !ARTIFACT_NAME_PATTERN.test(name)) {
+    return null;
+  }
+
+  const filePath = path.resolve(getRunDirectory(runId), name);
+  const info = await stat(filePath).catch(() => null);
+  return info?.isFile() ? filePath : null;
+}
+
+/**
+ * Delete runs past the retention period, then the oldest runs beyond the maximum
+ */
+async function pruneArtifacts() {
+  const root = config.forensics.path;
+  const entries = await readdir(root, { withFileTypes: true }).catch(() => []);
+
+  const runs = await Promise.all(entries
+    .filter((entry) => entry.isDirectory())
+    .map(async (entry) => ({
+      directory: path.join(root, entry.name),
+      modifiedAt: (await stat(path.join(root, entry.name))).mtimeMs,
+    })));
+  runs.sort((a, b) => b.modifiedAt - a.modifiedAt);
+
+  const cutoff = Date.now() - config.forensics.retentionDays * 24 * 60 * 60 * 1000;
+  const expired = runs.filter((run, index) => run.modifiedAt < cutoff || index >= config.forensics.maxRuns);
+
+  for (const run of expired) {
+    await rm(run.directory, { recursive: true, force: true });
+    logger.debug('Pruned forensic artifacts', { directory: run.directory });
+  }
+}
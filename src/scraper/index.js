@@ -1,113 +1,484 @@
+import { randomUUID } from 'node:crypto';
+import { writeFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
 import { logger } from '../utils/logger.js';
 import {
   initializeSmartSelector,
-  createBrowser,
-  loginToTokko,
   saveSession,
 } from './auth.js';
 import { navigateToLeads, scrapeLeadsUntilDate, applyDateFilter } from './leads.js';
+import { SCRAPE_STAGE } from './stages.js';
+import { describeError, toScraperError } from './errors.js';
+import { createForensicsRecorder } from './forensics.js';
+import { RECORDING_MODE, createRecording, getRecordedOptions } from './recording.js';
+import { acquireBrowser, closeBrowserPool } from './browser-pool.js';
+import { createLlmUsage, saveLlmUsage, summarizeLlmUsage, trackLlmUsage } from './llm-usage.js';
+import { config } from '../config/index.js';
+import { upsertLeads, getWatermarks, updateWatermarks } from '../store/leads-store.js';
+import { notifyNewLeads } from '../webhooks/index.js';
+import { getAccount } from '../accounts/index.js';
+import { EXPORT_FORMAT, exportLeads, parseExportOptions } from '../export/index.js';
+
+/**
+ * Scrape modes
+ * - full: scroll back to targetDate
+ * - incremental: each status section stops at the newest lead stored by previous runs
+ */
+export const SCRAPE_MODE = {
+  FULL: 'full',
+  INCREMENTAL: 'incremental',
+};
+
+/**
+ * Merge scraped leads into the persistent lead store and send the new ones to webhooks
+ * A store failure is logged but never fails the scrape itself
+ * @param {Array} leads - Structured leads
+ * @param {string} account - Account the leads were scraped from
+ * @returns {Promise<{inserted: number, updated: number, webhookDeliveries: number}|null>}
+ */
+async function storeLeads(leads, account) {
+  if (!config.store.enabled || leads.length === 0) {
+    return null;
+  }
+
+  try {
+    const { inserted, updated } = await upsertLeads(leads, { account });
+    // Only leads never stored before - re-scraped ones were already delivered
+    const webhookDeliveries = notifyNewLeads(inserted, { account });
+    return { inserted: inserted.length, updated, webhookDeliveries };
+  } catch (error) {
+    logger.error('Failed to store leads', { error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Advance the section high-water marks after a completed run
+ * Only sections read down to their old mark move - one the run stopped in early
+ * (maxLeads, maxScrolls, no new leads) still has unseen leads below what it read,
+ * and one a full run cut at a targetDate above its mark has unseen leads below that
+ * @param {Array} leads - Structured leads
+ * @param {string} account - Account the leads were scraped from
+ * @param {Set} completedSections - Sections read down to their cutoff and their old mark (see createSectionTracker)
+ * @returns {Promise<Object|null>} - Updated marks
+ */
+async function advanceWatermarks(leads, account, completedSections) {
+  if (!config.store.enabled || leads.length === 0) {
+    return null;
+  }
+
+  const readLeads = leads.filter((lead) => completedSections.has(lead.status));
+  const heldBack = [...new Set(leads.map((lead) => lead.status))]
+    .filter((section) => section && !completedSections.has(section));
+  if (heldBack.length > 0) {
+    logger.info('Run stopped before the end of some sections, keeping their high-water marks', {
+      account,
+      sections: heldBack,
+    });
+  }
+
+  try {
+    return await updateWatermarks(readLeads, account);
+  } catch (error) {
+    logger.error('Failed to update high-water marks', { error: error.message });
+    return null;
+  }
+}
 
 /**
  * Main scraper function - orchestrates the entire scraping process
  * @param {Object} options
- * @param {Date} options.targetDate - Scrape leads until this date
+ * @param {string} options.account - Tokko account to scrape (default: the default account)
+ * @param {Date} options.targetDate - Scrape leads until this date (incremental mode: only for sections without a high-water mark)
  * @param {Date} options.startDate - Optional start date for filtering
  * @param {number} options.maxLeads - Maximum leads to scrape
  * @param {boolean} options.extractDetails - Click each property to get ID and agent
  * @param {string} options.status - Filter by lead status (all, por_asignar, esperando_respuesta, etc.)
- * @returns {Promise<{success: boolean, leads: Array, error?: string}>}
+ * @param {string} options.mode - 'full' (default) or 'incremental' (stop at the high-water mark of each section)
+ * @param {Function} options.onProgress - Called with partial progress updates ({ stage, leadsCollected, scrolls, section })
+ * @param {Function} options.onEvent - Called with (type, data) for each notable scraping event
+ * @param {AbortSignal} options.signal - Cancels the scrape at the next safe point; leads collected so far are returned
+ * @param {boolean} options.forensics - Record a trace, screenshots and HTML (default: FORENSICS_ENABLED)
+ * @param {string} options.runId - ID the forensic artifacts are stored under (default: a new UUID)
+ * @param {string} options.record - Record the session (HAR + DOM snapshots) under this name
+ * @param {string} options.replay - Replay this recording offline instead of using Tokko
+ *   (leads are returned but not stored, and no webhooks are sent)
+ * @returns {Promise<{success: boolean, cancelled: boolean, leads: Array, error?: string, failure?: Object}>}
+ *   On failure, leads holds what was collected before the error and failure tells
+ *   the stage that failed, how far the run got and the error code (see ERROR_CODE)
  */
 export async function scrapeLeads(options = {}) {
+  // Browser contexts belong to one account, so accounts never share a session
+  const account = getAccount(options.account);
+  const runId = options.runId || randomUUID();
+  const onEvent = options.onEvent || (() => {});
+
+  // Every LLM call of the run (login, queries, healing, extraction) is counted here
+  const llmUsage = createLlmUsage({ runId, account: account.name });
+
+  try {
+    return await trackLlmUsage(
+      llmUsage,
+      () => runScrape({ ...options, runId, onEvent }, account, llmUsage),
+      { onBudgetExceeded: (details) => onEvent('llm_budget_exceeded', details) }
+    );
+  } finally {
+    await saveLlmUsage(llmUsage);
+  }
+}
+
+/**
+ * Run a scrape (see scrapeLeads)
+ * @param {Object} options - Options of scrapeLeads(), with runId and onEvent set
+ * @param {Object} account - Account to scrape
+ * @param {Object} llmUsage - LLM usage of the run, reported in its metadata
+ * @returns {Promise<Object>} - Result of scrapeLeads()
+ */
+async function runScrape(options, account, llmUsage) {
   const {
     targetDate = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000), // Default: 7 days ago
     startDate = null,
     maxLeads = 10000,
     extractDetails = false,
     status = 'all',
+    mode = SCRAPE_MODE.FULL,
+    onProgress = () => {},
+    onEvent,
+    signal = null,
+    forensics = config.forensics.enabled,
+    runId,
+    record = null,
+    replay = null,
   } = options;
 
-  let browser = null;
-  let context = null;
+  const tagLeads = (leads) => leads.map((lead) => ({ ...lead, account: account.name }));
+
+  // Retries needed by each retried step, reported in the run metadata
+  const retryStats = {};
+
+  // Selectors healed by the smart selector during the run, reported for review
+  const healedSelectors = [];
+
+  // What the LLM lead extraction fallback repaired and dropped (see extractLeadsFromHTML)
+  const llmExtraction = {};
+
+  // Status sections read down to their cutoff - the only ones whose high-water marks may advance
+  const completedSections = new Set();
+
+  // Trace, screenshots and HTML of this run (opt-in)
+  const recorder = forensics ? createForensicsRecorder(runId) : null;
+
+  // Session recording or replay (opt-in) - replayed leads never reach the store or webhooks
+  let recording = null;
+  const persist = !replay;
+
+  // Leads the run ended up with (recordings scrub their names)
+  let collectedLeads = [];
+
+  // DOM after each major step, for forensics and recordings
+  const snapshot = async (step) => {
+    await recorder?.capture(step);
+    await recording?.snapshot(step);
+  };
+
+  // Leased browser context - returned to the pool when the run ends
+  let lease = null;
+  let failed = false;
+
+  // Latest progress, kept to report where a failed run stopped
+  let progress = { stage: SCRAPE_STAGE.STARTING, leadsCollected: 0, scrolls: 0, section: null };
+  const reportProgress = (update) => {
+    progress = { ...progress, ...update };
+    onProgress(update);
+  };
 
   try {
     logger.info('Starting Tokko Lead Scraper', {
+      account: account.name,
       targetDate: targetDate.toISOString(),
       maxLeads,
       extractDetails,
       status,
+      mode,
     });
 
-    // Initialize Smart Selector (OpenAI)
+    // Incremental runs pick up where the previous ones left off
+    let watermarks = null;
+    if (mode === SCRAPE_MODE.INCREMENTAL) {
+      if (!config.store.enabled) {
+        throw new Error('Incremental mode requires the lead store. Set LEADS_STORE_ENABLED=true');
+      }
+      watermarks = await getWatermarks(account.name);
+      logger.info('Incremental mode - using section high-water marks', {
+        watermarks: Object.fromEntries(
+          Object.entries(watermarks).map(([section, date]) => [section, date.toISOString()])
+        ),
+      });
+    }
+
+    // Full runs stop at targetDate - a section whose mark is older than it keeps its mark
+    const storedWatermarks = watermarks || (config.store.enabled && persist ? await getWatermarks(account.name) : null);
+
+    // Initialize Smart Selector (LLM provider)
+    reportProgress({ stage: SCRAPE_STAGE.STARTING });
     initializeSmartSelector();
 
-    // Create browser instance
-    const browserInstance = await createBrowser();
-    browser = browserInstance.browser;
-    context = browserInstance.context;
-    const page = browserInstance.page;
+    if (record && replay) {
+      throw new Error('Use either record or replay, not both');
+    }
+    if (record || replay) {
+      recording = await createRecording(replay ? RECORDING_MODE.REPLAY : RECORDING_MODE.RECORD, replay || record);
+    }
 
-    // Login to Tokko
-    await loginToTokko(page);
+    // Lease a logged-in browser context (warm from the pool, or a new one that logs in
+    // reusing the saved session when it is still valid)
+    reportProgress({ stage: SCRAPE_STAGE.LOGIN });
+    lease = await acquireBrowser(account, { signal, retryStats, healedSelectors, recorder, recording });
+    const { page, context, sessionReused } = lease;
+    onEvent('login', { redirectedTo: page.url(), sessionReused });
+    await snapshot(SCRAPE_STAGE.LOGIN);
+    signal?.throwIfAborted();
 
     // Navigate to leads section
-    await navigateToLeads(page);
+    reportProgress({ stage: SCRAPE_STAGE.NAVIGATION });
+    await navigateToLeads(page, { signal, retryStats });
+    onEvent('navigation', { url: page.url() });
+    await snapshot(SCRAPE_STAGE.NAVIGATION);
+    signal?.throwIfAborted();
 
     // Apply date filter if start date is provided
     if (startDate) {
+      reportProgress({ stage: SCRAPE_STAGE.DATE_FILTER });
       await applyDateFilter(page, startDate, new Date());
+      await snapshot(SCRAPE_STAGE.DATE_FILTER);
     }
 
     // Scrape leads with scroll
-    const leads = await scrapeLeadsUntilDate(page, targetDate, { 
+    const leads = tagLeads(await scrapeLeadsUntilDate(page, targetDate, { 
       maxLeads,
       extractDetails,
       status,
-    });
+      onProgress: reportProgress,
+      onEvent,
+      signal,
+      watermarks,
+      storedWatermarks,
+      retryStats,
+      healedSelectors,
+      llmExtraction,
+      completedSections,
+      snapshot,
+    }));
+    collectedLeads = leads;
 
-    // Save session for future use
-    const cookies = await saveSession(context);
+    // Save session so the next run can skip the login form (a replayed one is fake)
+    if (persist) {
+      await saveSession(context, account);
+    }
 
-    logger.info('Scraping completed successfully', {
-      leadsCount: leads.length,
-    });
+    // The scroll loop returns what it collected when cancelled
+    const cancelled = Boolean(signal?.aborted);
+    if (cancelled) {
+      logger.info('Scraping cancelled, returning partial results', {
+        leadsCount: leads.length,
+      });
+    } else {
+      logger.info('Scraping completed successfully', {
+        leadsCount: leads.length,
+        retries: retryStats,
+      });
+    }
+
+    const metadata = {
+      account: account.name,
+      scrapedAt: new Date().toISOString(),
+      targetDate: targetDate.toISOString(),
+      totalLeads: leads.length,
+      mode,
+      cancelled,
+      sessionReused,
+      retries: retryStats,
+      healedSelectors,
+      llmUsage: summarizeLlmUsage(llmUsage),
+      llmExtraction,
+      forensics: Boolean(recorder),
+      ...(record && { recording: record }),
+      ...(replay && { replay }),
+      store: persist ? await storeLeads(leads, account.name) : null,
+      // A cancelled run may have stopped above the old marks, leaving a gap
+      watermarks: cancelled || !persist ? null : await advanceWatermarks(leads, account.name, completedSections),
+    };
+    onEvent('summary', { success: !cancelled, ...metadata });
 
     return {
-      success: true,
+      success: !cancelled,
+      cancelled,
       leads,
-      metadata: {
-        scrapedAt: new Date().toISOString(),
-        targetDate: targetDate.toISOString(),
-        totalLeads: leads.length,
-      },
+      metadata,
+      ...(cancelled && { error: 'Scrape cancelled' }),
     };
   } catch (error) {
-    logger.error('Scraping failed', { error: error.message, stack: error.stack });
+    // Leads gathered by the scroll loop before the error are not thrown away
+    const partialLeads = tagLeads(error.partialLeads || []);
+    const scraperError = toScraperError(error);
+    collectedLeads = partialLeads;
+
+    if (signal?.aborted) {
+      logger.info('Scraping cancelled', { leadsCount: partialLeads.length });
+
+      const metadata = {
+        account: account.name,
+        totalLeads: partialLeads.length,
+        cancelled: true,
+        retries: retryStats,
+        healedSelectors,
+        llmUsage: summarizeLlmUsage(llmUsage),
+        llmExtraction,
+        store: persist ? await storeLeads(partialLeads, account.name) : null,
+        // A cancelled run may have stopped above the old marks, leaving a gap
+        watermarks: null,
+      };
+      onEvent('summary', { success: false, ...metadata });
+
+      return {
+        success: false,
+        cancelled: true,
+        leads: partialLeads,
+        metadata,
+        error: 'Scrape cancelled',
+      };
+    }
+
+    failed = true;
+    const failure = {
+      stage: progress.stage,
+      progress,
+      ...describeError(scraperError),
+    };
+
+    // Login failures were already recorded before their context was closed
+    if (lease) {
+      await recorder?.captureFailure(scraperError, { stage: failure.stage });
+    }
+
+    logger.error('Scraping failed', {
+      account: account.name,
+      error: scraperError.message,
+      code: failure.code,
+      retryable: failure.retryable,
+      stage: failure.stage,
+      leadsCollected: partialLeads.length,
+      stack: error.stack,
+    });
+    onEvent('summary', {
+      success: false,
+      error: scraperError.message,
+      failure,
+      totalLeads: partialLeads.length,
+    });
 
     return {
       success: false,
-      leads: [],
-      error: error.message,
+      cancelled: false,
+      leads: partialLeads,
+      metadata: {
+        account: account.name,
+        scrapedAt: new Date().toISOString(),
+        targetDate: targetDate.toISOString(),
+        totalLeads: partialLeads.length,
+        mode,
+        partial: true,
+        retries: retryStats,
+        healedSelectors,
+        llmUsage: summarizeLlmUsage(llmUsage),
+        llmExtraction,
+        forensics: Boolean(recorder),
+        ...(record && { recording: record }),
+        ...(replay && { replay }),
+        store: persist ? await storeLeads(partialLeads, account.name) : null,
+      },
+      error: scraperError.message,
+      failure,
     };
   } finally {
-    // Always close the browser
-    if (browser) {
-      await browser.close();
-      logger.info('Browser closed');
+    // The trace must be saved before the context goes back to the pool (or is closed)
+    await recorder?.stop();
+
+    // Always give the context back - a failed run's context may be in a bad state, so it is discarded
+    // Don't let a crashed browser hide the result of the run
+    if (lease) {
+      await lease.release({ healthy: !failed }).catch((error) => {
+        logger.warn('Failed to release browser', { error: error.message });
+      });
     }
+
+    // The HAR is only complete once the context is closed
+    await recording?.finish({
+      account,
+      leads: collectedLeads,
+      options: {
+        targetDate: targetDate.toISOString(),
+        startDate: startDate?.toISOString() || null,
+        maxLeads,
+        extractDetails,
+        status,
+        mode,
+      },
+    });
   }
 }
 
 // Allow running directly from command line
+// node src/scraper/index.js [targetDate] [--account name] [--format csv|ndjson|xlsx] [--columns a,b,c] [--output file]
+//   [--record name | --replay name]
 const isMainModule = process.argv[1]?.includes('scraper/index.js');
 
 if (isMainModule) {
-  const targetDate = process.argv[2]
-    ? new Date(process.argv[2])
-    : new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+  const { values: flags, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      account: { type: 'string' },
+      format: { type: 'string' },
+      columns: { type: 'string' },
+      output: { type: 'string', short: 'o' },
+      record: { type: 'string' },
+      replay: { type: 'string' },
+    },
+  });
 
-  scrapeLeads({ targetDate })
-    .then((result) => {
-      console.log(JSON.stringify(result, null, 2));
+  const { options: exportOptions, error } = parseExportOptions(flags);
+  if (error) {
+    console.error(error);
+    process.exit(1);
+  }
+
+  // A replay defaults to the options it was recorded with (mode included, so the cutoffs match)
+  const recorded = flags.replay ? await getRecordedOptions(flags.replay).catch(() => null) : null;
+
+  const targetDate = positionals[0]
+    ? new Date(positionals[0])
+    : recorded?.targetDate || new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+
+  scrapeLeads({
+    ...recorded,
+    targetDate,
+    account: flags.account,
+    record: flags.record,
+    replay: flags.replay,
+  })
+    .then(async (result) => {
+      if (exportOptions.format === EXPORT_FORMAT.JSON && !flags.output) {
+        console.log(JSON.stringify(result, null, 2));
+      } else {
+        // File formats hold the leads only - always written to a file since logs go to stdout
+        const output = flags.output || `scraped-leads-${new Date().toISOString().slice(0, 10)}.${exportOptions.format}`;
+        const body = exportOptions.format === EXPORT_FORMAT.JSON
+          ? JSON.stringify(result, null, 2)
+          : (await exportLeads(result.leads, exportOptions)).body;
+        await writeFile(output, body);
+        logger.info('Leads exported', { output, format: exportOptions.format, leads: result.leads.length });
+      }
+      await closeBrowserPool();
       process.exit(result.success ? 0 : 1);
     })
     .catch((error) => {
@@ -115,4 +486,3 @@ if (isMainModule) {
       process.exit(1);
     });
 }
-
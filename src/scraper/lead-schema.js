@@ -0,0 +1,147 @@
+/**
+ * Schema of a lead as read from the leads list
+ *
+ * The DOM parser (parseLeadFromText in leads.js) produces these objects, and
+ * the LLM fallback (extractLeadsFromHTML) must answer with the same shape -
+ * its structured output uses this schema and every lead it returns is checked
+ * against it with validateParsedLead().
+ *
+ * Only the JSON-schema keywords used here are checked: type, enum, pattern,
+ * minLength, required and additionalProperties.
+ */
+
+/**
+ * Status section header texts in Tokko UI
+ */
+export const STATUS_SECTION_HEADERS = {
+  'para_reasignacion': 'Para reasignacion',
+  'sin_seguimiento': 'Sin Seguimiento',
+  'pendiente_contactar': 'Pendiente contactar',
+  'esperando_respuesta': 'Esperando respuesta',
+  'evolucionando': 'Evolucionando',
+  'tomar_accion': 'Tomar Accion',
+  'congelado': 'Congelado',
+};
+
+/**
+ * A lead row: "Contact (Agent) Address DD/MM/YYYY HH:MM" under a status section header
+ */
+export const PARSED_LEAD_SCHEMA = {
+  type: 'object',
+  properties: {
+    contactName: {
+      type: 'string',
+      minLength: 1,
+      description: 'Contact name, without the agent in parentheses',
+    },
+    agentName: {
+      type: ['string', 'null'],
+      description: 'Responsible agent - the name in parentheses after the contact',
+    },
+    propertyAddress: {
+      type: ['string', 'null'],
+      description: 'Property address from the "Búsqueda / Propiedad" column',
+    },
+    lastUpdated: {
+      type: ['string', 'null'],
+      pattern: '^\\d{2}/\\d{2}/\\d{4} \\d{2}:\\d{2}$',
+      description: 'Date from the "Actualizado" column, as DD/MM/YYYY HH:MM',
+    },
+    status: {
+      type: ['string', 'null'],
+      enum: [...Object.values(STATUS_SECTION_HEADERS), null],
+      description: 'Status section header the row is listed under',
+    },
+  },
+  required: ['contactName', 'agentName', 'propertyAddress', 'lastUpdated', 'status'],
+  additionalProperties: false,
+};
+
+/**
+ * JSON type name of a value
+ * @param {*} value
+ * @returns {string}
+ */
+function getJsonType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Check a value against a property schema
+ * @param {*} value
+ * @param {Object} schema - Property schema
+ * @returns {string|null} - Why it doesn't match, or null if it does
+ */
+function checkProperty(value, schema) {
+  const types = [schema.type].flat();
+  if (!types.includes(getJsonType(value))) {
+    return `must be ${types.join(' or ')}`;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return `must be one of ${schema.enum.map((option) => JSON.stringify(option)).join(', ')}`;
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength && value.trim().length < schema.minLength) {
+      return 'must not be empty';
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      return `must match ${schema.pattern}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Validate a parsed lead against PARSED_LEAD_SCHEMA
+ * @param {*} lead
+ * @returns {Array<string>} - Problems found ("lastUpdated must match ..."), empty if the lead is valid
+ */
+export function validateParsedLead(lead) {
+  if (getJsonType(lead) !== 'object') {
+    return ['lead must be an object'];
+  }
+
+  const { properties, required } = PARSED_LEAD_SCHEMA;
+  const errors = [];
+
+  for (const name of required) {
+    if (!(name in lead)) {
+      errors.push(`${name} is required`);
+    }
+  }
+  for (const [name, value] of Object.entries(lead)) {
+    if (!properties[name]) {
+      errors.push(`${name} is not allowed`);
+      continue;
+    }
+    const problem = checkProperty(value, properties[name]);
+    if (problem) {
+      errors.push(`${name} ${problem}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Copy of a schema without the keywords only validateParsedLead() checks
+ * Strict structured outputs reject some of them (e.g. minLength) - descriptions keep the intent
+ * @param {Object} schema
+ * @returns {Object}
+ */
+export function toResponseSchema(schema) {
+  if (Array.isArray(schema)) {
+    return schema.map(toResponseSchema);
+  }
+  if (getJsonType(schema) !== 'object') {
+    return schema;
+  }
+
+  return Object.fromEntries(
+    Object.entries(schema)
+      .filter(([keyword]) => keyword !== 'minLength' && keyword !== 'pattern')
+      .map(([keyword, value]) => [keyword, keyword === 'enum' ? value : toResponseSchema(value)])
+  );
+}
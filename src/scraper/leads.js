@@ -1,5 +1,10 @@
 import { logger } from '../utils/logger.js';
 import { config } from '../config/index.js';
+import { SCRAPE_STAGE } from './stages.js';
+import { SessionExpiredError, SelectorNotFoundError, TimeoutError, toScraperError } from './errors.js';
+import { RETRY_STEP, withRetry } from './retry.js';
+import { resolveSelector } from './self-healing.js';
+import { STATUS_SECTION_HEADERS } from './lead-schema.js';
 import {
   NAVIGATION_QUERY,
   OPPORTUNITIES_FILTERS_QUERY,
@@ -9,6 +14,9 @@ import {
   DATE_FILTER_QUERY,
 } from './queries.js';
 
+// Defined with the parsed lead schema, whose status values they are
+export { STATUS_SECTION_HEADERS };
+
 /**
  * Wait for network to be idle with a maximum timeout
  * Tokko keeps connections open, so we can't wait indefinitely
@@ -40,27 +48,79 @@ export const LEAD_STATUS = {
   CONGELADO: 'congelado',
 };
 
+/**
+ * Direct selectors for the Oportunidades page, tried in order
+ * When all of an element's selectors break, the Smart Selector finds a replacement
+ * from the query (see self-healing.js)
+ */
+const LEADS_SELECTORS = {
+  // The dropdown appears to be a div/button with "Sucursal" text and a chevron
+  sucursalDropdown: {
+    name: 'leads.sucursal_dropdown',
+    selectors: [
+      'div:has-text("Sucursal"):not(:has-text("sucursales"))', // Div with Sucursal but not "sucursales"
+      'button:has-text("Sucursal")',
+      '[role="combobox"]:has-text("Sucursal")',
+      '[role="listbox"]:has-text("Sucursal")',
+      'select:has-text("Sucursal")',
+      // The filter area - first dropdown in the filters section
+      '.filter, [class*="filter"], [class*="Filter"] >> nth=0 >> text=Sucursal',
+    ],
+    query: 'sucursal_filter_dropdown_with_text_sucursal',
+  },
+  // <td class="leads-contact-td"><div class="class_contact_tooltip">Name (Agent)</div></td>
+  contactName: {
+    name: 'leads.contact_name',
+    selectors: ['.class_contact_tooltip'],
+    query: 'contact_name_with_agent_in_each_lead_row[]',
+  },
+  // Tokko uses qTip (jQuery UI Tooltip) with class "contact_ttip" or "ui-tooltip"
+  contactTooltip: {
+    name: 'leads.contact_tooltip',
+    selectors: ['.contact_ttip', '.ui-tooltip.qtip', '.ui-tooltip', '.qtip'],
+    query: 'open_contact_tooltip_with_email_and_phones',
+  },
+  // Property quick view opened from the Búsqueda / Propiedad column (content in an iframe)
+  quickDisplayModal: {
+    name: 'leads.quick_display_modal',
+    selectors: ['#quickDisplay_modal'],
+    query: 'open_property_quick_display_modal',
+  },
+};
+
 /**
  * Navigate to the Oportunidades (Leads) section
- * Uses direct URL navigation for reliability
+ * Uses direct URL navigation for reliability (retried per the "navigation" retry policy)
  * @param {Page} page - Playwright page
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - Stops retrying once aborted
+ * @param {Object} options.retryStats - Per-run retry counters (see withRetry)
+ * @throws {ScraperError} - SessionExpiredError if Tokko redirects to the login page,
+ *   TokkoUnreachableError or TimeoutError if the page doesn't load
  */
-export async function navigateToLeads(page) {
+export async function navigateToLeads(page, options = {}) {
   logger.info('Navigating to Oportunidades section via direct URL...');
 
   try {
-    // Navigate directly to leads page - more reliable than clicking sidebar
-    await page.goto('https://www.tokkobroker.com/leads/', {
-      waitUntil: 'domcontentloaded',
-      timeout: 60000,
-    });
+    await withRetry(RETRY_STEP.NAVIGATION, async () => {
+      // Navigate directly to leads page - more reliable than clicking sidebar
+      await page.goto(`${config.tokko.baseUrl}/leads/`, {
+        waitUntil: 'domcontentloaded',
+        timeout: 60000,
+      });
+
+      // Tokko sends logged-out browsers to the login page (/go/)
+      if (page.url().includes('/go/')) {
+        throw new SessionExpiredError('Tokko session expired - redirected to the login page');
+      }
+    }, { signal: options.signal, stats: options.retryStats });
 
     // Wait for the page to fully load
     await waitForNetworkIdle(page);
 
     logger.info('Navigated to Oportunidades section');
   } catch (error) {
-    logger.error('Failed to navigate to Oportunidades', { error: error.message });
+    logger.error('Failed to navigate to Oportunidades', { error: error.message, code: error.code });
     throw error;
   }
 }
@@ -189,9 +249,15 @@ export async function enableReassignmentStatesToggle(page) {
 /**
  * Apply the "Todas las sucursales" filter to see all leads
  * Uses Playwright text selectors directly - more reliable than LLM for simple clicks
+ * Retried per the "branch_filter" retry policy; a filter that still can't be applied doesn't fail the scrape
  * @param {Page} page - Playwright page
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - Stops retrying once aborted
+ * @param {Object} options.retryStats - Per-run retry counters (see withRetry)
+ * @param {Array} options.healedSelectors - Per-run list of healed selectors (see resolveSelector)
+ * @returns {Promise<boolean>} - True if the filter was applied
  */
-export async function applyAllBranchesFilter(page) {
+export async function applyAllBranchesFilter(page, options = {}) {
   logger.info('Applying "Todas las sucursales" filter...');
 
   try {
@@ -199,94 +265,74 @@ export async function applyAllBranchesFilter(page) {
     // Look for the filter area first (avoid matching menu items like "Sucursales y divisiones")
     await page.waitForLoadState('domcontentloaded');
     await waitForNetworkIdle(page);
-    
-    // Step 1: Click on the "Sucursal" dropdown
-    // The dropdown appears to be a div/button with "Sucursal" text and a chevron
-    // Try multiple strategies to find it
-    
-    // Strategy 1: Look for a dropdown-like element containing exactly "Sucursal"
-    let clicked = false;
-    
-    // Try clicking on element that looks like a dropdown with Sucursal text
-    const dropdownSelectors = [
-      'div:has-text("Sucursal"):not(:has-text("sucursales"))', // Div with Sucursal but not "sucursales"
-      'button:has-text("Sucursal")',
-      '[role="combobox"]:has-text("Sucursal")',
-      '[role="listbox"]:has-text("Sucursal")',
-      'select:has-text("Sucursal")',
-    ];
-    
-    for (const selector of dropdownSelectors) {
-      try {
-        const dropdown = page.locator(selector).first();
-        if (await dropdown.isVisible({ timeout: 2000 }).catch(() => false)) {
-          await dropdown.click();
-          clicked = true;
-          logger.debug(`Clicked Sucursal dropdown using: ${selector}`);
-          break;
-        }
-      } catch (e) {
-        continue;
-      }
-    }
-    
-    // Strategy 2: Find by looking at the filter row structure
-    if (!clicked) {
-      // Look at the filter area - first dropdown in the filters section
-      const filterArea = page.locator('.filter, [class*="filter"], [class*="Filter"]').first();
-      const sucursalInFilter = filterArea.locator('text=Sucursal').first();
-      
-      if (await sucursalInFilter.isVisible({ timeout: 2000 }).catch(() => false)) {
-        await sucursalInFilter.click();
-        clicked = true;
-        logger.debug('Clicked Sucursal in filter area');
+
+    await withRetry(RETRY_STEP.BRANCH_FILTER, async (attempt) => {
+      if (attempt > 1) {
+        // Close a dropdown left open by the failed attempt
+        await page.keyboard.press('Escape').catch(() => {});
+        await waitForNetworkIdle(page);
       }
-    }
-    
-    // Strategy 3: Just click on the text directly
-    if (!clicked) {
-      await page.click('text=Sucursal', { timeout: 5000 });
-      clicked = true;
-      logger.debug('Clicked Sucursal text directly');
-    }
-    
-    if (!clicked) {
-      logger.warn('Could not find Sucursal dropdown');
-      return;
-    }
-    
-    // Step 2: Wait for and click on "Todas las sucursales" option
-    const todasOption = page.locator('text=Todas las sucursales').first();
-    
-    // Wait for the option to be visible (proves dropdown opened)
-    if (await todasOption.waitFor({ state: 'visible', timeout: 5000 }).then(() => true).catch(() => false)) {
-      await todasOption.click();
-      logger.debug('Clicked "Todas las sucursales"');
-    } else if (await todasOption.isVisible({ timeout: 1000 }).catch(() => false)) {
-      await todasOption.click();
-      logger.debug('Clicked "Todas las sucursales"');
-    } else {
-      logger.warn('Could not find "Todas las sucursales" option in dropdown');
-    }
-    
-    // Step 3: Click the "Aplicar" button to apply the filter
-    const aplicarBtn = page.locator('text=Aplicar').first();
-    
-    if (await aplicarBtn.isVisible({ timeout: 3000 }).catch(() => false)) {
-      await aplicarBtn.click();
-      logger.debug('Clicked "Aplicar" button');
-      
-      // Wait for leads to load using network idle (no fixed timeout)
-      await waitForNetworkIdle(page);
-      logger.info('Filter "Todas las sucursales" applied successfully');
-    } else {
-      logger.warn('Could not find "Aplicar" button');
-    }
+      await selectAllBranches(page, options.healedSelectors);
+    }, { signal: options.signal, stats: options.retryStats });
+
+    logger.info('Filter "Todas las sucursales" applied successfully');
+    return true;
   } catch (error) {
-    logger.error('Failed to apply branch filter', { error: error.message });
+    logger.error('Failed to apply branch filter', { error: error.message, code: error.code });
+    return false;
   }
 }
 
+/**
+ * Open the Sucursal dropdown, pick "Todas las sucursales" and apply (one attempt)
+ * @param {Page} page - Playwright page
+ * @param {Array} healedSelectors - Optional: per-run list of healed selectors (see resolveSelector)
+ * @throws {SelectorNotFoundError} - If the dropdown, the option or the "Aplicar" button isn't there
+ */
+async function selectAllBranches(page, healedSelectors = null) {
+  // Step 1: Click on the "Sucursal" dropdown
+  const dropdownSelector = await resolveSelector(page, LEADS_SELECTORS.sucursalDropdown, {
+    state: 'visible',
+    timeout: 2000,
+    healedSelectors,
+  });
+
+  if (dropdownSelector) {
+    await page.locator(dropdownSelector).first().click();
+    logger.debug(`Clicked Sucursal dropdown using: ${dropdownSelector}`);
+  } else {
+    // Last resort: just click on the text directly
+    await page.click('text=Sucursal', { timeout: 5000 }).catch((error) => {
+      throw new SelectorNotFoundError('Sucursal dropdown', { selector: 'text=Sucursal', cause: error });
+    });
+    logger.debug('Clicked Sucursal text directly');
+  }
+
+  // Step 2: Wait for and click on "Todas las sucursales" option
+  const todasOption = page.locator('text=Todas las sucursales').first();
+
+  // Wait for the option to be visible (proves dropdown opened)
+  if (await todasOption.waitFor({ state: 'visible', timeout: 5000 }).then(() => true).catch(() => false)) {
+    await todasOption.click();
+    logger.debug('Clicked "Todas las sucursales"');
+  } else {
+    throw new SelectorNotFoundError('"Todas las sucursales" option', { selector: 'text=Todas las sucursales' });
+  }
+
+  // Step 3: Click the "Aplicar" button to apply the filter
+  const aplicarBtn = page.locator('text=Aplicar').first();
+
+  if (!(await aplicarBtn.isVisible({ timeout: 3000 }).catch(() => false))) {
+    throw new SelectorNotFoundError('"Aplicar" button', { selector: 'text=Aplicar' });
+  }
+
+  await aplicarBtn.click();
+  logger.debug('Clicked "Aplicar" button');
+
+  // Wait for leads to load using network idle (no fixed timeout)
+  await waitForNetworkIdle(page);
+}
+
 /**
  * Log status filter info
  * Note: Actual filtering is done in scrapeVisibleLeads by reading section headers
@@ -366,18 +412,20 @@ function parseDate(dateStr) {
     }
   }
 
+  // Try DD/MM/YYYY [HH:MM] format (common in Spanish) before standard formats,
+  // which would read "05/11/2025" as May 11th
+  const ddmmyyyy = dateStr.match(/(\d{1,2})\/(\d{1,2})\/(\d{4})(?:\s+(\d{1,2}):(\d{2}))?/);
+  if (ddmmyyyy) {
+    const [, day, month, year, hours = 0, minutes = 0] = ddmmyyyy;
+    return new Date(year, month - 1, day, hours, minutes);
+  }
+
   // Try standard date formats
   const date = new Date(dateStr);
   if (!isNaN(date.getTime())) {
     return date;
   }
 
-  // Try DD/MM/YYYY format (common in Spanish)
-  const ddmmyyyy = dateStr.match(/(\d{1,2})\/(\d{1,2})\/(\d{4})/);
-  if (ddmmyyyy) {
-    return new Date(ddmmyyyy[3], ddmmyyyy[2] - 1, ddmmyyyy[1]);
-  }
-
   return null;
 }
 
@@ -422,27 +470,15 @@ function getLeadKey(lead) {
   return `${lead.contactName || ''}-${lead.propertyName || ''}-${lead.vigencia || ''}`.toLowerCase();
 }
 
-/**
- * Status section header texts in Tokko UI
- */
-const STATUS_SECTION_HEADERS = {
-  'para_reasignacion': 'Para reasignacion',
-  'sin_seguimiento': 'Sin Seguimiento',
-  'pendiente_contactar': 'Pendiente contactar',
-  'esperando_respuesta': 'Esperando respuesta',
-  'evolucionando': 'Evolucionando',
-  'tomar_accion': 'Tomar Accion',
-  'congelado': 'Congelado',
-};
-
 /**
  * Extract leads data directly from page using Playwright selectors
  * More reliable than LLM for structured table data
  * @param {Page} page - Playwright page
  * @param {string} targetStatus - Optional: filter leads by status section
- * @returns {Promise<Array>} - Array of lead objects
+ * @param {Object} llmExtraction - Optional: per-run counters of the LLM fallback (see extractLeadsFromHTML)
+ * @returns {Promise<Array>} - Array of lead objects (see PARSED_LEAD_SCHEMA)
  */
-async function scrapeVisibleLeads(page, targetStatus = null) {
+async function scrapeVisibleLeads(page, targetStatus = null, llmExtraction = null) {
   try {
     const leads = [];
     
@@ -454,18 +490,20 @@ async function scrapeVisibleLeads(page, targetStatus = null) {
     
     let inTargetSection = targetStatus === 'all' || !targetStatus;
     let targetSectionHeader = targetStatus ? STATUS_SECTION_HEADERS[targetStatus] : null;
+    let currentSection = null;
     
     for (const row of allRows) {
       try {
         const text = await row.textContent();
         
         // Check if this is a section header row (contains status name and count like "Pendiente contactar (15)")
-        const isSectionHeader = Object.values(STATUS_SECTION_HEADERS).some(header => 
+        const sectionHeader = Object.values(STATUS_SECTION_HEADERS).find(header => 
           text.includes(header) && /\(\d+\)/.test(text)
         );
         
-        if (isSectionHeader) {
+        if (sectionHeader) {
           logger.debug(`Found section header: "${text.trim().substring(0, 80).replace(/\n/g, ' ')}"`);
+          currentSection = sectionHeader;
           // Check if we're entering or leaving our target section
           if (targetSectionHeader) {
             if (text.includes(targetSectionHeader)) {
@@ -489,6 +527,8 @@ async function scrapeVisibleLeads(page, targetStatus = null) {
         // Parse the row text to extract lead info
         const lead = parseLeadFromText(text);
         if (lead && lead.contactName) {
+          // Tag the lead with the section it was listed under
+          lead.status = currentSection;
           leads.push(lead);
         }
       } catch (e) {
@@ -501,8 +541,12 @@ async function scrapeVisibleLeads(page, targetStatus = null) {
       logger.debug('No leads found with Playwright selectors, trying LLM extraction...');
       const html = await page.content();
       const { extractLeadsFromHTML } = await import('./smart-selector.js');
-      const llmLeads = await extractLeadsFromHTML(html);
-      if (llmLeads && llmLeads.length > 0) {
+      // The LLM is only a fallback - without it this batch just has no leads
+      const llmLeads = await extractLeadsFromHTML(html, { stats: llmExtraction }).catch((error) => {
+        logger.warn('LLM lead extraction failed', { error: error.message, code: error.code });
+        return [];
+      });
+      if (llmLeads.length > 0) {
         return llmLeads;
       }
     }
@@ -520,9 +564,11 @@ async function scrapeVisibleLeads(page, targetStatus = null) {
  * @param {Page} page - Playwright page
  * @param {Object} lead - Lead object with contactName
  * @param {number} index - Index for logging
+ * @param {AbortSignal} signal - Optional: skips the extraction once the scrape is cancelled
+ * @param {Array} healedSelectors - Optional: per-run list of healed selectors (see resolveSelector)
  * @returns {Promise<Object>} - Contact info with email, phone, cellPhone
  */
-async function extractContactDetails(page, lead, index) {
+async function extractContactDetails(page, lead, index, signal = null, healedSelectors = null) {
   try {
     const contactName = lead.contactName?.trim();
     if (!contactName) {
@@ -530,9 +576,18 @@ async function extractContactDetails(page, lead, index) {
       return { email: null, phone: null, cellPhone: null };
     }
 
+    if (signal?.aborted) {
+      logger.debug(`Scrape cancelled, skipping contact details for lead ${index + 1}`);
+      return { email: null, phone: null, cellPhone: null };
+    }
+
     // The contact is in a div with class "class_contact_tooltip" inside a td with class "leads-contact-td"
-    // Structure: <td class="leads-contact-td"><div class="class_contact_tooltip">Name (Agent)</div></td>
-    const contactElement = page.locator(`.class_contact_tooltip:has-text("${contactName}")`).first();
+    const contactSelector = await resolveSelector(page, LEADS_SELECTORS.contactName, { healedSelectors });
+    if (!contactSelector) {
+      logger.debug(`Contact names not found on the page for lead ${index + 1}`);
+      return { email: null, phone: null, cellPhone: null };
+    }
+    const contactElement = page.locator(contactSelector).filter({ hasText: contactName }).first();
     
     // Scroll to the element first
     try {
@@ -552,29 +607,19 @@ async function extractContactDetails(page, lead, index) {
 
       try {
         // Wait for the qTip tooltip to appear
-        // Tokko uses qTip (jQuery UI Tooltip) with class "contact_ttip" or "ui-tooltip"
         await page.waitForTimeout(800);
         
-        // The tooltip uses qTip - look for .ui-tooltip, .qtip, or .contact_ttip
-        const popoverSelectors = [
-          '.contact_ttip',
-          '.ui-tooltip.qtip',
-          '.ui-tooltip',
-          '.qtip',
-        ];
-        
         let popoverText = '';
         
-        // Try to find the qTip tooltip content
-        for (const selector of popoverSelectors) {
-          const popover = page.locator(selector).first();
-          if (await popover.isVisible({ timeout: 500 }).catch(() => false)) {
-            popoverText = await popover.innerText().catch(() => '');
-            if (popoverText && (popoverText.includes('@') || popoverText.includes('+'))) {
-              logger.debug(`Found qTip tooltip with selector: ${selector}`);
-              break;
-            }
-          }
+        // Find the qTip tooltip content
+        const popoverSelector = await resolveSelector(page, LEADS_SELECTORS.contactTooltip, {
+          state: 'visible',
+          timeout: 500,
+          healedSelectors,
+        });
+        if (popoverSelector) {
+          popoverText = await page.locator(popoverSelector).first().innerText().catch(() => '');
+          logger.debug(`Found qTip tooltip with selector: ${popoverSelector}`);
         }
         
         // Fallback: look for any floating element with contact info
@@ -649,14 +694,22 @@ async function extractContactDetails(page, lead, index) {
 
 /**
  * Extract property details by clicking on the property link and reading the modal
+ * Opening the modal is retried per the "property_details" retry policy
  * @param {Page} page - Playwright page
  * @param {Object} lead - Lead object with propertyAddress
  * @param {number} index - Index for logging
+ * @param {AbortSignal} signal - Optional: skips the extraction once the scrape is cancelled
+ * @param {Object} retryStats - Optional: per-run retry counters (see withRetry)
+ * @param {Array} healedSelectors - Optional: per-run list of healed selectors (see resolveSelector)
  * @returns {Promise<Object>} - Lead with added propertyId and propertyAgent
  */
-async function extractPropertyDetails(page, lead, index) {
+async function extractPropertyDetails(page, lead, index, signal = null, retryStats = null, healedSelectors = null) {
   try {
-    
+    if (signal?.aborted) {
+      logger.debug(`Scrape cancelled, skipping property details for lead ${index + 1}`);
+      return lead;
+    }
+
     // Find the property link by matching the address text
     const propertyAddress = lead.propertyAddress?.replace(/\s*\+\s*$/, '').trim();
     if (!propertyAddress || propertyAddress === '+') {
@@ -681,93 +734,126 @@ async function extractPropertyDetails(page, lead, index) {
       // Link might not exist
     }
     
-    if (await propertyLink.isVisible({ timeout: 2000 }).catch(() => false)) {
-      // Click on the property link to open modal
-      await propertyLink.click();
-      
-      let propertyId = null;
-      let propertyAgent = null;
-      
-      try {
-        // Wait for modal to be visible (short timeout - if no modal, it's an editable field)
-        await page.waitForSelector('#quickDisplay_modal', { state: 'visible', timeout: 2000 });
-        
-        // Get text from modal - content is usually in an iframe
-        let modalText = '';
-        const maxAttempts = 10;
-        
-        for (let attempt = 0; attempt < maxAttempts; attempt++) {
-          // First check if content is directly in modal
-          modalText = await page.locator('#quickDisplay_modal').innerText();
-          
-          // If content is short, it's probably in an iframe
-          if (modalText.length < 50) {
-            const modalHTML = await page.locator('#quickDisplay_modal').innerHTML();
-            if (modalHTML.includes('<iframe')) {
-              const frame = page.frameLocator('#quickDisplay_modal iframe').first();
-              modalText = await frame.locator('body').innerText().catch(() => '');
-            }
-          }
-          
-          // Check if we have the content we need (contains "Disponible" which indicates loaded)
-          if (modalText.includes('Disponible') || modalText.includes('Agente')) {
-            break; // Content loaded successfully
-          }
-          
-          // Wait a bit and retry (200ms * 10 = max 2 seconds, but usually faster)
-          if (attempt < maxAttempts - 1) {
-            await page.waitForTimeout(200);
-          }
-        }
-        
-        // Extract property ID - format: "Disponible AAP7427642 | Departamento" or "Disponible APH6732280 | PH"
-        // Extract text between "Disponible" and "|"
-        const idMatch = modalText.match(/Disponible\s+([A-Z]{2,4}\d+)\s*\|/i);
-        if (idMatch) {
-          propertyId = idMatch[1].trim();
-        }
-        
-        // Extract agent name
-        const agentMatch = modalText.match(/Agente\s*\n?\s*([A-Za-zÀ-ÿ][A-Za-zÀ-ÿ\s]+?)(?:\s*\n|\s*Contactar|$)/i);
-        if (agentMatch) {
-          propertyAgent = agentMatch[1].trim().split('\n')[0].trim();
-          if (propertyAgent.length < 2 || 
-              propertyAgent.toLowerCase().includes('contactar') ||
-              propertyAgent.toLowerCase().includes('información')) {
-            propertyAgent = null;
-          }
-        }
-        
-      } catch (modalError) {
-        // Modal extraction failed, continue without property details
-      }
-      
-      // Close the modal
-      await page.keyboard.press('Escape');
-      
-      // Wait for modal to close completely
-      try {
-        await page.waitForSelector('#quickDisplay_modal', { state: 'hidden', timeout: 2000 });
-      } catch (e) {
-        // Force close by clicking outside
-        await page.mouse.click(10, 10);
-        await page.waitForSelector('#quickDisplay_modal', { state: 'hidden', timeout: 2000 }).catch(() => {});
-      }
-      
-      return {
-        ...lead,
-        propertyId,
-        propertyAgent: propertyAgent || lead._agentName
-      };
-    } else {
+    if (!(await propertyLink.isVisible({ timeout: 2000 }).catch(() => false))) {
       return lead;
     }
+
+    const details = await withRetry(
+      RETRY_STEP.PROPERTY_DETAILS,
+      () => readPropertyModal(page, propertyLink, signal, healedSelectors),
+      { signal, stats: retryStats, context: { lead: index + 1 } }
+    ).catch((error) => {
+      // No modal - continue without property details
+      logger.debug(`Property modal not available for lead ${index + 1}`, { code: error.code });
+      return { propertyId: null, propertyAgent: null };
+    });
+
+    return {
+      ...lead,
+      propertyId: details.propertyId,
+      propertyAgent: details.propertyAgent || lead.agentName
+    };
   } catch (error) {
     logger.error(`Error extracting property details for lead ${index + 1}`, { error: error.message });
     return lead;
   }
 }
 
+/**
+ * Open the property modal and read the property ID and agent (one attempt)
+ * The modal is always closed before returning
+ * @param {Page} page - Playwright page
+ * @param {Locator} propertyLink - Link that opens the modal
+ * @param {AbortSignal} signal - Stops waiting for the modal content
+ * @param {Array} healedSelectors - Optional: per-run list of healed selectors (see resolveSelector)
+ * @returns {Promise<{propertyId: string|null, propertyAgent: string|null}>}
+ * @throws {ScraperError} - TimeoutError if the modal doesn't open
+ */
+async function readPropertyModal(page, propertyLink, signal = null, healedSelectors = null) {
+  // Click on the property link to open modal
+  await propertyLink.click();
+
+  let propertyId = null;
+  let propertyAgent = null;
+  let modal = page.locator(LEADS_SELECTORS.quickDisplayModal.selectors[0]).first();
+
+  try {
+    // Wait for modal to be visible (short timeout - if no modal, it's an editable field)
+    const modalSelector = await resolveSelector(page, LEADS_SELECTORS.quickDisplayModal, {
+      state: 'visible',
+      timeout: 2000,
+      healedSelectors,
+    });
+    if (!modalSelector) {
+      throw new TimeoutError('Property modal did not open');
+    }
+    modal = page.locator(modalSelector).first();
+
+    // Get text from modal - content is usually in an iframe
+    let modalText = '';
+    const maxAttempts = 10;
+
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+      // Stop waiting for content on cancel - the modal still gets closed below
+      if (signal?.aborted) break;
+
+      // First check if content is directly in modal
+      modalText = await modal.innerText();
+
+      // If content is short, it's probably in an iframe
+      if (modalText.length < 50) {
+        const modalHTML = await modal.innerHTML();
+        if (modalHTML.includes('<iframe')) {
+          const frame = modal.frameLocator('iframe').first();
+          modalText = await frame.locator('body').innerText().catch(() => '');
+        }
+      }
+
+      // Check if we have the content we need (contains "Disponible" which indicates loaded)
+      if (modalText.includes('Disponible') || modalText.includes('Agente')) {
+        break; // Content loaded successfully
+      }
+
+      // Wait a bit and retry (200ms * 10 = max 2 seconds, but usually faster)
+      if (attempt < maxAttempts - 1) {
+        await page.waitForTimeout(200);
+      }
+    }
+
+    // Extract property ID - format: "Disponible AAP7427642 | Departamento" or "Disponible APH6732280 | PH"
+    // Extract text between "Disponible" and "|"
+    const idMatch = modalText.match(/Disponible\s+([A-Z]{2,4}\d+)\s*\|/i);
+    if (idMatch) {
+      propertyId = idMatch[1].trim();
+    }
+
+    // Extract agent name
+    const agentMatch = modalText.match(/Agente\s*\n?\s*([A-Za-zÀ-ÿ][A-Za-zÀ-ÿ\s]+?)(?:\s*\n|\s*Contactar|$)/i);
+    if (agentMatch) {
+      propertyAgent = agentMatch[1].trim().split('\n')[0].trim();
+      if (propertyAgent.length < 2 ||
+          propertyAgent.toLowerCase().includes('contactar') ||
+          propertyAgent.toLowerCase().includes('información')) {
+        propertyAgent = null;
+      }
+    }
+  } finally {
+    // Close the modal
+    await page.keyboard.press('Escape');
+
+    // Wait for modal to close completely
+    try {
+      await modal.waitFor({ state: 'hidden', timeout: 2000 });
+    } catch (e) {
+      // Force close by clicking outside
+      await page.mouse.click(10, 10);
+      await modal.waitFor({ state: 'hidden', timeout: 2000 }).catch(() => {});
+    }
+  }
+
+  return { propertyId, propertyAgent };
+}
+
 /**
  * Scrape leads with optional property details extraction
  * @param {Page} page - Playwright page
@@ -797,7 +883,7 @@ async function scrapeVisibleLeadsWithDetails(page, extractDetails = false, targe
 /**
  * Parse lead data from raw row text
  * @param {string} text - Raw text from a table row
- * @returns {Object|null} - Lead object or null
+ * @returns {Object|null} - Lead object (see PARSED_LEAD_SCHEMA) or null
  */
 function parseLeadFromText(text) {
   if (!text) return null;
@@ -841,9 +927,8 @@ function parseLeadFromText(text) {
     contactName,
     propertyAddress,
     lastUpdated,
+    agentName,
     status: null,
-    // agentName stored internally for fallback
-    _agentName: agentName
   };
 }
 
@@ -950,6 +1035,135 @@ export async function applyDateFilter(page, startDate, endDate) {
   }
 }
 
+/**
+ * Section bookkeeping of a scroll run
+ *
+ * Each status section stops at its own cutoff: its high-water mark in incremental
+ * runs, targetDate otherwise. The tracker tells a lead's cutoff, remembers the
+ * sections that reached it, which ones were read all the way down to it (the
+ * only ones whose marks may advance) and when the rest of the list holds nothing new.
+ * A section whose cutoff is above its stored mark (a full run with a recent
+ * targetDate) never completes: the leads between the mark and the cutoff were
+ * not read, and advancing the mark past them would hide them from incremental runs.
+ * @param {Object} options
+ * @param {Date} options.targetDate - Cutoff of sections without a high-water mark
+ * @param {Object} options.watermarks - Incremental mode: { [section label]: Date } high-water marks
+ * @param {Object} options.storedWatermarks - High-water marks in the store (default: watermarks)
+ * @param {Set} options.completedSections - Filled with the sections read down to their cutoff
+ * @returns {Object}
+ */
+export function createSectionTracker({
+  targetDate,
+  watermarks = null,
+  storedWatermarks = watermarks,
+  completedSections = new Set(),
+}) {
+  const cutOffSections = new Set();
+  // Cutoffs reached in the batch being collected - they only count once all of it was collected
+  let batchCutoffs = new Set();
+  // Once a lead of another section is collected, the previous one was read to the end
+  let lastCollectedSection = null;
+
+  /**
+   * Date a section stops at
+   * @param {string|null} section
+   * @returns {Date}
+   */
+  const getSectionCutoff = (section) => (section && watermarks?.[section]) || targetDate;
+
+  /**
+   * Record a section read down to its cutoff, unless that left a gap above its stored mark
+   * @param {string|null} section
+   */
+  const complete = (section) => {
+    if (!section) return;
+    const storedMark = storedWatermarks?.[section];
+    if (!storedMark || getSectionCutoff(section) <= storedMark) {
+      completedSections.add(section);
+    }
+  };
+
+  return {
+    completedSections,
+
+    /**
+     * Date a lead's section stops at
+     * @param {Object} lead - Parsed lead
+     * @returns {Date}
+     */
+    getCutoff(lead) {
+      return getSectionCutoff(lead.status);
+    },
+
+    /**
+     * Record that a section reached its cutoff
+     * @param {string|null} section
+     * @returns {boolean} - True the first time
+     */
+    reachCutoff(section) {
+      batchCutoffs.add(section);
+      if (cutOffSections.has(section)) return false;
+      cutOffSections.add(section);
+      return true;
+    },
+
+    /**
+     * @param {string|null} section
+     * @returns {boolean} - True if the section reached its cutoff
+     */
+    isCutOff(section) {
+      return cutOffSections.has(section);
+    },
+
+    /**
+     * Record a collected lead
+     * @param {Object} lead - Parsed lead
+     */
+    collect(lead) {
+      if (lead.status && lastCollectedSection && lead.status !== lastCollectedSection) {
+        complete(lastCollectedSection);
+      }
+      lastCollectedSection = lead.status || lastCollectedSection;
+    },
+
+    /**
+     * Close a batch of visible leads
+     * @param {boolean} collectedAll - False if the run stopped before collecting all of it (maxLeads, cancelled)
+     */
+    finishBatch(collectedAll) {
+      if (collectedAll) {
+        batchCutoffs.forEach(complete);
+      }
+      batchCutoffs = new Set();
+    },
+
+    /**
+     * Record that the end of the list was reached - every section was read to the end
+     * @param {Iterable} leads - Structured leads collected
+     */
+    finishList(leads) {
+      for (const lead of leads) {
+        complete(lead.status);
+      }
+    },
+
+    /**
+     * Check if the rest of the list only holds leads older than their cutoff: the
+     * sections of previous runs (those with a mark) and the one being read are all cut off
+     * @param {string|null} currentSection - Section of the last visible lead
+     * @returns {boolean}
+     */
+    isListDone(currentSection) {
+      const knownSections = Object.keys(watermarks || {});
+      return (
+        knownSections.length > 0 &&
+        knownSections.every((section) => cutOffSections.has(section)) &&
+        cutOffSections.has(currentSection)
+      );
+    },
+  };
+}
+
 /**
  * Main function: Scrape all leads with infinite scroll until target date
  * @param {Page} page - Playwright page
@@ -958,20 +1172,65 @@ export async function applyDateFilter(page, startDate, endDate) {
  * @param {string} options.status - Filter by lead status (default: 'all')
  * @param {number} options.maxScrolls - Maximum scroll attempts (default: 200)
  * @param {number} options.maxLeads - Maximum leads to collect (default: 10000)
- * @returns {Promise<Array>} - Array of all scraped leads
+ * @param {Function} options.onProgress - Called with { stage, leadsCollected, scrolls, section } as the run advances
+ * @param {Function} options.onEvent - Called with (type, data) for each notable scraping event
+ * @param {AbortSignal} options.signal - Stops the scroll loop at the next safe point when aborted
+ * @param {Object} options.watermarks - Incremental mode: { [section label]: Date } high-water marks.
+ *   Each section stops at its own mark instead of targetDate (targetDate still applies to sections without one)
+ * @param {Object} options.storedWatermarks - Full mode: the high-water marks in the store. Sections whose mark is
+ *   below targetDate are not completed (see createSectionTracker)
+ * @param {Object} options.retryStats - Per-run retry counters for the retried steps (see withRetry)
+ * @param {Array} options.healedSelectors - Per-run list the selectors healed while scraping are added to
+ * @param {Object} options.llmExtraction - Per-run counters of the LLM lead extraction fallback (see extractLeadsFromHTML)
+ * @param {Set} options.completedSections - Per-run set the status sections read down to their cutoff are added to.
+ *   Sections the run stopped in early (maxLeads, maxScrolls, cancelled) are left out, since leads below what was read were never seen
+ * @param {Function} options.snapshot - Optional: async (step) => {} to save forensics after the filters and the scroll
+ * @returns {Promise<Array>} - Array of all scraped leads (collected so far, if cancelled)
+ * @throws {ScraperError} - On failure; error.partialLeads holds the leads collected before it
  */
 export async function scrapeLeadsUntilDate(page, targetDate, options = {}) {
   const { 
     status = LEAD_STATUS.ALL,
     maxScrolls = 200, 
     maxLeads = 10000,
-    extractDetails = false
+    extractDetails = false,
+    onProgress = () => {},
+    onEvent = () => {},
+    signal = null,
+    watermarks = null,
+    storedWatermarks = watermarks,
+    retryStats = null,
+    healedSelectors = null,
+    llmExtraction = null,
+    completedSections = null,
+    snapshot = null,
   } = options;
   
   const allLeads = new Map();
+  const sections = createSectionTracker({
+    targetDate,
+    watermarks,
+    storedWatermarks,
+    completedSections: completedSections || new Set(),
+  });
+  // Incremental runs over all sections can't stop at the first old lead -
+  // sections further down the list may still have newer ones
+  const perSectionCutoff = Boolean(watermarks) && status === LEAD_STATUS.ALL;
+  const skippedKeys = new Set();
   let scrollCount = 0;
   let noNewLeadsCount = 0;
   let reachedTargetDate = false;
+  let currentSection = null;
+  let stage = SCRAPE_STAGE.BRANCH_FILTER;
+
+  const reportProgress = () => {
+    onProgress({
+      stage,
+      leadsCollected: allLeads.size,
+      scrolls: scrollCount,
+      section: currentSection,
+    });
+  };
 
   logger.info('Starting infinite scroll lead scraping...', {
     targetDate: targetDate.toISOString(),
@@ -981,195 +1240,287 @@ export async function scrapeLeadsUntilDate(page, targetDate, options = {}) {
     extractDetails,
   });
 
-  // Step 1: Apply the "Todas las sucursales" filter first
-  await applyAllBranchesFilter(page);
-
-  // Step 2: Handle "Mostrar estados para reasignar" toggle
-  // This toggle shows "Para reasignacion" and "Sin Seguimiento" sections when enabled
-  // Other sections (Pendiente contactar, Esperando respuesta, etc.) show when disabled
-  const needsToggleEnabled = status === 'para_reasignacion' || status === 'sin_seguimiento';
-  if (needsToggleEnabled) {
-    await enableReassignmentStatesToggle(page);
-  } else {
-    logger.debug(`Status "${status}" does not need toggle - skipping`);
-  }
+  try {
+    // Step 1: Apply the "Todas las sucursales" filter first
+    reportProgress();
+    const branchFilterApplied = await applyAllBranchesFilter(page, { signal, retryStats, healedSelectors });
+    onEvent('branch_filter', { applied: branchFilterApplied });
+    await snapshot?.(SCRAPE_STAGE.BRANCH_FILTER);
+
+    // Step 2: Handle "Mostrar estados para reasignar" toggle
+    // This toggle shows "Para reasignacion" and "Sin Seguimiento" sections when enabled
+    // Other sections (Pendiente contactar, Esperando respuesta, etc.) show when disabled
+    const needsToggleEnabled = status === 'para_reasignacion' || status === 'sin_seguimiento';
+    if (needsToggleEnabled) {
+      await enableReassignmentStatesToggle(page);
+    } else {
+      logger.debug(`Status "${status}" does not need toggle - skipping`);
+    }
 
-  // Step 3: Log status filter info
-  await filterByStatus(page, status);
+    // Step 3: Log status filter info
+    await filterByStatus(page, status);
 
-  // Wait for results to load
-  await waitForNetworkIdle(page);
+    // Wait for results to load
+    await waitForNetworkIdle(page);
 
-  // Scroll to absolute top of page and table to ensure first sections are visible
-  await page.evaluate(() => {
-    // Scroll main window to top
-    window.scrollTo(0, 0);
-    document.documentElement.scrollTop = 0;
-    document.body.scrollTop = 0;
+    // Scroll to absolute top of page and table to ensure first sections are visible
+    await page.evaluate(() => {
+      // Scroll main window to top
+      window.scrollTo(0, 0);
+      document.documentElement.scrollTop = 0;
+      document.body.scrollTop = 0;
     
-    // Try to find and scroll any scrollable table container
-    const containers = document.querySelectorAll('[class*="scroll"], [class*="table"], [class*="list"], [style*="overflow"]');
-    containers.forEach(c => {
-      if (c.scrollTop !== undefined) {
-        c.scrollTop = 0;
-      }
+      // Try to find and scroll any scrollable table container
+      const containers = document.querySelectorAll('[class*="scroll"], [class*="table"], [class*="list"], [style*="overflow"]');
+      containers.forEach(c => {
+        if (c.scrollTop !== undefined) {
+          c.scrollTop = 0;
+        }
+      });
     });
-  });
-  await waitForNetworkIdle(page);
-
-  while (
-    scrollCount < maxScrolls &&
-    allLeads.size < maxLeads &&
-    noNewLeadsCount < 5 &&
-    !reachedTargetDate
-  ) {
-    const previousCount = allLeads.size;
+    await waitForNetworkIdle(page);
 
-    // First, scrape basic lead info (fast, no modal) - filter by status section
-    const visibleLeads = await scrapeVisibleLeads(page, status);
+    stage = SCRAPE_STAGE.SCROLL;
+    reportProgress();
+
+    while (
+      scrollCount < maxScrolls &&
+      allLeads.size < maxLeads &&
+      noNewLeadsCount < 5 &&
+      !reachedTargetDate &&
+      !signal?.aborted
+    ) {
+      const previousCount = allLeads.size;
+      const previousSkipped = skippedKeys.size;
+
+      // First, scrape basic lead info (fast, no modal) - filter by status section
+      const visibleLeads = await scrapeVisibleLeads(page, status, llmExtraction);
+      if (visibleLeads.length > 0) {
+        currentSection = visibleLeads[visibleLeads.length - 1].status || currentSection;
+      }
     
-    // Filter leads by date BEFORE extracting details
-    const leadsToProcess = [];
-    for (const lead of visibleLeads) {
-      const key = getLeadKey(lead);
-      if (allLeads.has(key)) continue;
-
-      const leadDateStr = lead.vigencia || lead.lastUpdated;
-      const leadDate = parseDate(leadDateStr);
-
-      if (leadDate && leadDate < targetDate) {
-        logger.info('Reached target date, stopping scraping', {
-          lastLeadDate: leadDateStr,
-          parsedDate: leadDate?.toISOString(),
-          targetDate: targetDate.toISOString(),
-        });
+      // Filter leads by date BEFORE extracting details
+      const leadsToProcess = [];
+      for (const lead of visibleLeads) {
+        const key = getLeadKey(lead);
+        if (allLeads.has(key) || skippedKeys.has(key)) continue;
+
+        const leadDateStr = lead.vigencia || lead.lastUpdated;
+        const leadDate = parseDate(leadDateStr);
+        const cutoff = sections.getCutoff(lead);
+
+        if (leadDate && leadDate < cutoff) {
+          const reason = cutoff === targetDate ? 'target date' : 'high-water mark';
+          const firstCutoff = sections.reachCutoff(lead.status);
+
+          if (perSectionCutoff) {
+            if (firstCutoff) {
+              logger.info(`Reached ${reason} for section, skipping its older leads`, {
+                section: lead.status,
+                lastLeadDate: leadDateStr,
+                cutoff: cutoff.toISOString(),
+              });
+            }
+            skippedKeys.add(key);
+            continue;
+          }
+
+          logger.info(`Reached ${reason}, stopping scraping`, {
+            lastLeadDate: leadDateStr,
+            parsedDate: leadDate?.toISOString(),
+            targetDate: cutoff.toISOString(),
+          });
+          reachedTargetDate = true;
+          break;
+        }
+      
+        leadsToProcess.push({ lead, key, leadDate });
+      }
+
+      // No need to scroll through the old leads left below the last cut off section
+      if (perSectionCutoff && sections.isListDone(currentSection)) {
+        logger.info('Every section reached its cutoff, stopping scraping', { section: currentSection });
         reachedTargetDate = true;
-        break;
       }
-      
-      leadsToProcess.push({ lead, key, leadDate });
-    }
     
-    // Now extract property and contact details only for leads within date range
-    logger.info(`Processing ${leadsToProcess.length} leads, extractDetails: ${extractDetails}`);
-    
-    for (const { lead, key, leadDate } of leadsToProcess) {
-      // Check maxLeads limit
-      if (allLeads.size >= maxLeads) {
-        logger.info(`Reached maxLeads limit: ${maxLeads}`);
-        break;
-      }
+      // Now extract property and contact details only for leads within date range
+      logger.info(`Processing ${leadsToProcess.length} leads, extractDetails: ${extractDetails}`);
+
+      let batchCollected = true;
+      for (const { lead, key, leadDate } of leadsToProcess) {
+        // Check maxLeads limit
+        if (allLeads.size >= maxLeads) {
+          logger.info(`Reached maxLeads limit: ${maxLeads}`);
+          batchCollected = false;
+          break;
+        }
+
+        if (signal?.aborted) {
+          logger.info('Scrape cancelled, stopping detail extraction');
+          batchCollected = false;
+          break;
+        }
       
-      let propertyId = null;
-      let propertyAgent = null;
-      let contactInfo = { email: null, phone: null, cellPhone: null };
+        let propertyId = null;
+        let propertyAgent = null;
+        let contactInfo = { email: null, phone: null, cellPhone: null };
       
-      if (extractDetails) {
-        logger.info(`Extracting details for: ${lead.contactName}`);
+        if (extractDetails) {
+          logger.info(`Extracting details for: ${lead.contactName}`);
+          stage = SCRAPE_STAGE.DETAILS;
         
-        // Extract property details
-        const leadWithProperty = await extractPropertyDetails(page, lead, allLeads.size);
-        propertyId = leadWithProperty.propertyId;
-        propertyAgent = leadWithProperty.propertyAgent;
+          // Extract property details
+          const leadWithProperty = await extractPropertyDetails(page, lead, allLeads.size, signal, retryStats, healedSelectors);
+          propertyId = leadWithProperty.propertyId;
+          propertyAgent = leadWithProperty.propertyAgent;
         
-        // Extract contact details (email, phones)
-        contactInfo = await extractContactDetails(page, lead, allLeads.size);
+          // Extract contact details (email, phones)
+          contactInfo = await extractContactDetails(page, lead, allLeads.size, signal, healedSelectors);
         
-        logger.info(`Extracted - propertyId: ${propertyId}, agent: ${propertyAgent}, email: ${contactInfo.email}`);
-      }
+          logger.info(`Extracted - propertyId: ${propertyId}, agent: ${propertyAgent}, email: ${contactInfo.email}`);
+          onEvent('lead_details', {
+            contactName: lead.contactName,
+            propertyId,
+            propertyAgent,
+            email: contactInfo.email,
+          });
+        }
 
-      // Structure the lead data with organized sections
-      const structuredLead = {
-        // Contact info section
-        contact: {
-          name: lead.contactName || null,
-          email: contactInfo.email,
-          phone: contactInfo.phone,
-          cellPhone: contactInfo.cellPhone,
-        },
-        // Agent info section
-        agent: {
-          name: propertyAgent || lead._agentName || null,
-        },
-        // Property info section
-        property: {
-          id: propertyId,
-          address: lead.propertyAddress || null,
-        },
-        // Metadata
-        status: lead.status || null,
-        lastUpdated: lead.lastUpdated || null,
-        parsedDate: leadDate?.toISOString() || null,
-        scrapedAt: new Date().toISOString(),
-      };
+        // Structure the lead data with organized sections
+        const structuredLead = {
+          // Contact info section
+          contact: {
+            name: lead.contactName || null,
+            email: contactInfo.email,
+            phone: contactInfo.phone,
+            cellPhone: contactInfo.cellPhone,
+          },
+          // Agent info section
+          agent: {
+            name: propertyAgent || lead.agentName || null,
+          },
+          // Property info section
+          property: {
+            id: propertyId,
+            address: lead.propertyAddress || null,
+          },
+          // Metadata
+          status: lead.status || null,
+          lastUpdated: lead.lastUpdated || null,
+          parsedDate: leadDate?.toISOString() || null,
+          scrapedAt: new Date().toISOString(),
+        };
       
-      allLeads.set(key, structuredLead);
-    }
+        allLeads.set(key, structuredLead);
+        sections.collect(lead);
+        if (extractDetails) reportProgress();
+      }
+      sections.finishBatch(batchCollected);
 
-    if (reachedTargetDate) break;
+      stage = SCRAPE_STAGE.SCROLL;
 
-    const newLeadsFound = allLeads.size - previousCount;
-    if (newLeadsFound === 0) {
-      noNewLeadsCount++;
-      logger.debug(`No new leads found (attempt ${noNewLeadsCount}/5)`);
-    } else {
-      noNewLeadsCount = 0;
-      logger.info(`Found ${newLeadsFound} new leads, total: ${allLeads.size}`);
-    }
+      reportProgress();
+
+      const newLeadsFound = allLeads.size - previousCount;
+      // Skipping a finished section's old leads still means the list is moving
+      const skippedLeadsFound = skippedKeys.size - previousSkipped;
+      if (newLeadsFound === 0 && skippedLeadsFound === 0) {
+        noNewLeadsCount++;
+        logger.debug(`No new leads found (attempt ${noNewLeadsCount}/5)`);
+      } else {
+        noNewLeadsCount = 0;
+      }
+
+      if (newLeadsFound > 0) {
+        logger.info(`Found ${newLeadsFound} new leads, total: ${allLeads.size}`);
+        onEvent('leads_batch', {
+          newLeads: newLeadsFound,
+          totalLeads: allLeads.size,
+          section: currentSection,
+          leads: Array.from(allLeads.values()).slice(previousCount),
+        });
+      }
 
-    scrollCount++;
-    logger.debug(`Scrolling... (${scrollCount}/${maxScrolls})`);
+      if (reachedTargetDate || signal?.aborted) break;
 
-    const scrollResult = await scrollContainer(page);
+      scrollCount++;
+      logger.debug(`Scrolling... (${scrollCount}/${maxScrolls})`);
+
+      const scrollResult = await scrollContainer(page);
+      reportProgress();
     
-    if (scrollResult.newScroll >= scrollResult.maxScroll * 0.99) {
-      // Reached end of scroll, wait for any final content to load
-      await waitForNetworkIdle(page);
-      const finalLeads = await scrapeVisibleLeads(page, status);
+      if (scrollResult.newScroll >= scrollResult.maxScroll * 0.99) {
+        // Reached end of scroll, wait for any final content to load
+        await waitForNetworkIdle(page);
+        const finalLeads = await scrapeVisibleLeads(page, status, llmExtraction);
+        const countBeforeFinal = allLeads.size;
       
-      for (const lead of finalLeads) {
-        const key = getLeadKey(lead);
-        if (!allLeads.has(key)) {
-          const leadDate = parseDate(lead.vigencia || lead.lastUpdated);
-          if (!leadDate || leadDate >= targetDate) {
-            // Structure the lead data (without full details extraction at end of scroll)
-            const structuredLead = {
-              contact: {
-                name: lead.contactName || null,
-                email: null,
-                phone: null,
-                cellPhone: null,
-              },
-              agent: {
-                name: lead._agentName || null,
-              },
-              property: {
-                id: null,
-                address: lead.propertyAddress || null,
-              },
-              status: lead.status || null,
-              lastUpdated: lead.lastUpdated || null,
-              parsedDate: leadDate?.toISOString() || null,
-              scrapedAt: new Date().toISOString(),
-            };
-            allLeads.set(key, structuredLead);
+        for (const lead of finalLeads) {
+          const key = getLeadKey(lead);
+          if (!allLeads.has(key)) {
+            const leadDate = parseDate(lead.vigencia || lead.lastUpdated);
+            if (!leadDate || leadDate >= sections.getCutoff(lead)) {
+              // Structure the lead data (without full details extraction at end of scroll)
+              const structuredLead = {
+                contact: {
+                  name: lead.contactName || null,
+                  email: null,
+                  phone: null,
+                  cellPhone: null,
+                },
+                agent: {
+                  name: lead.agentName || null,
+                },
+                property: {
+                  id: null,
+                  address: lead.propertyAddress || null,
+                },
+                status: lead.status || null,
+                lastUpdated: lead.lastUpdated || null,
+                parsedDate: leadDate?.toISOString() || null,
+                scrapedAt: new Date().toISOString(),
+              };
+              allLeads.set(key, structuredLead);
+            }
           }
         }
-      }
       
-      logger.info('Reached end of scroll');
-      break;
+        if (allLeads.size > countBeforeFinal) {
+          onEvent('leads_batch', {
+            newLeads: allLeads.size - countBeforeFinal,
+            totalLeads: allLeads.size,
+            section: currentSection,
+            leads: Array.from(allLeads.values()).slice(countBeforeFinal),
+          });
+        }
+
+        sections.finishList(allLeads.values());
+
+        reportProgress();
+        logger.info('Reached end of scroll');
+        break;
+      }
     }
+  } catch (error) {
+    // Keep what was collected so the caller can still return it
+    const scraperError = toScraperError(error);
+    scraperError.partialLeads = Array.from(allLeads.values());
+    throw scraperError;
   }
 
   const leadsArray = Array.from(allLeads.values());
 
-  logger.info('Lead scraping completed', {
+  const summary = {
     totalLeads: leadsArray.length,
     scrollAttempts: scrollCount,
     status,
     reachedTargetDate,
-  });
+    completedSections: Array.from(sections.completedSections),
+    cancelled: Boolean(signal?.aborted),
+  };
+  logger.info('Lead scraping completed', summary);
+  onEvent('scroll_completed', summary);
+  await snapshot?.(SCRAPE_STAGE.SCROLL);
 
   return leadsArray;
 }
@@ -0,0 +1,236 @@
+import { readFileSync } from 'node:fs';
+import OpenAI from 'openai';
+import { config } from '../config/index.js';
+import { logger } from '../utils/logger.js';
+import { LlmUnavailableError, toLlmError } from './errors.js';
+import { checkLlmBudget, recordLlmUsage } from './llm-usage.js';
+
+/**
+ * LLM providers behind the smart selector
+ *
+ * Chosen with LLM_PROVIDER:
+ * - openai: the OpenAI API, or any OpenAI-compatible server (llama.cpp, Ollama, vLLM...)
+ *   set with LLM_BASE_URL - CRM HTML then never leaves your network
+ * - fixture: canned answers read from LLM_FIXTURES_PATH, for offline tests
+ *
+ * A provider is:
+ *   { name, model, complete({ purpose, messages, temperature, maxTokens, responseSchema }) -> Promise<{ content, usage }> }
+ * responseSchema ({ name, schema }) asks for JSON-schema structured output where the provider supports it.
+ * usage is { promptTokens, completionTokens }, or null when the server doesn't report it (then it's estimated
+ * for the usage accounting in llm-usage.js).
+ *
+ * Fixture file (JSON array, the first matching entry answers):
+ * [
+ *   { "purpose": "selectors", "match": "email_input", "response": { "email_input": "#username" } },
+ *   { "purpose": "lead_extraction", "response": { "leads": [] } }
+ * ]
+ * purpose and match (text the prompt must contain) are optional; a string response is returned as is.
+ */
+
+export const LLM_PROVIDER = {
+  OPENAI: 'openai',
+  FIXTURE: 'fixture',
+};
+
+/**
+ * What a completion is for - fixtures and usage are told apart by it
+ */
+export const LLM_PURPOSE = {
+  SELECTORS: 'selectors',
+  LEAD_EXTRACTION: 'lead_extraction',
+};
+
+// Provider used by complete(), created on first use
+let provider = null;
+
+/**
+ * Provider for the OpenAI API or an OpenAI-compatible server
+ * @param {Object} options - { apiKey, baseUrl, model, timeoutMs, maxRetries, structuredOutputs }
+ * @returns {Object} - Provider
+ * @throws {LlmUnavailableError} - If there is neither an API key nor a base URL (not retryable)
+ */
+function createOpenAIProvider({ apiKey, baseUrl, model, timeoutMs, maxRetries, structuredOutputs }) {
+  if (!apiKey && !baseUrl) {
+    throw new LlmUnavailableError(
+      'OpenAI API key not configured. Set OPENAI_API_KEY in .env, or LLM_BASE_URL for an OpenAI-compatible server',
+      { retryable: false }
+    );
+  }
+
+  const client = new OpenAI({
+    // Local servers usually ignore the key, but the client requires one
+    apiKey: apiKey || 'not-needed',
+    baseURL: baseUrl || undefined,
+    timeout: timeoutMs,
+    maxRetries,
+  });
+
+  return {
+    name: LLM_PROVIDER.OPENAI,
+    model,
+
+    async complete({ messages, temperature = 0, maxTokens, responseSchema }) {
+      let response;
+      try {
+        response = await client.chat.completions.create({
+          model,
+          messages,
+          temperature,
+          max_tokens: maxTokens,
+          ...(responseSchema && structuredOutputs && {
+            response_format: {
+              type: 'json_schema',
+              json_schema: { name: responseSchema.name, schema: responseSchema.schema, strict: true },
+            },
+          }),
+        });
+      } catch (error) {
+        throw error instanceof OpenAI.APIError ? toLlmError(error) : error;
+      }
+
+      const { usage } = response;
+      return {
+        content: response.choices[0]?.message?.content || '',
+        usage: usage ? { promptTokens: usage.prompt_tokens, completionTokens: usage.completion_tokens } : null,
+      };
+    },
+  };
+}
+
+/**
+ * Rough token count (~4 characters per token) for providers that don't report usage
+ * @param {string} text
+ * @returns {number}
+ */
+function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Provider answering from fixtures - no network, same answer for the same request
+ * @param {Array<Object>} fixtures - [{ purpose, match, response }] (see the file layout above)
+ * @param {Object} options
+ * @param {string} options.model - Reported model name (default "fixture")
+ * @returns {Object} - Provider
+ */
+export function createFixtureProvider(fixtures, options = {}) {
+  const { model = 'fixture' } = options;
+
+  return {
+    name: LLM_PROVIDER.FIXTURE,
+    model,
+
+    async complete({ purpose, messages }) {
+      const prompt = messages.map((message) => message.content).join('\n');
+      const fixture = fixtures.find((candidate) => (
+        (!candidate.purpose || candidate.purpose === purpose)
+        && (!candidate.match || prompt.includes(candidate.match))
+      ));
+
+      if (!fixture) {
+        throw new LlmUnavailableError(`No LLM fixture matches this ${purpose} request`, { retryable: false });
+      }
+
+      const content = typeof fixture.response === 'string' ? fixture.response : JSON.stringify(fixture.response);
+      return {
+        content,
+        usage: { promptTokens: estimateTokens(prompt), completionTokens: estimateTokens(content) },
+      };
+    },
+  };
+}
+
+/**
+ * Read the fixtures file (a missing file means no fixtures)
+ * @param {string} filePath
+ * @returns {Array<Object>}
+ */
+function loadFixtures(filePath) {
+  let fixtures;
+  try {
+    fixtures = JSON.parse(readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      logger.warn('LLM fixtures file not found - every LLM request will fail', { path: filePath });
+      return [];
+    }
+    throw new LlmUnavailableError(`Invalid LLM fixtures file ${filePath}: ${error.message}`, { retryable: false });
+  }
+
+  if (!Array.isArray(fixtures)) {
+    throw new LlmUnavailableError(`LLM fixtures file ${filePath} must contain a JSON array`, { retryable: false });
+  }
+  return fixtures;
+}
+
+/**
+ * Create the provider selected by config (LLM_*), replacing the current one
+ * @param {Object} overrides - Options that take precedence over config.llm (e.g. apiKey)
+ * @returns {Object} - Provider
+ * @throws {LlmUnavailableError} - If the provider is unknown or not usable as configured (not retryable)
+ */
+export function configureLlm(overrides = {}) {
+  const options = { ...config.llm, ...overrides };
+
+  switch (options.provider) {
+    case LLM_PROVIDER.OPENAI:
+      provider = createOpenAIProvider(options);
+      break;
+    case LLM_PROVIDER.FIXTURE:
+      // Reports LLM_MODEL, so usage is priced as that model would be
+      provider = createFixtureProvider(loadFixtures(options.fixturesPath), { model: options.model });
+      break;
+    default:
+      throw new LlmUnavailableError(
+        `Unknown LLM provider "${options.provider}". Use one of: ${Object.values(LLM_PROVIDER).join(', ')}`,
+        { retryable: false }
+      );
+  }
+
+  logger.info('LLM provider configured', {
+    provider: provider.name,
+    model: provider.model,
+    ...(options.provider === LLM_PROVIDER.OPENAI && options.baseUrl && { baseUrl: options.baseUrl }),
+  });
+  return provider;
+}
+
+/**
+ * Use a provider built elsewhere (e.g. createFixtureProvider() in unit tests), replacing the current one
+ * Its calls go through the same budget checks and usage accounting as the configured ones.
+ * @param {Object} newProvider - Provider ({ name, model, complete })
+ * @returns {Object} - The provider
+ */
+export function setLlmProvider(newProvider) {
+  provider = newProvider;
+  return provider;
+}
+
+/**
+ * Send a chat completion through the configured provider
+ * Checked against the LLM budgets first, and counted (tokens and cost) once answered
+ * @param {Object} request
+ * @param {string} request.purpose - LLM_PURPOSE value
+ * @param {Array} request.messages - Chat messages ({ role, content })
+ * @param {number} request.temperature
+ * @param {number} request.maxTokens
+ * @param {Object} request.responseSchema - Optional: { name, schema } for JSON-schema structured output
+ * @returns {Promise<{content: string, usage: Object|null}>}
+ * @throws {LlmUnavailableError}
+ * @throws {LlmBudgetExceededError} - If the job or daily budget is spent (nothing is sent)
+ */
+export async function complete(request) {
+  provider ??= configureLlm();
+  await checkLlmBudget();
+
+  const response = await provider.complete(request);
+
+  // Servers that don't report usage are counted with an estimate
+  const usage = response.usage || {
+    promptTokens: estimateTokens(request.messages.map((message) => message.content).join('\n')),
+    completionTokens: estimateTokens(response.content),
+  };
+  await recordLlmUsage({ purpose: request.purpose, model: provider.model, usage });
+
+  return response;
+}
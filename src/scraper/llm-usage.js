@@ -0,0 +1,382 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { config } from '../config/index.js';
+import { logger } from '../utils/logger.js';
+import { readJsonFile, writeJsonFile } from '../utils/json-file.js';
+import { LlmBudgetExceededError } from './errors.js';
+
+/**
+ * LLM usage accounting and budget caps
+ *
+ * Every completion is counted - prompt and completion tokens, estimated cost -
+ * for the scrape that made it and for the day (in SCHEDULER_TIMEZONE), each
+ * split by purpose (LLM_PURPOSE). LLM calls happen deep inside a run (login
+ * healing, smart queries, lead extraction), so the run's usage is found through
+ * AsyncLocalStorage instead of being passed down to every call: scrapeLeads()
+ * runs inside trackLlmUsage().
+ *
+ * Budgets are in USD (0 = no cap). Once a run or the day has spent its budget,
+ * further calls fail with LlmBudgetExceededError before anything is sent.
+ *
+ * File layout:
+ * {
+ *   "version": 1,
+ *   "days": { "2026-10-19": { calls, promptTokens, completionTokens, costUsd, byPurpose: { "<purpose>": {...} } } },
+ *   "jobs": [{ runId, account, startedAt, calls, promptTokens, completionTokens, costUsd, byPurpose, budgetExceeded }]
+ * }
+ */
+
+const USAGE_VERSION = 1;
+
+/**
+ * USD per million tokens of OpenAI models (standard tier), matched by the
+ * longest prefix so dated snapshots (gpt-4o-mini-2024-07-18) are priced too.
+ * Override with LLM_INPUT_PRICE_PER_1M / LLM_OUTPUT_PRICE_PER_1M for other models.
+ */
+const MODEL_PRICES = {
+  'gpt-4o-mini': { inputPer1M: 0.15, outputPer1M: 0.6 },
+  'gpt-4o': { inputPer1M: 2.5, outputPer1M: 10 },
+  'gpt-4.1-nano': { inputPer1M: 0.1, outputPer1M: 0.4 },
+  'gpt-4.1-mini': { inputPer1M: 0.4, outputPer1M: 1.6 },
+  'gpt-4.1': { inputPer1M: 2, outputPer1M: 8 },
+  'gpt-4-turbo': { inputPer1M: 10, outputPer1M: 30 },
+  'gpt-3.5-turbo': { inputPer1M: 0.5, outputPer1M: 1.5 },
+};
+
+// Run whose LLM calls are being counted: { usage, onBudgetExceeded }
+const currentRun = new AsyncLocalStorage();
+
+// Loaded lazily, then kept in memory; writes are chained so they never interleave
+let state = null;
+let writeQueue = Promise.resolve();
+
+// Models already warned about having no price
+const unpricedModels = new Set();
+
+/**
+ * Empty counters
+ * @returns {{calls: number, promptTokens: number, completionTokens: number, costUsd: number}}
+ */
+function emptyCounters() {
+  return { calls: 0, promptTokens: 0, completionTokens: 0, costUsd: 0 };
+}
+
+/**
+ * Add one call to a usage group and to its purpose
+ * @param {Object} group - Counters with byPurpose
+ * @param {string} purpose - LLM_PURPOSE value
+ * @param {Object} call - { promptTokens, completionTokens, costUsd }
+ */
+function addCall(group, purpose, call) {
+  group.byPurpose[purpose] ??= emptyCounters();
+
+  for (const counters of [group, group.byPurpose[purpose]]) {
+    counters.calls++;
+    counters.promptTokens += call.promptTokens;
+    counters.completionTokens += call.completionTokens;
+    counters.costUsd += call.costUsd;
+  }
+}
+
+/**
+ * Round a cost for display (float sums drift)
+ * @param {number} usd
+ * @returns {number}
+ */
+function roundCost(usd) {
+  return Math.round(usd * 1e6) / 1e6;
+}
+
+/**
+ * Copy of a usage group with its costs rounded
+ * @param {Object} group - Counters with byPurpose
+ * @returns {Object}
+ */
+function formatGroup(group) {
+  return {
+    ...group,
+    costUsd: roundCost(group.costUsd),
+    byPurpose: Object.fromEntries(
+      Object.entries(group.byPurpose).map(([purpose, counters]) => [
+        purpose,
+        { ...counters, costUsd: roundCost(counters.costUsd) },
+      ])
+    ),
+  };
+}
+
+/**
+ * Day a call is counted in, as YYYY-MM-DD in SCHEDULER_TIMEZONE
+ * @param {Date} date
+ * @returns {string}
+ */
+function getDayKey(date = new Date()) {
+  // en-CA formats dates as YYYY-MM-DD
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: config.scheduler.timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).format(date);
+}
+
+/**
+ * Price of a model
+ * @param {string} model
+ * @returns {{inputPer1M: number, outputPer1M: number}|null} - null if the model has no known price
+ */
+export function getModelPrice(model) {
+  const { inputPricePer1M, outputPricePer1M } = config.llmUsage;
+  if (inputPricePer1M !== null || outputPricePer1M !== null) {
+    return { inputPer1M: inputPricePer1M || 0, outputPer1M: outputPricePer1M || 0 };
+  }
+
+  const prefix = Object.keys(MODEL_PRICES)
+    .filter((name) => model === name || model?.startsWith(`${name}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? MODEL_PRICES[prefix] : null;
+}
+
+/**
+ * Estimated cost of a call
+ * Models without a known price (local models, fixtures) cost 0, so budgets never stop them
+ * @param {string} model
+ * @param {Object} usage - { promptTokens, completionTokens }
+ * @returns {number} - USD
+ */
+function estimateCost(model, { promptTokens, completionTokens }) {
+  const price = getModelPrice(model);
+  if (!price) {
+    if (!unpricedModels.has(model)) {
+      unpricedModels.add(model);
+      logger.warn('No price known for LLM model - its cost is counted as 0. Set LLM_INPUT_PRICE_PER_1M and LLM_OUTPUT_PRICE_PER_1M', { model });
+    }
+    return 0;
+  }
+  return (promptTokens * price.inputPer1M + completionTokens * price.outputPer1M) / 1e6;
+}
+
+/**
+ * Load the usage file (once)
+ * @returns {Promise<Object>}
+ */
+async function loadState() {
+  if (!state) {
+    const loaded = await readJsonFile(config.llmUsage.path, { version: USAGE_VERSION, days: {}, jobs: [] });
+    // Another call may have loaded it while this one was reading
+    state ??= loaded;
+  }
+  return state;
+}
+
+/**
+ * Persist the in-memory usage to disk
+ * A failed write is logged - accounting never fails a scrape
+ * @returns {Promise<void>}
+ */
+function persistState() {
+  writeQueue = writeQueue
+    .then(() => writeJsonFile(config.llmUsage.path, state))
+    .catch((error) => {
+      logger.warn('Could not save LLM usage', { path: config.llmUsage.path, error: error.message });
+    });
+  return writeQueue;
+}
+
+/**
+ * Usage record of a scrape run
+ * @param {Object} run
+ * @param {string} run.runId - Job ID
+ * @param {string} run.account - Account scraped
+ * @returns {Object}
+ */
+export function createLlmUsage({ runId, account }) {
+  return {
+    runId,
+    account,
+    startedAt: new Date().toISOString(),
+    ...emptyCounters(),
+    byPurpose: {},
+    // { scope: 'job' | 'daily', limitUsd, spentUsd } once a budget stopped the LLM
+    budgetExceeded: null,
+  };
+}
+
+/**
+ * Run a function with every LLM call it makes counted in a run's usage
+ * @param {Object} usage - From createLlmUsage()
+ * @param {Function} fn - Async function to run
+ * @param {Object} options
+ * @param {Function} options.onBudgetExceeded - Called once with { scope, limitUsd, spentUsd } when a budget stops the LLM
+ * @returns {Promise<*>} - What fn returns
+ */
+export function trackLlmUsage(usage, fn, options = {}) {
+  const { onBudgetExceeded = () => {} } = options;
+  return currentRun.run({ usage, onBudgetExceeded }, fn);
+}
+
+/**
+ * Usage of a run for its metadata
+ * @param {Object} usage - From createLlmUsage()
+ * @returns {Object} - { calls, promptTokens, completionTokens, costUsd, byPurpose, budgetUsd, budgetExceeded }
+ */
+export function summarizeLlmUsage(usage) {
+  const { calls, promptTokens, completionTokens, costUsd, byPurpose, budgetExceeded } = usage;
+  return {
+    ...formatGroup({ calls, promptTokens, completionTokens, costUsd, byPurpose }),
+    budgetUsd: config.llmUsage.jobBudgetUsd || null,
+    budgetExceeded,
+  };
+}
+
+/**
+ * Build the error for a spent budget, recording it on the current run the first time
+ * @param {Object|undefined} run - Current run ({ usage, onBudgetExceeded })
+ * @param {string} scope - 'job' or 'daily'
+ * @param {number} limitUsd
+ * @param {number} spentUsd
+ * @returns {LlmBudgetExceededError}
+ */
+function budgetExceeded(run, scope, limitUsd, spentUsd) {
+  const details = { scope, limitUsd, spentUsd: roundCost(spentUsd) };
+
+  if (run && !run.usage.budgetExceeded) {
+    run.usage.budgetExceeded = details;
+    logger.error('LLM budget exceeded - no more LLM calls for this run', { runId: run.usage.runId, ...details });
+    run.onBudgetExceeded(details);
+  }
+
+  return new LlmBudgetExceededError(
+    `LLM ${scope} budget exceeded: $${details.spentUsd} spent of $${limitUsd}`,
+    // Tomorrow's budget is a fresh one; a new run would spend its own again
+    { retryable: scope === 'daily' }
+  );
+}
+
+/**
+ * Check the budgets before a call
+ * @returns {Promise<void>}
+ * @throws {LlmBudgetExceededError} - If the current run or the day has spent its budget
+ */
+export async function checkLlmBudget() {
+  const { jobBudgetUsd, dailyBudgetUsd } = config.llmUsage;
+  const run = currentRun.getStore();
+
+  if (run && jobBudgetUsd > 0 && run.usage.costUsd >= jobBudgetUsd) {
+    throw budgetExceeded(run, 'job', jobBudgetUsd, run.usage.costUsd);
+  }
+
+  if (dailyBudgetUsd > 0) {
+    let spentToday = 0;
+    try {
+      spentToday = (await loadState()).days[getDayKey()]?.costUsd || 0;
+    } catch (error) {
+      logger.warn('Could not load LLM usage', { path: config.llmUsage.path, error: error.message });
+    }
+    if (spentToday >= dailyBudgetUsd) {
+      throw budgetExceeded(run, 'daily', dailyBudgetUsd, spentToday);
+    }
+  }
+}
+
+/**
+ * Count a completed call for the current run and the day
+ * @param {Object} call
+ * @param {string} call.purpose - LLM_PURPOSE value
+ * @param {string} call.model - Model that answered
+ * @param {Object} call.usage - { promptTokens, completionTokens }
+ * @returns {Promise<void>}
+ */
+export async function recordLlmUsage({ purpose, model, usage }) {
+  const call = {
+    promptTokens: usage.promptTokens || 0,
+    completionTokens: usage.completionTokens || 0,
+    costUsd: estimateCost(model, usage),
+  };
+
+  const run = currentRun.getStore();
+  if (run) {
+    addCall(run.usage, purpose, call);
+  }
+  logger.debug('LLM call', { purpose, model, ...call, runId: run?.usage.runId });
+
+  let usageState;
+  try {
+    usageState = await loadState();
+  } catch (error) {
+    logger.warn('Could not load LLM usage', { path: config.llmUsage.path, error: error.message });
+    return;
+  }
+
+  const today = getDayKey();
+  usageState.days[today] ??= { ...emptyCounters(), byPurpose: {} };
+  addCall(usageState.days[today], purpose, call);
+
+  // Day keys sort chronologically
+  const days = Object.keys(usageState.days).sort();
+  days.slice(0, Math.max(days.length - config.llmUsage.retentionDays, 0))
+    .forEach((day) => delete usageState.days[day]);
+
+  await persistState();
+}
+
+/**
+ * Keep a finished run's usage for the metrics endpoint
+ * Runs that never called the LLM are not kept.
+ * @param {Object} usage - From createLlmUsage()
+ * @returns {Promise<void>}
+ */
+export async function saveLlmUsage(usage) {
+  if (usage.calls === 0 && !usage.budgetExceeded) {
+    return;
+  }
+
+  let usageState;
+  try {
+    usageState = await loadState();
+  } catch (error) {
+    logger.warn('Could not load LLM usage', { path: config.llmUsage.path, error: error.message });
+    return;
+  }
+
+  usageState.jobs = [...usageState.jobs, { ...usage, costUsd: roundCost(usage.costUsd) }]
+    .slice(-config.llmUsage.maxJobs);
+  await persistState();
+}
+
+/**
+ * LLM usage metrics: budgets, totals per day and the latest runs, newest first
+ * @param {Object} options
+ * @param {number} options.days - Days to include (default 7)
+ * @param {number} options.jobs - Runs to include (default 20)
+ * @returns {Promise<Object>}
+ */
+export async function getLlmUsageMetrics(options = {}) {
+  const { days = 7, jobs = 20 } = options;
+  const usageState = await loadState();
+  const { model } = config.llm;
+  const { jobBudgetUsd, dailyBudgetUsd } = config.llmUsage;
+
+  const todayKey = getDayKey();
+  const today = formatGroup(usageState.days[todayKey] || { ...emptyCounters(), byPurpose: {} });
+
+  return {
+    provider: config.llm.provider,
+    model,
+    price: getModelPrice(model),
+    budgets: {
+      jobUsd: jobBudgetUsd || null,
+      dailyUsd: dailyBudgetUsd || null,
+      remainingTodayUsd: dailyBudgetUsd > 0 ? roundCost(Math.max(dailyBudgetUsd - today.costUsd, 0)) : null,
+    },
+    today: { date: todayKey, ...today },
+    days: Object.keys(usageState.days)
+      .sort()
+      .reverse()
+      .slice(0, days)
+      .map((date) => ({ date, ...formatGroup(usageState.days[date]) })),
+    jobs: usageState.jobs
+      .slice(-jobs)
+      .reverse()
+      .map(formatGroup),
+  };
+}
@@ -1,6 +1,6 @@
 /**
  * Smart Selector Queries for Tokko Broker
- * Simple field names - OpenAI will interpret them naturally
+ * Simple field names - the LLM will interpret them naturally
  * 
  * Usage: const response = await page.queryElements(QUERY);
  */
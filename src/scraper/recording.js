@@ -0,0 +1,718 @@
+import { mkdir, rm, stat, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { config } from '../config/index.js';
+import { logger } from '../utils/logger.js';
+import { readJsonFile, writeJsonFile } from '../utils/json-file.js';
+
+/**
+ * Record and replay of Tokko sessions
+ *
+ * Record mode runs a scrape in a context of its own that saves every request
+ * (HAR with embedded bodies) plus the page DOM after each major step, under
+ * <RECORDINGS_PATH>/<name>/:
+ *
+ *   session.har, snapshots/01-login.html, ..., recording.json
+ *
+ * Replay mode serves session.har to Playwright through request routing, so
+ * scrapeLeads() runs offline against what Tokko answered back then. Requests
+ * that aren't in the recording are aborted (and logged).
+ *
+ * Before anything is written, recordings are scrubbed: cookies and auth
+ * headers are redacted, the account's email and password are swapped for
+ * REPLAY_CREDENTIALS (replay logs in with them, so the login request still
+ * matches), and contact/agent names, emails and phones are replaced with
+ * consistent pseudonyms. Names are found by structure (PERSONAL_DATA_FIELDS)
+ * in every HTML page, fragment and snapshot, so rows the run never extracted -
+ * past the target date, or after a failure - are scrubbed too.
+ */
+
+/**
+ * Recording modes
+ */
+export const RECORDING_MODE = {
+  RECORD: 'record',
+  REPLAY: 'replay',
+};
+
+const HAR_FILE = 'session.har';
+// Written by Playwright when the context closes, deleted once scrubbed
+const RAW_HAR_FILE = 'session.raw.har';
+const MANIFEST_FILE = 'recording.json';
+const SNAPSHOTS_DIRECTORY = 'snapshots';
+
+// Recording names become directory names
+const RECORDING_NAME_PATTERN = /^[\w-][\w.-]*$/;
+
+// Credentials stored in recordings in place of the real ones
+const REPLAY_CREDENTIALS = {
+  email: 'recorded-user@example.com',
+  password: 'recorded-password',
+};
+
+const SENSITIVE_HEADERS = new Set([
+  'authorization',
+  'cookie',
+  'proxy-authorization',
+  'set-cookie',
+  'x-csrf-token',
+  'x-csrftoken',
+  'x-xsrf-token',
+]);
+
+const REDACTED = 'REDACTED';
+
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g;
+// Same shape the scraper reads phones with (see getContactInfo in leads.js)
+const PHONE_PATTERN = /\+?\d[\d\s()-]{8,}\d/g;
+// Phones the run didn't extract are only replaced in international format or after a label
+// ("Tel: 11 4567-8901" in contact tooltips), to leave dates and IDs alone
+const INTERNATIONAL_PHONE_PATTERN = /^\+\d/;
+const PHONE_LABEL_PATTERN = /(?:tel|cel|tel[eé]fono|celular|m[oó]vil|whatsapp)\.?:?\s*$/i;
+
+// Bodies worth scrubbing (images, fonts and the like are kept as they are)
+const TEXT_MIME_PATTERN = /text|json|javascript|xml|html|x-www-form-urlencoded/i;
+const HTML_MIME_PATTERN = /html/i;
+const JSON_MIME_PATTERN = /json/i;
+
+// "Contact (Agent)", as in the lead rows
+const CONTACT_CELL_PATTERN = /^([^(]+?)\s*\(([^)]+)\)/;
+
+/**
+ * Elements that hold personal data, by their class (or ID)
+ * Their text is replaced wherever they show up, and the names found in them
+ * are replaced everywhere else too (tooltips, titles, attributes, scripts).
+ * - pattern: tested against the element's class and ID (inputs have no text, so #username is left alone)
+ * - labels: texts inside the element that the scraper reads, kept as they are
+ * - replace: (text, name) => scrubbed text, with name(kind, value) returning a pseudonym
+ */
+const PERSONAL_DATA_FIELDS = [
+  // Lead rows: <div class="class_contact_tooltip">Contact (Agent)</div> (see LEADS_SELECTORS in leads.js)
+  {
+    pattern: /\bclass_contact_tooltip\b/,
+    replace: (text, name) => {
+      const match = text.match(CONTACT_CELL_PATTERN);
+      return match
+        ? `${name('Contacto', match[1])} (${name('Agente', match[2])})${text.slice(match[0].length)}`
+        : name('Contacto', text);
+    },
+  },
+  // Property quick display: <div class="property-agent"><p>Agente</p><p>Agent</p><button>Contactar</button></div>
+  {
+    pattern: /\bproperty-agent\b/,
+    labels: ['Agente', 'Contactar'],
+    replace: (text, name) => name('Agente', text),
+  },
+  // Page header: the logged-in Tokko user (user-name, user_info, usuario-menu, ...)
+  {
+    pattern: /\b(user|usuario)[-_]?(name|nombre|info|menu)\b/i,
+    replace: (text, name) => name('Usuario', text),
+  },
+];
+
+// Elements without a closing tag
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr',
+]);
+
+// Comments, script and style blocks (kept whole), tags, and the text between them
+const HTML_TOKEN_PATTERN = /<!--[\s\S]*?-->|<(script|style)\b[^>]*>[\s\S]*?<\/\1\s*>|<\/?[a-zA-Z][^>]*>|[^<]+|</gi;
+const ATTRIBUTE_PATTERN = /\s(class|id)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/gi;
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0' };
+
+/**
+ * Directory of a recording
+ * @param {string} name - Recording name
+ * @returns {string}
+ * @throws {Error} - If the name isn't a plain file name
+ */
+function getRecordingDirectory(name) {
+  if (typeof name !== 'string' || !RECORDING_NAME_PATTERN.test(name)) {
+    throw new Error(`Invalid recording name "${name}" - use letters, digits, ".", "_" and "-"`);
+  }
+  return path.join(config.recordings.path, name);
+}
+
+/**
+ * Escape a string for use in a RegExp
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Decode the HTML entities of a text node
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return String.fromCodePoint(point);
+    }
+    return HTML_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+/**
+ * Escape a text for an HTML text node
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Personal data field of an opening tag, by its class and ID
+ * @param {string} tag - Opening tag
+ * @returns {Object|null} - One of PERSONAL_DATA_FIELDS
+ */
+function getPersonalDataField(tag) {
+  for (const [, , ...values] of tag.matchAll(ATTRIBUTE_PATTERN)) {
+    const value = values.find((candidate) => candidate !== undefined);
+    const field = PERSONAL_DATA_FIELDS.find(({ pattern }) => pattern.test(value));
+    if (field) return field;
+  }
+  return null;
+}
+
+/**
+ * Replace the text of the personal data fields of an HTML document or fragment
+ * A small tokenizer rather than a parser: it only tracks which elements are open
+ * @param {string} html
+ * @param {Function} replaceText - (field, text) => replacement, for each text node inside a field
+ * @returns {string}
+ */
+function replaceFieldText(html, replaceText) {
+  // Open elements: { name, field } - unclosed ones (<p>, <td>) are popped with their parent
+  const open = [];
+
+  return html.replace(HTML_TOKEN_PATTERN, (token, block) => {
+    if (token[0] !== '<' || token.length === 1) {
+      const field = open.findLast((element) => element.field)?.field;
+      return field ? replaceText(field, token) : token;
+    }
+    if (block || token.startsWith('<!--')) {
+      return token;
+    }
+
+    const [, closing, tagName] = token.match(/^<(\/?)([a-zA-Z][\w:-]*)/);
+    const name = tagName.toLowerCase();
+
+    if (closing) {
+      const index = open.map((element) => element.name).lastIndexOf(name);
+      if (index >= 0) open.length = index;
+    } else if (!VOID_ELEMENTS.has(name) && !token.endsWith('/>')) {
+      open.push({ name, field: getPersonalDataField(token) });
+    }
+    return token;
+  });
+}
+
+/**
+ * Ways a value may be encoded in a URL or request body
+ * @param {string} value
+ * @returns {Array<string>}
+ */
+function encodings(value) {
+  return [
+    value,
+    encodeURIComponent(value),
+    new URLSearchParams({ v: value }).toString().slice(2),
+  ];
+}
+
+/**
+ * Build the scrubber of a recording
+ * Pseudonyms are consistent: the same contact gets the same name, email and phone everywhere.
+ * Call learn() with every HTML body first, so names found late are scrubbed everywhere.
+ * @param {Object} account - Tokko account that was recorded
+ * @param {Array} leads - Leads extracted by the run
+ * @returns {{learn: Function, request: Function, response: Function, html: Function, json: Function, counts: Object}}
+ */
+function createScrubber(account, leads) {
+  const counts = { names: 0, emails: 0, phones: 0 };
+  const pseudonyms = new Map();
+
+  const pseudonym = (kind, value, build) => {
+    const key = `${kind}:${value}`;
+    if (!pseudonyms.has(key)) {
+      counts[kind]++;
+      pseudonyms.set(key, build(counts[kind]));
+    }
+    return pseudonyms.get(key);
+  };
+
+  // Credentials, in every encoding they may have been sent with
+  const credentials = [
+    [account.email, REPLAY_CREDENTIALS.email],
+    [account.password, REPLAY_CREDENTIALS.password],
+  ]
+    .filter(([value]) => value)
+    .flatMap(([value, replacement]) => {
+      const replacements = encodings(replacement);
+      return encodings(value).map((encoded, index) => [encoded, replacements[index]]);
+    });
+
+  // Names of contacts, agents and the user - from the extracted leads and PERSONAL_DATA_FIELDS
+  const names = new Map();
+  let namePattern = null;
+
+  /**
+   * Pseudonym of a name found in a personal data field (remembered for the other places it shows up)
+   * @param {string} kind - Pseudonym prefix (Contacto, Agente, Usuario)
+   * @param {string} value
+   * @returns {string}
+   */
+  const fieldName = (kind, value) => {
+    const name = value.replace(/\s+/g, ' ').trim();
+    if (!names.has(name)) {
+      names.set(name, kind);
+      namePattern = null;
+    }
+    return pseudonym('names', name, (index) => `${names.get(name)} ${index}`);
+  };
+
+  for (const lead of leads) {
+    if (lead.contact?.name) names.set(lead.contact.name, 'Contacto');
+    if (lead.agent?.name) names.set(lead.agent.name, 'Agente');
+  }
+
+  /**
+   * Pattern matching every known name, longest first so "Ana María" wins over "Ana"
+   * @returns {RegExp|null}
+   */
+  const getNamePattern = () => {
+    if (!namePattern) {
+      // Shorter ones would match inside ordinary words
+      const alternatives = [...names.keys()]
+        .filter((name) => name.trim().length >= 3)
+        .flatMap((name) => [name, escapeHtml(name)])
+        .sort((a, b) => b.length - a.length)
+        .map(escapeRegExp);
+      namePattern = alternatives.length > 0
+        ? new RegExp(`(?<![\\p{L}\\d])(${[...new Set(alternatives)].join('|')})(?![\\p{L}\\d])`, 'gu')
+        : null;
+    }
+    return namePattern;
+  };
+
+  // Phones the run extracted, as digits
+  const knownPhones = new Set(leads
+    .flatMap((lead) => [lead.contact?.phone, lead.contact?.cellPhone])
+    .filter(Boolean)
+    .map((phone) => phone.replace(/\D/g, '')));
+
+  /**
+   * Keep a phone's format and first digits (country code, mobile prefix), replace the rest
+   * @param {string} phone
+   * @param {number} index
+   * @returns {string}
+   */
+  const fakePhone = (phone, index) => {
+    const digits = phone.replace(/\D/g, '');
+    const kept = Math.min(3, digits.length);
+    const fake = digits.slice(0, kept) + String(index).padStart(digits.length - kept, '0').slice(-(digits.length - kept));
+    let position = 0;
+    return phone.replace(/\d/g, () => fake[position++]);
+  };
+
+  /**
+   * Replace personal data in a string
+   * @param {string} text
+   * @returns {string}
+   */
+  const scrubPersonalData = (text) => {
+    let result = text;
+
+    const pattern = getNamePattern();
+    if (pattern) {
+      result = result.replace(pattern, (match) => {
+        const name = names.has(match) ? match : decodeEntities(match);
+        return pseudonym('names', name, (index) => `${names.get(name)} ${index}`);
+      });
+    }
+
+    result = result.replace(EMAIL_PATTERN, (email) => (
+      email.toLowerCase().endsWith('@example.com')
+        ? email
+        : pseudonym('emails', email.toLowerCase(), (index) => `contact${index}@example.com`)
+    ));
+
+    return result.replace(PHONE_PATTERN, (phone, offset, string) => {
+      const digits = phone.replace(/\D/g, '');
+      const labelled = PHONE_LABEL_PATTERN.test(string.slice(Math.max(0, offset - 20), offset));
+      if (!knownPhones.has(digits) && !labelled && !INTERNATIONAL_PHONE_PATTERN.test(phone)) {
+        return phone;
+      }
+      // Same number, same fake digits - whatever the formatting
+      return fakePhone(phone, pseudonym('phones', digits, (index) => index));
+    });
+  };
+
+  /**
+   * Replace the account's credentials in a string
+   * @param {string} text
+   * @returns {string}
+   */
+  const scrubCredentials = (text) => credentials.reduce(
+    (result, [value, replacement]) => result.split(value).join(replacement),
+    text
+  );
+
+  /**
+   * Replace a text node of a personal data field
+   * @param {Object} field - One of PERSONAL_DATA_FIELDS
+   * @param {string} token - Raw text node
+   * @returns {string}
+   */
+  const replaceField = (field, token) => {
+    const [, before, text, after] = token.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    const decoded = decodeEntities(text);
+    if (!decoded.trim() || field.labels?.includes(decoded.trim())) {
+      return token;
+    }
+    return before + escapeHtml(field.replace(decoded, fieldName)) + after;
+  };
+
+  /**
+   * Scrub an HTML document or fragment: personal data fields first, then everything else
+   * @param {string} text
+   * @returns {string}
+   */
+  const scrubHtml = (text) => scrubPersonalData(replaceFieldText(text, replaceField));
+
+  /**
+   * Apply a function to every string of a JSON body (HTML fragments inside JSON included)
+   * @param {string} text
+   * @param {Function} map - (string) => string
+   * @returns {string|null} - Null if the body isn't JSON
+   */
+  const mapJsonStrings = (text, map) => {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      return null;
+    }
+    const walk = (value) => {
+      if (typeof value === 'string') return map(value);
+      if (Array.isArray(value)) return value.map(walk);
+      if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, walk(item)]));
+      }
+      return value;
+    };
+    return JSON.stringify(walk(data));
+  };
+
+  return {
+    counts,
+    // Find the names in the personal data fields of an HTML or JSON body, without scrubbing it
+    learn: (text, { json = false } = {}) => {
+      if (!text) return;
+      if (json) {
+        mapJsonStrings(text, (value) => (value.includes('<') ? replaceFieldText(value, replaceField) : value));
+      } else {
+        replaceFieldText(text, replaceField);
+      }
+    },
+    // Requests can carry the credentials (login form) as well as personal data
+    request: (text) => (text ? scrubPersonalData(scrubCredentials(text)) : text),
+    response: (text) => (text ? scrubPersonalData(text) : text),
+    html: (text) => (text ? scrubHtml(text) : text),
+    json: (text) => (text
+      ? mapJsonStrings(text, (value) => (value.includes('<') ? scrubHtml(value) : scrubPersonalData(value)))
+        ?? scrubPersonalData(text)
+      : text),
+  };
+}
+
+/**
+ * Redact sensitive headers and cookies, scrub the rest
+ * @param {Array} headers - HAR headers [{ name, value }]
+ * @param {Function} scrub
+ * @returns {Array}
+ */
+function scrubHeaders(headers = [], scrub) {
+  return headers.map((header) => {
+    const name = header.name.toLowerCase();
+    if (name === 'set-cookie') {
+      // Keep the cookie name and attributes
+      return { ...header, value: header.value.replace(/^([^=]*)=[^;]*/, `$1=${REDACTED}`) };
+    }
+    if (SENSITIVE_HEADERS.has(name)) {
+      return { ...header, value: REDACTED };
+    }
+    return { ...header, value: scrub(header.value) };
+  });
+}
+
+/**
+ * Text of a HAR body ({ mimeType, text, encoding })
+ * @param {Object} content
+ * @returns {string|null} - Null for binary bodies (images, fonts and the like)
+ */
+function getBodyText(content) {
+  if (!content?.text || !TEXT_MIME_PATTERN.test(content.mimeType || '')) {
+    return null;
+  }
+  return content.encoding === 'base64' ? Buffer.from(content.text, 'base64').toString('utf8') : content.text;
+}
+
+/**
+ * Scrub a HAR response body, by its type
+ * @param {Object} content
+ * @param {Object} scrubber - From createScrubber
+ * @returns {Object}
+ */
+function scrubContent(content, scrubber) {
+  const original = getBodyText(content);
+  if (original === null) {
+    return content;
+  }
+
+  const mimeType = content.mimeType || '';
+  const text = HTML_MIME_PATTERN.test(mimeType) ? scrubber.html(original)
+    : JSON_MIME_PATTERN.test(mimeType) ? scrubber.json(original)
+      : scrubber.response(original);
+
+  if (content.encoding === 'base64') {
+    const body = Buffer.from(text, 'utf8');
+    return { ...content, text: body.toString('base64'), size: body.length };
+  }
+  return { ...content, text, size: Buffer.byteLength(text) };
+}
+
+/**
+ * Scrub every entry of a HAR
+ * @param {Object} har - Parsed HAR
+ * @param {Object} scrubber - From createScrubber
+ * @returns {Object}
+ */
+function scrubHar(har, scrubber) {
+  const redactCookie = (cookie) => ({ ...cookie, value: REDACTED });
+
+  const entries = har.log.entries.map((entry) => {
+    const { request, response } = entry;
+    return {
+      ...entry,
+      request: {
+        ...request,
+        url: scrubber.request(request.url),
+        headers: scrubHeaders(request.headers, scrubber.request),
+        cookies: (request.cookies || []).map(redactCookie),
+        queryString: (request.queryString || []).map((param) => ({
+          ...param,
+          value: scrubber.request(param.value),
+        })),
+        ...(request.postData && {
+          postData: {
+            ...request.postData,
+            text: scrubber.request(request.postData.text),
+            ...(request.postData.params && {
+              params: request.postData.params.map((param) => ({ ...param, value: scrubber.request(param.value) })),
+            }),
+          },
+        }),
+      },
+      response: {
+        ...response,
+        // Bodies change length once scrubbed - Playwright sets it again on replay
+        headers: scrubHeaders(response.headers, scrubber.response)
+          .filter((header) => header.name.toLowerCase() !== 'content-length'),
+        cookies: (response.cookies || []).map(redactCookie),
+        content: scrubContent(response.content, scrubber),
+        redirectURL: scrubber.response(response.redirectURL),
+      },
+    };
+  });
+
+  return { ...har, log: { ...har.log, entries } };
+}
+
+/**
+ * Start recording a scrape, or set up the replay of a recording
+ * @param {string} mode - One of RECORDING_MODE
+ * @param {string} name - Recording name (directory under RECORDINGS_PATH)
+ * @returns {Promise<Object>} - Recording: contextOptions, loginAccount(), attach(), snapshot(), finish()
+ * @throws {Error} - Invalid name, or (replay) no such recording
+ */
+export async function createRecording(mode, name) {
+  const directory = getRecordingDirectory(name);
+  const harPath = path.join(directory, HAR_FILE);
+  const rawHarPath = path.join(directory, RAW_HAR_FILE);
+
+  if (mode === RECORDING_MODE.REPLAY) {
+    const exists = await stat(harPath).then(() => true, () => false);
+    if (!exists) {
+      throw new Error(`Recording "${name}" not found (no ${harPath}). Record it first`);
+    }
+  } else {
+    // Start clean - leftovers of an earlier recording with the same name would mix in
+    await rm(directory, { recursive: true, force: true });
+    await mkdir(directory, { recursive: true });
+  }
+
+  logger.info(mode === RECORDING_MODE.REPLAY ? 'Replaying recording' : 'Recording session', { name, directory });
+
+  // DOM snapshots are held in memory until they can be scrubbed
+  const snapshots = [];
+  let page = null;
+  let finished = false;
+
+  return {
+    mode,
+    name,
+
+    // Options for browser.newContext()
+    contextOptions: mode === RECORDING_MODE.RECORD
+      ? { recordHar: { path: rawHarPath, content: 'embed', mode: 'full' } }
+      : {},
+
+    /**
+     * Account to log in with - on replay, the credentials stored in the recording
+     * @param {Object} account - Tokko account
+     * @returns {Object}
+     */
+    loginAccount(account) {
+      return mode === RECORDING_MODE.REPLAY ? { ...account, ...REPLAY_CREDENTIALS } : account;
+    },
+
+    /**
+     * Follow the context (on replay, route its requests to the recording)
+     * @param {Page} newPage
+     * @param {BrowserContext} context
+     */
+    async attach(newPage, context) {
+      page = newPage;
+
+      if (mode === RECORDING_MODE.REPLAY) {
+        context.on('requestfailed', (request) => {
+          logger.debug('Request not in recording, aborted', { method: request.method(), url: request.url() });
+        });
+        await context.routeFromHAR(harPath, { notFound: 'abort' });
+      }
+    },
+
+    /**
+     * Keep the DOM of the page after a step (record mode)
+     * @param {string} step - Step name, used in the file name
+     */
+    async snapshot(step) {
+      if (mode !== RECORDING_MODE.RECORD || !page || page.isClosed()) {
+        return;
+      }
+
+      try {
+        snapshots.push({ step, html: await page.content() });
+      } catch (error) {
+        logger.warn('Could not take DOM snapshot', { name, step, error: error.message });
+      }
+    },
+
+    /**
+     * Scrub and save the recording - call after the context was closed (that's when the HAR is written)
+     * @param {Object} details
+     * @param {Object} details.account - Tokko account that was recorded
+     * @param {Array} details.leads - Leads extracted by the run (their names and phones are scrubbed)
+     * @param {Object} details.options - Scrape options, saved in recording.json for reference
+     */
+    async finish({ account, leads = [], options = {} }) {
+      if (finished || mode !== RECORDING_MODE.RECORD) {
+        return;
+      }
+      finished = true;
+      page = null;
+
+      const scrubber = createScrubber(account, leads);
+
+      try {
+        const har = await readJsonFile(rawHarPath, null);
+        if (!har) {
+          logger.warn('No HAR was written for recording', { name });
+          return;
+        }
+
+        // Names first, from every page and fragment - one may show up in a request before its row
+        for (const { response } of har.log.entries) {
+          const mimeType = response.content?.mimeType || '';
+          if (HTML_MIME_PATTERN.test(mimeType) || JSON_MIME_PATTERN.test(mimeType)) {
+            scrubber.learn(getBodyText(response.content), { json: JSON_MIME_PATTERN.test(mimeType) });
+          }
+        }
+        snapshots.forEach(({ html }) => scrubber.learn(html));
+
+        const scrubbed = scrubHar(har, scrubber);
+        await writeJsonFile(harPath, scrubbed);
+
+        await mkdir(path.join(directory, SNAPSHOTS_DIRECTORY), { recursive: true });
+        for (const [index, { step, html }] of snapshots.entries()) {
+          const fileName = `${String(index + 1).padStart(2, '0')}-${step}.html`;
+          await writeFile(path.join(directory, SNAPSHOTS_DIRECTORY, fileName), scrubber.html(html));
+        }
+
+        await writeJsonFile(path.join(directory, MANIFEST_FILE), {
+          name,
+          account: account.name,
+          recordedAt: new Date().toISOString(),
+          options,
+          requests: scrubbed.log.entries.length,
+          snapshots: snapshots.map(({ step }) => step),
+          leads: leads.length,
+          pseudonyms: scrubber.counts,
+        });
+
+        logger.info('Recording saved', {
+          name,
+          directory,
+          requests: scrubbed.log.entries.length,
+          snapshots: snapshots.length,
+          pseudonyms: scrubber.counts,
+        });
+      } catch (error) {
+        logger.error('Failed to save recording', { name, error: error.message });
+      } finally {
+        // The raw HAR holds cookies, credentials and contact data
+        await rm(rawHarPath, { force: true });
+        snapshots.length = 0;
+      }
+    },
+  };
+}
+
+/**
+ * Read the manifest of a recording
+ * @param {string} name - Recording name
+ * @returns {Promise<Object|null>} - Null if there is none
+ */
+export async function getRecordingManifest(name) {
+  return readJsonFile(path.join(getRecordingDirectory(name), MANIFEST_FILE), null);
+}
+
+/**
+ * Scrape options a recording was made with, so a replay runs with the same cutoffs
+ * @param {string} name - Recording name
+ * @returns {Promise<Object|null>} - scrapeLeads() options (targetDate, startDate, maxLeads, extractDetails, status, mode),
+ *   null if there is no manifest
+ */
+export async function getRecordedOptions(name) {
+  const options = (await getRecordingManifest(name))?.options;
+  if (!options) {
+    return null;
+  }
+
+  // Options missing from older manifests are left to the scrapeLeads() defaults
+  return {
+    ...(options.targetDate && { targetDate: new Date(options.targetDate) }),
+    startDate: options.startDate ? new Date(options.startDate) : null,
+    maxLeads: options.maxLeads,
+    extractDetails: options.extractDetails,
+    status: options.status,
+    mode: options.mode,
+  };
+}
@@ -0,0 +1,163 @@
+import { config } from '../config/index.js';
+import { logger } from '../utils/logger.js';
+import { ERROR_CODE, toScraperError } from './errors.js';
+
+/**
+ * Retry policies for flaky scraper steps
+ *
+ * Tokko pages sometimes load slowly or render a control a moment late. Steps
+ * that hit those glitches run through withRetry(), which retries them by error
+ * code with exponential backoff and jitter.
+ *
+ * A step's policy is built from (later wins): DEFAULT_POLICY, STEP_DEFAULTS,
+ * SCRAPE_RETRY_POLICY (all steps) and SCRAPE_RETRY_STEPS (per step).
+ */
+
+/**
+ * Steps that are retried
+ */
+export const RETRY_STEP = {
+  LOGIN: 'login',
+  NAVIGATION: 'navigation',
+  BRANCH_FILTER: 'branch_filter',
+  PROPERTY_DETAILS: 'property_details',
+};
+
+const DEFAULT_POLICY = {
+  // Total tries, including the first one
+  attempts: 3,
+  initialBackoffMs: 1000,
+  maxBackoffMs: 10000,
+  backoffFactor: 2,
+  // Each delay is randomized by up to ± this fraction
+  jitter: 0.2,
+  // Error codes (ERROR_CODE) worth retrying
+  retryOn: [ERROR_CODE.TOKKO_UNREACHABLE, ERROR_CODE.TIMEOUT],
+};
+
+const STEP_DEFAULTS = {
+  // The login form and its button may still be rendering
+  [RETRY_STEP.LOGIN]: {
+    retryOn: [ERROR_CODE.TOKKO_UNREACHABLE, ERROR_CODE.TIMEOUT, ERROR_CODE.SELECTOR_NOT_FOUND],
+  },
+  [RETRY_STEP.NAVIGATION]: {},
+  // The Sucursal dropdown options show up after an XHR
+  [RETRY_STEP.BRANCH_FILTER]: {
+    retryOn: [ERROR_CODE.TOKKO_UNREACHABLE, ERROR_CODE.TIMEOUT, ERROR_CODE.SELECTOR_NOT_FOUND],
+  },
+  // Runs once per lead (and some properties never open a modal) - keep it short
+  [RETRY_STEP.PROPERTY_DETAILS]: {
+    attempts: 2,
+    initialBackoffMs: 500,
+    maxBackoffMs: 2000,
+  },
+};
+
+/**
+ * Effective retry policy of a step
+ * @param {string} step - One of RETRY_STEP
+ * @returns {Object} - { attempts, initialBackoffMs, maxBackoffMs, backoffFactor, jitter, retryOn }
+ */
+export function getRetryPolicy(step) {
+  return {
+    ...DEFAULT_POLICY,
+    ...STEP_DEFAULTS[step],
+    ...config.scraper.retry,
+    ...config.scraper.retrySteps[step],
+  };
+}
+
+/**
+ * Exponential backoff with jitter before a retry
+ * @param {Object} policy - Retry policy
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @returns {number} - Delay in ms
+ */
+function getBackoffDelay(policy, attempt) {
+  const delay = Math.min(
+    policy.maxBackoffMs,
+    policy.initialBackoffMs * policy.backoffFactor ** (attempt - 1)
+  );
+  return Math.max(0, Math.round(delay * (1 + (Math.random() * 2 - 1) * policy.jitter)));
+}
+
+/**
+ * Wait before a retry, stopping early when the scrape is cancelled
+ * @param {number} ms
+ * @param {AbortSignal} signal
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Run a step, retrying it according to its policy
+ * @param {string} step - One of RETRY_STEP
+ * @param {Function} fn - The step; called with the attempt number (1-based)
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - No more retries once aborted
+ * @param {Object} options.stats - Per-run counters, updated as { [step]: { runs, retries, failures } }
+ * @param {Object} options.context - Extra fields for the retry logs
+ * @returns {Promise<*>} - Result of fn
+ * @throws {ScraperError} - The last error, when it isn't retryable or attempts ran out
+ */
+export async function withRetry(step, fn, options = {}) {
+  const { signal = null, stats = null, context = {} } = options;
+  const policy = getRetryPolicy(step);
+  const maxAttempts = Math.max(1, policy.attempts);
+
+  const counters = stats ? (stats[step] ??= { runs: 0, retries: 0, failures: 0 }) : null;
+  if (counters) counters.runs++;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      const scraperError = toScraperError(error);
+      const retry = attempt < maxAttempts
+        && policy.retryOn.includes(scraperError.code)
+        && !signal?.aborted;
+
+      if (!retry) {
+        if (counters) counters.failures++;
+        if (attempt > 1) {
+          logger.warn('Step failed after retries', {
+            step,
+            attempts: attempt,
+            code: scraperError.code,
+            error: scraperError.message,
+            ...context,
+          });
+        }
+        throw scraperError;
+      }
+
+      const delay = getBackoffDelay(policy, attempt);
+      if (counters) counters.retries++;
+      logger.warn('Step failed, retrying', {
+        step,
+        attempt,
+        maxAttempts,
+        code: scraperError.code,
+        error: scraperError.message,
+        retryInMs: delay,
+        ...context,
+      });
+      await sleep(delay, signal).catch((abortError) => {
+        throw toScraperError(abortError);
+      });
+    }
+  }
+}
@@ -0,0 +1,280 @@
+import { createHash } from 'node:crypto';
+import { config } from '../config/index.js';
+import { logger } from '../utils/logger.js';
+import { readJsonFile, writeJsonFile } from '../utils/json-file.js';
+
+/**
+ * Persistent smart-selector cache
+ *
+ * Selectors the LLM resolved for a query are saved so later runs on the same
+ * page skip the OpenAI call. An entry is keyed by:
+ * - the normalized query (its field paths - layout and whitespace don't matter)
+ * - the URL pattern (path only, segments with digits replaced by ":id")
+ * - a structural fingerprint of the page (tags, IDs and classes - not text, not row counts)
+ * Before a cached entry is used, each of its selectors must match an element in
+ * the live DOM; otherwise the entry is dropped and the LLM is asked again.
+ *
+ * File layout:
+ * {
+ *   "version": 1,
+ *   "entries": { "<key>": { query, urlPattern, fingerprint, selectors, createdAt, lastUsedAt, hits } }
+ * }
+ */
+
+const CACHE_VERSION = 1;
+
+// Loaded lazily, then kept in memory; writes are chained so they never interleave
+let state = null;
+let writeQueue = Promise.resolve();
+
+// Lookups since the process started
+const stats = { hits: 0, misses: 0, invalidated: 0 };
+
+/**
+ * Whether resolved selectors are cached
+ * @returns {boolean}
+ */
+export function isSelectorCacheEnabled() {
+  return config.selectorCache.enabled;
+}
+
+/**
+ * URL pattern of a page: its path, with ID-like segments generalized
+ * e.g. https://www.tokkobroker.com/properties/quick_display/4821/ -> /properties/quick_display/:id/
+ * @param {string} url
+ * @returns {string}
+ */
+export function getUrlPattern(url) {
+  let pathname;
+  try {
+    pathname = new URL(url).pathname;
+  } catch {
+    return url;
+  }
+
+  return pathname
+    .split('/')
+    .map((segment) => (/\d/.test(segment) ? ':id' : segment))
+    .join('/');
+}
+
+/**
+ * Read an attribute from the attribute text of a tag
+ * @param {string} attributes - e.g. ` id="main" class="a b"`
+ * @param {string} name
+ * @returns {string|null}
+ */
+function getAttribute(attributes, name) {
+  const match = attributes.match(new RegExp(`(?:^|\\s)${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`, 'i'));
+  return match ? (match[1] ?? match[2]) : null;
+}
+
+/**
+ * Structural fingerprint of a page
+ * The set of distinct tag#id.class signatures, so the same page with other
+ * data (names, dates, more or fewer rows) gets the same fingerprint. IDs and
+ * classes containing digits are left out - they are usually generated.
+ * @param {string} html - Page HTML (cleaned)
+ * @returns {string}
+ */
+export function getStructuralFingerprint(html) {
+  const isStable = (token) => !/\d/.test(token);
+  const signatures = new Set();
+
+  for (const [, tag, attributes] of html.matchAll(/<([a-z][\w-]*)\b([^>]*)>/gi)) {
+    const id = getAttribute(attributes, 'id');
+    const classes = (getAttribute(attributes, 'class') || '')
+      .split(/\s+/)
+      .filter((name) => name && isStable(name))
+      .sort();
+
+    signatures.add([
+      tag.toLowerCase(),
+      id && isStable(id) ? `#${id}` : '',
+      ...classes.map((name) => `.${name}`),
+    ].join(''));
+  }
+
+  return createHash('sha1').update([...signatures].sort().join('\n')).digest('hex').slice(0, 16);
+}
+
+/**
+ * Cache key of a lookup
+ * @param {Object} key
+ * @param {string} key.query - Normalized query
+ * @param {string} key.urlPattern
+ * @param {string} key.fingerprint
+ * @returns {string}
+ */
+function getEntryKey({ query, urlPattern, fingerprint }) {
+  return createHash('sha1').update(`${query}|${urlPattern}|${fingerprint}`).digest('hex').slice(0, 16);
+}
+
+/**
+ * Load the cache from disk (once)
+ * @returns {Promise<Object>}
+ */
+async function loadState() {
+  if (!state) {
+    const loaded = await readJsonFile(config.selectorCache.path, { version: CACHE_VERSION, entries: {} });
+    // Another call may have loaded it while this one was reading
+    state ??= loaded.version === CACHE_VERSION ? loaded : { version: CACHE_VERSION, entries: {} };
+    logger.debug('Selector cache loaded', {
+      path: config.selectorCache.path,
+      entries: Object.keys(state.entries).length,
+    });
+  }
+  return state;
+}
+
+/**
+ * Persist the in-memory cache to disk
+ * A failed write is logged - the cache only saves LLM calls, it never fails a scrape
+ * @returns {Promise<void>}
+ */
+function persistState() {
+  writeQueue = writeQueue
+    .then(() => writeJsonFile(config.selectorCache.path, state))
+    .catch((error) => {
+      logger.warn('Could not save selector cache', { path: config.selectorCache.path, error: error.message });
+    });
+  return writeQueue;
+}
+
+/**
+ * Hit rate of the lookups so far
+ * @returns {{enabled: boolean, hits: number, misses: number, invalidated: number, hitRate: number|null}}
+ *   invalidated: entries found but dropped because the live DOM no longer matched (also counted as misses)
+ */
+export function getSelectorCacheStats() {
+  const lookups = stats.hits + stats.misses;
+  return {
+    enabled: isSelectorCacheEnabled(),
+    ...stats,
+    hitRate: lookups > 0 ? Math.round((stats.hits / lookups) * 1000) / 1000 : null,
+  };
+}
+
+/**
+ * Check cached selectors against the live DOM
+ * @param {Page} page - Playwright page
+ * @param {Object} selectors - Field path -> selector (null for fields the LLM didn't find)
+ * @returns {Promise<string|null>} - Field path of the first selector that matches nothing, or null if all match
+ */
+async function findStaleSelector(page, selectors) {
+  for (const [field, selector] of Object.entries(selectors)) {
+    if (!selector) continue;
+
+    try {
+      if (await page.locator(selector).count() === 0) {
+        return field;
+      }
+    } catch {
+      // Not a valid selector for this Playwright version
+      return field;
+    }
+  }
+  return null;
+}
+
+/**
+ * Record a lookup and log the running hit rate
+ * @param {boolean} hit
+ * @param {Object} details - Logged with the result
+ */
+function recordLookup(hit, details) {
+  stats[hit ? 'hits' : 'misses']++;
+  const { hitRate } = getSelectorCacheStats();
+  logger.info(hit ? 'Selector cache hit' : 'Selector cache miss', { ...details, hitRate });
+}
+
+/**
+ * Get cached selectors for a query on the current page, if they still match the live DOM
+ * @param {Page} page - Playwright page
+ * @param {Object} key
+ * @param {string} key.query - Normalized query
+ * @param {string} key.urlPattern - From getUrlPattern()
+ * @param {string} key.fingerprint - From getStructuralFingerprint()
+ * @returns {Promise<Object|null>} - Field path -> selector, or null on a miss
+ */
+export async function getCachedSelectors(page, key) {
+  if (!isSelectorCacheEnabled()) {
+    return null;
+  }
+
+  const details = { query: key.query, urlPattern: key.urlPattern };
+
+  let cache;
+  try {
+    cache = await loadState();
+  } catch (error) {
+    logger.warn('Could not load selector cache', { path: config.selectorCache.path, error: error.message });
+    return null;
+  }
+
+  const entryKey = getEntryKey(key);
+  const entry = cache.entries[entryKey];
+  if (!entry) {
+    recordLookup(false, details);
+    return null;
+  }
+
+  const staleField = await findStaleSelector(page, entry.selectors);
+  if (staleField) {
+    stats.invalidated++;
+    delete cache.entries[entryKey];
+    persistState();
+    recordLookup(false, { ...details, staleField, staleSelector: entry.selectors[staleField] });
+    return null;
+  }
+
+  entry.hits++;
+  entry.lastUsedAt = new Date().toISOString();
+  persistState();
+  recordLookup(true, details);
+
+  return entry.selectors;
+}
+
+/**
+ * Save selectors the LLM resolved for a query on the current page
+ * Answers without a single selector are not cached.
+ * @param {Object} key - Same as getCachedSelectors()
+ * @param {Object} selectors - Field path -> selector
+ * @returns {Promise<void>}
+ */
+export async function cacheSelectors(key, selectors) {
+  if (!isSelectorCacheEnabled() || !Object.values(selectors || {}).some(Boolean)) {
+    return;
+  }
+
+  let cache;
+  try {
+    cache = await loadState();
+  } catch (error) {
+    logger.warn('Could not load selector cache', { path: config.selectorCache.path, error: error.message });
+    return;
+  }
+
+  const now = new Date().toISOString();
+  cache.entries[getEntryKey(key)] = {
+    query: key.query,
+    urlPattern: key.urlPattern,
+    fingerprint: key.fingerprint,
+    selectors,
+    createdAt: now,
+    lastUsedAt: now,
+    hits: 0,
+  };
+
+  // Least recently used entries go first
+  const keys = Object.keys(cache.entries);
+  if (keys.length > config.selectorCache.maxEntries) {
+    keys
+      .sort((a, b) => cache.entries[a].lastUsedAt.localeCompare(cache.entries[b].lastUsedAt))
+      .slice(0, keys.length - config.selectorCache.maxEntries)
+      .forEach((oldKey) => delete cache.entries[oldKey]);
+  }
+
+  await persistState();
+}
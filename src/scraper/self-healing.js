@@ -0,0 +1,284 @@
+import { config } from '../config/index.js';
+import { logger } from '../utils/logger.js';
+import { readJsonFile, writeJsonFile } from '../utils/json-file.js';
+import { ERROR_CODE } from './errors.js';
+import { getUrlPattern } from './selector-cache.js';
+
+/**
+ * Self-healing selectors
+ *
+ * The scraper's hard-coded selectors are declared as descriptors:
+ *   { name: 'login.username', selectors: ['#username'], query: 'email_input_of_login_form' }
+ * resolveSelector() tries them in order, a previously healed selector first.
+ * When none matches, the smart selector is asked for the element described by
+ * `query`. A replacement that matches the live DOM becomes the new primary: it
+ * is saved, logged as a healing event, added to the run metadata and listed
+ * by GET /api/selectors/healed until someone approves or rejects it. A rejected
+ * replacement is never picked again.
+ *
+ * File layout:
+ * {
+ *   "version": 1,
+ *   "selectors": { "<name>": { selector, replaced, url, healedAt, review: null | { status, reviewedAt } } },
+ *   "events": [{ name, from, to, url, healedAt }],
+ *   "rejected": { "<name>": ["<selector>", ...] }
+ * }
+ */
+
+const HEALING_VERSION = 1;
+
+// Loaded lazily, then kept in memory; writes are chained so they never interleave
+let state = null;
+let writeQueue = Promise.resolve();
+
+// name -> time of the last healing attempt that found nothing, so a missing
+// element doesn't cost an LLM call on every lead
+const failedAttempts = new Map();
+
+/**
+ * Whether broken selectors are healed (and healed ones used)
+ * @returns {boolean}
+ */
+export function isSelfHealingEnabled() {
+  return config.selfHealing.enabled;
+}
+
+/**
+ * Load the healed selectors from disk (once)
+ * @returns {Promise<Object>}
+ */
+async function loadState() {
+  if (!state) {
+    const loaded = await readJsonFile(config.selfHealing.path, { version: HEALING_VERSION, selectors: {}, events: [] });
+    loaded.rejected ??= {};
+    // Another call may have loaded it while this one was reading
+    state ??= loaded;
+  }
+  return state;
+}
+
+/**
+ * Persist the in-memory state to disk
+ * @returns {Promise<void>}
+ */
+function persistState() {
+  writeQueue = writeQueue
+    .catch(() => {})
+    .then(() => writeJsonFile(config.selfHealing.path, state));
+  return writeQueue;
+}
+
+/**
+ * Selectors to try for a descriptor, in order
+ * @param {Object} descriptor - { name, selectors, query }
+ * @returns {Promise<Array<string>>}
+ */
+async function getCandidates(descriptor) {
+  if (!isSelfHealingEnabled()) {
+    return descriptor.selectors;
+  }
+
+  const healed = (await loadState()).selectors[descriptor.name];
+  return healed
+    ? [healed.selector, ...descriptor.selectors.filter((selector) => selector !== healed.selector)]
+    : descriptor.selectors;
+}
+
+/**
+ * Whether a selector matches an element on the page
+ * @param {Page} page - Playwright page
+ * @param {string} selector
+ * @param {string} elementState - 'attached' or 'visible'
+ * @param {number} timeout - Wait up to this long for it (0: check once)
+ * @returns {Promise<boolean>}
+ */
+async function matches(page, selector, elementState, timeout) {
+  try {
+    const element = page.locator(selector).first();
+
+    if (timeout > 0) {
+      await element.waitFor({ state: elementState, timeout });
+      return true;
+    }
+    return elementState === 'visible' ? await element.isVisible() : await element.count() > 0;
+  } catch {
+    // Timed out, or not a selector Playwright understands
+    return false;
+  }
+}
+
+/**
+ * Resolve a selector descriptor against the page
+ * @param {Page} page - Playwright page with Smart Selector
+ * @param {Object} descriptor - { name, selectors, query }
+ * @param {Object} options
+ * @param {string} options.state - Element state the selector must match: 'attached' (default) or 'visible'
+ * @param {number} options.timeout - Wait up to this long for the first selector (default: check once)
+ * @param {Array} options.healedSelectors - Per-run list the healing events are added to (run metadata)
+ * @returns {Promise<string|null>} - Selector to use, or null if neither the known selectors nor healing found the element
+ */
+export async function resolveSelector(page, descriptor, options = {}) {
+  const { state: elementState = 'attached', timeout = 0, healedSelectors = null } = options;
+
+  let candidates;
+  try {
+    candidates = await getCandidates(descriptor);
+  } catch (error) {
+    logger.warn('Could not load healed selectors', { path: config.selfHealing.path, error: error.message });
+    candidates = descriptor.selectors;
+  }
+
+  for (const [index, selector] of candidates.entries()) {
+    if (await matches(page, selector, elementState, index === 0 ? timeout : 0)) {
+      if (index > 0) {
+        await dropStaleHealedSelector(descriptor, candidates[0]);
+        logger.debug('Resolved selector with a fallback', { name: descriptor.name, selector });
+      }
+      return selector;
+    }
+  }
+
+  const event = await healSelector(page, descriptor, candidates, elementState);
+  if (!event) {
+    return null;
+  }
+
+  healedSelectors?.push(event);
+  return event.to;
+}
+
+/**
+ * Forget a healed selector that no longer matches while a built-in one does
+ * (e.g. Tokko rolled a UI change back)
+ * @param {Object} descriptor
+ * @param {string} selector - Selector that failed to match
+ */
+async function dropStaleHealedSelector(descriptor, selector) {
+  if (!isSelfHealingEnabled() || state?.selectors[descriptor.name]?.selector !== selector) {
+    return;
+  }
+
+  delete state.selectors[descriptor.name];
+  logger.info('Healed selector no longer matches, back to the built-in ones', { name: descriptor.name, selector });
+  await persistState().catch((error) => {
+    logger.warn('Could not save healed selectors', { path: config.selfHealing.path, error: error.message });
+  });
+}
+
+/**
+ * Ask the smart selector for a replacement, check it and save it as the new primary
+ * @param {Page} page - Playwright page with Smart Selector
+ * @param {Object} descriptor
+ * @param {Array<string>} failed - Selectors that matched nothing
+ * @param {string} elementState - State the replacement must match
+ * @returns {Promise<Object|null>} - Healing event, or null if no usable replacement was found
+ */
+async function healSelector(page, descriptor, failed, elementState) {
+  const { name } = descriptor;
+
+  if (!isSelfHealingEnabled()) {
+    return null;
+  }
+
+  const lastFailure = failedAttempts.get(name);
+  if (lastFailure && Date.now() - lastFailure < config.selfHealing.retryAfterMs) {
+    logger.debug('Skipping selector healing, it recently found nothing', { name });
+    return null;
+  }
+
+  const url = getUrlPattern(page.url());
+  logger.warn('Known selectors matched nothing, asking the smart selector', { name, selectors: failed, url });
+
+  let selector;
+  let rejected;
+  try {
+    selector = (await page.querySelectors(`{ ${descriptor.query} }`))[descriptor.query] || null;
+    rejected = (await loadState()).rejected[name] || [];
+  } catch (error) {
+    // A spent LLM budget resets with the next job or day - not a reason to wait
+    if (error.code !== ERROR_CODE.LLM_BUDGET_EXCEEDED) {
+      failedAttempts.set(name, Date.now());
+    }
+    logger.warn('Selector healing failed', { name, error: error.message, code: error.code });
+    return null;
+  }
+
+  // The replacement must find the element now, and be more specific than the whole page
+  const usable = selector
+    && !failed.includes(selector)
+    && !rejected.includes(selector)
+    && !/^\s*(html|body|\*)\s*$/i.test(selector)
+    && await matches(page, selector, elementState, 0);
+
+  if (!usable) {
+    failedAttempts.set(name, Date.now());
+    logger.warn('Smart selector found no usable replacement', { name, selector });
+    return null;
+  }
+
+  failedAttempts.delete(name);
+  const event = { name, from: failed, to: selector, url, healedAt: new Date().toISOString() };
+  logger.warn('Selector healed - review it with GET /api/selectors/healed', event);
+
+  state.selectors[name] = { selector, replaced: failed, url, healedAt: event.healedAt, review: null };
+  state.events = [...state.events, event].slice(-config.selfHealing.maxEvents);
+  try {
+    await persistState();
+  } catch (error) {
+    // Still usable for this run
+    logger.warn('Could not save healed selector', { name, path: config.selfHealing.path, error: error.message });
+  }
+
+  return event;
+}
+
+/**
+ * List healed selectors (current primaries) and the latest healing events
+ * @returns {Promise<{selectors: Array, events: Array}>}
+ */
+export async function listHealedSelectors() {
+  const healing = await loadState();
+  return {
+    selectors: Object.entries(healing.selectors).map(([name, entry]) => ({ name, ...entry })),
+    events: healing.events,
+  };
+}
+
+/**
+ * Mark a healed selector as reviewed and correct - it stays the primary
+ * @param {string} name - Descriptor name
+ * @returns {Promise<Object|null>} - Updated entry, or null if there is no healed selector by that name
+ */
+export async function approveHealedSelector(name) {
+  const healing = await loadState();
+  const entry = healing.selectors[name];
+  if (!entry) {
+    return null;
+  }
+
+  entry.review = { status: 'approved', reviewedAt: new Date().toISOString() };
+  await persistState();
+  logger.info('Healed selector approved', { name, selector: entry.selector });
+  return { name, ...entry };
+}
+
+/**
+ * Reject a healed selector - the built-in selectors are used again
+ * The next time they match nothing, healing asks the smart selector again but won't accept this one
+ * @param {string} name - Descriptor name
+ * @returns {Promise<Object|null>} - Removed entry, or null if there is no healed selector by that name
+ */
+export async function rejectHealedSelector(name) {
+  const healing = await loadState();
+  const entry = healing.selectors[name];
+  if (!entry) {
+    return null;
+  }
+
+  delete healing.selectors[name];
+  healing.rejected[name] = [...new Set([...(healing.rejected[name] || []), entry.selector])];
+  failedAttempts.delete(name);
+  await persistState();
+  logger.info('Healed selector rejected', { name, selector: entry.selector });
+  return { name, ...entry };
+}
@@ -1,5 +1,5 @@
 /**
- * Smart Selector - Intelligent element finder using OpenAI
+ * Smart Selector - Intelligent element finder using an LLM
  * 
  * Uses natural language queries to find HTML elements on a page.
  * 
@@ -19,32 +19,33 @@
  *   
  *   await response.login_form.email_input.fill("user@email.com");
  *   await response.login_form.submit_btn.click();
+ *
+ * Resolved selectors are cached per query, URL pattern and page structure
+ * (see selector-cache.js), so the LLM is only called for pages it hasn't seen.
+ * The LLM itself (OpenAI, a local OpenAI-compatible server or fixtures) is
+ * picked by config - see llm-provider.js.
  */
 
-import OpenAI from 'openai';
-import { config } from '../config/index.js';
 import { logger } from '../utils/logger.js';
-
-let openai = null;
+import { LlmUnavailableError } from './errors.js';
+import { LLM_PURPOSE, complete as completeWithProvider, configureLlm } from './llm-provider.js';
+import { cacheSelectors, getCachedSelectors, getStructuralFingerprint, getUrlPattern } from './selector-cache.js';
+import { PARSED_LEAD_SCHEMA, STATUS_SECTION_HEADERS, toResponseSchema, validateParsedLead } from './lead-schema.js';
 
 /**
- * Initialize OpenAI client
+ * Initialize the LLM provider
+ * @param {Object} options - Overrides for config.llm (provider, model, baseUrl, apiKey, timeoutMs...)
+ * @returns {Object} - Provider
+ * @throws {LlmUnavailableError} - If the provider can't be used as configured (not retryable)
  */
 export function configure(options = {}) {
-  const apiKey = options.apiKey || config.openai?.apiKey;
-  
-  if (!apiKey) {
-    throw new Error('OpenAI API key not configured. Set OPENAI_API_KEY in .env');
-  }
-  
-  openai = new OpenAI({ apiKey });
-  logger.info('Smart Selector configured with OpenAI');
+  return configureLlm(options);
 }
 
 /**
  * Clean HTML to reduce tokens
  */
-function cleanHTML(html) {
+export function cleanHTML(html) {
   return html
     .replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '')
     .replace(/<style\b[^<]*(?:(?!<\/style>)<[^<]*)*<\/style>/gi, '')
@@ -168,13 +169,44 @@ function getFieldPaths(obj, prefix = '') {
 }
 
 /**
- * Ask LLM to find selectors for all fields in the query
+ * Send a chat completion through the configured LLM provider
+ * @param {Object} request - { purpose, messages, temperature, maxTokens } (see llm-provider.js)
+ * @returns {Promise<string>} - Answer with markdown code fences removed
+ * @throws {LlmUnavailableError}
  */
-async function findSelectors(html, queryStructure) {
-  if (!openai) {
-    configure();
+async function complete(request) {
+  const response = await completeWithProvider(request);
+
+  return (response.content?.trim() || '')
+    .replace(/^```json\n?/i, '')
+    .replace(/^```\n?/i, '')
+    .replace(/\n?```$/i, '')
+    .trim();
+}
+
+/**
+ * Parse the JSON answer of the LLM
+ * @param {string} text - Answer
+ * @param {*} fallback - Value for an empty answer
+ * @returns {*}
+ * @throws {LlmUnavailableError} - If the answer isn't valid JSON (retryable - the next answer may be)
+ */
+function parseAnswer(text, fallback) {
+  if (!text) {
+    return fallback;
+  }
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new LlmUnavailableError(`LLM returned invalid JSON: ${error.message}`, { cause: error });
   }
+}
 
+/**
+ * Ask LLM to find selectors for all fields in the query
+ * @throws {LlmUnavailableError}
+ */
+async function findSelectors(html, queryStructure) {
   const fieldPaths = getFieldPaths(queryStructure);
   
   const prompt = `You are an expert at finding HTML elements. Given this HTML and a list of element descriptions, find the CSS selector for each.
@@ -202,8 +234,8 @@ Response should be:
 HTML:
 ${html}`;
 
-  const response = await openai.chat.completions.create({
-    model: 'gpt-4o-mini',
+  const result = await complete({
+    purpose: LLM_PURPOSE.SELECTORS,
     messages: [
       {
         role: 'system',
@@ -212,19 +244,10 @@ ${html}`;
       { role: 'user', content: prompt }
     ],
     temperature: 0,
-    max_tokens: 2000,
+    maxTokens: 2000,
   });
 
-  let result = response.choices[0]?.message?.content?.trim() || '{}';
-  
-  // Clean JSON
-  result = result
-    .replace(/^```json\n?/i, '')
-    .replace(/^```\n?/i, '')
-    .replace(/\n?```$/i, '')
-    .trim();
-
-  return JSON.parse(result);
+  return parseAnswer(result, {});
 }
 
 /**
@@ -369,10 +392,47 @@ function createArrayProxy(page, selector, fieldName) {
   };
 }
 
+/**
+ * Find the selector of every field of a query on the page
+ * Served from the selector cache when the page structure is known, otherwise asked to the LLM
+ * @param {Page} page - Playwright page
+ * @param {Object} structure - Parsed query
+ * @returns {Promise<Object>} - Field path -> CSS selector (null if not found)
+ * @throws {LlmUnavailableError}
+ */
+async function findPageSelectors(page, structure) {
+  // Get page HTML
+  const html = await page.content();
+  const cleanedHtml = cleanHTML(html);
+
+  const cacheKey = {
+    query: getFieldPaths(structure).join(' '),
+    urlPattern: getUrlPattern(page.url()),
+    fingerprint: getStructuralFingerprint(cleanedHtml),
+  };
+
+  let selectors = await getCachedSelectors(page, cacheKey);
+
+  if (!selectors) {
+    // Truncate if needed
+    const maxLength = 40000;
+    const truncatedHtml = cleanedHtml.length > maxLength 
+      ? cleanedHtml.substring(0, maxLength) + '\n...[truncated]...'
+      : cleanedHtml;
+
+    // Find selectors using LLM
+    selectors = await findSelectors(truncatedHtml, structure);
+    await cacheSelectors(cacheKey, selectors);
+  }
+  logger.debug('Found selectors', { selectors });
+
+  return selectors;
+}
+
 /**
  * Wrap a Playwright page with queryElements method
  * @param {Page} playwrightPage - The Playwright page object
- * @returns {Page} - Enhanced page with queryElements method
+ * @returns {Page} - Enhanced page with queryElements (element proxies) and querySelectors (raw selectors)
  */
 export function wrap(playwrightPage) {
   // Add queryElements method to the page
@@ -383,38 +443,167 @@ export function wrap(playwrightPage) {
     const structure = parseQuery(query);
     logger.debug('Parsed query structure', { structure });
     
-    // Get page HTML
-    const html = await playwrightPage.content();
-    const cleanedHtml = cleanHTML(html);
-    
-    // Truncate if needed
-    const maxLength = 40000;
-    const truncatedHtml = cleanedHtml.length > maxLength 
-      ? cleanedHtml.substring(0, maxLength) + '\n...[truncated]...'
-      : cleanedHtml;
-    
-    // Find selectors using LLM
-    const selectors = await findSelectors(truncatedHtml, structure);
-    logger.debug('Found selectors', { selectors });
+    const selectors = await findPageSelectors(playwrightPage, structure);
     
     // Create response proxy
     return createResponseProxy(playwrightPage, selectors, structure);
   };
+
+  // Same lookup, returning field path -> selector instead of element proxies
+  playwrightPage.querySelectors = async function(query) {
+    return findPageSelectors(playwrightPage, parseQuery(query));
+  };
   
   return playwrightPage;
 }
 
+// Structured output of the lead extraction - strict schemas need an object at the root
+const LEAD_EXTRACTION_SCHEMA = {
+  type: 'object',
+  properties: {
+    leads: { type: 'array', items: PARSED_LEAD_SCHEMA },
+  },
+  required: ['leads'],
+  additionalProperties: false,
+};
+
+// Problems listed in a repair request, at most
+const MAX_REPAIR_ERRORS = 20;
+
+/**
+ * Read the LLM answer of a lead extraction and validate each lead
+ * Accepts { "leads": [...] } and, from servers without structured outputs, a bare array
+ * @param {string} text - Answer
+ * @returns {{leads: Array, invalid: Array, error: string|null}}
+ *   leads: valid leads; invalid: [{ index, errors }] of the rest; error: why the answer as a whole is unusable
+ */
+function readLeadsAnswer(text) {
+  let answer;
+  try {
+    answer = JSON.parse(text);
+  } catch (error) {
+    return { leads: [], invalid: [], error: `the answer is not valid JSON (${error.message})` };
+  }
+
+  const items = Array.isArray(answer) ? answer : answer?.leads;
+  if (!Array.isArray(items)) {
+    return { leads: [], invalid: [], error: 'the answer must be an object with a "leads" array' };
+  }
+
+  const leads = [];
+  const invalid = [];
+  items.forEach((lead, index) => {
+    const errors = validateParsedLead(lead);
+    if (errors.length > 0) {
+      invalid.push({ index, errors });
+    } else {
+      leads.push(lead);
+    }
+  });
+
+  return { leads, invalid, error: null };
+}
+
+/**
+ * Follow-up message asking the LLM to fix its answer
+ * @param {Object} result - From readLeadsAnswer()
+ * @returns {string}
+ */
+function buildRepairPrompt({ invalid, error }) {
+  const problems = error
+    ? [error]
+    : invalid.flatMap(({ index, errors }) => errors.map((problem) => `leads[${index}].${problem}`));
+
+  return `Your answer does not match the required schema:
+${problems.slice(0, MAX_REPAIR_ERRORS).map((problem) => `- ${problem}`).join('\n')}
+
+Answer again with ONLY a JSON object {"leads": [...]} where every lead has exactly the fields contactName, agentName, propertyAddress, lastUpdated and status. Copy values exactly as they appear in the HTML and use null for anything that is not there.`;
+}
+
+/**
+ * Decode the character references page.content() leaves in text
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeEntities(text) {
+  const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (reference, name) => {
+    if (name[0] === '#') {
+      const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return named[name.toLowerCase()] ?? reference;
+  });
+}
+
+/**
+ * Text of HTML as a reader sees it, for checking extracted values against the page
+ * @param {string} html
+ * @returns {string} - Lowercase, whitespace collapsed
+ */
+function getComparableText(html) {
+  return decodeEntities(html.replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * Check every value of a lead against the page text
+ * Values that aren't in the page are made up: they are cleared, and a lead
+ * whose contact isn't in the page is dropped altogether.
+ * @param {Object} lead - Valid parsed lead
+ * @param {string} pageText - From getComparableText()
+ * @returns {{lead: Object|null, hallucinated: Array<string>}} - Cleaned lead (null if dropped) and the fields that weren't in the page
+ */
+function groundLead(lead, pageText) {
+  const hallucinated = Object.entries(lead)
+    .filter(([, value]) => typeof value === 'string' && !pageText.includes(value.replace(/\s+/g, ' ').trim().toLowerCase()))
+    .map(([field]) => field);
+
+  if (hallucinated.includes('contactName')) {
+    return { lead: null, hallucinated };
+  }
+
+  return {
+    lead: { ...lead, ...Object.fromEntries(hallucinated.map((field) => [field, null])) },
+    hallucinated,
+  };
+}
+
+/**
+ * Add the outcome of an extraction to per-run counters
+ * @param {Object} stats - Counters, updated as { batches, repairs, leads, invalidLeads, hallucinatedLeads, hallucinatedFields }
+ * @param {Object} outcome - { repaired, leads, invalidLeads, hallucinatedLeads, hallucinatedFields }
+ */
+function countExtraction(stats, outcome) {
+  if (!stats) return;
+
+  stats.batches = (stats.batches ?? 0) + 1;
+  stats.repairs = (stats.repairs ?? 0) + (outcome.repaired ? 1 : 0);
+  stats.leads = (stats.leads ?? 0) + outcome.leads;
+  stats.invalidLeads = (stats.invalidLeads ?? 0) + outcome.invalidLeads;
+  stats.hallucinatedLeads = (stats.hallucinatedLeads ?? 0) + outcome.hallucinatedLeads;
+  stats.hallucinatedFields ??= {};
+  for (const [field, count] of Object.entries(outcome.hallucinatedFields)) {
+    stats.hallucinatedFields[field] = (stats.hallucinatedFields[field] ?? 0) + count;
+  }
+}
+
 /**
  * Extract leads data directly from HTML using LLM
  * This is more reliable than trying to find selectors for complex data
+ *
+ * The answer is requested as structured output (LEAD_EXTRACTION_SCHEMA) and each
+ * lead is validated against PARSED_LEAD_SCHEMA, the shape the DOM parser produces.
+ * An answer that isn't valid JSON, or with invalid leads, gets one repair request;
+ * leads still invalid after it are dropped. Every value must also appear in the
+ * page: made-up ones are cleared, and leads with a made-up contact are dropped.
  * @param {string} html - Page HTML content
- * @returns {Promise<Array>} - Array of lead objects
+ * @param {Object} options
+ * @param {Object} options.stats - Per-run counters of what was repaired and dropped (run metadata)
+ * @returns {Promise<Array>} - Leads, as parsed by the DOM parser (see PARSED_LEAD_SCHEMA)
+ * @throws {LlmUnavailableError} - If the LLM can't be used or its answer is still unusable after the repair
  */
-export async function extractLeadsFromHTML(html) {
-  if (!openai) {
-    configure();
-  }
-
+export async function extractLeadsFromHTML(html, options = {}) {
+  const { stats = null } = options;
   const cleanedHtml = cleanHTML(html);
   
   // Truncate if needed (leads data is usually in a specific section)
@@ -432,6 +621,7 @@ The page shows a TABLE of leads with these columns:
 - Notas: Note icons
 - Actualizado: Date like "26/11/2025 08:15"
 
+Rows are grouped under status section headers like "Pendiente contactar (15)".
 Each ROW in the table is a lead. Look for table rows (tr), list items, or div rows containing this data.
 
 Extract ALL leads visible. For each lead return:
@@ -439,54 +629,98 @@ Extract ALL leads visible. For each lead return:
   "contactName": "the contact name without the agent part",
   "agentName": "the name in parentheses (the responsible agent)",
   "propertyAddress": "the property address from Búsqueda/Propiedad column",
-  "lastUpdated": "the date from Actualizado column",
-  "status": "the section header like 'Pendiente contactar' if visible"
+  "lastUpdated": "the date from Actualizado column, as DD/MM/YYYY HH:MM",
+  "status": "the section header the row is under, without the count: ${Object.values(STATUS_SECTION_HEADERS).join(', ')}"
 }
 
-Return ONLY a valid JSON array. Example:
-[
+Copy every value exactly as it appears in the HTML. Use null for a value that is not there - never guess.
+
+Return ONLY a JSON object with a "leads" array. Example:
+{"leads": [
   {"contactName": "Johanna Rios", "agentName": "Emiliano Grieve", "propertyAddress": "Colombres 148 2", "lastUpdated": "26/11/2025 08:15", "status": "Pendiente contactar"},
   {"contactName": "Marcela", "agentName": "Graciela", "propertyAddress": "Benjamin Matienzo 1724", "lastUpdated": "26/11/2025 09:33", "status": "Pendiente contactar"}
-]
+]}
 
 HTML:
 ${truncatedHtml}`;
 
-  try {
-    logger.debug('Extracting leads from HTML with LLM...');
-    
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',
+  logger.debug('Extracting leads from HTML with LLM...');
+
+  const request = {
+    purpose: LLM_PURPOSE.LEAD_EXTRACTION,
+    messages: [
+      {
+        role: 'system',
+        content: 'You extract structured data from HTML. Return only valid JSON matching the schema.'
+      },
+      {
+        role: 'user',
+        content: prompt
+      }
+    ],
+    temperature: 0,
+    maxTokens: 8000,
+    responseSchema: { name: 'tokko_leads', schema: toResponseSchema(LEAD_EXTRACTION_SCHEMA) },
+  };
+
+  const answer = await complete(request);
+  let result = readLeadsAnswer(answer);
+
+  const repaired = Boolean(result.error) || result.invalid.length > 0;
+  if (repaired) {
+    logger.warn('LLM lead extraction answer is invalid, asking for a repair', {
+      error: result.error,
+      invalidLeads: result.invalid.length,
+    });
+
+    result = readLeadsAnswer(await complete({
+      ...request,
       messages: [
-        {
-          role: 'system',
-          content: 'You extract structured data from HTML. Return only valid JSON arrays.'
-        },
-        {
-          role: 'user',
-          content: prompt
-        }
+        ...request.messages,
+        { role: 'assistant', content: answer },
+        { role: 'user', content: buildRepairPrompt(result) },
       ],
-      temperature: 0,
-      max_tokens: 8000,
+    }));
+
+    if (result.error) {
+      countExtraction(stats, {
+        repaired, leads: 0, invalidLeads: 0, hallucinatedLeads: 0, hallucinatedFields: {},
+      });
+      throw new LlmUnavailableError(`LLM lead extraction answer is still invalid after a repair: ${result.error}`);
+    }
+  }
+
+  // Whatever the model made up is not in the page it was given
+  const pageText = getComparableText(truncatedHtml);
+  const leads = [];
+  const hallucinatedFields = {};
+  let hallucinatedLeads = 0;
+
+  for (const parsedLead of result.leads) {
+    const { lead, hallucinated } = groundLead(parsedLead, pageText);
+    hallucinated.forEach((field) => {
+      hallucinatedFields[field] = (hallucinatedFields[field] ?? 0) + 1;
     });
+    if (lead) {
+      leads.push(lead);
+    } else {
+      hallucinatedLeads++;
+    }
+  }
 
-    let result = response.choices[0]?.message?.content?.trim() || '[]';
-    
-    // Clean JSON
-    result = result
-      .replace(/^```json\n?/i, '')
-      .replace(/^```\n?/i, '')
-      .replace(/\n?```$/i, '')
-      .trim();
-
-    const leads = JSON.parse(result);
-    logger.debug(`LLM extracted ${leads.length} leads from HTML`);
-    
-    return Array.isArray(leads) ? leads : [];
-  } catch (error) {
-    logger.error('Failed to extract leads from HTML', { error: error.message });
-    return [];
+  const outcome = {
+    repaired,
+    leads: leads.length,
+    invalidLeads: result.invalid.length,
+    hallucinatedLeads,
+    hallucinatedFields,
+  };
+  countExtraction(stats, outcome);
+
+  if (outcome.invalidLeads > 0 || hallucinatedLeads > 0 || Object.keys(hallucinatedFields).length > 0) {
+    logger.warn('LLM lead extraction dropped invalid or made-up values', outcome);
   }
-}
+  logger.debug(`LLM extracted ${leads.length} leads from HTML`);
 
+  return leads;
+}
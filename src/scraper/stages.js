@@ -0,0 +1,13 @@
+/**
+ * Stages of a scrape run, in the order they happen
+ * Reported as progress and used to tell where a failed run stopped
+ */
+export const SCRAPE_STAGE = {
+  STARTING: 'starting',
+  LOGIN: 'login',
+  NAVIGATION: 'navigation',
+  DATE_FILTER: 'date_filter',
+  BRANCH_FILTER: 'branch_filter',
+  SCROLL: 'scroll',
+  DETAILS: 'details',
+};
@@ -0,0 +1,508 @@
+import { createHash } from 'node:crypto';
+import { mkdirSync } from 'node:fs';
+import path from 'node:path';
+import Database from 'better-sqlite3';
+import { config } from '../config/index.js';
+import { getAccountFilePath } from '../accounts/index.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Persistent lead store
+ *
+ * Leads from every run are merged into an embedded SQLite database so the same
+ * lead scraped on different days ends up as one record with first/last seen
+ * dates. Each Tokko account has its own database: LEADS_STORE_PATH for the
+ * "default" account, "<name>.<account>.db" next to it for the others.
+ *
+ * Tables:
+ * - leads: one row per lead - the full record as JSON plus the normalized
+ *   columns queryLeads() filters and sorts on
+ * - watermarks: { section, date } - newest parsedDate stored per status section
+ */
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS leads (
+    id TEXT PRIMARY KEY,
+    status TEXT,
+    contact_name TEXT,
+    agent_name TEXT,
+    property_id TEXT,
+    property_address TEXT,
+    contact_email TEXT,
+    contact_phones TEXT,
+    parsed_date INTEGER,
+    last_updated INTEGER,
+    first_seen_at INTEGER,
+    last_seen_at INTEGER,
+    record TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS leads_status ON leads (status);
+  CREATE INDEX IF NOT EXISTS leads_parsed_date ON leads (parsed_date);
+  CREATE INDEX IF NOT EXISTS leads_last_seen_at ON leads (last_seen_at);
+
+  CREATE TABLE IF NOT EXISTS watermarks (
+    section TEXT PRIMARY KEY,
+    date TEXT NOT NULL
+  );
+`;
+
+// Open databases by account
+const databases = new Map();
+
+/**
+ * Normalize a text value for use in a lead key or a filter
+ * @param {string|null} value
+ * @returns {string}
+ */
+function normalize(value) {
+  return (value || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Stable ID for a lead across runs
+ * Uses contact name and property address - status and dates change over time.
+ * A row with neither has no stable identity, so everything else it shows goes
+ * into the key instead - otherwise all such leads would collapse into one record
+ * @param {Object} lead - Structured lead (contact, agent, property, ...)
+ * @returns {string}
+ */
+export function getStoredLeadId(lead) {
+  const name = normalize(lead.contact?.name);
+  const address = normalize(lead.property?.address);
+
+  const parts = name || address
+    ? [name, address]
+    : [
+      '',
+      '',
+      lead.status,
+      lead.lastUpdated || lead.parsedDate,
+      lead.agent?.name,
+      lead.property?.id,
+      lead.contact?.email,
+      lead.contact?.phone,
+      lead.contact?.cellPhone,
+    ].map(normalize);
+
+  return createHash('sha1').update(parts.join('|')).digest('hex').slice(0, 16);
+}
+
+/**
+ * Merge two plain objects, keeping existing values where the new one is empty
+ * @param {Object} existing
+ * @param {Object} incoming
+ * @returns {Object}
+ */
+function mergeDefined(existing = {}, incoming = {}) {
+  const merged = { ...existing };
+  for (const [key, value] of Object.entries(incoming)) {
+    if (value !== null && value !== undefined) {
+      merged[key] = value;
+    }
+  }
+  return merged;
+}
+
+/**
+ * Path of an account's database
+ * @param {string} account - Account name
+ * @returns {string}
+ */
+function getStorePath(account) {
+  return getAccountFilePath(config.store.path, account);
+}
+
+/**
+ * Open an account's database (once)
+ * @param {string} account - Account name
+ * @returns {Database}
+ */
+function getDatabase(account) {
+  if (!databases.has(account)) {
+    const filePath = getStorePath(account);
+    mkdirSync(path.dirname(filePath), { recursive: true });
+
+    const db = new Database(filePath);
+    // Readers (API queries) don't block the writer (a running scrape)
+    db.pragma('journal_mode = WAL');
+    db.exec(SCHEMA);
+
+    databases.set(account, db);
+    logger.debug('Lead store opened', { account, path: filePath });
+  }
+  return databases.get(account);
+}
+
+/**
+ * Close every open database
+ * Used on shutdown and by tests that point the store somewhere else
+ */
+export function closeLeadStores() {
+  for (const db of databases.values()) {
+    db.close();
+  }
+  databases.clear();
+}
+
+/**
+ * Fields stored leads can be sorted by: their column and how it is computed
+ */
+const SORT_FIELDS = {
+  parsedDate: { column: 'parsed_date', value: (lead) => toTimestamp(lead.parsedDate) },
+  lastUpdated: { column: 'last_updated', value: (lead) => toTimestamp(parseTokkoDate(lead.lastUpdated)) },
+  firstSeenAt: { column: 'first_seen_at', value: (lead) => toTimestamp(lead.firstSeenAt) },
+  lastSeenAt: { column: 'last_seen_at', value: (lead) => toTimestamp(lead.lastSeenAt) },
+  contactName: { column: 'contact_name', value: (lead) => normalize(lead.contact?.name) || null },
+  agentName: { column: 'agent_name', value: (lead) => normalize(lead.agent?.name) || null },
+};
+
+/**
+ * Fields the date range filter can be applied to
+ */
+const DATE_FIELDS = ['parsedDate', 'lastUpdated', 'firstSeenAt', 'lastSeenAt'];
+
+/**
+ * Parse a Tokko "DD/MM/YYYY HH:MM" date
+ * @param {string|null} value
+ * @returns {Date|null}
+ */
+function parseTokkoDate(value) {
+  const match = value?.match(/(\d{1,2})\/(\d{1,2})\/(\d{4})(?:\s+(\d{1,2}):(\d{2}))?/);
+  if (!match) return null;
+  const [, day, month, year, hours = 0, minutes = 0] = match;
+  return new Date(year, month - 1, day, hours, minutes);
+}
+
+/**
+ * Convert a date (or ISO string) to a timestamp
+ * @param {Date|string|null} value
+ * @returns {number|null}
+ */
+function toTimestamp(value) {
+  if (!value) return null;
+  const time = new Date(value).getTime();
+  return isNaN(time) ? null : time;
+}
+
+/**
+ * Row of the leads table for a lead record
+ * @param {Object} record - Stored lead record
+ * @returns {Object}
+ */
+function toRow(record) {
+  const phones = [record.contact?.phone, record.contact?.cellPhone]
+    .filter(Boolean)
+    .map((phone) => phone.replace(/\D/g, ''))
+    .filter(Boolean);
+
+  return {
+    id: record.id,
+    status: normalize(record.status) || null,
+    contact_name: SORT_FIELDS.contactName.value(record),
+    agent_name: SORT_FIELDS.agentName.value(record),
+    property_id: normalize(record.property?.id) || null,
+    property_address: normalize(record.property?.address) || null,
+    contact_email: normalize(record.contact?.email) || null,
+    // Separated so a search never matches across two numbers
+    contact_phones: phones.length > 0 ? `|${phones.join('|')}|` : null,
+    parsed_date: SORT_FIELDS.parsedDate.value(record),
+    last_updated: SORT_FIELDS.lastUpdated.value(record),
+    first_seen_at: SORT_FIELDS.firstSeenAt.value(record),
+    last_seen_at: SORT_FIELDS.lastSeenAt.value(record),
+    record: JSON.stringify(record),
+  };
+}
+
+/**
+ * Insert new leads and merge already known ones
+ * @param {Array} leads - Structured leads returned by scrapeLeadsUntilDate
+ * @param {Object} options
+ * @param {string} options.account - Account the leads belong to
+ * @param {string} options.seenAt - ISO timestamp of the run (default: now)
+ * @returns {Promise<{inserted: Array, updated: number}>} - Newly inserted records and count of merged ones
+ */
+export async function upsertLeads(leads, options = {}) {
+  const { account, seenAt = new Date().toISOString() } = options;
+  const db = getDatabase(account);
+
+  const select = db.prepare('SELECT record FROM leads WHERE id = ?');
+  const upsert = db.prepare(`
+    INSERT OR REPLACE INTO leads (
+      id, status, contact_name, agent_name, property_id, property_address, contact_email,
+      contact_phones, parsed_date, last_updated, first_seen_at, last_seen_at, record
+    ) VALUES (
+      @id, @status, @contact_name, @agent_name, @property_id, @property_address, @contact_email,
+      @contact_phones, @parsed_date, @last_updated, @first_seen_at, @last_seen_at, @record
+    )
+  `);
+
+  const inserted = [];
+  let updated = 0;
+
+  // One transaction per run: a crash never leaves half of it stored
+  db.transaction(() => {
+    for (const lead of leads) {
+      const id = getStoredLeadId(lead);
+      const row = select.get(id);
+
+      if (!row) {
+        const record = {
+          id,
+          ...lead,
+          firstSeenAt: seenAt,
+          lastSeenAt: seenAt,
+          timesSeen: 1,
+        };
+        upsert.run(toRow(record));
+        inserted.push(record);
+        continue;
+      }
+
+      const existing = JSON.parse(row.record);
+      upsert.run(toRow({
+        ...mergeDefined(existing, lead),
+        contact: mergeDefined(existing.contact, lead.contact),
+        agent: mergeDefined(existing.agent, lead.agent),
+        property: mergeDefined(existing.property, lead.property),
+        id,
+        firstSeenAt: existing.firstSeenAt,
+        lastSeenAt: seenAt,
+        timesSeen: (existing.timesSeen || 1) + 1,
+      }));
+      updated++;
+    }
+  })();
+
+  logger.info('Leads stored', { account, inserted: inserted.length, updated });
+  return { inserted, updated };
+}
+
+/**
+ * Get all stored lead records of an account
+ * @param {string} account - Account name
+ * @returns {Promise<Array>}
+ */
+export async function getStoredLeads(account) {
+  return getDatabase(account)
+    .prepare('SELECT record FROM leads ORDER BY id')
+    .all()
+    .map((row) => JSON.parse(row.record));
+}
+
+/**
+ * Get the high-water mark of each status section
+ * Leads older than a section's mark were already stored by a previous run
+ * @param {string} account - Account name
+ * @returns {Promise<Object>} - { [section label]: Date }
+ */
+export async function getWatermarks(account) {
+  const rows = getDatabase(account).prepare('SELECT section, date FROM watermarks').all();
+  return Object.fromEntries(rows.map(({ section, date }) => [section, new Date(date)]));
+}
+
+/**
+ * Advance section high-water marks to the newest lead of a completed run
+ * Only call this for runs that finished - a partial run leaves a gap below its newest lead
+ * @param {Array} leads - Structured leads of the run
+ * @param {string} account - Account name
+ * @returns {Promise<Object>} - Updated marks as ISO strings
+ */
+export async function updateWatermarks(leads, account) {
+  const db = getDatabase(account);
+  const watermarks = Object.fromEntries(
+    db.prepare('SELECT section, date FROM watermarks').all().map(({ section, date }) => [section, date])
+  );
+  const changed = {};
+
+  for (const lead of leads) {
+    if (!lead.status || !lead.parsedDate) continue;
+
+    const current = watermarks[lead.status];
+    if (!current || new Date(lead.parsedDate) > new Date(current)) {
+      watermarks[lead.status] = lead.parsedDate;
+      changed[lead.status] = lead.parsedDate;
+    }
+  }
+
+  if (Object.keys(changed).length > 0) {
+    const upsert = db.prepare('INSERT OR REPLACE INTO watermarks (section, date) VALUES (?, ?)');
+    db.transaction(() => {
+      for (const [section, date] of Object.entries(changed)) {
+        upsert.run(section, date);
+      }
+    })();
+    logger.info('Section high-water marks updated', { account, watermarks });
+  }
+
+  return watermarks;
+}
+
+/**
+ * Encode a pagination cursor from the last returned lead
+ * @param {*} value - Sort value of the lead
+ * @param {string} id - Lead ID
+ * @returns {string}
+ */
+function encodeCursor(value, id) {
+  return Buffer.from(JSON.stringify({ v: value, id })).toString('base64url');
+}
+
+/**
+ * Decode a pagination cursor
+ * @param {string} cursor
+ * @returns {{v: *, id: string}}
+ */
+function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof decoded?.id !== 'string') throw new Error('missing id');
+    return decoded;
+  } catch {
+    throw new RangeError('Invalid cursor');
+  }
+}
+
+/**
+ * Escape a search text for a LIKE pattern
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, (char) => `\\${char}`);
+}
+
+/**
+ * SQL conditions for the query filters
+ * @param {Object} filters - Normalized filters
+ * @returns {{conditions: Array<string>, params: Array}}
+ */
+function buildFilters(filters) {
+  const conditions = [];
+  const params = [];
+  const contains = (column, search) => {
+    conditions.push(`${column} LIKE ? ESCAPE '\\'`);
+    params.push(`%${escapeLike(normalize(search))}%`);
+  };
+
+  if (filters.status) {
+    conditions.push('status = ?');
+    params.push(normalize(filters.status));
+  }
+  if (filters.agent) contains('agent_name', filters.agent);
+  if (filters.propertyId) {
+    conditions.push('property_id = ?');
+    params.push(normalize(filters.propertyId));
+  }
+  if (filters.address) contains('property_address', filters.address);
+  if (filters.email) contains('contact_email', filters.email);
+
+  if (filters.phone) {
+    const digits = filters.phone.replace(/\D/g, '');
+    if (digits) {
+      contains('contact_phones', digits);
+    } else {
+      conditions.push('0');
+    }
+  }
+
+  if (filters.from || filters.to) {
+    const { column } = SORT_FIELDS[filters.dateField];
+    conditions.push(`${column} IS NOT NULL`);
+    if (filters.from) {
+      conditions.push(`${column} >= ?`);
+      params.push(filters.from.getTime());
+    }
+    if (filters.to) {
+      conditions.push(`${column} <= ?`);
+      params.push(filters.to.getTime());
+    }
+  }
+
+  return { conditions, params };
+}
+
+/**
+ * Query stored leads with filtering, sorting and cursor pagination
+ * Empty sort values always sort last and ties are broken by ID so pagination is stable
+ * @param {Object} query
+ * @param {string} query.account - Account whose leads are queried
+ * @param {string} query.status - Status section (label, e.g. "Pendiente contactar")
+ * @param {string} query.agent - Agent name (partial match)
+ * @param {string} query.propertyId - Property ID (exact match)
+ * @param {string} query.address - Property address (partial match)
+ * @param {string} query.email - Contact email (partial match)
+ * @param {string} query.phone - Contact phone or cell phone (digits, partial match)
+ * @param {Date} query.from - Start of the date range (inclusive)
+ * @param {Date} query.to - End of the date range (inclusive)
+ * @param {string} query.dateField - Field the date range applies to (default: parsedDate)
+ * @param {string} query.sort - Sort field, prefix with "-" for descending (default: -parsedDate)
+ * @param {number} query.limit - Page size (default: 50)
+ * @param {string} query.cursor - Cursor returned by the previous page
+ * @returns {Promise<{leads: Array, nextCursor: string|null, total: number}>}
+ * @throws {RangeError} - On an unknown sort/date field or an invalid cursor
+ */
+export async function queryLeads(query = {}) {
+  const {
+    account,
+    dateField = 'parsedDate',
+    sort = '-parsedDate',
+    limit = 50,
+    cursor = null,
+  } = query;
+
+  const descending = sort.startsWith('-');
+  const sortField = descending ? sort.slice(1) : sort;
+
+  if (!SORT_FIELDS[sortField]) {
+    throw new RangeError(`Unknown sort field: ${sortField}. Valid fields: ${Object.keys(SORT_FIELDS).join(', ')}`);
+  }
+  if (!DATE_FIELDS.includes(dateField)) {
+    throw new RangeError(`Unknown date field: ${dateField}. Valid fields: ${DATE_FIELDS.join(', ')}`);
+  }
+
+  const after = cursor ? decodeCursor(cursor) : null;
+  const { column } = SORT_FIELDS[sortField];
+  const db = getDatabase(account);
+
+  const { conditions, params } = buildFilters({ ...query, dateField });
+  const where = (extra = []) => {
+    const all = [...conditions, ...extra];
+    return all.length > 0 ? `WHERE ${all.join(' AND ')}` : '';
+  };
+
+  const { total } = db.prepare(`SELECT COUNT(*) AS total FROM leads ${where()}`).get(...params);
+
+  // Keyset pagination: everything that sorts after the cursor
+  const pageConditions = [];
+  const pageParams = [...params];
+  if (after) {
+    if (after.v === null) {
+      pageConditions.push(`(${column} IS NULL AND id > ?)`);
+      pageParams.push(after.id);
+    } else {
+      pageConditions.push(`(${column} IS NULL OR ${column} ${descending ? '<' : '>'} ? OR (${column} = ? AND id > ?))`);
+      pageParams.push(after.v, after.v, after.id);
+    }
+  }
+
+  // One extra row tells whether there is a next page (LIMIT -1: no limit, for file exports)
+  const rows = db.prepare(`
+    SELECT id, record, ${column} AS sortValue FROM leads ${where(pageConditions)}
+    ORDER BY ${column} IS NULL, ${column} ${descending ? 'DESC' : 'ASC'}, id ASC
+    LIMIT ?
+  `).all(...pageParams, Number.isFinite(limit) ? limit + 1 : -1);
+
+  const page = rows.slice(0, limit);
+  const last = page[page.length - 1];
+
+  return {
+    leads: page.map((row) => JSON.parse(row.record)),
+    nextCursor: rows.length > limit ? encodeCursor(last.sortValue, last.id) : null,
+    total,
+  };
+}
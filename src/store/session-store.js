@@ -0,0 +1,101 @@
+import { createCipheriv, createDecipheriv, randomBytes, scryptSync } from 'node:crypto';
+import { rm } from 'node:fs/promises';
+import { config } from '../config/index.js';
+import { getAccountFilePath } from '../accounts/index.js';
+import { logger } from '../utils/logger.js';
+import { readJsonFile, writeJsonFile } from '../utils/json-file.js';
+
+/**
+ * Encrypted Tokko session store
+ *
+ * Session cookies are saved per account (AES-256-GCM, key derived from
+ * SESSION_SECRET) so the next run can skip the login form.
+ *
+ * File layout:
+ * { "version": 1, "iv": "<base64>", "tag": "<base64>", "data": "<base64 of { savedAt, cookies }>" }
+ */
+
+const SESSION_VERSION = 1;
+
+// Derived once - scrypt is deliberately slow
+let encryptionKey = null;
+
+/**
+ * Whether sessions can be saved and restored
+ * @returns {boolean}
+ */
+export function isSessionStoreEnabled() {
+  return config.sessions.enabled && Boolean(config.sessions.secret);
+}
+
+/**
+ * Get the AES key derived from SESSION_SECRET
+ * @returns {Buffer}
+ */
+function getEncryptionKey() {
+  encryptionKey ??= scryptSync(config.sessions.secret, 'tokko-session', 32);
+  return encryptionKey;
+}
+
+/**
+ * Save an account's session cookies (encrypted)
+ * @param {string} account - Account name
+ * @param {Array} cookies - Playwright cookies
+ * @returns {Promise<void>}
+ */
+export async function persistSession(account, cookies) {
+  const iv = randomBytes(12);
+  const cipher = createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const plaintext = JSON.stringify({ savedAt: new Date().toISOString(), cookies });
+  const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+  await writeJsonFile(getAccountFilePath(config.sessions.path, account), {
+    version: SESSION_VERSION,
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64'),
+  });
+}
+
+/**
+ * Load an account's saved session
+ * Expired cookies are dropped; an unreadable file (e.g. SESSION_SECRET changed) counts as no session
+ * @param {string} account - Account name
+ * @returns {Promise<{savedAt: string, cookies: Array}|null>}
+ */
+export async function loadSession(account) {
+  const filePath = getAccountFilePath(config.sessions.path, account);
+  const file = await readJsonFile(filePath, null);
+  if (!file) {
+    return null;
+  }
+
+  let session;
+  try {
+    const decipher = createDecipheriv('aes-256-gcm', getEncryptionKey(), Buffer.from(file.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(file.tag, 'base64'));
+    const plaintext = Buffer.concat([
+      decipher.update(Buffer.from(file.data, 'base64')),
+      decipher.final(),
+    ]);
+    session = JSON.parse(plaintext.toString('utf8'));
+  } catch (error) {
+    logger.warn('Saved session could not be decrypted, ignoring it', { account, error: error.message });
+    return null;
+  }
+
+  // Playwright uses -1 for cookies that last for the browser session
+  const now = Date.now() / 1000;
+  const cookies = session.cookies.filter((cookie) => cookie.expires === -1 || cookie.expires > now);
+
+  return cookies.length ? { savedAt: session.savedAt, cookies } : null;
+}
+
+/**
+ * Delete an account's saved session
+ * @param {string} account - Account name
+ * @returns {Promise<void>}
+ */
+export async function clearSession(account) {
+  await rm(getAccountFilePath(config.sessions.path, account), { force: true });
+}
@@ -0,0 +1,32 @@
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+/**
+ * Read and parse a JSON file
+ * @param {string} filePath - Path to the file
+ * @param {*} fallback - Value returned when the file does not exist yet
+ * @returns {Promise<*>}
+ */
+export async function readJsonFile(filePath, fallback) {
+  try {
+    return JSON.parse(await readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return fallback;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Write a JSON file atomically (write to a temp file, then rename)
+ * so a crash mid-write never leaves a truncated file behind
+ * @param {string} filePath - Path to the file
+ * @param {*} data - Data to serialize
+ */
+export async function writeJsonFile(filePath, data) {
+  await mkdir(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  await writeFile(tmpPath, JSON.stringify(data, null, 2));
+  await rename(tmpPath, filePath);
+}
@@ -0,0 +1,387 @@
+import { createHmac, randomUUID } from 'node:crypto';
+import { config } from '../config/index.js';
+import { logger } from '../utils/logger.js';
+import { readJsonFile, writeJsonFile } from '../utils/json-file.js';
+
+/**
+ * Webhook delivery of newly scraped leads
+ *
+ * Every delivery is a POST with a JSON body:
+ * { "event": "leads.created", "deliveryId": "...", "createdAt": "...", "account": "...", "leads": [...] }
+ *
+ * Headers:
+ * - Idempotency-Key: the delivery ID, unchanged across retries and replays
+ * - X-Webhook-Timestamp: unix seconds when the request was signed
+ * - X-Webhook-Signature: "sha256=" + HMAC-SHA256(secret, "<timestamp>.<body>")
+ *
+ * Nothing is sent unsigned: without WEBHOOK_SECRET every delivery goes
+ * straight to the dead-letter list, to be replayed once the secret is set.
+ *
+ * Failed deliveries are retried with exponential backoff; once out of
+ * attempts they go to a dead-letter list that can be replayed via the API.
+ * Deliveries are saved (WEBHOOK_PENDING_PATH) until they succeed or are
+ * dead-lettered, so a restart resumes them instead of losing them.
+ */
+
+export const WEBHOOK_EVENT = {
+  LEADS_CREATED: 'leads.created',
+};
+
+// Loaded lazily from disk
+let deadLetters = null;
+let pendingDeliveries = null;
+
+// Writes (of both files) are chained so concurrent deliveries never interleave
+let writeQueue = Promise.resolve();
+
+// Logged once - the secret only changes with a restart
+let missingSecretLogged = false;
+
+/**
+ * Sign a webhook body
+ * @param {string} body - Raw JSON body
+ * @param {number} timestamp - Unix seconds
+ * @returns {string} - Signature header value
+ */
+export function signPayload(body, timestamp) {
+  const hmac = createHmac('sha256', config.webhooks.secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${hmac}`;
+}
+
+/**
+ * Exponential backoff with jitter for a given attempt (1-based)
+ * @param {number} attempt
+ * @returns {number} - Delay in ms
+ */
+function getBackoffDelay(attempt) {
+  const { initialBackoffMs, maxBackoffMs } = config.webhooks;
+  const delay = Math.min(maxBackoffMs, initialBackoffMs * 2 ** (attempt - 1));
+  // Spread retries so failed deliveries don't all hit the receiver at once
+  return Math.round(delay * (0.5 + Math.random() / 2));
+}
+
+/**
+ * Send a delivery once
+ * @param {Object} delivery - { id, url, payload }
+ * @returns {Promise<{ok: boolean, retryable: boolean, error?: string}>}
+ */
+async function sendDelivery(delivery) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  // Receivers can't tell an unsigned payload from a forged one
+  if (!config.webhooks.secret) {
+    return { ok: false, retryable: false, error: 'WEBHOOK_SECRET not set - payloads are never sent unsigned' };
+  }
+
+  try {
+    const response = await fetch(delivery.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Idempotency-Key': delivery.id,
+        'X-Webhook-Event': delivery.payload.event,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': signPayload(body, timestamp),
+      },
+      body,
+      signal: AbortSignal.timeout(config.webhooks.timeoutMs),
+    });
+
+    if (response.ok) {
+      return { ok: true, retryable: false };
+    }
+
+    // Other client errors won't succeed on retry
+    const retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+    return { ok: false, retryable, error: `HTTP ${response.status}` };
+  } catch (error) {
+    // Network errors and timeouts
+    return { ok: false, retryable: true, error: error.message };
+  }
+}
+
+/**
+ * Wait until a point in time
+ * @param {string|null} isoDate - Returns at once if empty or past
+ * @returns {Promise<void>}
+ */
+function waitUntil(isoDate) {
+  const delay = isoDate ? new Date(isoDate).getTime() - Date.now() : 0;
+  return delay > 0 ? new Promise((resolve) => setTimeout(resolve, delay)) : Promise.resolve();
+}
+
+/**
+ * Deliver with retries, moving the delivery to the dead-letter list if it never succeeds
+ * A resumed delivery keeps its attempt count and first waits out its scheduled backoff
+ * @param {Object} delivery - { id, url, payload, attempts, nextAttemptAt }
+ * @returns {Promise<boolean>} - True if delivered
+ */
+async function deliverWithRetries(delivery) {
+  const { maxAttempts } = config.webhooks;
+
+  await waitUntil(delivery.nextAttemptAt);
+
+  while (delivery.attempts < maxAttempts) {
+    delivery.attempts += 1;
+    const result = await sendDelivery(delivery);
+
+    if (result.ok) {
+      logger.info('Webhook delivered', {
+        deliveryId: delivery.id,
+        url: delivery.url,
+        attempts: delivery.attempts,
+      });
+      await removePending(delivery.id);
+      return true;
+    }
+
+    delivery.lastError = result.error;
+
+    if (!result.retryable || delivery.attempts >= maxAttempts) {
+      break;
+    }
+
+    const delay = getBackoffDelay(delivery.attempts);
+    delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+    await savePending(delivery);
+
+    logger.warn('Webhook delivery failed, retrying', {
+      deliveryId: delivery.id,
+      url: delivery.url,
+      attempt: delivery.attempts,
+      error: result.error,
+      retryInMs: delay,
+    });
+    await waitUntil(delivery.nextAttemptAt);
+  }
+
+  logger.error('Webhook delivery failed, moved to dead letters', {
+    deliveryId: delivery.id,
+    url: delivery.url,
+    attempts: delivery.attempts,
+    error: delivery.lastError,
+  });
+  await addDeadLetter(delivery);
+  await removePending(delivery.id);
+  return false;
+}
+
+/**
+ * Run a delivery in the background
+ * @param {Object} delivery
+ */
+function startDelivery(delivery) {
+  deliverWithRetries(delivery).catch((error) => {
+    logger.error('Webhook delivery crashed', { deliveryId: delivery.id, error: error.message });
+  });
+}
+
+/**
+ * Load the pending deliveries (once)
+ * @returns {Promise<Array>}
+ */
+async function loadPending() {
+  if (!pendingDeliveries) {
+    const loaded = await readJsonFile(config.webhooks.pendingPath, []);
+    // Another call may have loaded it while this one was reading
+    pendingDeliveries ??= loaded;
+  }
+  return pendingDeliveries;
+}
+
+/**
+ * Queue a JSON file write after the previous ones
+ * @param {string} filePath
+ * @param {*} data
+ * @returns {Promise<void>}
+ */
+function persist(filePath, data) {
+  writeQueue = writeQueue
+    .catch(() => {})
+    .then(() => writeJsonFile(filePath, data));
+  return writeQueue;
+}
+
+/**
+ * Add or update a pending delivery on disk
+ * @param {Object} delivery
+ */
+async function savePending(delivery) {
+  const list = await loadPending();
+  const index = list.findIndex((item) => item.id === delivery.id);
+  if (index >= 0) {
+    list[index] = delivery;
+  } else {
+    list.push(delivery);
+  }
+  await persist(config.webhooks.pendingPath, list);
+}
+
+/**
+ * Remove a delivery that was delivered or dead-lettered from the pending ones
+ * @param {string} id - Delivery ID
+ */
+async function removePending(id) {
+  const list = await loadPending();
+  const index = list.findIndex((item) => item.id === id);
+  if (index >= 0) {
+    list.splice(index, 1);
+  }
+  await persist(config.webhooks.pendingPath, list);
+}
+
+/**
+ * Load the dead-letter list (once)
+ * @returns {Promise<Array>}
+ */
+async function loadDeadLetters() {
+  if (!deadLetters) {
+    const loaded = await readJsonFile(config.webhooks.deadLetterPath, []);
+    // Another call may have loaded it while this one was reading
+    deadLetters ??= loaded;
+  }
+  return deadLetters;
+}
+
+/**
+ * Persist the dead-letter list
+ * @returns {Promise<void>}
+ */
+function persistDeadLetters() {
+  return persist(config.webhooks.deadLetterPath, deadLetters);
+}
+
+/**
+ * Add (or refresh) a failed delivery in the dead-letter list
+ * @param {Object} delivery
+ */
+async function addDeadLetter(delivery) {
+  const list = await loadDeadLetters();
+  const entry = {
+    id: delivery.id,
+    url: delivery.url,
+    payload: delivery.payload,
+    attempts: delivery.attempts,
+    lastError: delivery.lastError,
+    failedAt: new Date().toISOString(),
+  };
+
+  const index = list.findIndex((item) => item.id === delivery.id);
+  if (index >= 0) {
+    list[index] = entry;
+  } else {
+    list.push(entry);
+  }
+
+  await persistDeadLetters();
+}
+
+/**
+ * Send newly scraped leads to every configured webhook
+ * Deliveries run in the background - this never throws or waits for receivers
+ * @param {Array} leads - Newly stored lead records
+ * @param {Object} options
+ * @param {string} options.account - Tokko account the leads came from
+ * @returns {number} - Number of deliveries started
+ */
+export function notifyNewLeads(leads, options = {}) {
+  const { account = null } = options;
+  const { urls, batchSize } = config.webhooks;
+  if (urls.length === 0 || leads.length === 0) {
+    return 0;
+  }
+
+  if (!config.webhooks.secret && !missingSecretLogged) {
+    missingSecretLogged = true;
+    logger.error('WEBHOOK_SECRET not set - webhooks are not sent, new leads go to the dead letters for replay');
+  }
+
+  let started = 0;
+  for (let i = 0; i < leads.length; i += batchSize) {
+    const batch = leads.slice(i, i + batchSize);
+
+    for (const url of urls) {
+      const id = randomUUID();
+      const delivery = {
+        id,
+        url,
+        attempts: 0,
+        payload: {
+          event: WEBHOOK_EVENT.LEADS_CREATED,
+          deliveryId: id,
+          createdAt: new Date().toISOString(),
+          account,
+          leads: batch,
+        },
+      };
+
+      // Saved before the first attempt, so a restart can't lose it
+      savePending(delivery)
+        .catch((error) => logger.error('Failed to save webhook delivery', { deliveryId: id, error: error.message }))
+        .then(() => startDelivery(delivery));
+      started++;
+    }
+  }
+
+  logger.info('Webhook deliveries started', { account, deliveries: started, leads: leads.length });
+  return started;
+}
+
+/**
+ * Resume the deliveries a previous process left pending
+ * @returns {Promise<number>} - Deliveries resumed
+ */
+export async function resumeWebhookDeliveries() {
+  const list = await loadPending();
+
+  for (const delivery of list) {
+    startDelivery(delivery);
+  }
+
+  if (list.length > 0) {
+    logger.info('Resumed pending webhook deliveries', { deliveries: list.length });
+  }
+  return list.length;
+}
+
+/**
+ * List failed deliveries
+ * @returns {Promise<Array>}
+ */
+export async function listDeadLetters() {
+  return [...(await loadDeadLetters())];
+}
+
+/**
+ * Retry a dead-lettered delivery once (same idempotency key)
+ * It is removed from the list if it succeeds and stays there with the new error otherwise
+ * @param {string} id - Delivery ID
+ * @returns {Promise<{delivered: boolean, deadLetter: Object|null}|null>} - Null if not found
+ */
+export async function replayDeadLetter(id) {
+  const list = await loadDeadLetters();
+  const entry = list.find((item) => item.id === id);
+  if (!entry) {
+    return null;
+  }
+
+  logger.info('Replaying dead-lettered webhook', { deliveryId: id, url: entry.url });
+
+  entry.attempts += 1;
+  const result = await sendDelivery(entry);
+
+  if (result.ok) {
+    deadLetters = list.filter((item) => item.id !== id);
+    await persistDeadLetters();
+    logger.info('Dead-lettered webhook delivered', { deliveryId: id, url: entry.url });
+    return { delivered: true, deadLetter: null };
+  }
+
+  entry.lastError = result.error;
+  entry.failedAt = new Date().toISOString();
+  await persistDeadLetters();
+  logger.warn('Dead-lettered webhook replay failed', { deliveryId: id, error: result.error });
+
+  return { delivered: false, deadLetter: entry };
+}
@@ -0,0 +1,346 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync } from 'node:fs';
+import { mkdtemp, readdir, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { inflateRawSync } from 'node:zlib';
+import { chromium } from 'playwright';
+import { LEAD_SPACING_HOURS, SECTIONS, createLeads, formatTokkoDate } from '../mock-tokko/fixtures.js';
+import { MOCK_CREDENTIALS, startMockTokko } from '../mock-tokko/server.js';
+
+/**
+ * End-to-end: scrapeLeads() against the mock Tokko server
+ *
+ * Runs the real scraper (Playwright, Chromium) with TOKKO_BASE_URL pointing at
+ * test/mock-tokko. The LLM is the fixture provider (test/fixtures/llm.json), so
+ * nothing leaves the machine; selector cache, healed selectors and LLM usage go
+ * to a temp directory and nothing else is persisted. HEADLESS=false shows the browser.
+ */
+
+const HOUR = 60 * 60 * 1000;
+const TEST_TIMEOUT = 3 * 60 * 1000;
+
+// Lead dates are relative to this, so the target-date cutoffs are exact
+const now = new Date();
+const fixtures = createLeads(now);
+
+// Sections listed only with "Mostrar estados para reasignar" on
+const reassignStatuses = SECTIONS.filter((section) => section.reassign).map((section) => section.status);
+
+let mock;
+let dataDir;
+let scrapeLeads;
+let listHealedSelectors;
+
+/**
+ * Leads of the fixtures that scrapeLeads() should return, by contact name
+ * @param {Function} predicate
+ * @returns {Array<string>}
+ */
+function expectedNames(predicate) {
+  return fixtures.filter(predicate).map((lead) => lead.contactName).sort();
+}
+
+/**
+ * Contact names of scraped leads
+ * @param {Array} leads
+ * @returns {Array<string>}
+ */
+function scrapedNames(leads) {
+  return leads.map((lead) => lead.contact.name).sort();
+}
+
+/**
+ * Fixture a scraped lead came from
+ * @param {Object} lead
+ * @returns {Object}
+ */
+function findFixture(lead) {
+  return fixtures.find((fixture) => fixture.contactName === lead.contact.name);
+}
+
+/**
+ * Phone as the scraper stores it (digits and "+")
+ * @param {string} phone
+ * @returns {string}
+ */
+function cleanPhone(phone) {
+  return phone.replace(/[^+\d]/g, '');
+}
+
+/**
+ * Unpack a zip archive (stored and deflated entries, as in Playwright traces)
+ * @param {Buffer} archive
+ * @returns {Map<string, Buffer>} - Entry contents by name
+ */
+function unzip(archive) {
+  const entries = new Map();
+  // End of central directory record
+  const end = archive.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = archive.readUInt16LE(end + 10);
+  let offset = archive.readUInt32LE(end + 16);
+
+  for (let index = 0; index < count; index++) {
+    const method = archive.readUInt16LE(offset + 10);
+    const compressedSize = archive.readUInt32LE(offset + 20);
+    const nameLength = archive.readUInt16LE(offset + 28);
+    const extraLength = archive.readUInt16LE(offset + 30);
+    const commentLength = archive.readUInt16LE(offset + 32);
+    const localOffset = archive.readUInt32LE(offset + 42);
+    const name = archive.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    const dataStart = localOffset + 30 + archive.readUInt16LE(localOffset + 26) + archive.readUInt16LE(localOffset + 28);
+    const data = archive.subarray(dataStart, dataStart + compressedSize);
+    entries.set(name, method === 8 ? inflateRawSync(data) : data);
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+/**
+ * Read the forensic artifacts of a run, with the entries of zip archives (trace.zip)
+ * @param {string} runId
+ * @returns {Promise<Map<string, Buffer>>} - Contents by file name ("trace.zip/<entry>" for archive entries)
+ */
+async function readArtifacts(runId) {
+  const directory = path.join(dataDir, 'artifacts', runId);
+  const files = new Map();
+
+  for (const name of await readdir(directory)) {
+    const content = await readFile(path.join(directory, name));
+    files.set(name, content);
+    if (name.endsWith('.zip')) {
+      for (const [entry, data] of unzip(content)) {
+        files.set(`${name}/${entry}`, data);
+      }
+    }
+  }
+
+  return files;
+}
+
+describe('scrapeLeads() against the mock Tokko server', () => {
+  before(async () => {
+    if (!existsSync(chromium.executablePath())) {
+      throw new Error('Chromium is not installed - run "npx playwright install chromium" first');
+    }
+
+    mock = await startMockTokko({ leads: fixtures });
+    dataDir = await mkdtemp(path.join(tmpdir(), 'tokko-e2e-'));
+
+    // Config is read on import, so the environment is set first
+    Object.assign(process.env, {
+      TOKKO_BASE_URL: mock.url,
+      TOKKO_EMAIL: MOCK_CREDENTIALS.email,
+      TOKKO_PASSWORD: MOCK_CREDENTIALS.password,
+      TOKKO_ACCOUNTS: JSON.stringify([
+        { name: 'wrong-password', email: MOCK_CREDENTIALS.email, password: 'not-the-password' },
+      ]),
+      TOKKO_DEFAULT_ACCOUNT: 'default',
+      LLM_PROVIDER: 'fixture',
+      LLM_FIXTURES_PATH: fileURLToPath(new URL('../fixtures/llm.json', import.meta.url)),
+      HEADLESS: process.env.HEADLESS || 'true',
+      BROWSER_POOL_ENABLED: 'false',
+      SESSION_PERSIST: 'false',
+      LEADS_STORE_ENABLED: 'false',
+      FORENSICS_ENABLED: 'false',
+      FORENSICS_PATH: path.join(dataDir, 'artifacts'),
+      SELECTOR_CACHE_PATH: path.join(dataDir, 'selector-cache.json'),
+      HEALED_SELECTORS_PATH: path.join(dataDir, 'healed-selectors.json'),
+      LLM_USAGE_PATH: path.join(dataDir, 'llm-usage.json'),
+      SCRAPE_RETRY_POLICY: JSON.stringify({ initialBackoffMs: 100, maxBackoffMs: 200 }),
+    });
+
+    ({ scrapeLeads } = await import('../../src/scraper/index.js'));
+    ({ listHealedSelectors } = await import('../../src/scraper/self-healing.js'));
+  });
+
+  after(async () => {
+    await mock?.close();
+    if (dataDir) {
+      await rm(dataDir, { recursive: true, force: true });
+    }
+  });
+
+  // Palermo leads are only listed once "Todas las sucursales" is applied, and
+  // the last rows only after scrolling - so a complete list proves both
+  it('scrapes every section of all branches, past the first page', { timeout: TEST_TIMEOUT }, async () => {
+    const result = await scrapeLeads({ targetDate: new Date(now.getTime() - 30 * 24 * HOUR) });
+
+    assert.equal(result.success, true, result.error);
+    assert.deepEqual(scrapedNames(result.leads), expectedNames((lead) => !reassignStatuses.includes(lead.status)));
+
+    for (const lead of result.leads) {
+      const fixture = findFixture(lead);
+      assert.equal(lead.status, fixture.section);
+      assert.equal(lead.agent.name, fixture.agentName);
+      assert.equal(lead.property.address, fixture.address);
+      assert.equal(lead.lastUpdated, formatTokkoDate(fixture.updatedAt));
+      assert.equal(lead.account, 'default');
+    }
+
+    assert.equal(result.metadata.totalLeads, result.leads.length);
+    assert.equal(result.metadata.store, null);
+  });
+
+  it('stops at the target date', { timeout: TEST_TIMEOUT }, async () => {
+    // Halfway between two leads, so minute rounding can't move one across
+    const targetDate = new Date(now.getTime() - 4.5 * LEAD_SPACING_HOURS * HOUR);
+    const result = await scrapeLeads({ targetDate });
+
+    assert.equal(result.success, true, result.error);
+    assert.deepEqual(
+      scrapedNames(result.leads),
+      expectedNames((lead) => lead.status === 'pendiente_contactar' && lead.updatedAt >= targetDate)
+    );
+  });
+
+  it('scrapes a single status section', { timeout: TEST_TIMEOUT }, async () => {
+    const result = await scrapeLeads({
+      targetDate: new Date(now.getTime() - 30 * 24 * HOUR),
+      status: 'esperando_respuesta',
+    });
+
+    assert.equal(result.success, true, result.error);
+    assert.deepEqual(scrapedNames(result.leads), expectedNames((lead) => lead.status === 'esperando_respuesta'));
+    assert.ok(result.leads.every((lead) => lead.status === 'Esperando respuesta'));
+  });
+
+  it('turns on "Mostrar estados para reasignar" for the reassignment sections', { timeout: TEST_TIMEOUT }, async () => {
+    const result = await scrapeLeads({
+      targetDate: new Date(now.getTime() - 30 * 24 * HOUR),
+      status: 'para_reasignacion',
+    });
+
+    assert.equal(result.success, true, result.error);
+    assert.deepEqual(scrapedNames(result.leads), expectedNames((lead) => lead.status === 'para_reasignacion'));
+  });
+
+  it('reads contact tooltips and the property modal', { timeout: TEST_TIMEOUT }, async () => {
+    const result = await scrapeLeads({
+      targetDate: new Date(now.getTime() - 30 * 24 * HOUR),
+      status: 'pendiente_contactar',
+      extractDetails: true,
+      maxLeads: 2,
+    });
+
+    assert.equal(result.success, true, result.error);
+    assert.equal(result.leads.length, 2);
+
+    for (const lead of result.leads) {
+      const fixture = findFixture(lead);
+      assert.equal(lead.contact.email, fixture.email);
+      assert.equal(lead.contact.phone, cleanPhone(fixture.phone));
+      assert.equal(lead.contact.cellPhone, cleanPhone(fixture.cellPhone));
+      assert.equal(lead.property.id, fixture.propertyId);
+      // The modal's agent wins over the one listed next to the contact
+      assert.equal(lead.agent.name, fixture.propertyAgent);
+    }
+  });
+
+  it('heals a login selector broken by a UI change, using the LLM fixture', { timeout: TEST_TIMEOUT }, async () => {
+    // #username is gone - the fixture answers the smart selector with input[name='username']
+    mock.state.usernameFieldId = 'user_email';
+    try {
+      const result = await scrapeLeads({
+        targetDate: new Date(now.getTime() - 30 * 24 * HOUR),
+        status: 'evolucionando',
+      });
+
+      assert.equal(result.success, true, result.error);
+      assert.deepEqual(
+        result.metadata.healedSelectors.map(({ name, from, to }) => ({ name, from, to })),
+        [{ name: 'login.username', from: ['#username'], to: "input[name='username']" }]
+      );
+      // The one smart-selector call is counted for the run
+      assert.equal(result.metadata.llmUsage.byPurpose.selectors.calls, 1);
+
+      const { selectors } = await listHealedSelectors();
+      const healed = selectors.find((selector) => selector.name === 'login.username');
+      assert.equal(healed.selector, "input[name='username']");
+      assert.equal(healed.review, null);
+    } finally {
+      mock.state.usernameFieldId = 'username';
+    }
+  });
+
+  it('fails with invalid_credentials when Tokko rejects the password', { timeout: TEST_TIMEOUT }, async () => {
+    const result = await scrapeLeads({ account: 'wrong-password' });
+
+    assert.equal(result.success, false);
+    assert.equal(result.failure.code, 'invalid_credentials');
+    assert.equal(result.failure.stage, 'login');
+    assert.equal(result.failure.retryable, false);
+    assert.deepEqual(result.leads, []);
+  });
+
+  it('reports what a run cancelled before the leads page stored', { timeout: TEST_TIMEOUT }, async () => {
+    const controller = new AbortController();
+    const summaries = [];
+
+    const result = await scrapeLeads({
+      signal: controller.signal,
+      onEvent: (type, data) => {
+        if (type === 'login') controller.abort();
+        if (type === 'summary') summaries.push(data);
+      },
+    });
+
+    assert.equal(result.cancelled, true);
+    assert.equal(result.error, 'Scrape cancelled');
+    assert.deepEqual(result.leads, []);
+    // The store is disabled here - a cancelled run still says so, and never moves the marks
+    assert.equal(result.metadata.store, null);
+    assert.equal(result.metadata.watermarks, null);
+    assert.deepEqual(summaries, [{ success: false, ...result.metadata }]);
+  });
+
+  it('keeps the Tokko password out of the forensic artifacts', { timeout: TEST_TIMEOUT }, async () => {
+    const scraped = await scrapeLeads({
+      targetDate: new Date(now.getTime() - 30 * 24 * HOUR),
+      status: 'evolucionando',
+      forensics: true,
+      runId: 'forensics-login',
+    });
+    const failed = await scrapeLeads({ account: 'wrong-password', forensics: true, runId: 'forensics-login-failure' });
+
+    assert.equal(scraped.success, true, scraped.error);
+    assert.equal(failed.success, false);
+
+    const runs = [
+      { runId: 'forensics-login', password: MOCK_CREDENTIALS.password, expected: ['trace.zip', '01-login.png'] },
+      { runId: 'forensics-login-failure', password: 'not-the-password', expected: ['error.json', '01-failure.html'] },
+    ];
+    for (const { runId, password, expected } of runs) {
+      const files = await readArtifacts(runId);
+      for (const name of expected) {
+        assert.ok(files.has(name), `${runId} has no ${name}`);
+      }
+      for (const [name, content] of files) {
+        assert.equal(content.includes(password), false, `${runId}/${name} contains the password`);
+      }
+    }
+  });
+
+  it('fails with session_expired when Tokko logs the browser out', { timeout: TEST_TIMEOUT }, async () => {
+    try {
+      const result = await scrapeLeads({
+        // Log out right after the login, before the leads page
+        onProgress: ({ stage }) => {
+          if (stage === 'navigation') mock.state.expireSessions = true;
+        },
+      });
+
+      assert.equal(result.success, false);
+      assert.equal(result.failure.code, 'session_expired');
+      assert.equal(result.failure.stage, 'navigation');
+      assert.equal(result.failure.retryable, true);
+    } finally {
+      mock.state.expireSessions = false;
+    }
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * Leads served by the mock Tokko server
+ *
+ * Dates are relative to "now" so target-date cutoffs stay stable: within each
+ * section leads are sorted newest first, LEAD_SPACING_HOURS apart.
+ */
+
+export const LEAD_SPACING_HOURS = 6;
+
+/**
+ * Branches in the Sucursal dropdown - the page starts filtered to the first one
+ */
+export const BRANCHES = [
+  { id: 'central', name: 'Casa Central' },
+  { id: 'palermo', name: 'Palermo' },
+];
+
+/**
+ * Status sections, in the order Tokko lists them
+ * reassign: only shown with "Mostrar estados para reasignar" on
+ */
+export const SECTIONS = [
+  { status: 'pendiente_contactar', label: 'Pendiente contactar', reassign: false },
+  { status: 'esperando_respuesta', label: 'Esperando respuesta', reassign: false },
+  { status: 'evolucionando', label: 'Evolucionando', reassign: false },
+  { status: 'para_reasignacion', label: 'Para reasignacion', reassign: true },
+  { status: 'sin_seguimiento', label: 'Sin Seguimiento', reassign: true },
+];
+
+// Contact names never start with another one (the scraper finds them with :has-text)
+const FIRST_NAMES = ['Martina', 'Joaquín', 'Valentina', 'Bautista', 'Catalina', 'Tomás', 'Florencia', 'Lautaro'];
+const LAST_NAMES = ['Acosta', 'Benítez', 'Castro', 'Domínguez', 'Escobar', 'Ferreyra'];
+const AGENTS = ['Lucía Romero', 'Diego Sosa', 'Carla Medina'];
+const STREETS = ['Av. Santa Fe', 'Gorriti', 'Honduras', 'Av. Cabildo', 'Thames', 'Arenales'];
+
+// Leads per section
+const SECTION_SIZES = {
+  pendiente_contactar: 12,
+  esperando_respuesta: 8,
+  evolucionando: 6,
+  para_reasignacion: 5,
+  sin_seguimiento: 4,
+};
+
+/**
+ * Build the leads of every section
+ * @param {Date} now - Reference time for lead dates
+ * @returns {Array<Object>} - { id, status, section, branch, contactName, agentName, address, updatedAt,
+ *   propertyId, propertyAgent, email, phone, cellPhone }
+ */
+export function createLeads(now = new Date()) {
+  const leads = [];
+  let index = 0;
+
+  for (const section of SECTIONS) {
+    for (let position = 0; position < SECTION_SIZES[section.status]; position++) {
+      const firstName = FIRST_NAMES[index % FIRST_NAMES.length];
+      const lastName = LAST_NAMES[Math.floor(index / FIRST_NAMES.length) % LAST_NAMES.length];
+      const id = String(1000 + index);
+
+      leads.push({
+        id,
+        status: section.status,
+        section: section.label,
+        // Every third lead belongs to the second branch - hidden until "Todas las sucursales" is applied
+        branch: BRANCHES[index % 3 === 2 ? 1 : 0].id,
+        contactName: `${firstName} ${lastName}`,
+        agentName: AGENTS[index % AGENTS.length],
+        address: `${STREETS[index % STREETS.length]} ${100 + index * 7}`,
+        updatedAt: new Date(now.getTime() - (position + 1) * LEAD_SPACING_HOURS * 60 * 60 * 1000),
+        propertyId: `AAP${7427600 + index}`,
+        // The property's agent, read from the quick display modal
+        propertyAgent: AGENTS[(index + 1) % AGENTS.length],
+        email: `${firstName}.${lastName}`.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase() + '@example.com',
+        phone: `+54 11 4${String(index).padStart(3, '0')}-${String(5000 + index)}`,
+        cellPhone: `+54 9 11 5${String(index).padStart(3, '0')}-${String(6000 + index)}`,
+      });
+      index++;
+    }
+  }
+
+  return leads;
+}
+
+/**
+ * Format a date the way Tokko lists it (DD/MM/YYYY HH:MM, local time)
+ * @param {Date} date
+ * @returns {string}
+ */
+export function formatTokkoDate(date) {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${pad(date.getDate())}/${pad(date.getMonth() + 1)}/${date.getFullYear()} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
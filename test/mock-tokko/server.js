@@ -0,0 +1,450 @@
+import { randomUUID } from 'node:crypto';
+import express from 'express';
+import { BRANCHES, SECTIONS, createLeads, formatTokkoDate } from './fixtures.js';
+
+/**
+ * Local stand-in for Tokko Broker
+ *
+ * Serves just enough of Tokko for scrapeLeads() to run end to end:
+ * - /go/ login form (#username, #password, terms checkboxes, "Acceder" div posting in the background)
+ * - /leads/ with the Sucursal dropdown, the "Mostrar estados para reasignar"
+ *   toggle and the leads table: section header rows ("Pendiente contactar (12)")
+ *   followed by lead rows, loaded a page at a time on scroll
+ * - qTip contact tooltips (.class_contact_tooltip -> .contact_ttip)
+ * - the #quickDisplay_modal property modal, with its content in an iframe
+ *
+ * Run it on its own to poke at it with a browser:
+ *   node test/mock-tokko/server.js [port]
+ */
+
+/**
+ * Credentials the mock accepts
+ */
+export const MOCK_CREDENTIALS = {
+  email: 'agente@inmobiliaria.test',
+  password: 'mock-password',
+};
+
+const SESSION_COOKIE = 'tokko_session';
+
+// Rows (section headers included) per page of the leads table
+const DEFAULT_PAGE_SIZE = 25;
+
+/**
+ * Escape text for HTML
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Wrap a page body in a minimal HTML document
+ * @param {string} title
+ * @param {string} body
+ * @param {string} head - Extra <head> content
+ * @returns {string}
+ */
+function layout(title, body, head = '') {
+  return `<!DOCTYPE html>
+<html lang="es">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)} - Tokko Broker</title>
+  ${head}
+</head>
+<body>
+${body}
+</body>
+</html>`;
+}
+
+/**
+ * Read the session ID from the request cookies
+ * @param {Request} req
+ * @returns {string|null}
+ */
+function getSessionId(req) {
+  const cookies = (req.headers.cookie || '').split(';').map((cookie) => cookie.trim().split('='));
+  const session = cookies.find(([name]) => name === SESSION_COOKIE);
+  return session ? decodeURIComponent(session[1]) : null;
+}
+
+/**
+ * Rows of the leads table for a filter: a header per section, then its leads
+ * @param {Array} leads - All leads
+ * @param {Object} filter
+ * @param {string} filter.branch - Branch ID or "all"
+ * @param {boolean} filter.reassign - Show the reassignment sections instead of the others
+ * @returns {Array<Object>} - { type: 'header', label, count } | { type: 'lead', lead }
+ */
+function getTableRows(leads, { branch, reassign }) {
+  const rows = [];
+
+  for (const section of SECTIONS.filter((candidate) => candidate.reassign === reassign)) {
+    const sectionLeads = leads.filter((lead) => (
+      lead.status === section.status && (branch === 'all' || lead.branch === branch)
+    ));
+    if (sectionLeads.length === 0) continue;
+
+    rows.push({ type: 'header', label: section.label, count: sectionLeads.length });
+    rows.push(...sectionLeads.map((lead) => ({ type: 'lead', lead })));
+  }
+
+  return rows;
+}
+
+/**
+ * Render table rows
+ * @param {Array<Object>} rows - From getTableRows
+ * @returns {string}
+ */
+function renderRows(rows) {
+  return rows.map((row) => {
+    if (row.type === 'header') {
+      return `<tr class="leads-section-header"><td colspan="3"><strong>${escapeHtml(row.label)} (${row.count})</strong></td></tr>`;
+    }
+
+    const { lead } = row;
+    return `<tr class="lead-row" data-lead-id="${lead.id}">
+  <td class="leads-contact-td"><div class="class_contact_tooltip" data-contact-id="${lead.id}">${escapeHtml(lead.contactName)} (${escapeHtml(lead.agentName)})</div></td>
+  <td class="leads-property-td"><a href="#" class="quick-display-link" data-property-id="${lead.id}">${escapeHtml(lead.address)}</a></td>
+  <td class="leads-date-td">${formatTokkoDate(lead.updatedAt)}</td>
+</tr>`;
+  }).join('\n');
+}
+
+/**
+ * Render the login page
+ * @param {boolean} invalid - Show the "invalid login" message
+ * @param {string} usernameFieldId - ID of the email input
+ * @returns {string}
+ */
+function renderLoginPage(invalid, usernameFieldId) {
+  return layout('Ingresar', `
+<div class="login-box">
+  ${invalid ? '<p class="login-error">Usuario o contraseña incorrectos</p>' : ''}
+  <form id="login_form" method="post" action="/go/login">
+    <input id="${escapeHtml(usernameFieldId)}" name="username" type="email" placeholder="Email">
+    <input id="password" name="password" type="password" placeholder="Contraseña">
+    <label><input id="agreeterms" name="agreeterms" type="checkbox"> Acepto los términos y condiciones</label>
+    <label><input id="agreepolicy" name="agreepolicy" type="checkbox"> Acepto la política de privacidad</label>
+    <div cursor="pointer" class="login-button" id="login_button">Acceder</div>
+  </form>
+</div>
+<script>
+  // Like Tokko: the form is posted in the background, then the page moves on
+  document.getElementById('login_button').addEventListener('click', async () => {
+    const form = document.getElementById('login_form');
+    const response = await fetch(form.action, { method: 'POST', body: new URLSearchParams(new FormData(form)) });
+    const { redirect } = await response.json();
+    window.location.href = redirect;
+  });
+</script>`);
+}
+
+/**
+ * Render the Oportunidades page with the first page of the table
+ * @param {Array<Object>} rows - Rows for the default filter
+ * @param {number} pageSize
+ * @returns {string}
+ */
+function renderLeadsPage(rows, pageSize) {
+  const firstPage = rows.slice(0, pageSize);
+
+  const branchOptions = [
+    '<label class="branch-option"><input type="radio" name="branch" value="all"> Todas las sucursales</label>',
+    ...BRANCHES.map((branch, index) => (
+      `<label class="branch-option"><input type="radio" name="branch" value="${branch.id}"${index === 0 ? ' checked' : ''}> ${escapeHtml(branch.name)}</label>`
+    )),
+  ].join('\n        ');
+
+  const head = `<style>
+    body { margin: 0; font-family: sans-serif; }
+    .page-header { height: 60px; display: flex; align-items: center; justify-content: space-between; padding: 0 16px; }
+    .filters { position: relative; padding: 8px 16px; }
+    .filter-dropdown { display: inline-block; padding: 6px 12px; border: 1px solid #ccc; cursor: pointer; }
+    .dropdown-menu { display: none; position: absolute; top: 44px; left: 16px; background: #fff; border: 1px solid #ccc; padding: 8px; z-index: 10; }
+    .dropdown-menu.open { display: block; }
+    .dropdown-menu label { display: block; padding: 4px 0; }
+    .leads-scroll { height: 420px; overflow-y: auto; }
+    .leads-table td { padding: 12px 8px; }
+    .qtip { display: none; position: absolute; background: #fff; border: 1px solid #999; padding: 8px; z-index: 20; white-space: pre-line; }
+    .qtip.visible { display: block; }
+    #quickDisplay_modal { display: none; position: fixed; top: 40px; left: 40px; width: 600px; height: 400px; background: #fff; border: 1px solid #333; z-index: 30; }
+    #quickDisplay_modal.open { display: block; }
+    #quickDisplay_modal iframe { width: 100%; height: 360px; border: 0; }
+  </style>`;
+
+  return layout('Oportunidades', `
+<div class="page">
+  <div class="page-header">
+    <h1>Oportunidades</h1>
+    <label class="reassign-toggle"><input type="checkbox" id="show_reassign"> Mostrar estados para reasignar</label>
+  </div>
+  <div class="filters">
+    <div class="filter-dropdown" id="sucursal_dropdown">Sucursal &#9662;</div>
+    <div class="dropdown-menu" id="sucursal_menu">
+        ${branchOptions}
+      <button type="button" id="apply_branch">Aplicar</button>
+    </div>
+  </div>
+  <div class="leads-scroll" id="leads_container">
+    <table class="leads-table">
+      <tbody id="leads_body">
+${renderRows(firstPage)}
+      </tbody>
+    </table>
+  </div>
+</div>
+<div class="qtip ui-tooltip contact_ttip" id="contact_qtip"></div>
+<div id="quickDisplay_modal"><span class="modal-close">&times;</span><iframe title="Propiedad"></iframe></div>
+<script>
+  const state = {
+    branch: '${BRANCHES[0].id}',
+    reassign: false,
+    offset: ${firstPage.length},
+    hasMore: ${rows.length > firstPage.length},
+    loading: false,
+  };
+  const container = document.getElementById('leads_container');
+  const body = document.getElementById('leads_body');
+  const menu = document.getElementById('sucursal_menu');
+  const qtip = document.getElementById('contact_qtip');
+  const modal = document.getElementById('quickDisplay_modal');
+
+  async function loadRows(reset) {
+    if (state.loading || (!reset && !state.hasMore)) return;
+    state.loading = true;
+    const offset = reset ? 0 : state.offset;
+    const query = new URLSearchParams({ branch: state.branch, reassign: state.reassign ? '1' : '0', offset });
+    try {
+      const response = await fetch('/leads/rows?' + query);
+      const html = await response.text();
+      if (reset) body.innerHTML = '';
+      body.insertAdjacentHTML('beforeend', html);
+      state.offset = offset + Number(response.headers.get('X-Row-Count'));
+      state.hasMore = response.headers.get('X-Has-More') === '1';
+    } finally {
+      state.loading = false;
+    }
+  }
+
+  // Infinite scroll
+  container.addEventListener('scroll', () => {
+    if (container.scrollTop + container.clientHeight >= container.scrollHeight - 50) {
+      loadRows(false);
+    }
+  });
+
+  // Sucursal filter
+  document.getElementById('sucursal_dropdown').addEventListener('click', () => menu.classList.toggle('open'));
+  document.getElementById('apply_branch').addEventListener('click', () => {
+    state.branch = menu.querySelector('input[name="branch"]:checked').value;
+    menu.classList.remove('open');
+    loadRows(true);
+  });
+
+  // Reassignment sections
+  document.getElementById('show_reassign').addEventListener('change', (event) => {
+    state.reassign = event.target.checked;
+    loadRows(true);
+  });
+
+  // qTip contact tooltip and property quick display
+  body.addEventListener('click', async (event) => {
+    const contact = event.target.closest('.class_contact_tooltip');
+    if (contact) {
+      const response = await fetch('/contacts/' + contact.dataset.contactId + '/tooltip');
+      const rect = contact.getBoundingClientRect();
+      qtip.textContent = await response.text();
+      qtip.style.top = (rect.bottom + window.scrollY + 4) + 'px';
+      qtip.style.left = (rect.left + window.scrollX) + 'px';
+      qtip.classList.add('visible');
+      return;
+    }
+
+    const link = event.target.closest('.quick-display-link');
+    if (link) {
+      event.preventDefault();
+      modal.querySelector('iframe').src = '/properties/quick_display/' + link.dataset.propertyId;
+      modal.classList.add('open');
+    }
+  });
+
+  document.addEventListener('keydown', (event) => {
+    if (event.key !== 'Escape') return;
+    qtip.classList.remove('visible');
+    if (modal.classList.contains('open')) {
+      modal.classList.remove('open');
+      modal.querySelector('iframe').src = 'about:blank';
+    }
+  });
+</script>`, head);
+}
+
+/**
+ * Render the quick display of a property (loaded in the modal iframe)
+ * @param {Object} lead
+ * @returns {string}
+ */
+function renderQuickDisplay(lead) {
+  return layout(lead.address, `
+<div class="quick-display">
+  <p class="property-status">Disponible ${escapeHtml(lead.propertyId)} | Departamento</p>
+  <h2>${escapeHtml(lead.address)}</h2>
+  <div class="property-agent">
+    <p>Agente</p>
+    <p>${escapeHtml(lead.propertyAgent)}</p>
+    <button type="button">Contactar</button>
+  </div>
+</div>`);
+}
+
+/**
+ * Build the mock Tokko app
+ * @param {Object} options
+ * @param {Array} options.leads - Leads to serve (default: createLeads())
+ * @param {number} options.pageSize - Table rows per page (default: 25)
+ * @returns {{app: Express, state: Object}} - state can be changed by tests:
+ *   credentials, expireSessions (send every logged-in page back to /go/), requests (paths served),
+ *   usernameFieldId (ID of the login email input - change it to simulate a Tokko UI change)
+ */
+export function createMockTokko(options = {}) {
+  const state = {
+    leads: options.leads || createLeads(),
+    pageSize: options.pageSize || DEFAULT_PAGE_SIZE,
+    credentials: { ...MOCK_CREDENTIALS },
+    sessions: new Set(),
+    expireSessions: false,
+    requests: [],
+    usernameFieldId: 'username',
+  };
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  app.use((req, res, next) => {
+    state.requests.push(`${req.method} ${req.path}`);
+    next();
+  });
+
+  /**
+   * Send logged-out browsers to the login page, like Tokko does
+   */
+  const requireSession = (req, res, next) => {
+    const sessionId = getSessionId(req);
+    if (state.expireSessions) {
+      state.sessions.delete(sessionId);
+    }
+    if (!state.sessions.has(sessionId)) {
+      return req.path.startsWith('/leads/rows') || req.path.startsWith('/contacts/')
+        ? res.status(401).send('Unauthorized')
+        : res.redirect('/go/');
+    }
+    next();
+  };
+
+  const findLead = (id) => state.leads.find((lead) => lead.id === id);
+
+  app.get('/', (req, res) => res.redirect('/go/'));
+
+  app.get('/go/', (req, res) => {
+    res.send(renderLoginPage('invalid_login' in req.query, state.usernameFieldId));
+  });
+
+  app.post('/go/login', (req, res) => {
+    const { username, password, agreeterms, agreepolicy } = req.body;
+    const valid = username === state.credentials.email
+      && password === state.credentials.password
+      && agreeterms && agreepolicy;
+
+    if (!valid) {
+      return res.json({ redirect: '/go/?invalid_login=1' });
+    }
+
+    const sessionId = randomUUID();
+    state.sessions.add(sessionId);
+    res.cookie(SESSION_COOKIE, sessionId, { httpOnly: true, path: '/' });
+    res.json({ redirect: '/home/' });
+  });
+
+  app.get('/home/', requireSession, (req, res) => {
+    res.send(layout('Inicio', '<h1>Inicio</h1><nav><a href="/leads/">Oportunidades</a></nav>'));
+  });
+
+  app.get('/leads/', requireSession, (req, res) => {
+    const rows = getTableRows(state.leads, { branch: BRANCHES[0].id, reassign: false });
+    res.send(renderLeadsPage(rows, state.pageSize));
+  });
+
+  app.get('/leads/rows', requireSession, (req, res) => {
+    const rows = getTableRows(state.leads, {
+      branch: req.query.branch || BRANCHES[0].id,
+      reassign: req.query.reassign === '1',
+    });
+    const offset = parseInt(req.query.offset, 10) || 0;
+    const page = rows.slice(offset, offset + state.pageSize);
+
+    res.set('X-Row-Count', String(page.length));
+    res.set('X-Has-More', offset + page.length < rows.length ? '1' : '0');
+    res.type('html').send(renderRows(page));
+  });
+
+  app.get('/contacts/:id/tooltip', requireSession, (req, res) => {
+    const lead = findLead(req.params.id);
+    if (!lead) return res.status(404).send('');
+
+    res.type('text').send([
+      lead.contactName,
+      lead.email,
+      `Tel: ${lead.phone}`,
+      `Cel: ${lead.cellPhone}`,
+    ].join('\n'));
+  });
+
+  app.get('/properties/quick_display/:id', requireSession, (req, res) => {
+    const lead = findLead(req.params.id);
+    if (!lead) return res.status(404).send(layout('No encontrada', '<p>Propiedad no encontrada</p>'));
+    res.send(renderQuickDisplay(lead));
+  });
+
+  return { app, state };
+}
+
+/**
+ * Start the mock Tokko server
+ * @param {Object} options - See createMockTokko; also port (default: a free one)
+ * @returns {Promise<{url: string, state: Object, close: Function}>}
+ */
+export function startMockTokko(options = {}) {
+  const { app, state } = createMockTokko(options);
+
+  return new Promise((resolve, reject) => {
+    const server = app.listen(options.port || 0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        state,
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+    server.on('error', reject);
+  });
+}
+
+// Allow running directly: node test/mock-tokko/server.js [port]
+const isMainModule = process.argv[1]?.includes('mock-tokko/server.js');
+
+if (isMainModule) {
+  const port = parseInt(process.argv[2], 10) || 3100;
+  startMockTokko({ port }).then(({ url }) => {
+    console.log(`Mock Tokko listening on ${url}`);
+    console.log(`Log in with ${MOCK_CREDENTIALS.email} / ${MOCK_CREDENTIALS.password}`);
+    console.log(`Scrape it with TOKKO_BASE_URL=${url}`);
+  });
+}
@@ -0,0 +1,39 @@
+import { spawnSync } from 'node:child_process';
+import { readdirSync } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+/**
+ * Test runner: lists the test files itself and hands them to node --test
+ *
+ * node --test only expands quoted globs from Node 21 on, and no longer accepts
+ * directories from Node 21 on - file paths work on every supported version.
+ *
+ *   node test/run.js            # every suite
+ *   node test/run.js unit e2e   # only these suites (directories under test/)
+ */
+
+const TEST_DIRECTORY = path.dirname(fileURLToPath(import.meta.url));
+const SUITES = ['unit', 'e2e'];
+
+/**
+ * Test files of a suite, sorted
+ * @param {string} suite - Directory under test/
+ * @returns {Array<string>}
+ */
+function getTestFiles(suite) {
+  return readdirSync(path.join(TEST_DIRECTORY, suite))
+    .filter((file) => file.endsWith('.test.js'))
+    .sort()
+    .map((file) => path.join(TEST_DIRECTORY, suite, file));
+}
+
+const suites = process.argv.length > 2 ? process.argv.slice(2) : SUITES;
+const unknown = suites.filter((suite) => !SUITES.includes(suite));
+if (unknown.length > 0) {
+  console.error(`Unknown test suite: ${unknown.join(', ')}. Use one of: ${SUITES.join(', ')}`);
+  process.exit(1);
+}
+
+const { status, signal } = spawnSync(process.execPath, ['--test', ...suites.flatMap(getTestFiles)], { stdio: 'inherit' });
+process.exit(signal ? 1 : status);
@@ -0,0 +1,208 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import express from 'express';
+
+/**
+ * API keys limited to some accounts, against the real leads, accounts and schedules routes
+ * Two accounts: "default" and "palermo"
+ */
+
+const KEYS = {
+  palermo: 'palermo-key',
+  all: 'all-accounts-key',
+};
+
+let dataDir;
+let config;
+let apiKeys;
+let jobs;
+let accountLock;
+let server;
+let baseUrl;
+
+/**
+ * Call the test app
+ * @param {string} method
+ * @param {string} pathname - Path under /api
+ * @param {string} key - API key
+ * @param {Object} body - JSON body
+ * @returns {Promise<{status: number, body: Object|string}>}
+ */
+async function request(method, pathname, key, body) {
+  const response = await fetch(`${baseUrl}/api${pathname}`, {
+    method,
+    headers: { 'X-API-Key': key, ...(body && { 'Content-Type': 'application/json' }) },
+    body: body && JSON.stringify(body),
+  });
+  const isJson = response.headers.get('content-type')?.includes('application/json');
+  return { status: response.status, body: isJson ? await response.json() : await response.text() };
+}
+
+describe('per-account API keys', () => {
+  before(async () => {
+    dataDir = await mkdtemp(path.join(tmpdir(), 'tokko-account-access-'));
+
+    ({ config } = await import('../../src/config/index.js'));
+    Object.assign(config.tokko, {
+      email: 'default@example.com',
+      password: 'default-password',
+      accounts: [{ name: 'palermo', email: 'palermo@example.com', password: 'palermo-password' }],
+    });
+    config.store.path = path.join(dataDir, 'leads.db');
+    config.scheduler.path = path.join(dataDir, 'schedules.json');
+    Object.assign(config.auth, {
+      enabled: true,
+      path: path.join(dataDir, 'api-keys.json'),
+      keys: [
+        { name: 'palermo', key: KEYS.palermo, scopes: ['leads:read', 'scrape'], accounts: ['palermo'] },
+        { name: 'all', key: KEYS.all, scopes: ['leads:read', 'scrape'] },
+        // Invalid: admin keys span every account, and an empty list limits nothing
+        { name: 'admin-palermo', key: 'admin-palermo-key', scopes: ['admin'], accounts: ['palermo'] },
+        { name: 'no-accounts', key: 'no-accounts-key', scopes: ['leads:read'], accounts: [] },
+      ],
+    });
+
+    apiKeys = await import('../../src/auth/api-keys.js');
+    jobs = await import('../../src/jobs/index.js');
+    accountLock = await import('../../src/jobs/account-lock.js');
+    const { authenticate } = await import('../../src/api/middleware/auth.js');
+    const { default: leadsRouter } = await import('../../src/api/routes/leads.js');
+    const { default: accountsRouter } = await import('../../src/api/routes/accounts.js');
+    const { default: schedulesRouter } = await import('../../src/api/routes/schedules.js');
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api', authenticate);
+    app.use('/api/leads', leadsRouter);
+    app.use('/api/accounts', accountsRouter);
+    app.use('/api/schedules', schedulesRouter);
+
+    server = await new Promise((resolve) => {
+      const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    const { closeLeadStores } = await import('../../src/store/leads-store.js');
+    closeLeadStores();
+    await rm(dataDir, { recursive: true, force: true });
+  });
+
+  it('rejects key definitions with admin scope or an empty account list', async () => {
+    const names = (await apiKeys.listApiKeys()).map((record) => record.name);
+    assert.deepEqual(names, ['palermo', 'all']);
+
+    await assert.rejects(apiKeys.createApiKey({ name: 'x', scopes: ['admin'], accounts: ['palermo'] }), /admin scope/);
+    await assert.rejects(apiKeys.createApiKey({ name: 'x', scopes: ['scrape'], accounts: 'palermo' }), RangeError);
+  });
+
+  it('stores the account list of new keys', async () => {
+    const key = await apiKeys.createApiKey({ name: 'belgrano', scopes: ['leads:read'], accounts: ['palermo'] });
+
+    assert.deepEqual((await apiKeys.findApiKey(key)).accounts, ['palermo']);
+    const [stored] = JSON.parse(await readFile(config.auth.path, 'utf8'));
+    assert.deepEqual(stored.accounts, ['palermo']);
+    assert.equal(apiKeys.canAccessAccount(stored, 'default'), false);
+    assert.equal(apiKeys.canAccessAccount(null, 'default'), true);
+  });
+
+  it('lists only the accounts the key can use', async () => {
+    const limited = await request('GET', '/accounts', KEYS.palermo);
+    assert.deepEqual(limited.body.data.map((account) => account.name), ['palermo']);
+
+    const all = await request('GET', '/accounts', KEYS.all);
+    assert.deepEqual(all.body.data.map((account) => account.name), ['default', 'palermo']);
+  });
+
+  it('queries and exports leads only of allowed accounts', async () => {
+    assert.equal((await request('GET', '/leads?account=palermo', KEYS.palermo)).status, 200);
+    assert.equal((await request('GET', '/leads?account=palermo&format=csv', KEYS.palermo)).status, 200);
+
+    const other = await request('GET', '/leads?account=default', KEYS.palermo);
+    assert.equal(other.status, 403);
+    assert.match(other.body.error, /no access to account "default"/);
+
+    // Without "account" the default account is used - not in the key's list
+    assert.equal((await request('GET', '/leads', KEYS.palermo)).status, 403);
+    assert.equal((await request('GET', '/leads', KEYS.all)).status, 200);
+  });
+
+  it('does not tell limited keys which other accounts exist', async () => {
+    for (const [method, pathname, body] of [
+      ['GET', '/leads?account=belgrano'],
+      ['POST', '/leads/scrape', { account: 'belgrano', targetDate: '2026-10-01' }],
+      ['POST', '/schedules', { cron: '0 3 * * *', options: { account: 'belgrano' } }],
+    ]) {
+      const { status, body: response } = await request(method, pathname, KEYS.palermo, body);
+      assert.equal(status, 403, `${method} ${pathname}`);
+      assert.doesNotMatch(response.error, /default/);
+    }
+
+    // Keys that can use every account may be told about them
+    const unknown = await request('GET', '/leads?account=belgrano', KEYS.all);
+    assert.equal(unknown.status, 400);
+    assert.match(unknown.body.error, /Available accounts: default, palermo/);
+  });
+
+  it('rejects scrapes of other accounts', async () => {
+    const { status } = await request('POST', '/leads/scrape', KEYS.palermo, { account: 'default', targetDate: '2026-10-01' });
+    assert.equal(status, 403);
+  });
+
+  it('hides jobs of other accounts', async () => {
+    // Hold both accounts so the jobs wait in the queue instead of scraping
+    const releases = await Promise.all(['default', 'palermo'].map((account) => accountLock.acquireAccountLock(account, 'holder')));
+    const defaultJob = jobs.createScrapeJob({ account: 'default' }, { type: 'api', apiKey: 'all' });
+    const palermoJob = jobs.createScrapeJob({ account: 'palermo' }, { type: 'api', apiKey: 'palermo' });
+
+    try {
+      assert.equal((await request('GET', `/leads/jobs/${palermoJob.id}`, KEYS.palermo)).status, 200);
+      assert.equal((await request('GET', `/leads/jobs/${defaultJob.id}`, KEYS.palermo)).status, 404);
+      assert.equal((await request('GET', `/leads/jobs/${defaultJob.id}/result`, KEYS.palermo)).status, 404);
+      assert.equal((await request('GET', `/leads/jobs/${defaultJob.id}/events`, KEYS.palermo)).status, 404);
+      assert.equal((await request('DELETE', `/leads/jobs/${defaultJob.id}`, KEYS.palermo)).status, 404);
+      assert.equal(jobs.isJobFinished(defaultJob), false);
+      assert.equal((await request('GET', `/leads/jobs/${defaultJob.id}`, KEYS.all)).status, 200);
+    } finally {
+      for (const job of [defaultJob, palermoJob]) {
+        jobs.cancelJob(job);
+        await job.completion;
+      }
+      releases.forEach((release) => release());
+    }
+  });
+
+  it('keeps schedules of other accounts out of reach', async () => {
+    const cron = '0 3 * * *';
+
+    const forbidden = await request('POST', '/schedules', KEYS.palermo, { cron, options: { account: 'default' } });
+    assert.equal(forbidden.status, 403);
+    assert.equal((await request('POST', '/schedules', KEYS.palermo, { cron })).status, 403);
+
+    const own = await request('POST', '/schedules', KEYS.palermo, { cron, options: { account: 'palermo', mode: 'incremental' } });
+    assert.equal(own.status, 201);
+    assert.equal(own.body.data.options.account, 'palermo');
+
+    // Created by an unrestricted key without an account: runs on the default account
+    const other = await request('POST', '/schedules', KEYS.all, { cron });
+    assert.equal(other.status, 201);
+
+    try {
+      const listed = await request('GET', '/schedules', KEYS.palermo);
+      assert.deepEqual(listed.body.data.map((schedule) => schedule.id), [own.body.data.id]);
+      assert.equal((await request('GET', '/schedules', KEYS.all)).body.data.length, 2);
+
+      assert.equal((await request('GET', `/schedules/${other.body.data.id}`, KEYS.palermo)).status, 404);
+      assert.equal((await request('DELETE', `/schedules/${other.body.data.id}`, KEYS.palermo)).status, 404);
+      assert.equal((await request('GET', `/schedules/${own.body.data.id}`, KEYS.palermo)).status, 200);
+    } finally {
+      assert.equal((await request('DELETE', `/schedules/${own.body.data.id}`, KEYS.palermo)).status, 200);
+      assert.equal((await request('DELETE', `/schedules/${other.body.data.id}`, KEYS.all)).status, 200);
+    }
+  });
+});
@@ -0,0 +1,126 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  AccountLockTimeoutError,
+  acquireAccountLock,
+  getAccountQueue,
+} from '../../src/jobs/account-lock.js';
+import { TimeoutError } from '../../src/scraper/errors.js';
+
+/**
+ * Per-account lock: FIFO order, queue positions, timeouts and cancellation
+ * Every test uses its own account names, so the module state can be shared
+ */
+
+/**
+ * Whether a promise settled already
+ * @param {Promise} promise
+ * @returns {Promise<boolean>}
+ */
+async function isSettled(promise) {
+  let settled = false;
+  promise.then(() => { settled = true; }, () => { settled = true; });
+  await new Promise((resolve) => setImmediate(resolve));
+  return settled;
+}
+
+describe('account lock', () => {
+  it('is acquired right away when the account is free', async () => {
+    const positions = [];
+    const release = await acquireAccountLock('free', 'job-1', { onPositionChange: (position) => positions.push(position) });
+
+    assert.deepEqual(positions, [0]);
+    assert.deepEqual(getAccountQueue('free'), { holder: 'job-1', waiting: [] });
+
+    release();
+    assert.deepEqual(getAccountQueue('free'), { holder: null, waiting: [] });
+  });
+
+  it('hands the account over in arrival order and keeps positions up to date', async () => {
+    const positions = { 'job-2': [], 'job-3': [] };
+    const track = (id) => (position) => positions[id].push(position);
+
+    const release1 = await acquireAccountLock('fifo', 'job-1');
+    const second = acquireAccountLock('fifo', 'job-2', { onPositionChange: track('job-2') });
+    const third = acquireAccountLock('fifo', 'job-3', { onPositionChange: track('job-3') });
+
+    assert.deepEqual(getAccountQueue('fifo'), { holder: 'job-1', waiting: ['job-2', 'job-3'] });
+    assert.equal(await isSettled(second), false);
+
+    release1();
+    const release2 = await second;
+    assert.equal(getAccountQueue('fifo').holder, 'job-2');
+    assert.equal(await isSettled(third), false);
+
+    release2();
+    const release3 = await third;
+    release3();
+
+    assert.deepEqual(positions['job-2'], [1, 0]);
+    assert.deepEqual(positions['job-3'], [2, 1, 0]);
+    assert.deepEqual(getAccountQueue('fifo'), { holder: null, waiting: [] });
+  });
+
+  it('ignores a second release of the same lease', async () => {
+    const release1 = await acquireAccountLock('double-release', 'job-1');
+    const second = acquireAccountLock('double-release', 'job-2');
+    const third = acquireAccountLock('double-release', 'job-3');
+
+    release1();
+    await second;
+    // Would hand job-2's lease to job-3 if it counted again
+    release1();
+
+    assert.equal(getAccountQueue('double-release').holder, 'job-2');
+    assert.equal(await isSettled(third), false);
+
+    (await second)();
+    (await third)();
+  });
+
+  it('keeps accounts independent', async () => {
+    const releaseA = await acquireAccountLock('account-a', 'job-1');
+    const releaseB = await acquireAccountLock('account-b', 'job-2');
+
+    assert.equal(getAccountQueue('account-a').holder, 'job-1');
+    assert.equal(getAccountQueue('account-b').holder, 'job-2');
+
+    releaseA();
+    releaseB();
+  });
+
+  it('gives up after the timeout and moves the others up', async () => {
+    const positions = [];
+    const release1 = await acquireAccountLock('timeout', 'job-1');
+    const second = acquireAccountLock('timeout', 'job-2', { timeoutMs: 20 });
+    const third = acquireAccountLock('timeout', 'job-3', { onPositionChange: (position) => positions.push(position) });
+
+    await assert.rejects(second, (error) => {
+      assert.ok(error instanceof AccountLockTimeoutError);
+      assert.ok(error instanceof TimeoutError);
+      assert.equal(error.account, 'timeout');
+      return true;
+    });
+
+    assert.deepEqual(getAccountQueue('timeout').waiting, ['job-3']);
+    assert.deepEqual(positions, [2, 1]);
+
+    release1();
+    (await third)();
+  });
+
+  it('leaves the queue when its signal aborts', async () => {
+    const release1 = await acquireAccountLock('abort', 'job-1');
+    const controller = new AbortController();
+    const second = acquireAccountLock('abort', 'job-2', { signal: controller.signal, timeoutMs: 60000 });
+
+    const reason = new Error('cancelled');
+    controller.abort(reason);
+
+    await assert.rejects(second, (error) => error === reason);
+    assert.deepEqual(getAccountQueue('abort').waiting, []);
+
+    release1();
+    assert.equal(getAccountQueue('abort').holder, null);
+  });
+});
@@ -0,0 +1,214 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import express from 'express';
+
+/**
+ * API key authentication: key lookup, scopes, rate limits and concurrent scrapes
+ * against a small app mounted like the real one (on /api)
+ */
+
+const KEYS = {
+  reader: 'reader-key',
+  scraper: 'scraper-key',
+  admin: 'admin-key',
+  limited: 'limited-key',
+};
+
+let dataDir;
+let config;
+let apiKeys;
+let jobs;
+let accountLock;
+let server;
+let baseUrl;
+
+/**
+ * Call the test app
+ * @param {string} method
+ * @param {string} pathname - Path under /api
+ * @param {Object} headers
+ * @returns {Promise<{status: number, headers: Headers, body: Object}>}
+ */
+async function request(method, pathname, headers = {}) {
+  const response = await fetch(`${baseUrl}/api${pathname}`, { method, headers });
+  return { status: response.status, headers: response.headers, body: await response.json() };
+}
+
+describe('auth middleware', () => {
+  before(async () => {
+    dataDir = await mkdtemp(path.join(tmpdir(), 'tokko-auth-'));
+
+    ({ config } = await import('../../src/config/index.js'));
+    Object.assign(config.auth, {
+      enabled: true,
+      path: path.join(dataDir, 'api-keys.json'),
+      keys: [
+        { name: 'reader', key: KEYS.reader, scopes: ['leads:read'] },
+        { name: 'scraper', key: KEYS.scraper, scopes: ['leads:read', 'scrape'], maxConcurrentScrapes: 1 },
+        { name: 'admin', key: KEYS.admin, scopes: ['admin'] },
+        { name: 'limited', key: KEYS.limited, scopes: ['leads:read'], rateLimit: 2 },
+        // Invalid definitions are ignored
+        { name: 'no-scopes', key: 'no-scopes-key', scopes: [] },
+        { name: 'bad-scope', key: 'bad-scope-key', scopes: ['write'] },
+        { key: 'nameless-key', scopes: ['leads:read'] },
+      ],
+    });
+
+    apiKeys = await import('../../src/auth/api-keys.js');
+    jobs = await import('../../src/jobs/index.js');
+    accountLock = await import('../../src/jobs/account-lock.js');
+    const { authenticate, requireScope, limitConcurrentScrapes } = await import('../../src/api/middleware/auth.js');
+
+    const app = express();
+    const reply = (req, res) => res.json({ success: true, data: { apiKey: req.apiKey?.name ?? null } });
+    app.use('/api', authenticate);
+    app.get('/api/leads/health', reply);
+    app.get('/api/leads', requireScope(apiKeys.API_SCOPE.LEADS_READ), reply);
+    app.post('/api/leads/scrape', requireScope(apiKeys.API_SCOPE.SCRAPE), limitConcurrentScrapes, reply);
+    app.get('/api/webhooks/dead-letters', requireScope(apiKeys.API_SCOPE.ADMIN), reply);
+
+    server = await new Promise((resolve) => {
+      const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    await rm(dataDir, { recursive: true, force: true });
+  });
+
+  describe('authenticate()', () => {
+    it('rejects requests without a key or with an unknown one', async () => {
+      const missing = await request('GET', '/leads');
+      assert.equal(missing.status, 401);
+      assert.equal(missing.headers.get('www-authenticate'), 'Bearer');
+      assert.match(missing.body.error, /Missing API key/);
+
+      const unknown = await request('GET', '/leads', { 'X-API-Key': 'not-a-key' });
+      assert.equal(unknown.status, 401);
+      assert.equal(unknown.body.error, 'Invalid API key');
+    });
+
+    it('accepts the key in X-API-Key or as a Bearer token', async () => {
+      const header = await request('GET', '/leads', { 'X-API-Key': KEYS.reader });
+      assert.equal(header.status, 200);
+      assert.equal(header.body.data.apiKey, 'reader');
+
+      const bearer = await request('GET', '/leads', { Authorization: `Bearer ${KEYS.reader}` });
+      assert.equal(bearer.status, 200);
+      assert.equal(bearer.body.data.apiKey, 'reader');
+    });
+
+    it('lets health checks through without a key', async () => {
+      const { status } = await request('GET', '/leads/health');
+      assert.equal(status, 200);
+    });
+
+    it('ignores invalid key definitions', async () => {
+      for (const key of ['no-scopes-key', 'bad-scope-key', 'nameless-key']) {
+        assert.equal((await request('GET', '/leads', { 'X-API-Key': key })).status, 401, key);
+      }
+      assert.deepEqual(
+        (await apiKeys.listApiKeys()).map((record) => record.name),
+        ['reader', 'scraper', 'admin', 'limited']
+      );
+    });
+
+    it('limits the requests per key and window', async () => {
+      const headers = { 'X-API-Key': KEYS.limited };
+
+      const first = await request('GET', '/leads', headers);
+      assert.equal(first.status, 200);
+      assert.equal(first.headers.get('ratelimit-limit'), '2');
+      assert.equal(first.headers.get('ratelimit-remaining'), '1');
+
+      assert.equal((await request('GET', '/leads', headers)).status, 200);
+
+      const limited = await request('GET', '/leads', headers);
+      assert.equal(limited.status, 429);
+      assert.ok(Number(limited.headers.get('retry-after')) > 0);
+
+      // Other keys have their own window
+      assert.equal((await request('GET', '/leads', { 'X-API-Key': KEYS.reader })).status, 200);
+    });
+
+    it('lets everything through with a null key when auth is disabled', async () => {
+      config.auth.enabled = false;
+      try {
+        const { status, body } = await request('GET', '/webhooks/dead-letters');
+        assert.equal(status, 200);
+        assert.equal(body.data.apiKey, null);
+      } finally {
+        config.auth.enabled = true;
+      }
+    });
+  });
+
+  describe('requireScope()', () => {
+    it('rejects keys without the scope of the route', async () => {
+      const { status, body } = await request('POST', '/leads/scrape', { 'X-API-Key': KEYS.reader });
+      assert.equal(status, 403);
+      assert.match(body.error, /"scrape" scope/);
+    });
+
+    it('gives admin keys every scope', async () => {
+      const headers = { 'X-API-Key': KEYS.admin };
+      assert.equal((await request('GET', '/leads', headers)).status, 200);
+      assert.equal((await request('GET', '/webhooks/dead-letters', headers)).status, 200);
+      assert.equal((await request('GET', '/webhooks/dead-letters', { 'X-API-Key': KEYS.scraper })).status, 403);
+    });
+  });
+
+  describe('limitConcurrentScrapes()', () => {
+    it('rejects a scrape while the key has its maximum running', async () => {
+      // Hold the account so the job waits in the queue instead of scraping
+      const releaseAccount = await accountLock.acquireAccountLock('auth-test', 'holder');
+      const job = jobs.createScrapeJob({ account: 'auth-test' }, { type: 'api', apiKey: 'scraper' });
+
+      try {
+        const limited = await request('POST', '/leads/scrape', { 'X-API-Key': KEYS.scraper });
+        assert.equal(limited.status, 429);
+        assert.equal(limited.headers.get('retry-after'), '60');
+        assert.match(limited.body.error, /1 of 1 running/);
+
+        // Jobs of other keys don't count
+        assert.equal((await request('POST', '/leads/scrape', { 'X-API-Key': KEYS.admin })).status, 200);
+      } finally {
+        jobs.cancelJob(job);
+        await job.completion;
+        releaseAccount();
+      }
+
+      assert.equal((await request('POST', '/leads/scrape', { 'X-API-Key': KEYS.scraper })).status, 200);
+    });
+  });
+
+  describe('createApiKey()', () => {
+    it('stores only the hash and finds the new key right away', async () => {
+      const key = await apiKeys.createApiKey({ name: 'crm', scopes: ['leads:read'] });
+
+      const record = await apiKeys.findApiKey(key);
+      assert.equal(record.name, 'crm');
+      assert.equal(record.keyHash, apiKeys.hashApiKey(key));
+      assert.equal(record.source, 'store');
+      assert.equal((await request('GET', '/leads', { Authorization: `Bearer ${key}` })).status, 200);
+    });
+
+    it('rejects invalid scopes and taken names', async () => {
+      await assert.rejects(apiKeys.createApiKey({ name: 'crm-2', scopes: ['write'] }), RangeError);
+      await assert.rejects(apiKeys.createApiKey({ name: 'crm-2', scopes: [] }), RangeError);
+      await assert.rejects(apiKeys.createApiKey({ name: 'reader', scopes: ['leads:read'] }), /already exists/);
+    });
+
+    it('revokes stored keys', async () => {
+      const key = await apiKeys.createApiKey({ name: 'temporary', scopes: ['leads:read'] });
+      assert.equal(await apiKeys.revokeApiKey('temporary'), true);
+      assert.equal(await apiKeys.findApiKey(key), null);
+      assert.equal(await apiKeys.revokeApiKey('temporary'), false);
+    });
+  });
+});
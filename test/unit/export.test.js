@@ -0,0 +1,118 @@
+import { beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import ExcelJS from 'exceljs';
+import { config } from '../../src/config/index.js';
+import { EXPORT_FORMAT, LEAD_COLUMNS, exportLeads, parseExportOptions } from '../../src/export/index.js';
+
+/**
+ * Lead exports: CSV escaping and formula-injection guard, NDJSON, XLSX and option parsing
+ */
+
+const lead = {
+  id: 'a1b2c3d4e5f60718',
+  account: 'default',
+  contact: { name: 'Pérez, Juan', email: 'juan@example.com', phone: '+54 11 5555-5555', cellPhone: null },
+  agent: { name: 'Ana "la jefa" Gómez' },
+  property: { id: null, address: 'Av. Santa Fe 1234\nPiso 3' },
+  status: 'Pendiente contactar',
+  lastUpdated: '10/10/2026 09:30',
+  parsedDate: '2026-10-10T12:30:00.000Z',
+};
+
+/**
+ * Export leads as CSV
+ * @param {Array} leads
+ * @param {Array} columns
+ * @returns {Promise<string>}
+ */
+async function toCsv(leads, columns) {
+  const { body } = await exportLeads(leads, { format: EXPORT_FORMAT.CSV, columns });
+  return body;
+}
+
+describe('exportLeads()', () => {
+  beforeEach(() => {
+    Object.assign(config.export, { csvDelimiter: ',', csvBom: false });
+  });
+
+  describe('csv', () => {
+    it('writes a header, CRLF line endings and empty cells for missing values', async () => {
+      const csv = await toCsv([lead], ['id', 'contact.cellPhone', 'status']);
+      assert.equal(csv, 'id,contact.cellPhone,status\r\na1b2c3d4e5f60718,,Pendiente contactar\r\n');
+    });
+
+    it('quotes cells with the delimiter, quotes or line breaks', async () => {
+      const csv = await toCsv([lead], ['contact.name', 'agent.name', 'property.address']);
+      assert.equal(csv.split('\r\n')[1], '"Pérez, Juan","Ana ""la jefa"" Gómez","Av. Santa Fe 1234\nPiso 3"');
+    });
+
+    it('uses the configured delimiter', async () => {
+      config.export.csvDelimiter = ';';
+      const csv = await toCsv([lead], ['contact.name', 'status']);
+      assert.equal(csv.split('\r\n')[1], 'Pérez, Juan;Pendiente contactar');
+    });
+
+    it('starts with a BOM when configured', async () => {
+      config.export.csvBom = true;
+      assert.ok((await toCsv([lead], ['id'])).startsWith('\uFEFFid\r\n'));
+    });
+
+    it('neutralizes cells a spreadsheet would run as a formula', async () => {
+      const names = ['=HYPERLINK("http://evil")', '+SUM(A1:A9)', '-2+3', '@cmd', '\t=1', '\r=1'];
+      const csv = await toCsv(names.map((name) => ({ contact: { name } })), ['contact.name']);
+
+      assert.deepEqual(csv.split('\r\n').slice(1, 6), [
+        '"\'=HYPERLINK(""http://evil"")"',
+        "'+SUM(A1:A9)",
+        "'-2+3",
+        "'@cmd",
+        "'\t=1",
+      ]);
+      assert.ok(csv.includes('"\'\r=1"'));
+    });
+
+    it('leaves phone numbers and negative numbers alone', async () => {
+      const phones = ['+54 11 5555-5555', '+54 (11) 4444.3333', '-12.5'];
+      const csv = await toCsv(phones.map((phone) => ({ contact: { phone } })), ['contact.phone']);
+
+      assert.deepEqual(csv.split('\r\n').slice(1, 4), phones);
+    });
+  });
+
+  it('writes one JSON lead per line as NDJSON', async () => {
+    const { body, contentType } = await exportLeads([lead, { id: 'x' }], { format: EXPORT_FORMAT.NDJSON });
+
+    assert.equal(contentType, 'application/x-ndjson; charset=utf-8');
+    assert.deepEqual(body.trimEnd().split('\n').map((line) => JSON.parse(line)), [lead, { id: 'x' }]);
+    assert.equal((await exportLeads([], { format: EXPORT_FORMAT.NDJSON })).body, '');
+  });
+
+  it('writes an XLSX sheet with dates as real dates', async () => {
+    const { body } = await exportLeads([lead], { format: EXPORT_FORMAT.XLSX, columns: ['contact.name', 'parsedDate'] });
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(body);
+    const sheet = workbook.getWorksheet('Leads');
+
+    assert.deepEqual(sheet.getRow(1).values.slice(1), ['contact.name', 'parsedDate']);
+    assert.equal(sheet.getCell('A2').value, 'Pérez, Juan');
+    assert.deepEqual(sheet.getCell('B2').value, new Date(lead.parsedDate));
+  });
+});
+
+describe('parseExportOptions()', () => {
+  it('defaults to JSON with every column', () => {
+    config.export.columns = [];
+    assert.deepEqual(parseExportOptions({}), { options: { format: 'json', columns: LEAD_COLUMNS } });
+  });
+
+  it('takes columns as a comma-separated list or an array', () => {
+    assert.deepEqual(parseExportOptions({ format: 'csv', columns: 'status, contact.name' }).options.columns, ['status', 'contact.name']);
+    assert.deepEqual(parseExportOptions({ format: 'csv', columns: ['id'] }).options.columns, ['id']);
+  });
+
+  it('rejects unknown formats and columns', () => {
+    assert.match(parseExportOptions({ format: 'pdf' }).error, /Invalid format/);
+    assert.match(parseExportOptions({ format: 'csv', columns: 'id,password' }).error, /Unknown columns: password/);
+  });
+});
@@ -0,0 +1,69 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { config } from '../../src/config/index.js';
+import { createForensicsRecorder } from '../../src/scraper/forensics.js';
+
+/**
+ * Forensics recorder: the trace must not start before the login
+ * (the e2e suite checks the artifacts of a real run for the password)
+ */
+
+/**
+ * Browser context that records its tracing calls
+ * @returns {Object}
+ */
+function createFakeContext() {
+  const calls = [];
+  return {
+    calls,
+    tracing: {
+      start: async (options) => calls.push(['start', options]),
+      stop: async (options) => calls.push(['stop', options]),
+    },
+  };
+}
+
+describe('forensics recorder', () => {
+  let savedPath;
+
+  before(async () => {
+    savedPath = config.forensics.path;
+    config.forensics.path = await mkdtemp(path.join(tmpdir(), 'tokko-forensics-'));
+  });
+
+  after(async () => {
+    await rm(config.forensics.path, { recursive: true, force: true });
+    config.forensics.path = savedPath;
+  });
+
+  it('starts the trace only once told the context is logged in', async () => {
+    const context = createFakeContext();
+    const recorder = createForensicsRecorder('run-1');
+
+    await recorder.attach({ isClosed: () => true }, context);
+    assert.deepEqual(context.calls, []);
+
+    await recorder.startTracing();
+    await recorder.startTracing();
+    assert.deepEqual(context.calls.map(([call]) => call), ['start']);
+
+    await recorder.stop();
+    assert.deepEqual(context.calls.map(([call]) => call), ['start', 'stop']);
+    assert.equal(context.calls[1][1].path, path.join(config.forensics.path, 'run-1', 'trace.zip'));
+  });
+
+  it('saves no trace when the login never finished', async () => {
+    const context = createFakeContext();
+    const recorder = createForensicsRecorder('run-2');
+
+    await recorder.attach({ isClosed: () => true }, context);
+    await recorder.stop();
+    // Too late - the recorder let go of the context
+    await recorder.startTracing();
+
+    assert.deepEqual(context.calls, []);
+  });
+});
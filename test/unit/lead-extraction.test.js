@@ -0,0 +1,162 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { config } from '../../src/config/index.js';
+import { LLM_PURPOSE, createFixtureProvider, setLlmProvider } from '../../src/scraper/llm-provider.js';
+import { extractLeadsFromHTML } from '../../src/scraper/smart-selector.js';
+import { ERROR_CODE } from '../../src/scraper/errors.js';
+
+/**
+ * LLM lead extraction: schema validation, one repair request, and grounding of
+ * every value in the page, answered by a fixture provider
+ */
+
+const LEADS_HTML = `<table>
+  <tr class="section-header"><td>Pendiente contactar (2)</td></tr>
+  <tr>
+    <td><div class="class_contact_tooltip">Johanna Rios (Emiliano Grieve)</div></td>
+    <td>Colombres 148 2</td>
+    <td>26/11/2025 08:15</td>
+  </tr>
+  <tr>
+    <td><div class="class_contact_tooltip">Marcela &amp; Hugo (Graciela)</div></td>
+    <td>Benjamin Matienzo 1724</td>
+    <td>26/11/2025 09:33</td>
+  </tr>
+</table>`;
+
+const JOHANNA = {
+  contactName: 'Johanna Rios',
+  agentName: 'Emiliano Grieve',
+  propertyAddress: 'Colombres 148 2',
+  lastUpdated: '26/11/2025 08:15',
+  status: 'Pendiente contactar',
+};
+
+const MARCELA = {
+  contactName: 'Marcela & Hugo',
+  agentName: 'Graciela',
+  propertyAddress: 'Benjamin Matienzo 1724',
+  lastUpdated: '26/11/2025 09:33',
+  status: 'Pendiente contactar',
+};
+
+// Only in the repair request (see buildRepairPrompt)
+const REPAIR_MATCH = 'does not match the required schema';
+
+/**
+ * Answer lead extractions from fixtures, counting the requests
+ * @param {Object|string} answer - First answer
+ * @param {Object|string} repair - Answer to the repair request
+ * @returns {Object} - Provider; its answered requests are in provider.requests
+ */
+function useAnswers(answer, repair) {
+  const fixtures = createFixtureProvider([
+    ...(repair === undefined ? [] : [{ purpose: LLM_PURPOSE.LEAD_EXTRACTION, match: REPAIR_MATCH, response: repair }]),
+    { purpose: LLM_PURPOSE.LEAD_EXTRACTION, response: answer },
+  ]);
+  const provider = {
+    ...fixtures,
+    requests: [],
+    async complete(request) {
+      provider.requests.push(request);
+      return fixtures.complete(request);
+    },
+  };
+  return setLlmProvider(provider);
+}
+
+describe('extractLeadsFromHTML()', () => {
+  let dataDir;
+  let savedUsagePath;
+
+  before(async () => {
+    dataDir = await mkdtemp(path.join(tmpdir(), 'tokko-lead-extraction-'));
+    savedUsagePath = config.llmUsage.path;
+    config.llmUsage.path = path.join(dataDir, 'llm-usage.json');
+  });
+
+  after(async () => {
+    config.llmUsage.path = savedUsagePath;
+    await rm(dataDir, { recursive: true, force: true });
+  });
+
+  it('returns valid leads found in the page as they are', async () => {
+    const provider = useAnswers({ leads: [JOHANNA, MARCELA] });
+    const stats = {};
+
+    assert.deepEqual(await extractLeadsFromHTML(LEADS_HTML, { stats }), [JOHANNA, MARCELA]);
+    assert.equal(provider.requests.length, 1);
+    assert.equal(provider.requests[0].responseSchema.name, 'tokko_leads');
+    assert.deepEqual(stats, {
+      batches: 1, repairs: 0, leads: 2, invalidLeads: 0, hallucinatedLeads: 0, hallucinatedFields: {},
+    });
+  });
+
+  it('asks once for a repair of invalid leads', async () => {
+    const invalid = { ...JOHANNA, lastUpdated: '2025-11-26', phone: '11 4567-8901' };
+    const provider = useAnswers({ leads: [invalid, MARCELA] }, { leads: [JOHANNA, MARCELA] });
+    const stats = {};
+
+    assert.deepEqual(await extractLeadsFromHTML(LEADS_HTML, { stats }), [JOHANNA, MARCELA]);
+
+    assert.equal(provider.requests.length, 2);
+    const repairRequest = provider.requests[1].messages.at(-1).content;
+    assert.match(repairRequest, /leads\[0\]\.lastUpdated must match/);
+    assert.match(repairRequest, /leads\[0\]\.phone is not allowed/);
+    assert.equal(stats.repairs, 1);
+    assert.equal(stats.invalidLeads, 0);
+  });
+
+  it('drops leads still invalid after the repair, without asking again', async () => {
+    const invalid = { ...JOHANNA, status: 'Urgente' };
+    const provider = useAnswers({ leads: [invalid, MARCELA] }, [invalid, MARCELA]);
+    const stats = {};
+
+    assert.deepEqual(await extractLeadsFromHTML(LEADS_HTML, { stats }), [MARCELA]);
+    assert.equal(provider.requests.length, 2);
+    assert.equal(stats.repairs, 1);
+    assert.equal(stats.invalidLeads, 1);
+  });
+
+  it('fails when the answer is still not JSON after the repair', async () => {
+    const provider = useAnswers('Here are the leads: Johanna Rios', 'Sorry, I cannot help with that');
+    const stats = {};
+
+    await assert.rejects(extractLeadsFromHTML(LEADS_HTML, { stats }), (error) => {
+      assert.equal(error.code, ERROR_CODE.LLM_UNAVAILABLE);
+      assert.match(error.message, /still invalid after a repair: the answer is not valid JSON/);
+      return true;
+    });
+    assert.equal(provider.requests.length, 2);
+    assert.equal(stats.repairs, 1);
+  });
+
+  it('drops a lead whose contact is not in the page', async () => {
+    useAnswers({ leads: [JOHANNA, { ...MARCELA, contactName: 'Marcela Gutiérrez' }] });
+    const stats = {};
+
+    assert.deepEqual(await extractLeadsFromHTML(LEADS_HTML, { stats }), [JOHANNA]);
+    assert.equal(stats.hallucinatedLeads, 1);
+    assert.deepEqual(stats.hallucinatedFields, { contactName: 1 });
+  });
+
+  it('clears other values that are not in the page', async () => {
+    useAnswers({
+      leads: [
+        { ...JOHANNA, agentName: 'Emiliano Gómez', propertyAddress: 'Colombres 148 2 Piso 3' },
+        { ...MARCELA, lastUpdated: '27/11/2025 10:00' },
+      ],
+    });
+    const stats = {};
+
+    assert.deepEqual(await extractLeadsFromHTML(LEADS_HTML, { stats }), [
+      { ...JOHANNA, agentName: null, propertyAddress: null },
+      { ...MARCELA, lastUpdated: null },
+    ]);
+    assert.equal(stats.hallucinatedLeads, 0);
+    assert.deepEqual(stats.hallucinatedFields, { agentName: 1, propertyAddress: 1, lastUpdated: 1 });
+  });
+});
@@ -0,0 +1,224 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+/**
+ * Lead store: IDs, upserts, watermarks and queries on a temporary SQLite database
+ */
+
+let dataDir;
+let store;
+let config;
+let databaseIndex = 0;
+
+/**
+ * Structured lead as the scraper returns it
+ * @param {Object} fields - Overrides
+ * @returns {Object}
+ */
+function createLead(fields = {}) {
+  return {
+    status: 'Pendiente contactar',
+    lastUpdated: '10/10/2026 09:30',
+    parsedDate: '2026-10-10T12:30:00.000Z',
+    scrapedAt: '2026-10-19T10:00:00.000Z',
+    ...fields,
+    contact: { name: 'Juan Pérez', email: null, phone: null, cellPhone: null, ...fields.contact },
+    agent: { name: 'Ana Gómez', ...fields.agent },
+    property: { id: null, address: 'Av. Santa Fe 1234', ...fields.property },
+  };
+}
+
+describe('leads store', () => {
+  before(async () => {
+    dataDir = await mkdtemp(path.join(tmpdir(), 'tokko-store-'));
+    ({ config } = await import('../../src/config/index.js'));
+    store = await import('../../src/store/leads-store.js');
+  });
+
+  // Every test starts from an empty database
+  beforeEach(() => {
+    store.closeLeadStores();
+    config.store.path = path.join(dataDir, `leads-${++databaseIndex}.db`);
+  });
+
+  after(async () => {
+    store.closeLeadStores();
+    await rm(dataDir, { recursive: true, force: true });
+  });
+
+  describe('getStoredLeadId()', () => {
+    it('ignores case, accents and spacing of name and address', () => {
+      const id = store.getStoredLeadId(createLead());
+      const sameLead = createLead({
+        contact: { name: '  juan  PEREZ ' },
+        property: { address: 'av. santa fe 1234' },
+        status: 'Evolucionando',
+        lastUpdated: '18/10/2026 11:00',
+      });
+
+      assert.equal(store.getStoredLeadId(sameLead), id);
+    });
+
+    it('tells apart leads with neither contact name nor address', () => {
+      const anonymous = (fields) => createLead({ contact: { name: null }, property: { address: null }, ...fields });
+
+      const ids = new Set([
+        store.getStoredLeadId(anonymous({ status: 'Pendiente contactar', lastUpdated: '10/10/2026 09:30' })),
+        store.getStoredLeadId(anonymous({ status: 'Evolucionando', lastUpdated: '10/10/2026 09:30' })),
+        store.getStoredLeadId(anonymous({ status: 'Pendiente contactar', lastUpdated: '11/10/2026 09:30' })),
+        store.getStoredLeadId(anonymous({ agent: { name: 'Otro Agente' } })),
+      ]);
+
+      assert.equal(ids.size, 4);
+      assert.notEqual(store.getStoredLeadId(anonymous()), store.getStoredLeadId(createLead({ property: { address: null } })));
+    });
+  });
+
+  describe('upsertLeads()', () => {
+    it('inserts new leads and merges known ones without losing details', async () => {
+      const first = await store.upsertLeads(
+        [createLead({ contact: { email: 'juan@example.com' } })],
+        { account: 'default', seenAt: '2026-10-18T10:00:00.000Z' }
+      );
+      assert.equal(first.inserted.length, 1);
+      assert.equal(first.updated, 0);
+
+      const second = await store.upsertLeads(
+        [createLead({ status: 'Evolucionando' })],
+        { account: 'default', seenAt: '2026-10-19T10:00:00.000Z' }
+      );
+      assert.equal(second.inserted.length, 0);
+      assert.equal(second.updated, 1);
+
+      const [lead] = await store.getStoredLeads('default');
+      assert.equal(lead.id, first.inserted[0].id);
+      assert.equal(lead.status, 'Evolucionando');
+      assert.equal(lead.contact.email, 'juan@example.com');
+      assert.equal(lead.firstSeenAt, '2026-10-18T10:00:00.000Z');
+      assert.equal(lead.lastSeenAt, '2026-10-19T10:00:00.000Z');
+      assert.equal(lead.timesSeen, 2);
+    });
+
+    it('keeps leads without name and address as separate records', async () => {
+      const anonymous = (lastUpdated) => createLead({ contact: { name: null }, property: { address: null }, lastUpdated });
+
+      const { inserted } = await store.upsertLeads(
+        [anonymous('10/10/2026 09:30'), anonymous('11/10/2026 09:30')],
+        { account: 'default' }
+      );
+
+      assert.equal(inserted.length, 2);
+      assert.equal((await store.getStoredLeads('default')).length, 2);
+    });
+
+    it('keeps each account in its own database', async () => {
+      await store.upsertLeads([createLead()], { account: 'default' });
+      await store.upsertLeads([createLead(), createLead({ contact: { name: 'Otro' } })], { account: 'palermo' });
+
+      assert.equal((await store.getStoredLeads('default')).length, 1);
+      assert.equal((await store.getStoredLeads('palermo')).length, 2);
+    });
+  });
+
+  describe('watermarks', () => {
+    it('only moves forward, per section', async () => {
+      await store.updateWatermarks([
+        createLead({ status: 'Pendiente contactar', parsedDate: '2026-10-10T12:00:00.000Z' }),
+        createLead({ status: 'Evolucionando', parsedDate: '2026-10-05T12:00:00.000Z' }),
+      ], 'default');
+      const marks = await store.updateWatermarks([
+        createLead({ status: 'Pendiente contactar', parsedDate: '2026-10-01T12:00:00.000Z' }),
+        createLead({ status: 'Evolucionando', parsedDate: '2026-10-06T12:00:00.000Z' }),
+      ], 'default');
+
+      assert.deepEqual(marks, {
+        'Pendiente contactar': '2026-10-10T12:00:00.000Z',
+        'Evolucionando': '2026-10-06T12:00:00.000Z',
+      });
+      assert.deepEqual(await store.getWatermarks('default'), {
+        'Pendiente contactar': new Date('2026-10-10T12:00:00.000Z'),
+        'Evolucionando': new Date('2026-10-06T12:00:00.000Z'),
+      });
+    });
+  });
+
+  describe('queryLeads()', () => {
+    beforeEach(async () => {
+      await store.upsertLeads([
+        createLead({ contact: { name: 'Ana', phone: '+54 11 4444-1111' }, agent: { name: 'José Núñez' }, parsedDate: '2026-10-01T00:00:00.000Z' }),
+        createLead({ contact: { name: 'Bruno', email: 'bruno@example.com' }, status: 'Evolucionando', parsedDate: '2026-10-02T00:00:00.000Z' }),
+        createLead({ contact: { name: 'Carla', cellPhone: '11 5555-2222' }, parsedDate: '2026-10-03T00:00:00.000Z' }),
+        createLead({ contact: { name: 'Diego' }, parsedDate: null }),
+        createLead({ contact: { name: 'Elena' }, property: { address: 'Calle 50% Off' }, parsedDate: '2026-10-03T00:00:00.000Z' }),
+      ], { account: 'default' });
+    });
+
+    const names = (result) => result.leads.map((lead) => lead.contact.name);
+
+    it('sorts with empty values last and ties broken by ID', async () => {
+      const result = await store.queryLeads({ account: 'default' });
+      assert.equal(result.total, 5);
+      assert.deepEqual(names(result).slice(2), ['Bruno', 'Ana', 'Diego']);
+
+      const ascending = await store.queryLeads({ account: 'default', sort: 'parsedDate' });
+      assert.deepEqual(names(ascending).slice(0, 2), ['Ana', 'Bruno']);
+      assert.equal(names(ascending).at(-1), 'Diego');
+    });
+
+    it('pages through every lead once with the cursor', async () => {
+      for (const sort of ['-parsedDate', 'parsedDate', 'contactName', '-agentName']) {
+        const seen = [];
+        let cursor = null;
+        do {
+          const page = await store.queryLeads({ account: 'default', sort, limit: 2, cursor });
+          seen.push(...names(page));
+          cursor = page.nextCursor;
+        } while (cursor);
+
+        assert.deepEqual([...seen].sort(), ['Ana', 'Bruno', 'Carla', 'Diego', 'Elena'], sort);
+        assert.deepEqual(seen, names(await store.queryLeads({ account: 'default', sort })), sort);
+      }
+    });
+
+    it('returns every match without a page size', async () => {
+      const result = await store.queryLeads({ account: 'default', limit: Infinity });
+      assert.equal(result.leads.length, 5);
+      assert.equal(result.nextCursor, null);
+    });
+
+    it('filters ignoring case and accents', async () => {
+      assert.deepEqual(names(await store.queryLeads({ account: 'default', agent: 'jose nunez' })), ['Ana']);
+      assert.deepEqual(names(await store.queryLeads({ account: 'default', status: 'evolucionando' })), ['Bruno']);
+      assert.deepEqual(names(await store.queryLeads({ account: 'default', email: 'BRUNO@' })), ['Bruno']);
+    });
+
+    it('matches phone digits in either number, never across both', async () => {
+      assert.deepEqual(names(await store.queryLeads({ account: 'default', phone: '4444-1111' })), ['Ana']);
+      assert.deepEqual(names(await store.queryLeads({ account: 'default', phone: '5555 2222' })), ['Carla']);
+      assert.equal((await store.queryLeads({ account: 'default', phone: '---' })).total, 0);
+    });
+
+    it('treats LIKE wildcards in searches as text', async () => {
+      assert.deepEqual(names(await store.queryLeads({ account: 'default', address: '50%' })), ['Elena']);
+      assert.equal((await store.queryLeads({ account: 'default', address: '%' })).total, 1);
+    });
+
+    it('filters by date range on the chosen field', async () => {
+      const result = await store.queryLeads({
+        account: 'default',
+        from: new Date('2026-10-02T00:00:00.000Z'),
+        to: new Date('2026-10-02T23:59:59.999Z'),
+      });
+      assert.deepEqual(names(result), ['Bruno']);
+    });
+
+    it('rejects unknown fields and broken cursors', async () => {
+      await assert.rejects(store.queryLeads({ account: 'default', sort: 'id' }), RangeError);
+      await assert.rejects(store.queryLeads({ account: 'default', dateField: 'scrapedAt' }), RangeError);
+      await assert.rejects(store.queryLeads({ account: 'default', cursor: 'not-a-cursor' }), RangeError);
+    });
+  });
+});
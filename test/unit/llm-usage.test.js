@@ -0,0 +1,154 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { config } from '../../src/config/index.js';
+import { LLM_PURPOSE, complete, createFixtureProvider, setLlmProvider } from '../../src/scraper/llm-provider.js';
+import { createLlmUsage, getLlmUsageMetrics, summarizeLlmUsage, trackLlmUsage } from '../../src/scraper/llm-usage.js';
+import { ERROR_CODE, LlmBudgetExceededError } from '../../src/scraper/errors.js';
+
+/**
+ * LLM usage accounting and budget caps, with a fixture provider priced as gpt-4o
+ * (4000-character prompts: 1000 prompt tokens, $0.0025 plus the answer)
+ */
+
+const PROMPT = 'x'.repeat(4000);
+
+/**
+ * Fixture provider that counts the requests it answers
+ * @param {string} model - Reported model, for pricing
+ * @returns {Object} - Provider; its answered requests are in provider.requests
+ */
+function createCountingProvider(model = 'gpt-4o') {
+  const fixtures = createFixtureProvider([{ purpose: LLM_PURPOSE.SELECTORS, response: { email_input: '#username' } }], { model });
+  const provider = {
+    ...fixtures,
+    requests: 0,
+    async complete(request) {
+      provider.requests++;
+      return fixtures.complete(request);
+    },
+  };
+  return provider;
+}
+
+/**
+ * A selectors completion with a 1000-token prompt
+ * @returns {Promise<Object>}
+ */
+function completeSelectors() {
+  return complete({ purpose: LLM_PURPOSE.SELECTORS, messages: [{ role: 'user', content: PROMPT }] });
+}
+
+describe('LLM usage', () => {
+  let dataDir;
+  let savedUsage;
+
+  before(async () => {
+    dataDir = await mkdtemp(path.join(tmpdir(), 'tokko-llm-usage-'));
+    savedUsage = config.llmUsage;
+    config.llmUsage = { ...savedUsage, path: path.join(dataDir, 'llm-usage.json') };
+  });
+
+  beforeEach(() => {
+    Object.assign(config.llmUsage, {
+      jobBudgetUsd: 0,
+      dailyBudgetUsd: 0,
+      inputPricePer1M: null,
+      outputPricePer1M: null,
+    });
+  });
+
+  after(async () => {
+    config.llmUsage = savedUsage;
+    await rm(dataDir, { recursive: true, force: true });
+  });
+
+  it('counts tokens and cost per run and purpose', async () => {
+    setLlmProvider(createCountingProvider());
+    const usage = createLlmUsage({ runId: 'run-count', account: 'default' });
+
+    await trackLlmUsage(usage, async () => {
+      await completeSelectors();
+      await completeSelectors();
+    });
+
+    const summary = summarizeLlmUsage(usage);
+    assert.equal(summary.calls, 2);
+    assert.equal(summary.promptTokens, 2000);
+    assert.equal(summary.byPurpose[LLM_PURPOSE.SELECTORS].calls, 2);
+    // 1000 prompt tokens at $2.5/1M plus the answer at $10/1M, twice
+    const answerTokens = summary.completionTokens / 2;
+    assert.equal(summary.costUsd, Math.round((0.0025 + answerTokens * 10 / 1e6) * 2 * 1e6) / 1e6);
+    assert.equal(summary.budgetExceeded, null);
+  });
+
+  it('stops a run at its budget with llm_budget_exceeded, before sending anything', async () => {
+    config.llmUsage.jobBudgetUsd = 0.001;
+    const provider = setLlmProvider(createCountingProvider());
+    const usage = createLlmUsage({ runId: 'run-budget', account: 'default' });
+    const exceeded = [];
+
+    await trackLlmUsage(usage, async () => {
+      // Nothing spent yet: the first call goes through and spends past the budget
+      await completeSelectors();
+
+      for (let call = 0; call < 2; call++) {
+        await assert.rejects(completeSelectors(), (error) => {
+          assert.ok(error instanceof LlmBudgetExceededError);
+          assert.equal(error.code, ERROR_CODE.LLM_BUDGET_EXCEEDED);
+          assert.equal(error.retryable, false);
+          assert.match(error.message, /job budget exceeded/);
+          return true;
+        });
+      }
+    }, { onBudgetExceeded: (details) => exceeded.push(details) });
+
+    assert.equal(provider.requests, 1);
+    assert.equal(usage.calls, 1);
+    assert.deepEqual(exceeded, [usage.budgetExceeded]);
+    assert.equal(usage.budgetExceeded.scope, 'job');
+    assert.equal(usage.budgetExceeded.limitUsd, 0.001);
+  });
+
+  it('never stops models without a price', async () => {
+    config.llmUsage.jobBudgetUsd = 0.000001;
+    const provider = setLlmProvider(createCountingProvider('local-llama'));
+    const usage = createLlmUsage({ runId: 'run-unpriced', account: 'default' });
+
+    await trackLlmUsage(usage, async () => {
+      await completeSelectors();
+      await completeSelectors();
+    });
+
+    assert.equal(provider.requests, 2);
+    assert.equal(usage.costUsd, 0);
+  });
+
+  it('stops every call once the day has spent its budget, retryable the next day', async () => {
+    const { today } = await getLlmUsageMetrics();
+    config.llmUsage.dailyBudgetUsd = today.costUsd + 0.001;
+    const provider = setLlmProvider(createCountingProvider());
+
+    // Calls outside a run count for the day too
+    await completeSelectors();
+    await assert.rejects(completeSelectors(), (error) => {
+      assert.equal(error.code, ERROR_CODE.LLM_BUDGET_EXCEEDED);
+      assert.equal(error.retryable, true);
+      assert.match(error.message, /daily budget exceeded/);
+      return true;
+    });
+
+    const usage = createLlmUsage({ runId: 'run-daily', account: 'default' });
+    await trackLlmUsage(usage, () => assert.rejects(completeSelectors(), LlmBudgetExceededError));
+    assert.equal(usage.budgetExceeded.scope, 'daily');
+    assert.equal(provider.requests, 1);
+
+    const metrics = await getLlmUsageMetrics();
+    assert.equal(metrics.budgets.remainingTodayUsd, 0);
+
+    const saved = JSON.parse(await readFile(config.llmUsage.path, 'utf8'));
+    assert.equal(saved.days[metrics.today.date].calls, metrics.today.calls);
+  });
+});
@@ -0,0 +1,180 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, readdir, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { config } from '../../src/config/index.js';
+import { RECORDING_MODE, createRecording, getRecordedOptions } from '../../src/scraper/recording.js';
+
+/**
+ * Recording scrubber: personal data is found by page structure, so rows the run
+ * never extracted (leads: [] below) are scrubbed too
+ */
+
+const ACCOUNT = { name: 'default', email: 'real.user@inmobiliaria.com', password: 'S3cret-Pass!' };
+
+const PERSONAL_DATA = [
+  'Mariana Gómez', 'Roberto Díaz', 'Lucía Fernández', 'Pablo Ortega',
+  'mariana.gomez@gmail.com', '11 4567-8901', '+54 9 11 2345-6789',
+  ACCOUNT.email, ACCOUNT.password, 'session=abc123',
+];
+
+// As runScrape() saves them
+const RECORDED_OPTIONS = {
+  targetDate: '2026-10-01T00:00:00.000Z',
+  startDate: null,
+  maxLeads: 500,
+  extractDetails: true,
+  status: 'all',
+  mode: 'incremental',
+};
+
+const LEADS_PAGE = `<!DOCTYPE html>
+<html><head><title>Leads</title>
+<script>document.querySelector('.class_contact_tooltip');</script>
+</head><body>
+<div class="user-name">Lucía Fernández</div>
+<table><tr>
+  <td class="leads-contact-td"><div class="class_contact_tooltip" data-contact-id="1">
+    Mariana Gómez (Roberto Díaz)
+  </div></td>
+  <td>Departamento<br>Palermo</td>
+</tr></table>
+<div class="qtip contact_ttip">Mariana Gómez
+mariana.gomez@gmail.com
+Tel: 11 4567-8901</div>
+</body></html>`;
+
+const QUICK_DISPLAY = `<div class="quick-display">
+  <h2>Av. Santa Fe 1234</h2>
+  <div class="property-agent">
+    <p>Agente</p>
+    <p>Pablo Ortega</p>
+    <button type="button">Contactar</button>
+  </div>
+</div>`;
+
+/**
+ * HAR entry, as Playwright writes it
+ * @param {string} method
+ * @param {string} url
+ * @param {string} mimeType - Of the response
+ * @param {string} text - Response body
+ * @param {Object} postData
+ * @returns {Object}
+ */
+function harEntry(method, url, mimeType, text, postData) {
+  return {
+    request: {
+      method,
+      url,
+      headers: [{ name: 'Cookie', value: 'session=abc123' }],
+      cookies: [{ name: 'session', value: 'abc123' }],
+      queryString: [],
+      ...(postData && { postData }),
+    },
+    response: {
+      status: 200,
+      headers: [{ name: 'Set-Cookie', value: 'session=abc123; Path=/' }],
+      cookies: [{ name: 'session', value: 'abc123' }],
+      content: { mimeType, text, size: Buffer.byteLength(text) },
+    },
+  };
+}
+
+describe('recording scrubber', () => {
+  let savedPath;
+  let har;
+  let snapshots;
+
+  before(async () => {
+    savedPath = config.recordings.path;
+    config.recordings.path = await mkdtemp(path.join(tmpdir(), 'tokko-recordings-'));
+
+    const recording = await createRecording(RECORDING_MODE.RECORD, 'unit');
+    const directory = path.join(config.recordings.path, 'unit');
+
+    // The tooltip comes before the row it belongs to, so its name is only known from the second pass
+    const entries = [
+      harEntry('POST', 'https://tokkobroker.com/go/login', 'text/html', '<p>Bienvenido</p>', {
+        mimeType: 'application/x-www-form-urlencoded',
+        text: `username=${encodeURIComponent(ACCOUNT.email)}&password=${encodeURIComponent(ACCOUNT.password)}`,
+      }),
+      harEntry('GET', 'https://tokkobroker.com/contacts/1/tooltip', 'text/plain',
+        'Mariana Gómez\nmariana.gomez@gmail.com\nTel: 11 4567-8901\nCel: +54 9 11 2345-6789'),
+      harEntry('GET', 'https://tokkobroker.com/leads', 'text/html; charset=utf-8', LEADS_PAGE),
+      harEntry('GET', 'https://tokkobroker.com/leads/rows', 'application/json',
+        JSON.stringify({ html: '<div class="class_contact_tooltip">Pablo Ortega</div>', total: 1 })),
+      harEntry('GET', 'https://tokkobroker.com/properties/quick_display/7', 'text/html', QUICK_DISPLAY),
+    ];
+    await writeFile(path.join(directory, 'session.raw.har'), JSON.stringify({ log: { entries } }));
+
+    let html = QUICK_DISPLAY;
+    await recording.attach({ isClosed: () => false, content: async () => html }, null);
+    await recording.snapshot('property');
+    html = LEADS_PAGE;
+    await recording.snapshot('leads');
+
+    await recording.finish({ account: ACCOUNT, leads: [], options: RECORDED_OPTIONS });
+
+    har = JSON.parse(await readFile(path.join(directory, 'session.har'), 'utf8'));
+    const snapshotsDirectory = path.join(directory, 'snapshots');
+    snapshots = await Promise.all((await readdir(snapshotsDirectory)).sort()
+      .map((file) => readFile(path.join(snapshotsDirectory, file), 'utf8')));
+  });
+
+  after(async () => {
+    await rm(config.recordings.path, { recursive: true, force: true });
+    config.recordings.path = savedPath;
+  });
+
+  it('leaves no personal data, credentials or cookies', async () => {
+    const files = [JSON.stringify(har), ...snapshots];
+    for (const value of PERSONAL_DATA) {
+      for (const file of files) {
+        assert.ok(!file.includes(value), `"${value}" left in the recording`);
+      }
+    }
+    await assert.rejects(readFile(path.join(config.recordings.path, 'unit', 'session.raw.har')), { code: 'ENOENT' });
+  });
+
+  it('uses the replay credentials in the login request', () => {
+    assert.equal(har.log.entries[0].request.postData.text, 'username=recorded-user%40example.com&password=recorded-password');
+  });
+
+  it('gives a name the same pseudonym everywhere', () => {
+    const [, tooltip, leads, rows, quickDisplay] = har.log.entries.map((entry) => entry.response.content.text);
+
+    const [, contact, agent] = leads.match(/data-contact-id="1">\s*(Contacto \d+) \((Agente \d+)\)\s*<\/div>/);
+    assert.ok(tooltip.startsWith(`${contact}\n`));
+    assert.match(leads, new RegExp(`contact_ttip">${contact}\\n`));
+    assert.notEqual(contact, agent);
+
+    // Pablo Ortega shows up in a row and as the agent of a property - the first one found sets the prefix
+    const [, propertyAgent] = quickDisplay.match(/<p>((?:Contacto|Agente) \d+)<\/p>/);
+    assert.equal(JSON.parse(rows).html, `<div class="class_contact_tooltip">${propertyAgent}</div>`);
+    assert.equal(JSON.parse(rows).total, 1);
+
+    assert.equal(snapshots[0], quickDisplay);
+    assert.equal(snapshots[1], leads);
+  });
+
+  it('gives replays the options of the recorded run, mode included', async () => {
+    assert.deepEqual(await getRecordedOptions('unit'), {
+      ...RECORDED_OPTIONS,
+      targetDate: new Date(RECORDED_OPTIONS.targetDate),
+    });
+    assert.equal(await getRecordedOptions('never-recorded'), null);
+  });
+
+  it('keeps the labels, scripts and markup the scraper reads', () => {
+    const leads = har.log.entries[2].response.content.text;
+    const quickDisplay = har.log.entries[4].response.content.text;
+
+    assert.match(quickDisplay, /<p>Agente<\/p>/);
+    assert.match(quickDisplay, /<button type="button">Contactar<\/button>/);
+    assert.match(leads, /<script>document\.querySelector\('\.class_contact_tooltip'\);<\/script>/);
+    assert.match(leads, /<td>Departamento<br>Palermo<\/td>/);
+    assert.match(leads, /<div class="user-name">Usuario \d+<\/div>/);
+  });
+});
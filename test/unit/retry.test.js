@@ -0,0 +1,152 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { config } from '../../src/config/index.js';
+import { RETRY_STEP, getRetryPolicy, withRetry } from '../../src/scraper/retry.js';
+import {
+  CancelledError,
+  ERROR_CODE,
+  InvalidCredentialsError,
+  SelectorNotFoundError,
+  TimeoutError,
+  TokkoUnreachableError,
+} from '../../src/scraper/errors.js';
+
+/**
+ * withRetry(): retries by error code, attempts, per-step policies, stats and cancellation
+ * Backoffs are shortened to a few ms so the tests don't wait
+ */
+
+const FAST_POLICY = { initialBackoffMs: 1, maxBackoffMs: 5, jitter: 0 };
+
+/**
+ * A step that fails with the given errors, then returns "done"
+ * @param {Array<Error>} errors - Thrown by the first calls, in order
+ * @returns {Function} - The step; its calls are recorded in step.attempts
+ */
+function failingStep(errors) {
+  const step = async (attempt) => {
+    step.attempts.push(attempt);
+    const error = errors[attempt - 1];
+    if (error) throw error;
+    return 'done';
+  };
+  step.attempts = [];
+  return step;
+}
+
+describe('withRetry()', () => {
+  let savedRetry;
+  let savedRetrySteps;
+
+  before(() => {
+    savedRetry = config.scraper.retry;
+    savedRetrySteps = config.scraper.retrySteps;
+  });
+
+  beforeEach(() => {
+    config.scraper.retry = { ...FAST_POLICY };
+    config.scraper.retrySteps = {};
+  });
+
+  after(() => {
+    config.scraper.retry = savedRetry;
+    config.scraper.retrySteps = savedRetrySteps;
+  });
+
+  it('returns the result of a step that works the first time', async () => {
+    const stats = {};
+    const step = failingStep([]);
+
+    assert.equal(await withRetry(RETRY_STEP.NAVIGATION, step, { stats }), 'done');
+    assert.deepEqual(step.attempts, [1]);
+    assert.deepEqual(stats, { navigation: { runs: 1, retries: 0, failures: 0 } });
+  });
+
+  it('retries retryable errors until the step works', async () => {
+    const stats = {};
+    const step = failingStep([new TimeoutError('slow'), new TokkoUnreachableError('down')]);
+
+    assert.equal(await withRetry(RETRY_STEP.NAVIGATION, step, { stats }), 'done');
+    assert.deepEqual(step.attempts, [1, 2, 3]);
+    assert.deepEqual(stats.navigation, { runs: 1, retries: 2, failures: 0 });
+  });
+
+  it('maps plain errors by their message before deciding', async () => {
+    const step = failingStep([new Error('page.goto: net::ERR_CONNECTION_REFUSED at https://tokko')]);
+
+    assert.equal(await withRetry(RETRY_STEP.NAVIGATION, step), 'done');
+    assert.deepEqual(step.attempts, [1, 2]);
+  });
+
+  it('gives up after the last attempt with the last error', async () => {
+    const stats = {};
+    const last = new TimeoutError('third');
+    const step = failingStep([new TimeoutError('first'), new TimeoutError('second'), last, null]);
+
+    await assert.rejects(withRetry(RETRY_STEP.NAVIGATION, step, { stats }), (error) => error === last);
+    assert.deepEqual(step.attempts, [1, 2, 3]);
+    assert.deepEqual(stats.navigation, { runs: 1, retries: 2, failures: 1 });
+  });
+
+  it('does not retry errors outside the policy', async () => {
+    const step = failingStep([new InvalidCredentialsError('wrong password')]);
+
+    await assert.rejects(withRetry(RETRY_STEP.LOGIN, step), InvalidCredentialsError);
+    assert.deepEqual(step.attempts, [1]);
+
+    const unexpected = failingStep([new Error('boom')]);
+    await assert.rejects(withRetry(RETRY_STEP.NAVIGATION, unexpected), { code: ERROR_CODE.INTERNAL });
+    assert.deepEqual(unexpected.attempts, [1]);
+  });
+
+  it('applies the step defaults', async () => {
+    // The login form may still be rendering - navigation has no such excuse
+    const login = failingStep([new SelectorNotFoundError('login button')]);
+    assert.equal(await withRetry(RETRY_STEP.LOGIN, login), 'done');
+
+    const navigation = failingStep([new SelectorNotFoundError('leads table')]);
+    await assert.rejects(withRetry(RETRY_STEP.NAVIGATION, navigation), SelectorNotFoundError);
+
+    // Property details get two tries
+    const details = failingStep([new TimeoutError('1'), new TimeoutError('2'), null]);
+    await assert.rejects(withRetry(RETRY_STEP.PROPERTY_DETAILS, details), TimeoutError);
+    assert.deepEqual(details.attempts, [1, 2]);
+  });
+
+  it('lets config override every step and then each step', async () => {
+    config.scraper.retry = { ...FAST_POLICY, attempts: 5 };
+    config.scraper.retrySteps = { [RETRY_STEP.NAVIGATION]: { attempts: 1 } };
+
+    assert.equal(getRetryPolicy(RETRY_STEP.LOGIN).attempts, 5);
+    assert.equal(getRetryPolicy(RETRY_STEP.PROPERTY_DETAILS).attempts, 5);
+    assert.equal(getRetryPolicy(RETRY_STEP.NAVIGATION).attempts, 1);
+    // Untouched fields keep the step defaults
+    assert.ok(getRetryPolicy(RETRY_STEP.LOGIN).retryOn.includes(ERROR_CODE.SELECTOR_NOT_FOUND));
+
+    const step = failingStep([new TimeoutError('slow'), null]);
+    await assert.rejects(withRetry(RETRY_STEP.NAVIGATION, step), TimeoutError);
+    assert.deepEqual(step.attempts, [1]);
+  });
+
+  it('stops waiting for a retry when the scrape is cancelled', async () => {
+    config.scraper.retrySteps = { [RETRY_STEP.NAVIGATION]: { initialBackoffMs: 60000, maxBackoffMs: 60000 } };
+    const controller = new AbortController();
+    const step = failingStep([new TimeoutError('slow'), null]);
+
+    const result = withRetry(RETRY_STEP.NAVIGATION, step, { signal: controller.signal });
+    setTimeout(() => controller.abort(), 10);
+
+    await assert.rejects(result, CancelledError);
+    assert.deepEqual(step.attempts, [1]);
+  });
+
+  it('does not retry once the signal is aborted', async () => {
+    const controller = new AbortController();
+    const step = async (attempt) => {
+      controller.abort();
+      throw new TimeoutError(`attempt ${attempt}`);
+    };
+
+    await assert.rejects(withRetry(RETRY_STEP.NAVIGATION, step, { signal: controller.signal }), /attempt 1/);
+  });
+});
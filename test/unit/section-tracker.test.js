@@ -0,0 +1,151 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSectionTracker } from '../../src/scraper/leads.js';
+
+/**
+ * Section bookkeeping of the scroll loop: which sections were read down to
+ * their cutoff (and may advance their high-water mark) and when scrolling stops
+ */
+
+const targetDate = new Date('2026-10-01T00:00:00Z');
+const watermarks = {
+  'Pendiente contactar': new Date('2026-10-15T00:00:00Z'),
+  'Evolucionando': new Date('2026-10-10T00:00:00Z'),
+};
+
+/**
+ * Parsed lead of a section
+ * @param {string} status
+ * @returns {Object}
+ */
+function lead(status) {
+  return { contactName: `Lead de ${status}`, status };
+}
+
+describe('createSectionTracker()', () => {
+  it('cuts each section at its mark, and sections without one at targetDate', () => {
+    const sections = createSectionTracker({ targetDate, watermarks });
+
+    assert.equal(sections.getCutoff(lead('Pendiente contactar')), watermarks['Pendiente contactar']);
+    assert.equal(sections.getCutoff(lead('Congelado')), targetDate);
+    assert.equal(sections.getCutoff({ contactName: 'Sin sección', status: null }), targetDate);
+  });
+
+  it('completes a section once its cutoff is reached and the whole batch is collected', () => {
+    const sections = createSectionTracker({ targetDate, watermarks });
+
+    sections.collect(lead('Pendiente contactar'));
+    assert.equal(sections.reachCutoff('Pendiente contactar'), true);
+    assert.equal(sections.reachCutoff('Pendiente contactar'), false);
+    sections.finishBatch(true);
+
+    assert.deepEqual([...sections.completedSections], ['Pendiente contactar']);
+  });
+
+  it('does not complete a section when the run stopped before collecting the batch', () => {
+    const sections = createSectionTracker({ targetDate, watermarks });
+
+    sections.collect(lead('Pendiente contactar'));
+    sections.reachCutoff('Pendiente contactar');
+    // maxLeads or a cancellation stopped the collection halfway through the batch
+    sections.finishBatch(false);
+
+    assert.equal(sections.completedSections.size, 0);
+    assert.equal(sections.isCutOff('Pendiente contactar'), true);
+  });
+
+  it('completes a section once a lead of the next one is collected', () => {
+    const sections = createSectionTracker({ targetDate, watermarks });
+
+    sections.collect(lead('Pendiente contactar'));
+    sections.collect(lead('Pendiente contactar'));
+    sections.collect(lead('Evolucionando'));
+    sections.finishBatch(true);
+
+    assert.deepEqual([...sections.completedSections], ['Pendiente contactar']);
+  });
+
+  it('leaves the section a run stopped in incomplete (maxLeads, maxScrolls, no new leads)', () => {
+    const sections = createSectionTracker({ targetDate, watermarks });
+
+    sections.collect(lead('Pendiente contactar'));
+    sections.finishBatch(true);
+    sections.collect(lead('Pendiente contactar'));
+    sections.finishBatch(true);
+
+    assert.equal(sections.completedSections.size, 0);
+  });
+
+  it('completes every section once the end of the list is reached', () => {
+    const sections = createSectionTracker({ targetDate, watermarks });
+
+    sections.collect(lead('Evolucionando'));
+    sections.finishBatch(true);
+    sections.finishList([
+      { status: 'Pendiente contactar' },
+      { status: 'Evolucionando' },
+      { status: null },
+    ]);
+
+    assert.deepEqual([...sections.completedSections].sort(), ['Evolucionando', 'Pendiente contactar']);
+  });
+
+  it('fills the set it is given', () => {
+    const completedSections = new Set();
+    const sections = createSectionTracker({ targetDate, watermarks, completedSections });
+
+    sections.finishList([{ status: 'Evolucionando' }]);
+
+    assert.deepEqual([...completedSections], ['Evolucionando']);
+  });
+
+  it('does not complete sections a full run cut above their stored mark', () => {
+    // Full run: no cutoff marks, targetDate Oct 12 - between the two stored marks
+    const sections = createSectionTracker({
+      targetDate: new Date('2026-10-12T00:00:00Z'),
+      storedWatermarks: watermarks,
+    });
+
+    // Evolucionando's mark is Oct 10: leads from Oct 10 to 12 were never read
+    sections.collect(lead('Evolucionando'));
+    sections.reachCutoff('Evolucionando');
+    sections.collect(lead('Pendiente contactar'));
+    sections.reachCutoff('Pendiente contactar');
+    sections.collect(lead('Congelado'));
+    sections.finishBatch(true);
+    sections.finishList([{ status: 'Evolucionando' }, { status: 'Pendiente contactar' }, { status: 'Congelado' }]);
+
+    assert.deepEqual([...sections.completedSections].sort(), ['Congelado', 'Pendiente contactar']);
+  });
+
+  describe('isListDone()', () => {
+    it('is done once every marked section and the current one are cut off', () => {
+      const sections = createSectionTracker({ targetDate, watermarks });
+
+      sections.reachCutoff('Pendiente contactar');
+      assert.equal(sections.isListDone('Pendiente contactar'), false);
+
+      sections.reachCutoff('Evolucionando');
+      assert.equal(sections.isListDone('Evolucionando'), true);
+    });
+
+    it('keeps scrolling while the section being read is not cut off', () => {
+      const sections = createSectionTracker({ targetDate, watermarks });
+
+      sections.reachCutoff('Pendiente contactar');
+      sections.reachCutoff('Evolucionando');
+
+      // A section without a mark shows up below the marked ones
+      assert.equal(sections.isListDone('Congelado'), false);
+      sections.reachCutoff('Congelado');
+      assert.equal(sections.isListDone('Congelado'), true);
+    });
+
+    it('never stops early without marks - any section may still follow', () => {
+      const sections = createSectionTracker({ targetDate, watermarks: {} });
+
+      sections.reachCutoff('Pendiente contactar');
+      assert.equal(sections.isListDone('Pendiente contactar'), false);
+    });
+  });
+});
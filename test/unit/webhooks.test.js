@@ -0,0 +1,184 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { createServer } from 'node:http';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+/**
+ * Webhook delivery against a local receiver: signature, retries, dead letters
+ * and deliveries resumed after a restart
+ */
+
+const SECRET = 'test-secret';
+
+let dataDir;
+let config;
+let webhooks;
+let receiver;
+let receiverUrl;
+
+// Requests the receiver got, and the status codes it answers with (then 200)
+let received;
+let responses;
+
+/**
+ * Resolve once the receiver got a number of requests
+ * @param {number} count
+ * @returns {Promise<void>}
+ */
+async function waitForRequests(count) {
+  while (received.length < count) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+/**
+ * Resolve once a condition holds
+ * @param {Function} condition - Async predicate
+ * @returns {Promise<void>}
+ */
+async function waitFor(condition) {
+  while (!(await condition())) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+/**
+ * Read a JSON file of the webhooks module
+ * @param {string} filePath
+ * @returns {Promise<*>}
+ */
+async function readList(filePath) {
+  try {
+    return JSON.parse(await readFile(filePath, 'utf8'));
+  } catch {
+    return [];
+  }
+}
+
+describe('webhooks', { timeout: 10000 }, () => {
+  before(async () => {
+    dataDir = await mkdtemp(path.join(tmpdir(), 'tokko-webhooks-'));
+
+    receiver = createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.statusCode = responses.shift() || 200;
+        res.end();
+      });
+    });
+    await new Promise((resolve) => receiver.listen(0, '127.0.0.1', resolve));
+    receiverUrl = `http://127.0.0.1:${receiver.address().port}/hook`;
+
+    ({ config } = await import('../../src/config/index.js'));
+    Object.assign(config.webhooks, {
+      urls: [receiverUrl],
+      secret: SECRET,
+      maxAttempts: 3,
+      initialBackoffMs: 10,
+      maxBackoffMs: 20,
+      pendingPath: path.join(dataDir, 'pending.json'),
+      deadLetterPath: path.join(dataDir, 'dead-letters.json'),
+    });
+    webhooks = await import('../../src/webhooks/index.js');
+  });
+
+  beforeEach(() => {
+    received = [];
+    responses = [];
+    config.webhooks.secret = SECRET;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => receiver.close(resolve));
+    await rm(dataDir, { recursive: true, force: true });
+  });
+
+  it('signs the timestamp and body with the secret', async () => {
+    assert.equal(webhooks.notifyNewLeads([{ id: 'lead-1' }], { account: 'default' }), 1);
+    await waitForRequests(1);
+
+    const [{ headers, body }] = received;
+    const expected = 'sha256=' + createHmac('sha256', SECRET)
+      .update(`${headers['x-webhook-timestamp']}.${body}`)
+      .digest('hex');
+
+    assert.equal(headers['x-webhook-signature'], expected);
+    assert.equal(headers['idempotency-key'], JSON.parse(body).deliveryId);
+    assert.deepEqual(JSON.parse(body).leads, [{ id: 'lead-1' }]);
+  });
+
+  it('retries server errors with the same idempotency key', async () => {
+    responses = [500, 503];
+    webhooks.notifyNewLeads([{ id: 'lead-2' }], { account: 'default' });
+    await waitForRequests(3);
+
+    const keys = new Set(received.map((request) => request.headers['idempotency-key']));
+    assert.equal(keys.size, 1);
+    await waitFor(async () => (await readList(config.webhooks.pendingPath)).length === 0);
+  });
+
+  it('dead-letters a delivery that runs out of attempts, and replays it', async () => {
+    responses = [500, 500, 500];
+    webhooks.notifyNewLeads([{ id: 'lead-3' }], { account: 'default' });
+    await waitForRequests(3);
+    await waitFor(async () => (await webhooks.listDeadLetters()).some((entry) => entry.payload.leads[0].id === 'lead-3'));
+
+    const entry = (await webhooks.listDeadLetters()).find((item) => item.payload.leads[0].id === 'lead-3');
+    assert.equal(entry.attempts, 3);
+    assert.equal(entry.lastError, 'HTTP 500');
+
+    const result = await webhooks.replayDeadLetter(entry.id);
+    assert.equal(result.delivered, true);
+    assert.equal(received.at(-1).headers['idempotency-key'], entry.id);
+    assert.equal((await webhooks.listDeadLetters()).some((item) => item.id === entry.id), false);
+  });
+
+  it('does not retry other client errors', async () => {
+    responses = [400];
+    webhooks.notifyNewLeads([{ id: 'lead-4' }], { account: 'default' });
+    await waitFor(async () => (await webhooks.listDeadLetters()).some((entry) => entry.payload.leads[0].id === 'lead-4'));
+
+    assert.equal(received.length, 1);
+  });
+
+  it('never sends unsigned payloads - they wait in the dead letters for the secret', async () => {
+    config.webhooks.secret = undefined;
+    webhooks.notifyNewLeads([{ id: 'lead-5' }], { account: 'default' });
+    await waitFor(async () => (await webhooks.listDeadLetters()).some((entry) => entry.payload.leads[0].id === 'lead-5'));
+
+    assert.equal(received.length, 0);
+    const entry = (await webhooks.listDeadLetters()).find((item) => item.payload.leads[0].id === 'lead-5');
+    assert.equal((await webhooks.replayDeadLetter(entry.id)).delivered, false);
+    assert.equal(received.length, 0);
+
+    config.webhooks.secret = SECRET;
+    assert.equal((await webhooks.replayDeadLetter(entry.id)).delivered, true);
+    assert.ok(received[0].headers['x-webhook-signature']);
+  });
+
+  it('resumes deliveries a previous process left pending, keeping their attempts', async () => {
+    // A fresh module instance reads the pending file a previous process left behind
+    const pendingPath = path.join(dataDir, 'pending-restart.json');
+    await writeFile(pendingPath, JSON.stringify([{
+      id: 'restarted-delivery',
+      url: receiverUrl,
+      attempts: 1,
+      nextAttemptAt: new Date(Date.now() + 20).toISOString(),
+      payload: { event: 'leads.created', deliveryId: 'restarted-delivery', account: 'default', leads: [{ id: 'lead-6' }] },
+    }]));
+
+    config.webhooks.pendingPath = pendingPath;
+    const restarted = await import(`../../src/webhooks/index.js?restart=${Date.now()}`);
+
+    assert.equal(await restarted.resumeWebhookDeliveries(), 1);
+    await waitForRequests(1);
+
+    assert.equal(received[0].headers['idempotency-key'], 'restarted-delivery');
+    await waitFor(async () => (await readList(pendingPath)).length === 0);
+  });
+});